@@ -3,7 +3,13 @@
  * Uses PostgreSQL via Supabase for persistent storage
  */
 
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
+const { parts, diffDays } = require('../services/dateOnly');
+
+// Return DATE columns as plain "YYYY-MM-DD" strings instead of local-midnight
+// JS Dates, which shift by a day when converted with toISOString()
+const DATE_OID = 1082;
+types.setTypeParser(DATE_OID, value => value);
 
 // Create connection pool
 const pool = new Pool({
@@ -29,6 +35,97 @@ async function initializeDatabase() {
       )
     `);
 
+    // User column changes that also move data (for existing tables)
+    await client.query(`
+      DO $$
+      BEGIN
+        -- Feed tokens used to be stored as-is; hashing them in place keeps existing URLs working
+        IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='users' AND column_name='calendar_token') THEN
+          ALTER TABLE users RENAME COLUMN calendar_token TO calendar_token_hash;
+          UPDATE users SET calendar_token_hash = encode(sha256(convert_to(calendar_token_hash, 'UTF8')), 'hex')
+          WHERE calendar_token_hash IS NOT NULL;
+        END IF;
+        -- Accounts from before email verification keep getting reminders
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='users' AND column_name='email_verified_at') THEN
+          ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP;
+          UPDATE users SET email_verified_at = COALESCE(created_at, CURRENT_TIMESTAMP);
+        END IF;
+      END $$;
+    `);
+
+    // Add every newer user column that doesn't exist yet (new and existing tables alike)
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS overdue_interval_days INTEGER DEFAULT 3,
+        ADD COLUMN IF NOT EXISTS overdue_max_reminders INTEGER DEFAULT 3,
+        ADD COLUMN IF NOT EXISTS digest_mode VARCHAR(10) DEFAULT 'immediate',
+        ADD COLUMN IF NOT EXISTS digest_hour INTEGER DEFAULT 8,
+        ADD COLUMN IF NOT EXISTS digest_weekday INTEGER DEFAULT 1,
+        ADD COLUMN IF NOT EXISTS last_digest_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) DEFAULT 'UTC',
+        ADD COLUMN IF NOT EXISTS reminder_hour INTEGER DEFAULT 9,
+        ADD COLUMN IF NOT EXISTS quiet_hours_start INTEGER,
+        ADD COLUMN IF NOT EXISTS quiet_hours_end INTEGER,
+        ADD COLUMN IF NOT EXISTS notification_channels JSONB DEFAULT '["email"]'::jsonb,
+        ADD COLUMN IF NOT EXISTS muted_categories JSONB DEFAULT '[]'::jsonb,
+        ADD COLUMN IF NOT EXISTS calendar_token_hash VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS token_version INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS pending_email VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS totp_last_step BIGINT,
+        ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP
+    `);
+
+    // Create recurring series table (template for every occurrence of a recurring expense)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS recurring_series (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        expense_name VARCHAR(255) NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        category VARCHAR(50) DEFAULT 'Other',
+        recurrence_rule VARCHAR(255) NOT NULL,
+        start_date DATE NOT NULL,
+        anchor_day INTEGER,
+        reminder_offset_days INTEGER DEFAULT 0,
+        reminder_offsets INTEGER[],
+        overdue_interval_days INTEGER,
+        overdue_max_reminders INTEGER,
+        notification_channels TEXT[],
+        end_date DATE,
+        max_occurrences INTEGER,
+        occurrences_created INTEGER DEFAULT 0,
+        last_due_date DATE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Add newer series columns if they don't exist (for existing tables)
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='recurring_series' AND column_name='anchor_day') THEN
+          ALTER TABLE recurring_series ADD COLUMN anchor_day INTEGER;
+          UPDATE recurring_series SET anchor_day = EXTRACT(DAY FROM start_date);
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='recurring_series' AND column_name='reminder_offsets') THEN
+          ALTER TABLE recurring_series ADD COLUMN reminder_offsets INTEGER[];
+          UPDATE recurring_series SET reminder_offsets = ARRAY[reminder_offset_days];
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='recurring_series' AND column_name='overdue_interval_days') THEN
+          ALTER TABLE recurring_series ADD COLUMN overdue_interval_days INTEGER;
+          ALTER TABLE recurring_series ADD COLUMN overdue_max_reminders INTEGER;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='recurring_series' AND column_name='notification_channels') THEN
+          ALTER TABLE recurring_series ADD COLUMN notification_channels TEXT[];
+        END IF;
+      END $$;
+    `);
+
     // Create expenses table
     await client.query(`
       CREATE TABLE IF NOT EXISTS expenses (
@@ -40,14 +137,21 @@ async function initializeDatabase() {
         due_date DATE NOT NULL,
         reminder_date DATE NOT NULL,
         recurring VARCHAR(10) DEFAULT 'no',
+        recurrence_rule VARCHAR(255),
+        series_id INTEGER REFERENCES recurring_series(id) ON DELETE CASCADE,
+        occurrence_index INTEGER,
         email_sent INTEGER DEFAULT 0,
+        overdue_interval_days INTEGER,
+        overdue_max_reminders INTEGER,
+        overdue_reminders_sent INTEGER DEFAULT 0,
+        notification_channels TEXT[],
         paid INTEGER DEFAULT 0,
         paid_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
-    // Add paid column if it doesn't exist (for existing tables)
+    // Add newer columns if they don't exist (for existing tables)
     await client.query(`
       DO $$ 
       BEGIN 
@@ -57,14 +161,291 @@ async function initializeDatabase() {
         IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='expenses' AND column_name='paid_at') THEN
           ALTER TABLE expenses ADD COLUMN paid_at TIMESTAMP;
         END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='expenses' AND column_name='recurrence_rule') THEN
+          ALTER TABLE expenses ADD COLUMN recurrence_rule VARCHAR(255);
+          -- Legacy 'yes' rows were always monthly
+          UPDATE expenses SET recurrence_rule = 'FREQ=MONTHLY' WHERE recurring = 'yes';
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='expenses' AND column_name='series_id') THEN
+          ALTER TABLE expenses ADD COLUMN series_id INTEGER REFERENCES recurring_series(id) ON DELETE CASCADE;
+          ALTER TABLE expenses ADD COLUMN occurrence_index INTEGER;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='expenses' AND column_name='overdue_reminders_sent') THEN
+          -- NULL overdue settings fall back to the user's defaults
+          ALTER TABLE expenses ADD COLUMN overdue_interval_days INTEGER;
+          ALTER TABLE expenses ADD COLUMN overdue_max_reminders INTEGER;
+          ALTER TABLE expenses ADD COLUMN overdue_reminders_sent INTEGER DEFAULT 0;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='expenses' AND column_name='notification_channels') THEN
+          -- NULL uses the user's channels
+          ALTER TABLE expenses ADD COLUMN notification_channels TEXT[];
+        END IF;
       END $$;
     `);
 
+    // Create expense reminders table (each expense can have several reminders)
+    const { rows: [reminderTable] } = await client.query(`SELECT to_regclass('expense_reminders') AS name`);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS expense_reminders (
+        id SERIAL PRIMARY KEY,
+        expense_id INTEGER NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+        offset_days INTEGER,
+        remind_at TIMESTAMPTZ,
+        sent INTEGER DEFAULT 0,
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (offset_days IS NOT NULL OR remind_at IS NOT NULL)
+      )
+    `);
+
+    // remind_at used to be a TIMESTAMP, which dropped the offset of the times it was
+    // given; the times the app wrote there were UTC
+    await client.query(`
+      DO $$
+      BEGIN
+        IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='expense_reminders' AND column_name='remind_at' AND data_type='timestamp without time zone') THEN
+          ALTER TABLE expense_reminders ALTER COLUMN remind_at TYPE TIMESTAMPTZ USING remind_at AT TIME ZONE 'UTC';
+        END IF;
+      END $$;
+    `);
+
+    // First run only: turn each expense's single reminder_date into a reminder row
+    if (!reminderTable.name) {
+      const migrated = await client.query(`
+        INSERT INTO expense_reminders (expense_id, offset_days, sent, sent_at)
+        SELECT id, GREATEST(due_date - reminder_date, 0), email_sent,
+               CASE WHEN email_sent = 1 THEN CURRENT_TIMESTAMP END
+        FROM expenses
+      `);
+      if (migrated.rowCount > 0) {
+        console.log(`🔔 Migrated ${migrated.rowCount} reminder(s) to expense_reminders`);
+      }
+    }
+
+    // Create notification destinations table (where non-email channels deliver:
+    // push subscriptions, Telegram chats, phone numbers, HTTP endpoints)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notification_destinations (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        channel VARCHAR(20) NOT NULL,
+        address TEXT NOT NULL,
+        keys JSONB,
+        label VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, channel, address)
+      )
+    `);
+
+    // Create notifications table (delivery log and retry queue for outgoing notifications)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        expense_id INTEGER REFERENCES expenses(id) ON DELETE SET NULL,
+        kind VARCHAR(20) NOT NULL,
+        channel VARCHAR(20) NOT NULL DEFAULT 'email',
+        recipient VARCHAR(255) NOT NULL,
+        destination_id INTEGER REFERENCES notification_destinations(id) ON DELETE SET NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(10) NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        last_error TEXT,
+        provider VARCHAR(20),
+        provider_message_id VARCHAR(255),
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='notifications' AND column_name='destination_id') THEN
+          ALTER TABLE notifications ADD COLUMN destination_id INTEGER REFERENCES notification_destinations(id) ON DELETE SET NULL;
+        END IF;
+      END $$;
+    `);
+
+    // Create job runs table (history of background job runs)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS job_runs (
+        id SERIAL PRIMARY KEY,
+        job VARCHAR(30) NOT NULL,
+        trigger VARCHAR(20) NOT NULL,
+        status VARCHAR(10) NOT NULL DEFAULT 'running',
+        processed INTEGER DEFAULT 0,
+        sent INTEGER DEFAULT 0,
+        failed INTEGER DEFAULT 0,
+        recurring_created INTEGER DEFAULT 0,
+        errors JSONB DEFAULT '[]',
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP
+      )
+    `);
+
+    // Create job settings table (pause/resume, shared by every instance)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS job_settings (
+        job VARCHAR(30) PRIMARY KEY,
+        paused BOOLEAN DEFAULT false,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create action token uses table (email action links can be used once)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS action_token_uses (
+        jti VARCHAR(64) PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create webhooks table (user-configured endpoints for expense and reminder events)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        url VARCHAR(2048) NOT NULL,
+        description VARCHAR(100),
+        secret VARCHAR(100) NOT NULL,
+        events JSONB NOT NULL,
+        active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create webhook deliveries table (delivery log and retry queue, like notifications)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event_id VARCHAR(64) NOT NULL,
+        event VARCHAR(30) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(10) NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        response_status INTEGER,
+        last_error TEXT,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create auth tokens table (one-time emailed tokens, e.g. password resets; only hashes are stored)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS auth_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(30) NOT NULL,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create sessions table (one per login; refresh tokens are stored hashed and rotate on use)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+        previous_token_hash VARCHAR(64),
+        user_agent VARCHAR(255),
+        ip VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP
+      )
+    `);
+
+    // Create two-factor backup codes table (single-use login codes; only hashes are stored)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS two_factor_backup_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create login history table (login attempts on each account, kept for 90 days)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS login_history (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        ip VARCHAR(64),
+        user_agent VARCHAR(255),
+        success BOOLEAN NOT NULL,
+        failure_reason VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create unknown login attempts table (wrong logins for emails without an
+    // account, by email hash, locked out like accounts; kept for 90 days)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS unknown_login_attempts (
+        email_hash VARCHAR(64) PRIMARY KEY,
+        failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+        locked_until TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create personal access tokens table (API tokens for scripts; only hashes are stored)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS personal_access_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        token_hint VARCHAR(4) NOT NULL,
+        scopes TEXT[] NOT NULL,
+        expires_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        last_used_ip VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
     // Create indexes
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token ON users(calendar_token_hash)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled_for ON users(deletion_scheduled_for) WHERE deletion_scheduled_for IS NOT NULL`);
     await client.query(`CREATE INDEX IF NOT EXISTS idx_expenses_user_id ON expenses(user_id)`);
     await client.query(`CREATE INDEX IF NOT EXISTS idx_expenses_reminder_date ON expenses(reminder_date)`);
     await client.query(`CREATE INDEX IF NOT EXISTS idx_expenses_due_date ON expenses(due_date)`);
     await client.query(`CREATE INDEX IF NOT EXISTS idx_expenses_paid ON expenses(paid)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_expenses_series_id ON expenses(series_id)`);
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_series_occurrence ON expenses(series_id, occurrence_index)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_recurring_series_user_id ON recurring_series(user_id)`);
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_expense_reminders_offset ON expense_reminders(expense_id, offset_days)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_expense_reminders_pending ON expense_reminders(sent) WHERE sent = 0`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_notification_destinations_user_id ON notification_destinations(user_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at DESC)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_notifications_due ON notifications(next_attempt_at) WHERE status IN ('pending', 'sending', 'failed')`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job, started_at DESC)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks(user_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, created_at DESC)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status IN ('pending', 'sending', 'failed')`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_id ON auth_tokens(user_id, purpose)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_two_factor_backup_codes_user_id ON two_factor_backup_codes(user_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_login_history_user_id ON login_history(user_id, created_at DESC)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user_id ON personal_access_tokens(user_id)`);
+
+    await migrateLegacyRecurringExpenses(client);
 
     console.log('✅ Database initialized successfully');
   } catch (error) {
@@ -75,6 +456,70 @@ async function initializeDatabase() {
   }
 }
 
+/**
+ * Link recurring expenses created before series existed to a series
+ * Each legacy chain (same user, name and rule) becomes one series
+ */
+async function migrateLegacyRecurringExpenses(client) {
+  const { rows } = await client.query(`
+    SELECT id, user_id, expense_name, amount, category, recurrence_rule, due_date, reminder_date, email_sent
+    FROM expenses
+    WHERE recurrence_rule IS NOT NULL AND series_id IS NULL
+    ORDER BY user_id, expense_name, recurrence_rule, due_date ASC
+  `);
+
+  const chains = new Map();
+  for (const row of rows) {
+    const key = `${row.user_id}|${row.expense_name}|${row.recurrence_rule}`;
+    if (!chains.has(key)) chains.set(key, []);
+    chains.get(key).push(row);
+  }
+
+  for (const chain of chains.values()) {
+    const first = chain[0];
+    const last = chain[chain.length - 1];
+    const { rows: [series] } = await client.query(
+      `INSERT INTO recurring_series
+        (user_id, expense_name, amount, category, recurrence_rule, start_date, anchor_day, reminder_offset_days,
+         reminder_offsets, occurrences_created, last_due_date)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, ARRAY[$8::integer], $9, $10) RETURNING id`,
+      [first.user_id, last.expense_name, last.amount, last.category, last.recurrence_rule,
+        first.due_date, parts(first.due_date).day, diffDays(last.reminder_date, last.due_date), chain.length, last.due_date]
+    );
+
+    for (let i = 0; i < chain.length; i++) {
+      await client.query(
+        'UPDATE expenses SET series_id = $1, occurrence_index = $2 WHERE id = $3',
+        [series.id, i + 1, chain[i].id]
+      );
+    }
+  }
+
+  if (chains.size > 0) {
+    console.log(`🔄 Linked ${rows.length} legacy recurring expense(s) to ${chains.size} series`);
+  }
+}
+
+/**
+ * Run a callback inside a transaction on a dedicated client
+ * Commits if the callback resolves, rolls back if it throws
+ */
+async function transaction(callback) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Execute a query and return all results
  */
@@ -114,5 +559,6 @@ module.exports = {
   query,
   queryOne,
   execute,
+  transaction,
   getPool
 };
@@ -1,13 +1,16 @@
 /**
  * Authentication Middleware
- * Verifies JWT tokens and attaches user to request
+ * Verifies JWT tokens and personal access tokens, and attaches user to request
  */
 
 const jwt = require('jsonwebtoken');
 const { queryOne } = require('../config/database');
+const { isAccessToken, authenticateAccessToken } = require('../services/accessTokenService');
 
 /**
- * Middleware to protect routes - requires valid JWT token
+ * Middleware to protect routes - requires a valid JWT token or personal access token
+ * Access tokens set req.accessToken ({ id, scopes }); routes must say what they
+ * allow them with requireScope or sessionOnly.
  */
 const authenticate = async (req, res, next) => {
   try {
@@ -24,11 +27,32 @@ const authenticate = async (req, res, next) => {
     // Extract token
     const token = authHeader.split(' ')[1];
 
+    if (isAccessToken(token)) {
+      const access = await authenticateAccessToken(token, req.ip);
+      if (!access) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired access token.'
+        });
+      }
+
+      req.user = access.user;
+      req.sessionId = null;
+      req.accessToken = { id: access.tokenId, scopes: access.scopes };
+      return next();
+    }
+
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Get user from database
-    const user = await queryOne('SELECT id, name, email FROM users WHERE id = $1', [decoded.userId]);
+    // Get user from database, with the token's session if it is still active
+    const user = await queryOne(
+      `SELECT u.id, u.name, u.email, u.email_verified_at, u.token_version, s.id AS session_id
+       FROM users u
+       LEFT JOIN sessions s ON s.id = $2 AND s.user_id = u.id AND s.revoked_at IS NULL AND s.expires_at > NOW()
+       WHERE u.id = $1`,
+      [decoded.userId, decoded.sid || null]
+    );
 
     if (!user) {
       return res.status(401).json({
@@ -37,8 +61,20 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Attach user to request
-    req.user = user;
+    // Logging out or revoking the session ends it; changing or resetting the
+    // password also bumps token_version, which logs out older tokens
+    if (!user.session_id || (decoded.ver || 0) !== user.token_version) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please login again.'
+      });
+    }
+
+    // Attach user and session to request
+    const { session_id: sessionId, ...profile } = user;
+    req.user = profile;
+    req.sessionId = sessionId;
+    req.accessToken = null;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -64,17 +100,73 @@ const authenticate = async (req, res, next) => {
 };
 
 /**
- * Generate JWT token for user
+ * Middleware to allow personal access tokens with `scope` - use after authenticate
+ * Logged-in sessions can do anything.
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (req.accessToken && !req.accessToken.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `This access token doesn't have the ${scope} scope.`
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware to keep personal access tokens out - use after authenticate
+ * For account settings and anything else scripts shouldn't change
+ */
+const sessionOnly = (req, res, next) => {
+  if (req.accessToken) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access tokens can\'t be used for this. Please login instead.'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware to restrict routes to admins - use after authenticate
+ * Admins are the users whose email is listed in ADMIN_EMAILS (comma-separated)
+ * and verified: anyone can sign up with an address, only its owner can verify it
+ */
+const requireAdmin = (req, res, next) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user || !req.user.email_verified_at || !adminEmails.includes(req.user.email.toLowerCase())) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required.'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Generate a short-lived access token for a user's session
+ * `tokenVersion` is the user's current token_version; new ones come from
+ * refreshing the session (see services/sessionService.js)
  */
-const generateToken = (userId) => {
+const generateToken = (userId, tokenVersion, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, ver: tokenVersion, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
 };
 
 module.exports = {
   authenticate,
+  requireScope,
+  sessionOnly,
+  requireAdmin,
   generateToken
 };
@@ -0,0 +1,126 @@
+/**
+ * Email Action Routes
+ * Targets of the action links in reminder emails. No login session: the signed
+ * token in the URL is the authorization. Responses are small HTML pages, since
+ * these are opened straight from an email client.
+ */
+
+const express = require('express');
+const { queryOne, transaction } = require('../config/database');
+const { verifyActionToken, describeAction, performAction } = require('../services/actionLinks');
+const { escapeHtml, renderPage } = require('../services/htmlPage');
+const { deliverPendingWebhooks } = require('../services/webhookService');
+
+const router = express.Router();
+
+// Page titles for the errors performAction throws, by status
+const ERROR_TITLES = {
+  400: 'Couldn\'t add the reminder',
+  404: 'Expense not found',
+  410: 'Link already used'
+};
+
+const renderInvalidLink = (res) => renderPage(res, 400, {
+  title: 'Link expired',
+  body: `
+    <p style="color: #666; font-size: 15px; line-height: 1.6;">
+      This link is invalid or has expired. You can still update the expense from your dashboard.
+    </p>
+  `
+});
+
+/**
+ * @route   GET /api/actions/:token
+ * @desc    Confirmation page for an email action (opening the link changes nothing)
+ * @access  Public (signed token)
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const claims = verifyActionToken(req.params.token);
+    if (!claims) {
+      return renderInvalidLink(res);
+    }
+
+    const expense = await queryOne(
+      'SELECT expense_name, amount, due_date, paid FROM expenses WHERE id = $1 AND user_id = $2',
+      [claims.expenseId, claims.userId]
+    );
+    if (!expense) {
+      return renderPage(res, 404, {
+        title: 'Expense not found',
+        body: '<p style="color: #666; font-size: 15px;">This expense no longer exists.</p>'
+      });
+    }
+
+    const formattedAmount = new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: 'INR'
+    }).format(expense.amount);
+
+    const formattedDate = new Date(expense.due_date).toLocaleDateString('en-IN', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      timeZone: 'UTC'
+    });
+
+    renderPage(res, 200, {
+      title: describeAction(claims),
+      body: `
+        <p style="color: #333; font-size: 18px; font-weight: 600; margin: 0 0 8px;">${escapeHtml(expense.expense_name)}</p>
+        <p style="color: #666; font-size: 15px; margin: 0 0 24px;">${formattedAmount} · due ${formattedDate}</p>
+        <form method="POST" action="/api/actions/${encodeURIComponent(req.params.token)}">
+          <button type="submit" style="background: linear-gradient(135deg, #3b82f6 0%, #0d9488 100%); color: white; border: none; padding: 12px 30px; border-radius: 25px; font-weight: 600; font-size: 15px; cursor: pointer;">
+            ${escapeHtml(describeAction(claims))}
+          </button>
+        </form>
+      `
+    });
+  } catch (error) {
+    console.error('Action confirmation error:', error);
+    renderPage(res, 500, {
+      title: 'Something went wrong',
+      body: '<p style="color: #666; font-size: 15px;">Please try again later.</p>'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/actions/:token
+ * @desc    Carry out an email action (each link works once)
+ * @access  Public (signed token)
+ */
+router.post('/:token', async (req, res) => {
+  try {
+    const claims = verifyActionToken(req.params.token);
+    if (!claims) {
+      return renderInvalidLink(res);
+    }
+
+    const { message } = await transaction(client => performAction(client, claims));
+    console.log(`🔗 Email action ${claims.action} on expense ${claims.expenseId} by user ${claims.userId}`);
+
+    // Send any webhook event the action queued (retries are handled by the scheduler)
+    setImmediate(deliverPendingWebhooks);
+
+    renderPage(res, 200, {
+      title: 'Done',
+      body: `<p style="color: #333; font-size: 16px; line-height: 1.6;">✅ ${escapeHtml(message)}</p>`
+    });
+  } catch (error) {
+    if (error.status) {
+      return renderPage(res, error.status, {
+        title: ERROR_TITLES[error.status] || 'Something went wrong',
+        body: `<p style="color: #666; font-size: 15px;">${escapeHtml(error.message)}</p>`
+      });
+    }
+
+    console.error('Email action error:', error);
+    renderPage(res, 500, {
+      title: 'Something went wrong',
+      body: '<p style="color: #666; font-size: 15px;">Please try again later.</p>'
+    });
+  }
+});
+
+module.exports = router;
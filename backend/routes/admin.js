@@ -0,0 +1,212 @@
+/**
+ * Admin Routes
+ * Background job history and controls (run, pause/resume, dry run)
+ */
+
+const express = require('express');
+const { param, query: queryValidator, validationResult } = require('express-validator');
+const { authenticate, sessionOnly, requireAdmin } = require('../middleware/auth');
+const { JOBS, listJobRuns, getJobStatuses, setJobPaused } = require('../services/jobRunService');
+const { processReminders, previewReminders } = require('../scheduler/reminderScheduler');
+const { generateRecurringExpenses } = require('../scheduler/recurrenceScheduler');
+const { deleteScheduledAccounts } = require('../scheduler/accountDeletionScheduler');
+
+const router = express.Router();
+
+// All routes require a logged-in admin
+router.use(authenticate, sessionOnly, requireAdmin);
+
+const JOB_RUNNERS = {
+  reminders: processReminders,
+  recurrence: generateRecurringExpenses,
+  account_deletion: deleteScheduledAccounts
+};
+
+const jobValidator = param('job').isIn(JOBS).withMessage(`Job must be one of: ${JOBS.join(', ')}`);
+
+/**
+ * @route   GET /api/admin/jobs
+ * @desc    Get every job's pause state and latest run
+ * @access  Admin
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const jobs = await getJobStatuses();
+
+    res.json({
+      success: true,
+      data: { jobs }
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching jobs'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/jobs/runs
+ * @desc    Get job run history, newest first
+ * @access  Admin
+ */
+router.get('/jobs/runs', [
+  queryValidator('job').optional().isIn(JOBS).withMessage(`Job must be one of: ${JOBS.join(', ')}`),
+  queryValidator('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100').toInt(),
+  queryValidator('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or more').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { runs, total } = await listJobRuns({
+      job: req.query.job,
+      limit: req.query.limit ?? 50,
+      offset: req.query.offset ?? 0
+    });
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        count: runs.length,
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching job runs'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/jobs/reminders/preview
+ * @desc    Dry run: what the next reminder check would send, without sending anything
+ * @access  Admin
+ */
+router.get('/jobs/reminders/preview', async (req, res) => {
+  try {
+    const preview = await previewReminders();
+
+    res.json({
+      success: true,
+      data: { preview }
+    });
+  } catch (error) {
+    console.error('Preview reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error previewing reminders'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/jobs/:job/run
+ * @desc    Run a job now (even while its schedule is paused)
+ * @access  Admin
+ */
+router.post('/jobs/:job/run', [jobValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const run = await JOB_RUNNERS[req.params.job]({ trigger: 'admin' });
+
+    res.json({
+      success: true,
+      message: run.status === 'skipped'
+        ? 'Job is already running on another instance'
+        : `Job ${req.params.job} finished (${run.status})`,
+      data: { run }
+    });
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running job'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/jobs/:job/pause
+ * @desc    Pause a job's cron schedule on every instance
+ * @access  Admin
+ */
+router.post('/jobs/:job/pause', [jobValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await setJobPaused(req.params.job, true, req.user.id);
+    console.log(`⏸️  ${req.params.job} job paused by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Job ${req.params.job} paused`
+    });
+  } catch (error) {
+    console.error('Pause job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error pausing job'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/jobs/:job/resume
+ * @desc    Resume a paused job's cron schedule
+ * @access  Admin
+ */
+router.post('/jobs/:job/resume', [jobValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await setJobPaused(req.params.job, false, req.user.id);
+    console.log(`▶️  ${req.params.job} job resumed by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Job ${req.params.job} resumed`
+    });
+  } catch (error) {
+    console.error('Resume job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resuming job'
+    });
+  }
+});
+
+module.exports = router;
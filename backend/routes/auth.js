@@ -1,16 +1,223 @@
 /**
  * Authentication Routes
- * Handles user registration, login, and profile
+ * Handles user registration, email verification, login and sessions, two-factor
+ * authentication, login history, personal access tokens, password resets, and profile
+ *
+ * Account routes are for logged-in sessions only (sessionOnly): personal access
+ * tokens can't change the account or make more tokens.
  */
 
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
-const { query, queryOne, execute } = require('../config/database');
-const { authenticate, generateToken } = require('../middleware/auth');
+const rateLimit = require('express-rate-limit');
+const QRCode = require('qrcode');
+const { body, param, validationResult } = require('express-validator');
+const { query, queryOne, execute, transaction } = require('../config/database');
+const { authenticate, sessionOnly, generateToken } = require('../middleware/auth');
+const { MAX_OVERDUE_INTERVAL_DAYS, MAX_OVERDUE_REMINDERS } = require('../services/reminderService');
+const { DIGEST_MODES } = require('../services/digestService');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../services/userTime');
+const { NOTIFICATION_CHANNELS, getPreferences, updatePreferences } = require('../services/preferenceService');
+const { availableChannels } = require('../services/notificationChannels');
+const { CATEGORIES } = require('../services/categories');
+const { sendPasswordResetEmail, sendVerificationEmail, sendAccountDeletionEmail } = require('../services/emailService');
+const {
+  TOKEN_LIFETIME_MINUTES,
+  createAuthToken,
+  consumeAuthToken,
+  revokeAuthTokens,
+  secondsSinceLastToken
+} = require('../services/authTokenService');
+const {
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSessionByToken,
+  revokeSession,
+  revokeOtherSessions
+} = require('../services/sessionService');
+const {
+  startSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  replaceBackupCodes,
+  verifySecondFactor,
+  getTwoFactorStatus,
+  createLoginChallenge,
+  verifyLoginChallenge
+} = require('../services/twoFactorService');
+const {
+  lockoutSecondsLeft,
+  unknownEmailLockoutSecondsLeft,
+  recordFailedLogin,
+  recordFailedUnknownLogin,
+  recordSuccessfulLogin,
+  listLoginHistory
+} = require('../services/loginActivityService');
+const {
+  ACCESS_TOKEN_SCOPES,
+  MAX_ACCESS_TOKENS_PER_USER,
+  MAX_EXPIRY_DAYS,
+  listAccessTokens,
+  countAccessTokens,
+  createAccessToken,
+  deleteAccessToken,
+  deleteAllAccessTokens
+} = require('../services/accessTokenService');
+const {
+  DELETION_GRACE_DAYS,
+  exportAccountData,
+  scheduleAccountDeletion,
+  cancelAccountDeletion
+} = require('../services/accountService');
 
 const router = express.Router();
 
+// Columns returned for the logged-in user's profile
+const PROFILE_FIELDS = `id, name, email, email_verified_at, pending_email, (totp_enabled_at IS NOT NULL) AS two_factor_enabled, timezone, reminder_hour, quiet_hours_start, quiet_hours_end,
+  overdue_interval_days, overdue_max_reminders, digest_mode, digest_hour, digest_weekday`;
+
+// Password reset requests send email, so they get a tighter limit than other auth routes
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Limit each IP to 5 reset requests per hour
+  message: {
+    success: false,
+    message: 'Too many password reset requests, please try again later.'
+  }
+});
+
+// At most one reset or verification email per account per this many seconds, whatever the IP
+const AUTH_EMAIL_INTERVAL_SECONDS = 60;
+
+const frontendUrl = (path) => `${process.env.FRONTEND_URL || 'https://expense-reminder-frontend.onrender.com'}${path}`;
+
+/**
+ * Issue a token for `purpose` unless the user got one less than
+ * AUTH_EMAIL_INTERVAL_SECONDS ago; returns the token, or null if throttled
+ */
+async function issueThrottledToken(userId, purpose) {
+  return transaction(async (client) => {
+    const seconds = await secondsSinceLastToken(client, userId, purpose);
+    if (seconds !== null && seconds < AUTH_EMAIL_INTERVAL_SECONDS) {
+      return null;
+    }
+    return createAuthToken(client, userId, purpose);
+  });
+}
+
+/**
+ * Email the user a link to verify their address
+ */
+function sendVerification(user, token) {
+  return sendVerificationEmail({
+    to: user.email,
+    userName: user.name,
+    verifyUrl: frontendUrl(`/verify-email?token=${token}`),
+    expiresInHours: TOKEN_LIFETIME_MINUTES.email_verification / 60
+  });
+}
+
+/**
+ * Check the logged-in user's current password, for changes that need it
+ */
+async function checkCurrentPassword(userId, password) {
+  const user = await queryOne('SELECT password_hash FROM users WHERE id = $1', [userId]);
+  return bcrypt.compare(password, user.password_hash);
+}
+
+// A wrong current password is a 400, not a 401: the session itself is fine
+const wrongPasswordResponse = {
+  success: false,
+  message: 'Current password is incorrect'
+};
+
+const invalidLoginResponse = {
+  success: false,
+  message: 'Invalid email or password'
+};
+
+// Compared against for emails without an account, so they take as long as a wrong password
+const UNKNOWN_USER_PASSWORD_HASH = bcrypt.hashSync('not a real password', 12);
+
+const wrongCodeResponse = {
+  success: false,
+  message: 'Invalid authentication code'
+};
+
+// A code from the authenticator app, or a backup code
+const twoFactorCodeValidator = body('code')
+  .trim()
+  .notEmpty().withMessage('Authentication code is required')
+  .isLength({ max: 20 }).withMessage('Invalid authentication code');
+
+/**
+ * Response for a login attempt on a locked account
+ */
+function lockedResponse(seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  return {
+    success: false,
+    message: `Too many failed login attempts. Try again in ${minutes === 1 ? '1 minute' : `${minutes} minutes`}.`
+  };
+}
+
+/**
+ * Response for a login to an account that is scheduled for deletion
+ */
+function scheduledForDeletionResponse(user) {
+  return {
+    success: false,
+    message: `This account will be deleted on ${user.deletion_scheduled_for.toISOString().slice(0, 10)}. Use the link in the email we sent you to keep it.`,
+    data: { deletion_scheduled_for: user.deletion_scheduled_for }
+  };
+}
+
+/**
+ * The user details returned on login
+ */
+function sessionUser(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    email_verified_at: user.email_verified_at
+  };
+}
+
+// IANA timezone name, e.g. "Asia/Kolkata"
+const timezoneValidator = body('timezone')
+  .optional()
+  .custom(isValidTimeZone).withMessage('Invalid timezone');
+
+// Quiet hours are optional, but start and end go together (null clears them)
+const quietHoursValidators = ['quiet_hours_start', 'quiet_hours_end'].map(field => body(field)
+  .optional({ values: 'null' })
+  .isInt({ min: 0, max: 23 }).withMessage('Quiet hours must be between 0 and 23')
+  .toInt()
+  .custom((value, { req }) => {
+    const other = field === 'quiet_hours_start' ? 'quiet_hours_end' : 'quiet_hours_start';
+    if (req.body[other] === undefined) {
+      throw new Error('Quiet hours need both a start and an end');
+    }
+    return true;
+  }));
+
+// Digest frequency: immediate emails, or a daily/weekly digest at a local hour
+const digestValidators = [
+  body('digest_mode')
+    .optional()
+    .isIn(DIGEST_MODES).withMessage('Digest mode must be immediate, daily or weekly'),
+  body('digest_hour')
+    .optional()
+    .isInt({ min: 0, max: 23 }).withMessage('Digest hour must be between 0 and 23')
+    .toInt(),
+  body('digest_weekday')
+    .optional()
+    .isInt({ min: 0, max: 6 }).withMessage('Digest weekday must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt()
+];
+
 /**
  * @route   POST /api/auth/signup
  * @desc    Register a new user
@@ -28,7 +235,8 @@ router.post('/signup', [
     .normalizeEmail(),
   body('password')
     .notEmpty().withMessage('Password is required')
-    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  timezoneValidator
 ], async (req, res) => {
   try {
     // Validate input
@@ -41,7 +249,7 @@ router.post('/signup', [
       });
     }
 
-    const { name, email, password } = req.body;
+    const { name, email, password, timezone } = req.body;
 
     // Check if user already exists
     const existingUser = await queryOne('SELECT id FROM users WHERE email = $1', [email]);
@@ -58,14 +266,20 @@ router.post('/signup', [
 
     // Insert user into database
     const result = await execute(
-      'INSERT INTO users (name, email, password_hash) VALUES ($1, $2, $3) RETURNING id',
-      [name, email, passwordHash]
+      'INSERT INTO users (name, email, password_hash, timezone) VALUES ($1, $2, $3, $4) RETURNING id',
+      [name, email, passwordHash, timezone || DEFAULT_TIMEZONE]
     );
 
     const newUserId = result.rows[0].id;
 
-    // Generate token
-    const token = generateToken(newUserId);
+    // Reminders start once the address is verified; not awaited, so signup doesn't wait on the email provider
+    transaction(client => createAuthToken(client, newUserId, 'email_verification'))
+      .then(verificationToken => sendVerification({ email, name }, verificationToken))
+      .catch(error => console.error('Verification email error:', error));
+
+    // Start a session
+    const { token, refreshToken } = await createSession({ id: newUserId, token_version: 0 }, req);
+    await recordSuccessfulLogin({ id: newUserId, name, email }, req);
 
     res.status(201).json({
       success: true,
@@ -74,9 +288,11 @@ router.post('/signup', [
         user: {
           id: newUserId,
           name,
-          email
+          email,
+          email_verified_at: null
         },
-        token
+        token,
+        refresh_token: refreshToken
       }
     });
   } catch (error) {
@@ -92,7 +308,9 @@ router.post('/signup', [
 
 /**
  * @route   POST /api/auth/login
- * @desc    Login user
+ * @desc    Login user. With two-factor authentication on, there is no session
+ *          yet: the response has `two_factor_required` and a `challenge_token`
+ *          to send with a code to POST /api/auth/login/2fa.
  * @access  Public
  */
 router.post('/login', [
@@ -117,37 +335,61 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
-    // Find user
+    // Find user. Emails without an account get the same responses, after the
+    // same work, as wrong passwords, so the login doesn't tell which emails exist.
     const user = await queryOne('SELECT * FROM users WHERE email = $1', [email]);
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
+      const lockedFor = await unknownEmailLockoutSecondsLeft(email);
+      if (lockedFor > 0) {
+        return res.status(429).json(lockedResponse(lockedFor));
+      }
+      await bcrypt.compare(password, UNKNOWN_USER_PASSWORD_HASH);
+      await recordFailedUnknownLogin(email);
+      return res.status(401).json(invalidLoginResponse);
+    }
+
+    // Wrong passwords lock the account for a while, whatever IP they come from.
+    // Checked before the password, so a locked account doesn't tell whether it's right.
+    const lockedFor = await lockoutSecondsLeft(user.id);
+    if (lockedFor > 0) {
+      await recordFailedLogin(user.id, req, 'locked');
+      return res.status(429).json(lockedResponse(lockedFor));
     }
 
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
     if (!isValidPassword) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
+      await recordFailedLogin(user.id, req, 'password');
+      return res.status(401).json(invalidLoginResponse);
+    }
+
+    // Only said once the password is right, so it doesn't give away the account's state
+    if (user.deletion_scheduled_for) {
+      return res.status(403).json(scheduledForDeletionResponse(user));
+    }
+
+    if (user.totp_enabled_at) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          two_factor_required: true,
+          challenge_token: createLoginChallenge(user)
+        }
       });
     }
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Start a session
+    const { token, refreshToken } = await createSession(user, req);
+    await recordSuccessfulLogin(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email
-        },
-        token
+        user: sessionUser(user),
+        token,
+        refresh_token: refreshToken
       }
     });
   } catch (error) {
@@ -160,29 +402,215 @@ router.post('/login', [
 });
 
 /**
- * @route   GET /api/auth/me
- * @desc    Get current user profile
- * @access  Private
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step: the challenge token from POST /api/auth/login and a
+ *          code from the authenticator app, or a backup code (each works once)
+ * @access  Public (challenge token)
+ */
+router.post('/login/2fa', [
+  body('challenge_token')
+    .isString()
+    .notEmpty().withMessage('Challenge token is required'),
+  twoFactorCodeValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = verifyLoginChallenge(req.body.challenge_token);
+    const user = challenge && await queryOne('SELECT * FROM users WHERE id = $1', [challenge.userId]);
+
+    // The password may have changed, or 2FA been turned off, since the first step
+    if (!user || user.token_version !== challenge.tokenVersion || !user.totp_enabled_at) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login expired. Please sign in again.'
+      });
+    }
+
+    // Wrong codes count towards locking the account, like wrong passwords. The
+    // challenge token already proves the password, so this gives nothing away.
+    const lockedFor = await lockoutSecondsLeft(user.id);
+    if (lockedFor > 0) {
+      await recordFailedLogin(user.id, req, 'locked');
+      return res.status(429).json(lockedResponse(lockedFor));
+    }
+
+    const method = await verifySecondFactor(user.id, req.body.code);
+    if (!method) {
+      await recordFailedLogin(user.id, req, 'two_factor');
+      return res.status(401).json(wrongCodeResponse);
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+    await recordSuccessfulLogin(user, req);
+    const data = {
+      user: sessionUser(user),
+      token,
+      refresh_token: refreshToken
+    };
+
+    if (method === 'backup_code') {
+      const { backup_codes_remaining } = await getTwoFactorStatus(user.id);
+      data.backup_codes_remaining = backup_codes_remaining;
+      console.log(`🔑 Backup code used by user ${user.id}, ${backup_codes_remaining} left`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Get a new access token with a refresh token. The refresh token is
+ *          replaced too: use the one in the response next time.
+ * @access  Public (refresh token)
  */
-router.get('/me', authenticate, (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      user: req.user
+router.post('/refresh', [
+  body('refresh_token')
+    .isString()
+    .notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
-  });
+
+    const session = await refreshSession(req.body.refresh_token, req);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please login again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: session.token,
+        refresh_token: session.refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing session'
+    });
+  }
 });
 
 /**
- * @route   PUT /api/auth/update-profile
- * @desc    Update user profile
+ * @route   POST /api/auth/logout
+ * @desc    End the session of a refresh token, so neither it nor its access
+ *          tokens work any more (works after the access token has expired)
+ * @access  Public (refresh token)
+ */
+router.post('/logout', [
+  body('refresh_token')
+    .isString()
+    .notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await revokeSessionByToken(req.body.refresh_token);
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the devices logged in to the account; `current` marks this one
  * @access  Private
  */
-router.put('/update-profile', authenticate, [
-  body('name')
-    .optional()
-    .trim()
-    .isLength({ min: 2, max: 50 }).withMessage('Name must be 2-50 characters')
+router.get('/sessions', authenticate, sessionOnly, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({ ...session, current: session.id === req.sessionId }))
+      }
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Log out every other device
+ * @access  Private
+ */
+router.delete('/sessions', authenticate, sessionOnly, async (req, res) => {
+  try {
+    const count = await transaction(client => revokeOtherSessions(client, req.user.id, req.sessionId));
+
+    res.json({
+      success: true,
+      message: count === 1 ? 'Logged out 1 other device' : `Logged out ${count} other devices`,
+      data: { revoked: count }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out other devices'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Log out one device
+ * @access  Private
+ */
+router.delete('/sessions/:id', authenticate, sessionOnly, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid session ID').toInt()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -194,24 +622,1108 @@ router.put('/update-profile', authenticate, [
       });
     }
 
-    const { name } = req.body;
-    
-    if (name) {
-      await execute('UPDATE users SET name = $1 WHERE id = $2', [name, req.user.id]);
+    const revoked = await revokeSession(req.user.id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
     }
 
-    const updatedUser = await queryOne('SELECT id, name, email FROM users WHERE id = $1', [req.user.id]);
+    res.json({
+      success: true,
+      message: req.params.id === req.sessionId ? 'Logged out' : 'Device logged out'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out device'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/login-history
+ * @desc    Recent login attempts on the account (successful or not), newest first
+ * @access  Private
+ */
+router.get('/login-history', authenticate, sessionOnly, async (req, res) => {
+  try {
+    const history = await listLoginHistory(req.user.id);
 
     res.json({
       success: true,
-      message: 'Profile updated successfully',
-      data: { user: updatedUser }
+      data: { history }
     });
   } catch (error) {
-    console.error('Update profile error:', error);
+    console.error('Login history error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error updating profile'
+      message: 'Error fetching login history'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/tokens
+ * @desc    List the user's personal access tokens and the scopes they can have
+ * @access  Private
+ */
+router.get('/tokens', authenticate, sessionOnly, async (req, res) => {
+  try {
+    const tokens = await listAccessTokens(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        tokens,
+        scopes: ACCESS_TOKEN_SCOPES
+      }
+    });
+  } catch (error) {
+    console.error('List access tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching access tokens'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/tokens
+ * @desc    Create a personal access token for scripts: a name, scopes and an
+ *          optional expiry in days (none means it never expires); needs the
+ *          current password. The response has the token, which isn't shown again.
+ * @access  Private
+ */
+router.post('/tokens', authenticate, sessionOnly, [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 }).withMessage('Choose at least one scope'),
+  body('scopes.*')
+    .isIn(ACCESS_TOKEN_SCOPES).withMessage(`Scopes must be among: ${ACCESS_TOKEN_SCOPES.join(', ')}`),
+  body('expires_in_days')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: MAX_EXPIRY_DAYS }).withMessage(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`)
+    .toInt(),
+  body('current_password')
+    .notEmpty().withMessage('Current password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!(await checkCurrentPassword(req.user.id, req.body.current_password))) {
+      return res.status(400).json(wrongPasswordResponse);
+    }
+
+    if (await countAccessTokens(req.user.id) >= MAX_ACCESS_TOKENS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ACCESS_TOKENS_PER_USER} access tokens`
+      });
+    }
+
+    const { token, accessToken } = await createAccessToken(req.user.id, {
+      name: req.body.name,
+      scopes: req.body.scopes,
+      expiresInDays: req.body.expires_in_days ?? null
+    });
+
+    console.log(`🔑 Access token ${accessToken.id} (${accessToken.scopes.join(', ')}) created for user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Access token created',
+      data: {
+        token,
+        access_token: accessToken
+      }
+    });
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating access token'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/tokens/:id
+ * @desc    Delete a personal access token; it stops working right away
+ * @access  Private
+ */
+router.delete('/tokens/:id', authenticate, sessionOnly, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid token ID').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const deleted = await deleteAccessToken(req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Access token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Access token deleted'
+    });
+  } catch (error) {
+    console.error('Delete access token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting access token'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link. Responds the same whether or not
+ *          the email has an account, so it can't be used to find out who does.
+ * @access  Public
+ */
+router.post('/forgot-password', passwordResetLimiter, [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email')
+    .normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await queryOne('SELECT id, name, email FROM users WHERE email = $1', [req.body.email]);
+
+    if (user) {
+      const token = await issueThrottledToken(user.id, 'password_reset');
+
+      // Not awaited, so the response takes as long for unknown emails
+      if (token) {
+        sendPasswordResetEmail({
+          to: user.email,
+          userName: user.name,
+          resetUrl: frontendUrl(`/reset-password?token=${token}`),
+          expiresInMinutes: TOKEN_LIFETIME_MINUTES.password_reset
+        }).catch(error => console.error('Password reset email error:', error));
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link is on its way.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with the token from a reset email (usable once)
+ * @access  Public
+ */
+router.post('/reset-password', passwordResetLimiter, [
+  body('token')
+    .isString()
+    .notEmpty().withMessage('Reset token is required'),
+  body('password')
+    .notEmpty().withMessage('Password is required')
+    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const salt = await bcrypt.genSalt(12);
+    const passwordHash = await bcrypt.hash(password, salt);
+
+    const userId = await transaction(async (client) => {
+      const id = await consumeAuthToken(client, token, 'password_reset');
+      if (!id) {
+        return null;
+      }
+      // Logs out every existing session and deletes access tokens too, in case
+      // someone else had the password, and unlocks the account
+      await client.query(
+        `UPDATE users SET password_hash = $1, token_version = token_version + 1,
+           failed_login_attempts = 0, locked_until = NULL
+         WHERE id = $2`,
+        [passwordHash, id]
+      );
+      await revokeAuthTokens(client, id, 'password_reset');
+      await revokeOtherSessions(client, id);
+      await deleteAllAccessTokens(client, id);
+      return id;
+    });
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    console.log(`🔑 Password reset for user ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. You can now log in.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/verify/:token
+ * @desc    Verify the account's email address with the token from a verification email
+ * @access  Public
+ */
+router.get('/verify/:token', async (req, res) => {
+  try {
+    const user = await transaction(async (client) => {
+      const userId = await consumeAuthToken(client, req.params.token, 'email_verification');
+      if (!userId) {
+        return null;
+      }
+      const result = await client.query(
+        `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW())
+         WHERE id = $1 RETURNING id, email, email_verified_at`,
+        [userId]
+      );
+      return result.rows[0];
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    console.log(`✉️  Email verified for user ${user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Email verified. Your reminders are on.',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new verification email (earlier links stop working)
+ * @access  Private
+ */
+router.post('/resend-verification', authenticate, sessionOnly, async (req, res) => {
+  try {
+    const user = await queryOne('SELECT id, name, email, email_verified_at FROM users WHERE id = $1', [req.user.id]);
+    if (user.email_verified_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your email is already verified'
+      });
+    }
+
+    const token = await issueThrottledToken(user.id, 'email_verification');
+    if (!token) {
+      return res.status(429).json({
+        success: false,
+        message: 'A verification email was just sent. Please wait a minute before asking for another.'
+      });
+    }
+
+    const result = await sendVerification(user, token);
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Could not send the verification email. Please try again later.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.email}`
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get current user profile
+ * @access  Private
+ */
+router.get('/me', authenticate, sessionOnly, async (req, res) => {
+  try {
+    const user = await queryOne(`SELECT ${PROFILE_FIELDS} FROM users WHERE id = $1`, [req.user.id]);
+
+    res.json({
+      success: true,
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching profile'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/auth/update-profile
+ * @desc    Update user profile and notification settings:
+ *          - timezone (IANA name) and reminder_hour (0-23, local) reminders are sent at,
+ *            with optional quiet_hours_start/quiet_hours_end (local hours, may wrap midnight)
+ *          - overdue escalation: remind every `overdue_interval_days` while unpaid,
+ *            at most `overdue_max_reminders` times (0 turns it off)
+ *          - digest_mode: "immediate", "daily" (at digest_hour, local) or
+ *            "weekly" (at digest_hour on digest_weekday, 0 = Sunday)
+ * @access  Private
+ */
+router.put('/update-profile', authenticate, sessionOnly, [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 }).withMessage('Name must be 2-50 characters'),
+  timezoneValidator,
+  body('reminder_hour')
+    .optional()
+    .isInt({ min: 0, max: 23 }).withMessage('Reminder hour must be between 0 and 23')
+    .toInt(),
+  ...quietHoursValidators,
+  body('overdue_interval_days')
+    .optional()
+    .isInt({ min: 1, max: MAX_OVERDUE_INTERVAL_DAYS }).withMessage(`Overdue interval must be between 1 and ${MAX_OVERDUE_INTERVAL_DAYS} days`)
+    .toInt(),
+  body('overdue_max_reminders')
+    .optional()
+    .isInt({ min: 0, max: MAX_OVERDUE_REMINDERS }).withMessage(`Overdue reminders must be between 0 and ${MAX_OVERDUE_REMINDERS}`)
+    .toInt(),
+  ...digestValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name } = req.body;
+    
+    if (name) {
+      await execute('UPDATE users SET name = $1 WHERE id = $2', [name, req.user.id]);
+    }
+
+    // Notification settings
+    const settings = [
+      'timezone', 'reminder_hour', 'quiet_hours_start', 'quiet_hours_end',
+      'overdue_interval_days', 'overdue_max_reminders', 'digest_mode', 'digest_hour', 'digest_weekday'
+    ]
+      .filter(field => req.body[field] !== undefined);
+    if (settings.length > 0) {
+      await execute(
+        `UPDATE users SET ${settings.map((field, i) => `${field} = $${i + 1}`).join(', ')} WHERE id = $${settings.length + 1}`,
+        [...settings.map(field => req.body[field]), req.user.id]
+      );
+    }
+
+    const updatedUser = await queryOne(`SELECT ${PROFILE_FIELDS} FROM users WHERE id = $1`, [req.user.id]);
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: { user: updatedUser }
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating profile'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/auth/change-password
+ * @desc    Change the password. Logs out every other session (the response has a
+ *          new access token for this one) and deletes personal access tokens.
+ * @access  Private
+ */
+router.put('/change-password', authenticate, sessionOnly, [
+  body('current_password')
+    .notEmpty().withMessage('Current password is required'),
+  body('new_password')
+    .notEmpty().withMessage('New password is required')
+    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { current_password, new_password } = req.body;
+
+    if (!(await checkCurrentPassword(req.user.id, current_password))) {
+      return res.status(400).json(wrongPasswordResponse);
+    }
+
+    const salt = await bcrypt.genSalt(12);
+    const passwordHash = await bcrypt.hash(new_password, salt);
+
+    const tokenVersion = await transaction(async (client) => {
+      const result = await client.query(
+        'UPDATE users SET password_hash = $1, token_version = token_version + 1 WHERE id = $2 RETURNING token_version',
+        [passwordHash, req.user.id]
+      );
+      await revokeAuthTokens(client, req.user.id, 'password_reset');
+      await revokeOtherSessions(client, req.user.id, req.sessionId);
+      await deleteAllAccessTokens(client, req.user.id);
+      return result.rows[0].token_version;
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed. Other devices have been logged out and API tokens deleted.',
+      data: { token: generateToken(req.user.id, tokenVersion, req.sessionId) }
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/change-email
+ * @desc    Start changing the account's email: emails a confirmation link to the
+ *          new address, which replaces the current one once the link is opened
+ * @access  Private
+ */
+router.post('/change-email', authenticate, sessionOnly, [
+  body('new_email')
+    .trim()
+    .notEmpty().withMessage('New email is required')
+    .isEmail().withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  body('current_password')
+    .notEmpty().withMessage('Current password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { new_email, current_password } = req.body;
+
+    if (!(await checkCurrentPassword(req.user.id, current_password))) {
+      return res.status(400).json(wrongPasswordResponse);
+    }
+
+    if (new_email === req.user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your email'
+      });
+    }
+
+    const existingUser = await queryOne('SELECT id FROM users WHERE email = $1', [new_email]);
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const token = await issueThrottledToken(req.user.id, 'email_change');
+    if (!token) {
+      return res.status(429).json({
+        success: false,
+        message: 'A confirmation email was just sent. Please wait a minute before asking for another.'
+      });
+    }
+    await execute('UPDATE users SET pending_email = $1 WHERE id = $2', [new_email, req.user.id]);
+
+    const result = await sendVerificationEmail({
+      to: new_email,
+      userName: req.user.name,
+      verifyUrl: frontendUrl(`/confirm-email?token=${token}`),
+      expiresInHours: TOKEN_LIFETIME_MINUTES.email_change / 60,
+      emailChange: true
+    });
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Could not send the confirmation email. Please try again later.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Confirmation email sent to ${new_email}`,
+      data: { pending_email: new_email }
+    });
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing email'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/change-email
+ * @desc    Cancel a pending email change (its confirmation link stops working)
+ * @access  Private
+ */
+router.delete('/change-email', authenticate, sessionOnly, async (req, res) => {
+  try {
+    await transaction(async (client) => {
+      await client.query('UPDATE users SET pending_email = NULL WHERE id = $1', [req.user.id]);
+      await revokeAuthTokens(client, req.user.id, 'email_change');
+    });
+
+    res.json({
+      success: true,
+      message: 'Email change cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling email change'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/confirm-email/:token
+ * @desc    Switch the account to its pending email, with the token from the
+ *          confirmation email sent to that address
+ * @access  Public
+ */
+router.get('/confirm-email/:token', async (req, res) => {
+  try {
+    const outcome = await transaction(async (client) => {
+      const userId = await consumeAuthToken(client, req.params.token, 'email_change');
+      if (!userId) {
+        return { error: 'This confirmation link is invalid or has expired. Please request a new one.' };
+      }
+
+      const { rows } = await client.query('SELECT pending_email FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      const newEmail = rows[0].pending_email;
+      if (!newEmail) {
+        return { error: 'This email change was cancelled.' };
+      }
+
+      // Someone may have signed up with the address since the change was requested
+      const taken = await client.query('SELECT id FROM users WHERE email = $1', [newEmail]);
+      if (taken.rows.length > 0) {
+        await client.query('UPDATE users SET pending_email = NULL WHERE id = $1', [userId]);
+        return { error: 'An account with this email already exists' };
+      }
+
+      const result = await client.query(
+        `UPDATE users SET email = pending_email, pending_email = NULL, email_verified_at = NOW()
+         WHERE id = $1 RETURNING id, email, email_verified_at`,
+        [userId]
+      );
+      return { user: result.rows[0] };
+    });
+
+    if (outcome.error) {
+      return res.status(400).json({
+        success: false,
+        message: outcome.error
+      });
+    }
+
+    console.log(`✉️  Email changed for user ${outcome.user.id}`);
+
+    res.json({
+      success: true,
+      message: `Your email is now ${outcome.user.email}`,
+      data: { user: outcome.user }
+    });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming email change. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Whether two-factor authentication is on, and how many backup codes are left
+ * @access  Private
+ */
+router.get('/2fa', authenticate, sessionOnly, async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.id);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching two-factor settings'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start turning on two-factor authentication: returns a new secret, as
+ *          an otpauth:// URI and a QR code image (data URL) for authenticator
+ *          apps. It isn't used until confirmed with POST /api/auth/2fa/enable.
+ * @access  Private
+ */
+router.post('/2fa/setup', authenticate, sessionOnly, async (req, res) => {
+  try {
+    const setup = await startSetup(req.user);
+    if (!setup) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already on'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        secret: setup.secret,
+        otpauth_uri: setup.otpauthUri,
+        qr_code: await QRCode.toDataURL(setup.otpauthUri)
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error setting up two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Turn on two-factor authentication with a code from the app. The
+ *          response has the backup codes, which aren't shown again.
+ * @access  Private
+ */
+router.post('/2fa/enable', authenticate, sessionOnly, [
+  twoFactorCodeValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const backupCodes = await enableTwoFactor(req.user.id, req.body.code);
+    if (!backupCodes) {
+      return res.status(400).json(wrongCodeResponse);
+    }
+
+    console.log(`🔐 Two-factor authentication turned on for user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is on',
+      data: { backup_codes: backupCodes }
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error turning on two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor authentication; needs the password and a code
+ * @access  Private
+ */
+router.post('/2fa/disable', authenticate, sessionOnly, [
+  body('current_password')
+    .notEmpty().withMessage('Current password is required'),
+  twoFactorCodeValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!(await checkCurrentPassword(req.user.id, req.body.current_password))) {
+      return res.status(400).json(wrongPasswordResponse);
+    }
+    if (!(await verifySecondFactor(req.user.id, req.body.code))) {
+      return res.status(400).json(wrongCodeResponse);
+    }
+
+    await transaction(client => disableTwoFactor(client, req.user.id));
+
+    console.log(`🔓 Two-factor authentication turned off for user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is off'
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error turning off two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Replace the backup codes with new ones (the old ones stop working);
+ *          needs a code
+ * @access  Private
+ */
+router.post('/2fa/backup-codes', authenticate, sessionOnly, [
+  twoFactorCodeValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!(await verifySecondFactor(req.user.id, req.body.code))) {
+      return res.status(400).json(wrongCodeResponse);
+    }
+
+    const backupCodes = await transaction(client => replaceBackupCodes(client, req.user.id));
+
+    res.json({
+      success: true,
+      message: 'New backup codes created. The old ones no longer work.',
+      data: { backup_codes: backupCodes }
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating backup codes'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/preferences
+ * @desc    Get notification preferences: channels, digest frequency and muted categories
+ * @access  Private
+ */
+router.get('/preferences', authenticate, sessionOnly, async (req, res) => {
+  try {
+    const preferences = await getPreferences(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        preferences,
+        available_channels: availableChannels(),
+        categories: CATEGORIES
+      }
+    });
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching preferences'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/auth/preferences
+ * @desc    Update notification preferences:
+ *          - channels: where notifications go (an empty list turns them all off)
+ *          - digest_mode, digest_hour, digest_weekday: as in update-profile
+ *          - muted_categories: expense categories to get no notifications about
+ * @access  Private
+ */
+router.put('/preferences', authenticate, sessionOnly, [
+  body('channels')
+    .optional()
+    .isArray().withMessage('Channels must be a list'),
+  body('channels.*')
+    .isIn(NOTIFICATION_CHANNELS).withMessage(`Channels must be among: ${NOTIFICATION_CHANNELS.join(', ')}`),
+  body('muted_categories')
+    .optional()
+    .isArray().withMessage('Muted categories must be a list'),
+  body('muted_categories.*')
+    .isIn(CATEGORIES).withMessage('Invalid category'),
+  ...digestValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const preferences = await updatePreferences(req.user.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Preferences updated successfully',
+      data: { preferences }
+    });
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating preferences'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/export
+ * @desc    Download everything stored about the account as a JSON file: profile,
+ *          expenses, reminders, recurring series, notifications, webhooks,
+ *          sessions, login history and access tokens (without secrets)
+ * @access  Private
+ */
+router.get('/export', authenticate, sessionOnly, async (req, res) => {
+  try {
+    const data = await exportAccountData(req.user.id);
+    const filename = `expense-reminder-export-${data.exported_at.slice(0, 10)}.json`;
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type('json').send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting your data'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/account
+ * @desc    Delete the account: it is scheduled for deletion in 14 days, logged
+ *          out everywhere, and emailed a link to keep it until then.
+ *          Needs the password, and a code if two-factor authentication is on.
+ * @access  Private
+ */
+router.delete('/account', authenticate, sessionOnly, [
+  body('current_password')
+    .notEmpty().withMessage('Current password is required'),
+  body('code')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 20 }).withMessage('Invalid authentication code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await queryOne('SELECT id, name, email, timezone, totp_enabled_at FROM users WHERE id = $1', [req.user.id]);
+
+    if (!(await checkCurrentPassword(user.id, req.body.current_password))) {
+      return res.status(400).json(wrongPasswordResponse);
+    }
+    if (user.totp_enabled_at) {
+      if (!req.body.code) {
+        return res.status(400).json({
+          success: false,
+          message: 'Authentication code is required'
+        });
+      }
+      if (!(await verifySecondFactor(user.id, req.body.code))) {
+        return res.status(400).json(wrongCodeResponse);
+      }
+    }
+
+    const { deletionDate, restoreToken } = await transaction(client => scheduleAccountDeletion(client, user.id));
+
+    console.log(`🗑️  Account of user ${user.id} scheduled for deletion on ${deletionDate.toISOString()}`);
+
+    // The account is already scheduled: a failed email doesn't undo that
+    const result = await sendAccountDeletionEmail({
+      to: user.email,
+      userName: user.name,
+      deletionDate,
+      restoreUrl: frontendUrl(`/restore-account?token=${restoreToken}`),
+      timezone: user.timezone
+    });
+    if (!result.success) {
+      console.error('Account deletion email error:', result.error);
+    }
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted in ${DELETION_GRACE_DAYS} days. We've emailed you a link to keep it until then.`,
+      data: { deletion_scheduled_for: deletionDate }
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting account'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/account/restore
+ * @desc    Keep an account that is scheduled for deletion, with the token from
+ *          the account deletion email
+ * @access  Public
+ */
+router.post('/account/restore', [
+  body('token')
+    .isString()
+    .notEmpty().withMessage('Restore token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = await transaction(async (client) => {
+      const id = await consumeAuthToken(client, req.body.token, 'account_restore');
+      if (!id || !(await cancelAccountDeletion(client, id))) {
+        return null;
+      }
+      return id;
+    });
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This link is invalid or has expired.'
+      });
+    }
+
+    console.log(`♻️  Account deletion cancelled for user ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Your account is no longer scheduled for deletion. You can log in again.'
+    });
+  } catch (error) {
+    console.error('Restore account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring account. Please try again.'
     });
   }
 });
@@ -0,0 +1,121 @@
+/**
+ * Calendar Routes
+ * The iCalendar feed of a user's due dates, and turning it on, off or to a new URL.
+ * The feed itself has no login session: the secret token in its URL is the
+ * authorization, so calendar apps can subscribe to it.
+ */
+
+const express = require('express');
+const { authenticate, sessionOnly } = require('../middleware/auth');
+const {
+  buildUserFeed,
+  isFeedEnabled,
+  resetFeedToken,
+  disableFeed,
+  findUserByFeedToken
+} = require('../services/calendarService');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/calendar/:token.ics
+ * @desc    iCalendar feed of the user's unpaid expenses, with reminders as alarms
+ * @access  Public (secret token)
+ */
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const user = await findUserByFeedToken(req.params.token);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const calendar = await buildUserFeed(user);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="expenses.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building calendar feed'
+    });
+  }
+});
+
+// The remaining routes manage the feed and require a login
+router.use(authenticate, sessionOnly);
+
+/**
+ * @route   GET /api/calendar
+ * @desc    Get whether the user's feed is on (its URL is only shown when it's created)
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { enabled: await isFeedEnabled(req.user.id) }
+    });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching calendar feed'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/calendar/token
+ * @desc    Turn the feed on, or give it a new URL (the old one stops working);
+ *          the response is the only time the URL is shown
+ * @access  Private
+ */
+router.post('/token', async (req, res) => {
+  try {
+    const feedUrl = await resetFeedToken(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL created',
+      data: { feed_url: feedUrl }
+    });
+  } catch (error) {
+    console.error('Reset calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating calendar feed URL'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/calendar/token
+ * @desc    Turn the feed off
+ * @access  Private
+ */
+router.delete('/token', async (req, res) => {
+  try {
+    await disableFeed(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Calendar feed turned off'
+    });
+  } catch (error) {
+    console.error('Disable calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error turning off calendar feed'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+/**
+ * Notification Channel Routes
+ * Which channels the server can deliver on, and the user's destinations for
+ * them: browser push subscriptions, Telegram chats, phone numbers and URLs
+ */
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticate, sessionOnly } = require('../middleware/auth');
+const { CHANNEL_NAMES, availableChannels, describeChannels } = require('../services/notificationChannels');
+const {
+  MAX_DESTINATIONS_PER_USER,
+  listDestinations,
+  countDestinations,
+  addDestination,
+  deleteDestination,
+  sendTestNotification
+} = require('../services/destinationService');
+const { assertPublicUrl } = require('../services/publicUrl');
+
+const router = express.Router();
+
+// All routes require a login (not an access token)
+router.use(authenticate, sessionOnly);
+
+// Email always goes to the account's address
+const DESTINATION_CHANNELS = CHANNEL_NAMES.filter(channel => channel !== 'email');
+
+const idValidator = param('id').isInt().withMessage('Invalid destination ID');
+
+/**
+ * @route   GET /api/channels
+ * @desc    Get the notification channels, the user's destinations and the
+ *          VAPID public key browsers need to subscribe to push
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const destinations = await listDestinations(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        channels: describeChannels(),
+        destinations,
+        vapid_public_key: process.env.VAPID_PUBLIC_KEY || null
+      }
+    });
+  } catch (error) {
+    console.error('Get channels error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notification channels'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/channels/destinations
+ * @desc    Add a destination: a push subscription (address = endpoint, with its keys),
+ *          Telegram chat ID, phone number or URL. Adding an existing one updates it.
+ * @access  Private
+ */
+router.post('/destinations', [
+  body('channel')
+    .isIn(DESTINATION_CHANNELS).withMessage(`Channel must be one of: ${DESTINATION_CHANNELS.join(', ')}`),
+  body('address')
+    .trim()
+    .notEmpty().withMessage('Address is required')
+    .isLength({ max: 2048 }).withMessage('Address is too long'),
+  // What an address looks like on each channel (a push subscription's is its endpoint)
+  // URLs must not reach the server's own network either (checked again on every send)
+  body('address')
+    .if(body('channel').equals('http'))
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Address must be a URL starting with http:// or https://')
+    .bail()
+    .custom(assertPublicUrl),
+  body('address')
+    .if(body('channel').equals('webpush'))
+    .isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('Push endpoint must be an https:// URL')
+    .bail()
+    .custom(assertPublicUrl),
+  body('address')
+    .if(body('channel').equals('telegram'))
+    .matches(/^(-?\d{1,20}|@[A-Za-z0-9_]{5,32})$/).withMessage('Telegram chat ID must be a number or @channelname'),
+  body('address')
+    .if(body('channel').equals('sms'))
+    .matches(/^\+[1-9]\d{6,14}$/).withMessage('Phone number must be in international format, e.g. +919876543210'),
+  body(['keys.p256dh', 'keys.auth'])
+    .if(body('channel').equals('webpush'))
+    .isString().withMessage('Push subscription keys are required')
+    .bail()
+    .notEmpty().withMessage('Push subscription keys are required'),
+  body('label')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 }).withMessage('Label must be at most 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { channel, address, keys, label } = req.body;
+
+    if (!availableChannels().includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        message: `${channel} notifications are not configured on this server`
+      });
+    }
+
+    if (await countDestinations(req.user.id) >= MAX_DESTINATIONS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_DESTINATIONS_PER_USER} notification destinations`
+      });
+    }
+
+    const destination = await addDestination(req.user.id, {
+      channel,
+      address,
+      keys: channel === 'webpush' ? { p256dh: keys.p256dh, auth: keys.auth } : null,
+      label: label || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Destination added successfully',
+      data: { destination }
+    });
+  } catch (error) {
+    console.error('Add destination error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding destination'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/channels/destinations/:id
+ * @desc    Remove a destination
+ * @access  Private
+ */
+router.delete('/destinations/:id', [idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!await deleteDestination(req.user.id, req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Destination not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Destination removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete destination error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing destination'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/channels/destinations/:id/test
+ * @desc    Send a test notification to a destination now
+ * @access  Private
+ */
+router.post('/destinations/:id/test', [idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await sendTestNotification(req.user.id, req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Destination not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.success ? 'Test notification sent' : `Test notification failed: ${result.error}`,
+      data: { delivered: result.success }
+    });
+  } catch (error) {
+    console.error('Test destination error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending test notification'
+    });
+  }
+});
+
+module.exports = router;
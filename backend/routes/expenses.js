@@ -5,16 +5,150 @@
 
 const express = require('express');
 const { body, param, query: queryValidator, validationResult } = require('express-validator');
-const { query, queryOne, execute } = require('../config/database');
-const { authenticate } = require('../middleware/auth');
+const { query, queryOne, execute, transaction, getPool } = require('../config/database');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { normalizeRule } = require('../services/recurrence');
+const { CATEGORIES } = require('../services/categories');
+const { NOTIFICATION_CHANNELS } = require('../services/preferenceService');
+const { emitWebhookEvent, expenseData } = require('../services/webhookService');
+const { today: todayDate, toDateOnly, addDays, diffDays, endOfMonth } = require('../services/dateOnly');
+const {
+  EDIT_SCOPES,
+  createSeries,
+  convertToSeries,
+  updateOccurrence,
+  deleteOccurrence,
+  ensureNextOccurrence
+} = require('../services/seriesService');
+const {
+  MAX_REMINDERS,
+  MAX_OFFSET_DAYS,
+  MAX_OVERDUE_INTERVAL_DAYS,
+  MAX_OVERDUE_REMINDERS,
+  firstReminderDate,
+  listReminders,
+  setOffsetReminders,
+  updateReminders,
+  addReminder,
+  removeReminder
+} = require('../services/reminderService');
+const { buildExpenseCalendar, calendarFileName } = require('../services/calendarService');
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication; access tokens need the read scope, and
+// expenses:write for the routes that change anything
+router.use(authenticate, requireScope('read'));
+
+const canWrite = requireScope('expenses:write');
+
+// Validates recurrence_rule (RRULE string or preset name); empty/null means one-off
+const recurrenceRuleValidator = body('recurrence_rule')
+  .optional({ values: 'falsy' })
+  .custom((value) => {
+    try {
+      normalizeRule(value);
+      return true;
+    } catch (error) {
+      throw new Error(`Invalid recurrence rule: ${error.message}`);
+    }
+  });
+
+// Series end conditions (only meaningful for recurring expenses)
+const seriesLimitValidators = [
+  body('end_date')
+    .optional({ values: 'falsy' })
+    .isISO8601().withMessage('Invalid end date format'),
+  body('max_occurrences')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1, max: 1000 }).withMessage('Max occurrences must be between 1 and 1000'),
+  body().custom(({ due_date, end_date }) => {
+    if (!due_date || !end_date) {
+      return true;
+    }
+    let ends, starts;
+    try {
+      ends = toDateOnly(end_date);
+      starts = toDateOnly(due_date);
+    } catch (error) {
+      return true; // reported by the date format checks
+    }
+    if (ends < starts) {
+      throw new Error('End date cannot be before the due date');
+    }
+    return true;
+  })
+];
+
+// Reminder offsets in days before the due date (0 = on the due date)
+const reminderOffsetValidators = [
+  body('reminder_offsets')
+    .optional()
+    .isArray({ max: MAX_REMINDERS }).withMessage(`Reminder offsets must be a list of at most ${MAX_REMINDERS} values`),
+  body('reminder_offsets.*')
+    .isInt({ min: 0, max: MAX_OFFSET_DAYS }).withMessage(`Reminder offsets must be between 0 and ${MAX_OFFSET_DAYS} days`)
+    .toInt()
+];
+
+// Per-expense overdue escalation; null falls back to the user's defaults
+const overdueValidators = [
+  body('overdue_interval_days')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: MAX_OVERDUE_INTERVAL_DAYS }).withMessage(`Overdue interval must be between 1 and ${MAX_OVERDUE_INTERVAL_DAYS} days`)
+    .toInt(),
+  body('overdue_max_reminders')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: MAX_OVERDUE_REMINDERS }).withMessage(`Overdue reminders must be between 0 and ${MAX_OVERDUE_REMINDERS}`)
+    .toInt()
+];
+
+// Per-expense notification channels; null uses the user's channels, [] silences the expense
+const notificationChannelValidators = [
+  body('notification_channels')
+    .optional({ values: 'null' })
+    .isArray().withMessage('Notification channels must be a list'),
+  body('notification_channels.*')
+    .isIn(NOTIFICATION_CHANNELS).withMessage(`Notification channels must be among: ${NOTIFICATION_CHANNELS.join(', ')}`)
+];
+
+/**
+ * Notification channels from a request body, without duplicates
+ * Returns undefined when the field wasn't sent
+ */
+function resolveChannels({ notification_channels }) {
+  return Array.isArray(notification_channels) ? [...new Set(notification_channels)] : notification_channels;
+}
+
+/**
+ * Resolve reminder offsets from a request body
+ * A single reminder_date (legacy clients) becomes one offset from the due date.
+ * Returns undefined when neither field was sent
+ */
+function resolveReminderOffsets({ reminder_offsets, reminder_date }, dueDate) {
+  if (reminder_offsets !== undefined) {
+    return reminder_offsets;
+  }
+  if (reminder_date !== undefined) {
+    return [diffDays(reminder_date, dueDate)];
+  }
+  return undefined;
+}
 
-// Expense categories
-const CATEGORIES = ['Bills', 'Food', 'Transport', 'Shopping', 'Entertainment', 'Health', 'Education', 'Other'];
+/**
+ * Resolve recurrence_rule and the legacy recurring flag from a request body
+ * Returns null when neither field was sent
+ */
+function resolveRecurrence({ recurrence_rule, recurring }) {
+  if (recurrence_rule !== undefined) {
+    const rule = recurrence_rule ? normalizeRule(recurrence_rule) : null;
+    return { recurrence_rule: rule, recurring: rule ? 'yes' : 'no' };
+  }
+  if (recurring !== undefined) {
+    // Legacy clients only knew about monthly recurrence
+    return { recurrence_rule: recurring === 'yes' ? 'FREQ=MONTHLY' : null, recurring };
+  }
+  return null;
+}
 
 /**
  * @route   GET /api/expenses
@@ -106,7 +240,7 @@ router.get('/summary/monthly', async (req, res) => {
 
     // Get start and end of month
     const startDate = `${year}-${String(month).padStart(2, '0')}-01`;
-    const endDate = new Date(year, month, 0).toISOString().split('T')[0];
+    const endDate = endOfMonth(Number(year), Number(month));
 
     // Total expenses for the month
     const totalResult = await queryOne(
@@ -121,8 +255,8 @@ router.get('/summary/monthly', async (req, res) => {
     );
 
     // Upcoming expenses (next 7 days)
-    const today = new Date().toISOString().split('T')[0];
-    const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const today = todayDate();
+    const nextWeek = addDays(today, 7);
     
     const upcoming = await query(
       'SELECT * FROM expenses WHERE user_id = $1 AND due_date BETWEEN $2 AND $3 ORDER BY due_date ASC LIMIT 5',
@@ -184,9 +318,14 @@ router.get('/:id', [
       });
     }
 
+    const series = expense.series_id
+      ? await queryOne('SELECT * FROM recurring_series WHERE id = $1', [expense.series_id])
+      : null;
+    const reminders = await listReminders(getPool(), expense.id);
+
     res.json({
       success: true,
-      data: { expense }
+      data: { expense, series, reminders }
     });
   } catch (error) {
     console.error('Get expense error:', error);
@@ -202,7 +341,7 @@ router.get('/:id', [
  * @desc    Create new expense
  * @access  Private
  */
-router.post('/', [
+router.post('/', canWrite, [
   body('expense_name')
     .trim()
     .notEmpty().withMessage('Expense name is required')
@@ -217,11 +356,17 @@ router.post('/', [
     .notEmpty().withMessage('Due date is required')
     .isISO8601().withMessage('Invalid due date format'),
   body('reminder_date')
-    .notEmpty().withMessage('Reminder date is required')
+    .if(body('reminder_offsets').not().exists())
+    .notEmpty().withMessage('Reminder date or reminder offsets are required')
     .isISO8601().withMessage('Invalid reminder date format'),
+  ...reminderOffsetValidators,
+  ...overdueValidators,
+  ...notificationChannelValidators,
   body('recurring')
     .optional()
-    .isIn(['yes', 'no']).withMessage('Recurring must be yes or no')
+    .isIn(['yes', 'no']).withMessage('Recurring must be yes or no'),
+  recurrenceRuleValidator,
+  ...seriesLimitValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -233,20 +378,39 @@ router.post('/', [
       });
     }
 
-    const { expense_name, amount, category, due_date, reminder_date, recurring } = req.body;
+    const { expense_name, amount, category, due_date, end_date, max_occurrences, overdue_interval_days, overdue_max_reminders } = req.body;
+    const recurrence = resolveRecurrence(req.body) || { recurrence_rule: null, recurring: 'no' };
+    const reminderOffsets = resolveReminderOffsets(req.body, due_date);
+    const notificationChannels = resolveChannels(req.body);
 
     // Validate reminder_date is not after due_date
-    if (new Date(reminder_date) > new Date(due_date)) {
+    if (reminderOffsets.some(offset => offset < 0)) {
       return res.status(400).json({
         success: false,
         message: 'Reminder date cannot be after due date'
       });
     }
 
-    const expense = await queryOne(
-      'INSERT INTO expenses (user_id, expense_name, amount, category, due_date, reminder_date, recurring) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
-      [req.user.id, expense_name, amount, category || 'Other', due_date, reminder_date, recurring || 'no']
-    );
+    let expense;
+    if (recurrence.recurrence_rule) {
+      // Recurring expenses start a series; this is its first occurrence
+      expense = await transaction(client => createSeries(client, req.user.id, {
+        expense_name, amount, category, due_date, end_date, max_occurrences, overdue_interval_days, overdue_max_reminders,
+        notification_channels: notificationChannels,
+        reminder_offsets: reminderOffsets,
+        recurrence_rule: recurrence.recurrence_rule
+      }));
+    } else {
+      expense = await transaction(async (client) => {
+        const { rows: [created] } = await client.query(
+          'INSERT INTO expenses (user_id, expense_name, amount, category, due_date, reminder_date, recurring, recurrence_rule, overdue_interval_days, overdue_max_reminders, notification_channels) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *',
+          [req.user.id, expense_name, amount, category || 'Other', due_date, firstReminderDate(due_date, reminderOffsets), recurrence.recurring, recurrence.recurrence_rule, overdue_interval_days ?? null, overdue_max_reminders ?? null, notificationChannels ?? null]
+        );
+        return setOffsetReminders(client, created.id, reminderOffsets);
+      });
+    }
+
+    await emitWebhookEvent(req.user.id, 'expense.created', { expense: expenseData(expense) });
 
     res.status(201).json({
       success: true,
@@ -264,10 +428,11 @@ router.post('/', [
 
 /**
  * @route   PUT /api/expenses/:id
- * @desc    Update expense
+ * @desc    Update expense. For recurring expenses, `scope` (body or query) selects
+ *          which occurrences change: "this" (default), "following" or "all"
  * @access  Private
  */
-router.put('/:id', [
+router.put('/:id', canWrite, [
   param('id').isInt().withMessage('Invalid expense ID'),
   body('expense_name')
     .optional()
@@ -285,9 +450,20 @@ router.put('/:id', [
   body('reminder_date')
     .optional()
     .isISO8601().withMessage('Invalid reminder date format'),
+  ...reminderOffsetValidators,
+  ...overdueValidators,
+  ...notificationChannelValidators,
   body('recurring')
     .optional()
-    .isIn(['yes', 'no']).withMessage('Recurring must be yes or no')
+    .isIn(['yes', 'no']).withMessage('Recurring must be yes or no'),
+  recurrenceRuleValidator,
+  ...seriesLimitValidators,
+  body('scope')
+    .optional()
+    .isIn(EDIT_SCOPES).withMessage('Scope must be this, following or all'),
+  queryValidator('scope')
+    .optional()
+    .isIn(EDIT_SCOPES).withMessage('Scope must be this, following or all')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -312,7 +488,53 @@ router.put('/:id', [
       });
     }
 
-    const { expense_name, amount, category, due_date, reminder_date, recurring } = req.body;
+    const { expense_name, amount, category, due_date, end_date, max_occurrences, overdue_interval_days, overdue_max_reminders } = req.body;
+    const recurrence = resolveRecurrence(req.body);
+    const scope = req.body.scope || req.query.scope || 'this';
+    const reminderOffsets = resolveReminderOffsets(req.body, due_date || existingExpense.due_date);
+    const notificationChannels = resolveChannels(req.body);
+
+    if (reminderOffsets?.some(offset => offset < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reminder date cannot be after due date'
+      });
+    }
+
+    // Recurring expenses are edited through their series
+    if (existingExpense.series_id || recurrence?.recurrence_rule) {
+      const changes = {
+        expense_name, amount, category, due_date, end_date, max_occurrences, overdue_interval_days, overdue_max_reminders,
+        notification_channels: notificationChannels,
+        reminder_offsets: reminderOffsets
+      };
+      if (recurrence) {
+        changes.recurrence_rule = recurrence.recurrence_rule;
+      }
+      Object.keys(changes).forEach(key => changes[key] === undefined && delete changes[key]);
+
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No fields to update'
+        });
+      }
+
+      const updatedExpense = await transaction(client => existingExpense.series_id
+        ? updateOccurrence(client, existingExpense, changes, scope)
+        : convertToSeries(client, existingExpense, changes));
+
+      await emitWebhookEvent(req.user.id, 'expense.updated', {
+        expense: expenseData(updatedExpense),
+        scope: existingExpense.series_id ? scope : 'this'
+      });
+
+      return res.json({
+        success: true,
+        message: 'Expense updated successfully',
+        data: { expense: updatedExpense }
+      });
+    }
 
     // Build update query dynamically
     const updates = [];
@@ -335,19 +557,26 @@ router.put('/:id', [
       updates.push(`due_date = $${paramIndex++}`);
       params.push(due_date);
     }
-    if (reminder_date !== undefined) {
-      updates.push(`reminder_date = $${paramIndex++}`);
-      params.push(reminder_date);
-      // Reset email_sent when reminder_date changes
-      updates.push(`email_sent = $${paramIndex++}`);
-      params.push(0);
+    if (overdue_interval_days !== undefined) {
+      updates.push(`overdue_interval_days = $${paramIndex++}`);
+      params.push(overdue_interval_days);
+    }
+    if (overdue_max_reminders !== undefined) {
+      updates.push(`overdue_max_reminders = $${paramIndex++}`);
+      params.push(overdue_max_reminders);
     }
-    if (recurring !== undefined) {
+    if (notificationChannels !== undefined) {
+      updates.push(`notification_channels = $${paramIndex++}`);
+      params.push(notificationChannels);
+    }
+    if (recurrence) {
       updates.push(`recurring = $${paramIndex++}`);
-      params.push(recurring);
+      params.push(recurrence.recurring);
+      updates.push(`recurrence_rule = $${paramIndex++}`);
+      params.push(recurrence.recurrence_rule);
     }
 
-    if (updates.length === 0) {
+    if (updates.length === 0 && reminderOffsets === undefined) {
       return res.status(400).json({
         success: false,
         message: 'No fields to update'
@@ -356,10 +585,22 @@ router.put('/:id', [
 
     params.push(req.params.id, req.user.id);
 
-    const updatedExpense = await queryOne(
-      `UPDATE expenses SET ${updates.join(', ')} WHERE id = $${paramIndex++} AND user_id = $${paramIndex} RETURNING *`,
-      params
-    );
+    // Reminders follow the row, so both are updated together
+    const updatedExpense = await transaction(async (client) => {
+      const { rows: [expense] } = updates.length > 0
+        ? await client.query(
+          `UPDATE expenses SET ${updates.join(', ')} WHERE id = $${paramIndex++} AND user_id = $${paramIndex} RETURNING *`,
+          params
+        )
+        : { rows: [existingExpense] };
+
+      return updateReminders(client, expense, {
+        offsets: reminderOffsets,
+        dueDateChanged: due_date !== undefined && toDateOnly(due_date) !== toDateOnly(existingExpense.due_date)
+      });
+    });
+
+    await emitWebhookEvent(req.user.id, 'expense.updated', { expense: expenseData(updatedExpense), scope: 'this' });
 
     res.json({
       success: true,
@@ -367,6 +608,12 @@ router.put('/:id', [
       data: { expense: updatedExpense }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Update expense error:', error);
     res.status(500).json({
       success: false,
@@ -377,11 +624,15 @@ router.put('/:id', [
 
 /**
  * @route   DELETE /api/expenses/:id
- * @desc    Delete expense
+ * @desc    Delete expense. For recurring expenses, `?scope=` selects
+ *          "this" (default), "following" or "all" occurrences
  * @access  Private
  */
-router.delete('/:id', [
-  param('id').isInt().withMessage('Invalid expense ID')
+router.delete('/:id', canWrite, [
+  param('id').isInt().withMessage('Invalid expense ID'),
+  queryValidator('scope')
+    .optional()
+    .isIn(EDIT_SCOPES).withMessage('Scope must be this, following or all')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -406,7 +657,16 @@ router.delete('/:id', [
       });
     }
 
-    await execute('DELETE FROM expenses WHERE id = $1 AND user_id = $2', [req.params.id, req.user.id]);
+    if (expense.series_id) {
+      await transaction(client => deleteOccurrence(client, expense, req.query.scope || 'this'));
+    } else {
+      await execute('DELETE FROM expenses WHERE id = $1 AND user_id = $2', [req.params.id, req.user.id]);
+    }
+
+    await emitWebhookEvent(req.user.id, 'expense.deleted', {
+      expense: expenseData(expense),
+      scope: expense.series_id ? req.query.scope || 'this' : 'this'
+    });
 
     res.json({
       success: true,
@@ -426,7 +686,7 @@ router.delete('/:id', [
  * @desc    Mark expense as paid/unpaid
  * @access  Private
  */
-router.patch('/:id/paid', [
+router.patch('/:id/paid', canWrite, [
   param('id').isInt().withMessage('Invalid expense ID')
 ], async (req, res) => {
   try {
@@ -456,9 +716,23 @@ router.patch('/:id/paid', [
     const newPaidStatus = expense.paid === 1 ? 0 : 1;
     const paidAt = newPaidStatus === 1 ? new Date().toISOString() : null;
 
-    const updatedExpense = await queryOne(
-      'UPDATE expenses SET paid = $1, paid_at = $2 WHERE id = $3 AND user_id = $4 RETURNING *',
-      [newPaidStatus, paidAt, req.params.id, req.user.id]
+    const updatedExpense = await transaction(async (client) => {
+      const { rows: [updated] } = await client.query(
+        'UPDATE expenses SET paid = $1, paid_at = $2 WHERE id = $3 AND user_id = $4 RETURNING *',
+        [newPaidStatus, paidAt, req.params.id, req.user.id]
+      );
+      // Paying an occurrence always makes the next one available
+      if (newPaidStatus === 1 && updated.series_id) {
+        await ensureNextOccurrence(client, updated);
+      }
+      return updated;
+    });
+
+    // Marking an expense unpaid again is reported as an update
+    await emitWebhookEvent(
+      req.user.id,
+      newPaidStatus === 1 ? 'expense.paid' : 'expense.updated',
+      { expense: expenseData(updatedExpense) }
     );
 
     res.json({
@@ -475,6 +749,226 @@ router.patch('/:id/paid', [
   }
 });
 
+/**
+ * @route   GET /api/expenses/:id/ics
+ * @desc    Download an expense as an iCalendar (.ics) file, with its reminders as alarms
+ * @access  Private
+ */
+router.get('/:id/ics', [
+  param('id').isInt().withMessage('Invalid expense ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const expense = await queryOne(`
+      SELECT e.*, u.reminder_hour
+      FROM expenses e
+      JOIN users u ON e.user_id = u.id
+      WHERE e.id = $1 AND e.user_id = $2
+    `, [req.params.id, req.user.id]);
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    const calendar = await buildExpenseCalendar(getPool(), expense, expense.reminder_hour);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${calendarFileName(expense)}"`
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error('Expense calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building calendar file'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/expenses/:id/reminders
+ * @desc    List an expense's reminders in the order they fire
+ * @access  Private
+ */
+router.get('/:id/reminders', [
+  param('id').isInt().withMessage('Invalid expense ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const expense = await queryOne(
+      'SELECT id FROM expenses WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    const reminders = await listReminders(getPool(), expense.id);
+
+    res.json({
+      success: true,
+      data: {
+        reminders,
+        count: reminders.length
+      }
+    });
+  } catch (error) {
+    console.error('Get reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reminders'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/expenses/:id/reminders
+ * @desc    Add a reminder, either `offset_days` before the due date
+ *          or at an absolute `remind_at` time. Only affects this expense,
+ *          not the rest of its series
+ * @access  Private
+ */
+router.post('/:id/reminders', canWrite, [
+  param('id').isInt().withMessage('Invalid expense ID'),
+  body('offset_days')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: MAX_OFFSET_DAYS }).withMessage(`Offset must be between 0 and ${MAX_OFFSET_DAYS} days`)
+    .toInt(),
+  body('remind_at')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('Invalid reminder time format'),
+  body().custom(({ offset_days, remind_at }) => {
+    const hasOffset = offset_days !== undefined && offset_days !== null;
+    const hasTime = remind_at !== undefined && remind_at !== null;
+    if (hasOffset === hasTime) {
+      throw new Error('Provide either offset_days or remind_at');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const expense = await queryOne(
+      'SELECT id FROM expenses WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    const { offset_days, remind_at } = req.body;
+    const result = await transaction(client => addReminder(client, expense.id, { offset_days, remind_at }));
+
+    res.status(201).json({
+      success: true,
+      message: 'Reminder added successfully',
+      data: result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Add reminder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding reminder'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/expenses/:id/reminders/:reminderId
+ * @desc    Remove a reminder from an expense
+ * @access  Private
+ */
+router.delete('/:id/reminders/:reminderId', canWrite, [
+  param('id').isInt().withMessage('Invalid expense ID'),
+  param('reminderId').isInt().withMessage('Invalid reminder ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const expense = await queryOne(
+      'SELECT id FROM expenses WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    const updatedExpense = await transaction(client => removeReminder(client, expense.id, req.params.reminderId));
+
+    if (!updatedExpense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reminder deleted successfully',
+      data: { expense: updatedExpense }
+    });
+  } catch (error) {
+    console.error('Delete reminder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting reminder'
+    });
+  }
+});
+
 /**
  * @route   GET /api/expenses/paid
  * @desc    Get all paid expenses
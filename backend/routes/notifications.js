@@ -0,0 +1,65 @@
+/**
+ * Notification Routes
+ * Lets users see the reminder, overdue and digest emails sent to them
+ */
+
+const express = require('express');
+const { query: queryValidator, validationResult } = require('express-validator');
+const { authenticate, requireScope } = require('../middleware/auth');
+const {
+  NOTIFICATION_KINDS,
+  NOTIFICATION_STATUSES,
+  listNotifications
+} = require('../services/notificationService');
+
+const router = express.Router();
+
+// All routes require authentication (access tokens with the read scope work too)
+router.use(authenticate, requireScope('read'));
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the user's notification history, newest first
+ * @access  Private
+ */
+router.get('/', [
+  queryValidator('status').optional().isIn(NOTIFICATION_STATUSES).withMessage('Invalid status'),
+  queryValidator('kind').optional().isIn(NOTIFICATION_KINDS).withMessage('Invalid kind'),
+  queryValidator('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100').toInt(),
+  queryValidator('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or more').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { notifications, total } = await listNotifications(req.user.id, {
+      status: req.query.status,
+      kind: req.query.kind,
+      limit: req.query.limit ?? 50,
+      offset: req.query.offset ?? 0
+    });
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        count: notifications.length,
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notifications'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+/**
+ * Unsubscribe Routes
+ * Targets of the unsubscribe link in notification emails. No login session:
+ * the signed token in the URL is the authorization. Mail clients that support
+ * RFC 8058 POST to the link directly (one-click); a person opening it in a
+ * browser gets a confirmation page first.
+ */
+
+const express = require('express');
+const { verifyUnsubscribeToken, unsubscribeEmail } = require('../services/preferenceService');
+const { escapeHtml, renderPage } = require('../services/htmlPage');
+
+const router = express.Router();
+
+const settingsUrl = () => `${process.env.FRONTEND_URL || 'https://expense-reminder-frontend.onrender.com'}/settings`;
+
+const renderInvalidLink = (res) => renderPage(res, 400, {
+  title: 'Invalid link',
+  body: `
+    <p style="color: #666; font-size: 15px; line-height: 1.6;">
+      This unsubscribe link is invalid. You can turn off emails in your
+      <a href="${settingsUrl()}" style="color: #667eea;">notification settings</a>.
+    </p>
+  `
+});
+
+/**
+ * @route   GET /api/unsubscribe/:token
+ * @desc    Confirmation page for unsubscribing from notification emails
+ * @access  Public (signed token)
+ */
+router.get('/:token', (req, res) => {
+  if (!verifyUnsubscribeToken(req.params.token)) {
+    return renderInvalidLink(res);
+  }
+
+  renderPage(res, 200, {
+    title: 'Unsubscribe',
+    body: `
+      <p style="color: #666; font-size: 15px; line-height: 1.6; margin: 0 0 24px;">
+        Stop all reminder, overdue and digest emails?
+      </p>
+      <form method="POST" action="/api/unsubscribe/${encodeURIComponent(req.params.token)}">
+        <button type="submit" style="background: linear-gradient(135deg, #3b82f6 0%, #0d9488 100%); color: white; border: none; padding: 12px 30px; border-radius: 25px; font-weight: 600; font-size: 15px; cursor: pointer;">
+          Unsubscribe
+        </button>
+      </form>
+      <p style="color: #888; font-size: 13px; margin-top: 16px;">
+        To only mute some categories or switch to a digest, use your
+        <a href="${settingsUrl()}" style="color: #667eea;">notification settings</a>.
+      </p>
+    `
+  });
+});
+
+/**
+ * @route   POST /api/unsubscribe/:token
+ * @desc    Unsubscribe from notification emails (RFC 8058 one-click, or the confirmation page)
+ * @access  Public (signed token)
+ */
+router.post('/:token', async (req, res) => {
+  try {
+    const userId = verifyUnsubscribeToken(req.params.token);
+    if (!userId) {
+      return renderInvalidLink(res);
+    }
+
+    const email = await unsubscribeEmail(userId);
+    if (!email) {
+      return renderInvalidLink(res);
+    }
+    console.log(`🔕 ${email} unsubscribed from notification emails`);
+
+    renderPage(res, 200, {
+      title: 'Unsubscribed',
+      body: `
+        <p style="color: #333; font-size: 16px; line-height: 1.6;">
+          ✅ ${escapeHtml(email)} won't get reminder emails anymore.
+        </p>
+        <p style="color: #888; font-size: 13px;">
+          Changed your mind? Turn emails back on in your
+          <a href="${settingsUrl()}" style="color: #667eea;">notification settings</a>.
+        </p>
+      `
+    });
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    renderPage(res, 500, {
+      title: 'Something went wrong',
+      body: '<p style="color: #666; font-size: 15px;">Please try again later.</p>'
+    });
+  }
+});
+
+module.exports = router;
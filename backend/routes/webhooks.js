@@ -0,0 +1,298 @@
+/**
+ * Webhook Routes
+ * Manage the user's webhook endpoints, send test events and view delivery logs
+ */
+
+const express = require('express');
+const { body, param, query: queryValidator, validationResult } = require('express-validator');
+const { authenticate, sessionOnly } = require('../middleware/auth');
+const {
+  WEBHOOK_EVENTS,
+  MAX_WEBHOOKS_PER_USER,
+  listWebhooks,
+  getWebhook,
+  countWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  sendTestEvent,
+  listDeliveries
+} = require('../services/webhookService');
+const { assertPublicUrl } = require('../services/publicUrl');
+
+const router = express.Router();
+
+// All routes require a login (not an access token)
+router.use(authenticate, sessionOnly);
+
+const idValidator = param('id').isInt().withMessage('Invalid webhook ID');
+
+const urlValidator = (optional) => {
+  const chain = body('url');
+  return (optional ? chain.optional() : chain.notEmpty().withMessage('URL is required'))
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must start with http:// or https://')
+    .isLength({ max: 2048 }).withMessage('URL is too long')
+    .bail()
+    // Not the server's own network (checked again on every delivery)
+    .custom(assertPublicUrl);
+};
+
+const eventsValidators = (optional) => [
+  (optional ? body('events').optional() : body('events'))
+    .isArray({ min: 1 }).withMessage('Choose at least one event'),
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS).withMessage(`Events must be among: ${WEBHOOK_EVENTS.join(', ')}`)
+];
+
+const descriptionValidator = body('description')
+  .optional({ values: 'null' })
+  .trim()
+  .isLength({ max: 100 }).withMessage('Description must be at most 100 characters');
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    Get the user's webhooks and the events they can subscribe to
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await listWebhooks(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        webhooks,
+        events: WEBHOOK_EVENTS
+      }
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhooks'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Register a webhook. The response includes its signing secret, which
+ *          isn't shown again.
+ * @access  Private
+ */
+router.post('/', [
+  urlValidator(false),
+  ...eventsValidators(false),
+  descriptionValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (await countWebhooks(req.user.id) >= MAX_WEBHOOKS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks`
+      });
+    }
+
+    const webhook = await createWebhook(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: { webhook }
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating webhook'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Update a webhook's url, description, events or active flag
+ * @access  Private
+ */
+router.put('/:id', [
+  idValidator,
+  urlValidator(true),
+  ...eventsValidators(true),
+  descriptionValidator,
+  body('active')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('Active must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await updateWebhook(req.user.id, req.params.id, req.body);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: { webhook }
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating webhook'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a webhook and its delivery log
+ * @access  Private
+ */
+router.delete('/:id', [idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!await deleteWebhook(req.user.id, req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting webhook'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/:id/test
+ * @desc    Send a webhook.test event now and return the delivery result
+ * @access  Private
+ */
+router.post('/:id/test', [idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const delivery = await sendTestEvent(req.user.id, req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: delivery.status === 'delivered'
+        ? `Test event delivered (HTTP ${delivery.response_status})`
+        : `Test event failed: ${delivery.last_error}`,
+      data: { delivery }
+    });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending test event'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Get a webhook's delivery log, newest first
+ * @access  Private
+ */
+router.get('/:id/deliveries', [
+  idValidator,
+  queryValidator('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100').toInt(),
+  queryValidator('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or more').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await getWebhook(req.user.id, req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const { deliveries, total } = await listDeliveries(webhook.id, {
+      limit: req.query.limit ?? 20,
+      offset: req.query.offset ?? 0
+    });
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        count: deliveries.length,
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook deliveries'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+/**
+ * Account Deletion Scheduler
+ * Background job that deletes accounts whose deletion grace period is over
+ * (see services/accountService.js)
+ */
+
+const cron = require('node-cron');
+const { query, execute } = require('../config/database');
+const { withJobLock } = require('../services/jobLock');
+const { recordJobRun, runUnlessPaused } = require('../services/jobRunService');
+
+/**
+ * Delete every account scheduled for deletion before now
+ * Deleting the user row removes all of its data through ON DELETE CASCADE.
+ * Only one instance runs the job at a time; the others skip it. Every run is
+ * recorded in job_runs (processed = accounts deleted); returns the recorded run.
+ */
+async function deleteScheduledAccounts({ trigger = 'manual' } = {}) {
+  console.log('\n🗑️  Deleting accounts past their deletion date...');
+
+  return recordJobRun('account_deletion', trigger, async (stats) => {
+    const { acquired } = await withJobLock('account_deletion', () => deleteDueAccounts(stats));
+    if (!acquired) {
+      stats.skipped = true;
+      console.log('   ⏭️  Already running elsewhere, skipping');
+    }
+  });
+}
+
+/**
+ * Delete the accounts that are due, one at a time, counting into stats
+ */
+async function deleteDueAccounts(stats) {
+  const dueAccounts = await query(`
+    SELECT id
+    FROM users
+    WHERE deletion_scheduled_for <= NOW()
+    ORDER BY deletion_scheduled_for
+  `);
+
+  for (const account of dueAccounts) {
+    try {
+      // Re-checked, in case the account was restored since it was listed
+      const result = await execute(
+        'DELETE FROM users WHERE id = $1 AND deletion_scheduled_for <= NOW()',
+        [account.id]
+      );
+      if (result.rowCount > 0) {
+        stats.processed += 1;
+        console.log(`   🗑️  Deleted user ${account.id}`);
+      }
+    } catch (error) {
+      console.error(`   ❌ Error deleting user ${account.id}:`, error.message);
+      stats.errors.push(`User ${account.id}: ${error.message}`);
+    }
+  }
+
+  if (dueAccounts.length === 0) {
+    console.log('   No accounts to delete');
+  }
+}
+
+/**
+ * Start the account deletion scheduler
+ * Runs every hour (offset from the other jobs) and once shortly after startup
+ */
+function startAccountDeletionScheduler() {
+  cron.schedule('45 * * * *', () => {
+    runUnlessPaused('account_deletion', () => deleteScheduledAccounts({ trigger: 'cron' }));
+  }, {
+    timezone: 'UTC'
+  });
+
+  console.log('✅ Account deletion scheduler started (runs every hour)');
+
+  setTimeout(() => {
+    runUnlessPaused('account_deletion', () => deleteScheduledAccounts({ trigger: 'startup' }));
+  }, 6000);
+}
+
+module.exports = {
+  startAccountDeletionScheduler,
+  deleteScheduledAccounts
+};
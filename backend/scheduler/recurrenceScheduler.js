@@ -0,0 +1,89 @@
+/**
+ * Recurrence Scheduler
+ * Background job that creates upcoming occurrences for recurring series
+ * ahead of time, independent of whether reminders were sent or bills were paid
+ */
+
+const cron = require('node-cron');
+const { query, transaction } = require('../config/database');
+const { getHorizonDate, generateOccurrences } = require('../services/seriesService');
+const { withJobLock } = require('../services/jobLock');
+const { recordJobRun, runUnlessPaused } = require('../services/jobRunService');
+
+/**
+ * Generate occurrences for every active series up to the look-ahead horizon
+ * Safe to re-run: each series keeps a cursor, so existing occurrences are never duplicated.
+ * Only one instance runs the job at a time; the others skip it. Every run is
+ * recorded in job_runs (processed = series checked); returns the recorded run.
+ */
+async function generateRecurringExpenses({ trigger = 'manual' } = {}) {
+  const horizonDate = getHorizonDate();
+
+  console.log(`\n🔄 Generating recurring expenses up to ${horizonDate}...`);
+
+  return recordJobRun('recurrence', trigger, async (stats) => {
+    const { acquired } = await withJobLock('recurrence', () => generateUpTo(horizonDate, stats));
+    if (!acquired) {
+      stats.skipped = true;
+      console.log('   ⏭️  Already running elsewhere, skipping');
+    }
+  });
+}
+
+/**
+ * Create missing occurrences of active series through `horizonDate`, counting into stats
+ */
+async function generateUpTo(horizonDate, stats) {
+  // Series that haven't reached their limits or the horizon yet
+  const activeSeries = await query(`
+    SELECT id, expense_name
+    FROM recurring_series
+    WHERE (max_occurrences IS NULL OR occurrences_created < max_occurrences)
+      AND (end_date IS NULL OR last_due_date < end_date)
+      AND last_due_date < $1
+    ORDER BY id
+  `, [horizonDate]);
+
+  stats.processed = activeSeries.length;
+
+  for (const series of activeSeries) {
+    try {
+      const created = await transaction(client => generateOccurrences(client, series.id, horizonDate));
+      if (created.length > 0) {
+        stats.recurring_created += created.length;
+        console.log(`   🔄 ${series.expense_name}: created ${created.length} occurrence(s) through ${created[created.length - 1].due_date}`);
+      }
+    } catch (error) {
+      console.error(`   ❌ Error generating series ${series.id}:`, error.message);
+      stats.errors.push(`Series ${series.id}: ${error.message}`);
+    }
+  }
+
+  if (stats.recurring_created === 0) {
+    console.log('   No new occurrences needed');
+  }
+}
+
+/**
+ * Start the recurrence scheduler
+ * Runs every hour (offset from the reminder job) and once shortly after startup
+ * so that occurrences missed while the server was asleep are backfilled
+ */
+function startRecurrenceScheduler() {
+  cron.schedule('30 * * * *', () => {
+    runUnlessPaused('recurrence', () => generateRecurringExpenses({ trigger: 'cron' }));
+  }, {
+    timezone: 'UTC'
+  });
+
+  console.log('✅ Recurrence scheduler started (runs every hour)');
+
+  setTimeout(() => {
+    runUnlessPaused('recurrence', () => generateRecurringExpenses({ trigger: 'startup' }));
+  }, 3000);
+}
+
+module.exports = {
+  startRecurrenceScheduler,
+  generateRecurringExpenses
+};
@@ -1,138 +1,595 @@
 /**
  * Reminder Scheduler
- * Background job that sends email reminders for upcoming expenses
+ * Background job that queues and sends reminders for upcoming expenses on each
+ * of the user's notification channels
  */
 
 const cron = require('node-cron');
-const { query, queryOne, execute } = require('../config/database');
-const { sendReminderEmail } = require('../services/emailService');
+const { query, transaction } = require('../config/database');
+const { queueNotifications, deliverPendingNotifications, countDueNotifications } = require('../services/notificationService');
+const { claimReminders } = require('../services/reminderService');
+const { withJobLock } = require('../services/jobLock');
+const { buildActionLinks } = require('../services/actionLinks');
+const { buildExpenseCalendar } = require('../services/calendarService');
+const { effectiveChannels, isMuted, buildUnsubscribeUrl } = require('../services/preferenceService');
+const { emitWebhookEvent, expenseData, deliverPendingWebhooks } = require('../services/webhookService');
+const { recordJobRun, runUnlessPaused } = require('../services/jobRunService');
+const { isDigestDue, totalsByCategory } = require('../services/digestService');
+const { today: todayDate, addDays, diffDays } = require('../services/dateOnly');
+const { localTime, isQuietHour, isReadyToSend } = require('../services/userTime');
 
 /**
- * Process pending reminders
- * Finds all expenses where reminder_date <= today and email not yet sent
+ * Work out what the reminder check would queue right now, without changing anything
+ *
+ * Finds every unsent reminder that is due (its offset date has arrived in the user's
+ * timezone, or its remind_at time has passed) on an unpaid expense, and every unpaid
+ * overdue expense whose next escalation step is due.
+ *
+ * Users in "immediate" mode get one notification per expense and channel once it's
+ * their preferred reminder hour, on the expense's channels or else the user's.
+ * Daily/weekly digest users get everything in one digest on their own channels once
+ * their digest slot has passed; until then their reminders stay queued. Nothing is
+ * sent during a user's quiet hours. Reminders the user has muted (every channel
+ * off, or a muted category) are used up without sending anything. Users who
+ * haven't verified their email address are skipped: their reminders wait until
+ * they do.
+ *
+ * Returns { found, reminders, overdue, digests, muted, waiting, digestUsersWaiting }
  */
-async function processReminders() {
-  const today = new Date().toISOString().split('T')[0];
+async function planReminders(now) {
+  // Timezones run up to a day ahead of UTC; exact dates are checked per user below
+  const latestDate = addDays(todayDate(), 1);
+  const dueReminders = withLocalTime(await findPendingReminders(latestDate), now)
+    .filter(row => row.remind_at || row.remind_on <= row.local_date);
+  const dueOverdue = withLocalTime(await findOverdueExpenses(latestDate), now)
+    .map(row => withOverdueStep(row))
+    .filter(row => row.step >= 1 && row.step > (row.overdue_reminders_sent || 0));
+
+  const muted = {
+    reminders: dueReminders.filter(isMuted),
+    overdue: dueOverdue.filter(isMuted)
+  };
+  const pendingReminders = dueReminders.filter(row => !isMuted(row));
+  const overdueExpenses = dueOverdue.filter(row => !isMuted(row));
+
+  const isImmediate = row => !row.digest_mode || row.digest_mode === 'immediate';
+
+  // Immediate emails wait for the user's preferred hour on the day itself;
+  // reminders set for an exact time only wait for quiet hours to end
+  const immediateReminders = pendingReminders.filter(isImmediate);
+  const immediateOverdue = overdueExpenses.filter(isImmediate);
+  const reminders = immediateReminders.filter(row => row.remind_at
+    ? !isQuietHour(row, localTime(row.timezone, now).hour)
+    : isReadyToSend(row, row.remind_on, now));
+  const overdue = immediateOverdue.filter(row => isReadyToSend(row, row.step_date, now));
+
+  const { digests, digestUsersWaiting } = planDigests(
+    pendingReminders.filter(row => !isImmediate(row)),
+    overdueExpenses.filter(row => !isImmediate(row)),
+    now
+  );
+
+  return {
+    found: dueReminders.length + dueOverdue.length,
+    reminders,
+    overdue,
+    digests,
+    muted,
+    waiting: (immediateReminders.length - reminders.length) + (immediateOverdue.length - overdue.length),
+    digestUsersWaiting
+  };
+}
+
+/**
+ * Queue everything that is due (see planReminders) and deliver the queue
+ * Adds to `stats`: processed (notifications queued), sent, failed, errors
+ */
+async function checkReminders(stats) {
+  const now = new Date();
   
-  console.log(`\n🔍 Checking for reminders (${today})...`);
+  console.log(`\n🔍 Checking for reminders (${now.toISOString()})...`);
 
   try {
-    // Get all pending reminders with user info (exclude paid expenses)
-    const pendingReminders = await query(`
-      SELECT 
+    const plan = await planReminders(now);
+
+    if (plan.found === 0) {
+      console.log('   No pending reminders found');
+      return;
+    }
+
+    if (plan.waiting > 0) {
+      console.log(`   ${plan.waiting} reminder(s) waiting for the user's reminder hour or end of quiet hours`);
+    }
+    if (plan.digestUsersWaiting > 0) {
+      console.log(`   ${plan.digestUsersWaiting} digest user(s) have reminders queued for their next digest`);
+    }
+
+    await queueReminders(plan.reminders, stats);
+    await queueOverdueReminders(plan.overdue, stats);
+    await queueDigests(plan.digests, now, stats);
+    await skipMuted(plan.muted);
+  } catch (error) {
+    console.error('Error processing reminders:', error);
+    stats.errors.push(error.message);
+  } finally {
+    // Send what was just queued, plus any retries whose backoff has passed
+    const delivered = await deliverPendingNotifications();
+    stats.sent += delivered.sent;
+    stats.failed += delivered.failed;
+    await deliverPendingWebhooks();
+  }
+}
+
+/**
+ * Run the reminder check unless it is already running (in this or another instance)
+ * Every run is recorded in job_runs; `trigger` says what started it
+ * (cron, startup, manual or admin). Returns the recorded run.
+ */
+async function processReminders({ trigger = 'manual' } = {}) {
+  return recordJobRun('reminders', trigger, async (stats) => {
+    const { acquired } = await withJobLock('reminder-check', () => checkReminders(stats));
+    if (!acquired) {
+      stats.skipped = true;
+      console.log('\n⏭️  Reminder check already running elsewhere, skipping');
+    }
+  });
+}
+
+/**
+ * Dry run: what the next reminder check would send, without queueing anything
+ */
+async function previewReminders() {
+  const plan = await planReminders(new Date());
+
+  return {
+    reminders: groupByExpense(plan.reminders).map(({ expense, reminderIds }) => ({
+      expense_id: expense.id,
+      expense_name: expense.expense_name,
+      due_date: expense.due_date,
+      user_email: expense.user_email,
+      channels: effectiveChannels(expense),
+      reminder_ids: reminderIds
+    })),
+    overdue: plan.overdue.map(expense => ({
+      expense_id: expense.id,
+      expense_name: expense.expense_name,
+      due_date: expense.due_date,
+      user_email: expense.user_email,
+      channels: effectiveChannels(expense),
+      days_overdue: expense.days_overdue,
+      reminder_number: expense.step,
+      max_reminders: expense.max_reminders
+    })),
+    digests: plan.digests.map(({ user, dueSoon, overdue }) => ({
+      user_email: user.user_email,
+      channels: digestChannels(user),
+      mode: user.digest_mode,
+      due_soon: dueSoon.length,
+      overdue: overdue.length
+    })),
+    muted: plan.muted.reminders.length + plan.muted.overdue.length,
+    waiting: plan.waiting,
+    digest_users_waiting: plan.digestUsersWaiting,
+    notifications_due: await countDueNotifications()
+  };
+}
+
+// User columns needed to route a notification (timing, immediate vs. digest)
+const USER_COLUMNS = `
+        u.name as user_name,
+        u.email as user_email,
+        u.timezone,
+        u.reminder_hour,
+        u.quiet_hours_start,
+        u.quiet_hours_end,
+        u.digest_mode,
+        u.digest_hour,
+        u.digest_weekday,
+        u.last_digest_at,
+        u.notification_channels,
+        u.muted_categories`;
+
+/**
+ * Attach each row's local date in its user's timezone (local_date)
+ */
+function withLocalTime(rows, now) {
+  const cache = new Map();
+  return rows.map((row) => {
+    if (!cache.has(row.timezone)) {
+      cache.set(row.timezone, localTime(row.timezone, now).date);
+    }
+    return { ...row, local_date: cache.get(row.timezone) };
+  });
+}
+
+/**
+ * Work out which escalation step an overdue expense is at in the user's timezone
+ * The k-th overdue reminder goes out k * interval days after the due date (step_date).
+ * The step stops at max_reminders, so an expense that is already past its last
+ * step (created overdue, or the server was down) still gets that step once.
+ */
+function withOverdueStep(row) {
+  const daysOverdue = diffDays(row.due_date, row.local_date);
+  const step = daysOverdue > 0 ? Math.min(Math.floor(daysOverdue / row.interval_days), row.max_reminders) : 0;
+  return {
+    ...row,
+    days_overdue: daysOverdue,
+    step,
+    step_date: addDays(row.due_date, step * row.interval_days)
+  };
+}
+
+/**
+ * Unsent reminders due by `latestDate`, with expense and user info
+ * (exclude paid expenses, unverified users and accounts scheduled for deletion)
+ */
+async function findPendingReminders(latestDate) {
+  return query(`
+    SELECT 
+      r.id AS reminder_id,
+      r.remind_at,
+      e.due_date - r.offset_days AS remind_on,
+      e.id,
+      e.expense_name,
+      e.amount,
+      e.category,
+      e.due_date,
+      e.recurring,
+      e.notification_channels AS expense_channels,
+      e.user_id,${USER_COLUMNS}
+    FROM expense_reminders r
+    JOIN expenses e ON r.expense_id = e.id
+    JOIN users u ON e.user_id = u.id
+    WHERE r.sent = 0
+      AND (e.paid = 0 OR e.paid IS NULL)
+      AND u.email_verified_at IS NOT NULL
+      AND u.deletion_scheduled_for IS NULL
+      AND (
+        (r.offset_days IS NOT NULL AND e.due_date - r.offset_days <= $1)
+        OR (r.remind_at IS NOT NULL AND r.remind_at <= CURRENT_TIMESTAMP)
+      )
+    ORDER BY e.due_date ASC, e.id ASC
+  `, [latestDate]);
+}
+
+/**
+ * Unpaid expenses of verified users, due before `latestDate`, whose overdue
+ * escalation isn't finished (accounts scheduled for deletion are left out)
+ * Interval and max come from the expense, falling back to the user's defaults
+ * (max 0 turns escalation off). Steps missed while the server was down are not
+ * sent one by one: only the latest step (at most the last one) is sent.
+ */
+async function findOverdueExpenses(latestDate) {
+  return query(`
+    SELECT *
+    FROM (
+      SELECT
         e.id,
         e.expense_name,
         e.amount,
         e.category,
         e.due_date,
-        e.reminder_date,
-        e.recurring,
         e.user_id,
-        u.name as user_name,
-        u.email as user_email
+        e.notification_channels AS expense_channels,
+        e.overdue_reminders_sent,${USER_COLUMNS},
+        COALESCE(e.overdue_interval_days, u.overdue_interval_days) AS interval_days,
+        COALESCE(e.overdue_max_reminders, u.overdue_max_reminders) AS max_reminders
       FROM expenses e
       JOIN users u ON e.user_id = u.id
-      WHERE e.reminder_date <= $1 AND e.email_sent = 0 AND (e.paid = 0 OR e.paid IS NULL)
-      ORDER BY e.due_date ASC
-    `, [today]);
+      WHERE e.due_date < $1 AND (e.paid = 0 OR e.paid IS NULL)
+        AND u.email_verified_at IS NOT NULL
+        AND u.deletion_scheduled_for IS NULL
+    ) o
+    WHERE o.interval_days > 0
+      AND COALESCE(o.overdue_reminders_sent, 0) < o.max_reminders
+    ORDER BY o.due_date ASC
+  `, [latestDate]);
+}
 
-    if (pendingReminders.length === 0) {
-      console.log('   No pending reminders found');
-      return;
+/**
+ * Group due reminder rows by expense: [{ expense, reminderIds }]
+ */
+function groupByExpense(pendingReminders) {
+  const byExpense = new Map();
+  for (const row of pendingReminders) {
+    if (!byExpense.has(row.id)) {
+      byExpense.set(row.id, { expense: row, reminderIds: [] });
     }
+    byExpense.get(row.id).reminderIds.push(row.reminder_id);
+  }
+  return [...byExpense.values()];
+}
+
+/**
+ * Fields of an expense row that go into a digest notification's payload
+ */
+function digestItem(expense) {
+  return {
+    expense_name: expense.expense_name,
+    category: expense.category,
+    amount: expense.amount,
+    due_date: expense.due_date,
+    days_overdue: expense.days_overdue
+  };
+}
 
-    console.log(`   Found ${pendingReminders.length} pending reminder(s)`);
-
-    // Process each reminder
-    for (const reminder of pendingReminders) {
-      try {
-        // Send email
-        const result = await sendReminderEmail({
-          to: reminder.user_email,
-          userName: reminder.user_name,
-          expenseName: reminder.expense_name,
-          amount: reminder.amount,
-          dueDate: reminder.due_date,
-          category: reminder.category
+/**
+ * Digests go out on the user's channels; an expense's own channels only
+ * decide whether it is muted
+ */
+function digestChannels(user) {
+  return effectiveChannels({ notification_channels: user.notification_channels });
+}
+
+/**
+ * Where queued notifications are going, for log lines
+ */
+function describeRecipients(notifications) {
+  return notifications.length > 0
+    ? notifications.map(notification => `${notification.recipient} (${notification.channel})`).join(', ')
+    : 'nobody (no destinations for the chosen channels)';
+}
+
+/**
+ * Webhook data for an expense.overdue event
+ */
+function overdueEventData(expense) {
+  return {
+    expense: expenseData(expense),
+    days_overdue: expense.days_overdue,
+    reminder_number: expense.step,
+    max_reminders: expense.max_reminders
+  };
+}
+
+/**
+ * Queue due reminders, one notification per expense and channel destination
+ * The reminders are claimed (marked as sent) in the same transaction, so a run on
+ * another instance can't queue them again; delivery and retries are handled by
+ * the notification queue
+ */
+async function queueReminders(pendingReminders, stats) {
+  if (pendingReminders.length === 0) return;
+
+  // One notification per expense, however many of its reminders are due
+  const groups = groupByExpense(pendingReminders);
+
+  console.log(`   Found ${pendingReminders.length} pending reminder(s) for ${groups.length} expense(s)`);
+
+  for (const { expense, reminderIds } of groups) {
+    try {
+      const queued = await transaction(async (client) => {
+        const claimed = await claimReminders(client, expense.id, reminderIds);
+        if (claimed.length === 0) return null;
+
+        const notifications = await queueNotifications(client, {
+          userId: expense.user_id,
+          expenseId: expense.id,
+          kind: 'reminder',
+          channels: effectiveChannels(expense),
+          email: expense.user_email,
+          payload: {
+            to: expense.user_email,
+            userName: expense.user_name,
+            expenseName: expense.expense_name,
+            amount: expense.amount,
+            dueDate: expense.due_date,
+            category: expense.category,
+            actions: buildActionLinks({ userId: expense.user_id, expenseId: expense.id, dueDate: expense.due_date }),
+            unsubscribeUrl: buildUnsubscribeUrl(expense.user_id),
+            // Attached to the email as an .ics file
+            calendar: await buildExpenseCalendar(client, expense, expense.reminder_hour)
+          }
+        });
+        await emitWebhookEvent(expense.user_id, 'reminder.sent', { expense: expenseData(expense), reminder_ids: claimed }, client);
+        return notifications;
+      });
+      if (queued) {
+        stats.processed += queued.length;
+        console.log(`   ✅ Reminder queued for: ${expense.expense_name} → ${describeRecipients(queued)}`);
+      }
+    } catch (error) {
+      console.error(`   ❌ Error processing reminders for expense ${expense.id}:`, error.message);
+      stats.errors.push(`Expense ${expense.id}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Record that an overdue expense's escalation step is being sent
+ * Returns false if that step (or a later one) was already claimed by another run
+ */
+async function claimOverdueStep(client, expense) {
+  const result = await client.query(
+    'UPDATE expenses SET overdue_reminders_sent = $1 WHERE id = $2 AND COALESCE(overdue_reminders_sent, 0) < $1',
+    [expense.step, expense.id]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Queue overdue escalation notifications, one per expense and channel destination
+ */
+async function queueOverdueReminders(overdueExpenses, stats) {
+  if (overdueExpenses.length === 0) return;
+
+  console.log(`   Found ${overdueExpenses.length} overdue expense(s) to escalate`);
+
+  for (const expense of overdueExpenses) {
+    try {
+      const queued = await transaction(async (client) => {
+        if (!await claimOverdueStep(client, expense)) return null;
+
+        const notifications = await queueNotifications(client, {
+          userId: expense.user_id,
+          expenseId: expense.id,
+          kind: 'overdue',
+          channels: effectiveChannels(expense),
+          email: expense.user_email,
+          payload: {
+            to: expense.user_email,
+            userName: expense.user_name,
+            expenseName: expense.expense_name,
+            amount: expense.amount,
+            dueDate: expense.due_date,
+            category: expense.category,
+            daysOverdue: expense.days_overdue,
+            reminderNumber: expense.step,
+            maxReminders: expense.max_reminders,
+            unsubscribeUrl: buildUnsubscribeUrl(expense.user_id)
+          }
         });
+        await emitWebhookEvent(expense.user_id, 'expense.overdue', overdueEventData(expense), client);
+        return notifications;
+      });
+      if (queued) {
+        stats.processed += queued.length;
+        console.log(`   🚨 Overdue reminder ${expense.step}/${expense.max_reminders} queued for: ${expense.expense_name} → ${describeRecipients(queued)}`);
+      }
+    } catch (error) {
+      console.error(`   ❌ Error processing overdue expense ${expense.id}:`, error.message);
+      stats.errors.push(`Overdue expense ${expense.id}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Digest users whose slot has passed, with what goes into their digest
+ * Returns { digests: [{ user, groups, dueSoon, overdue }], digestUsersWaiting }
+ */
+function planDigests(pendingReminders, overdueExpenses, now) {
+  const users = new Map();
+  const userEntry = (row) => {
+    if (!users.has(row.user_id)) {
+      users.set(row.user_id, { user: row, reminders: [], overdue: [] });
+    }
+    return users.get(row.user_id);
+  };
+  pendingReminders.forEach(row => userEntry(row).reminders.push(row));
+  overdueExpenses.forEach(row => userEntry(row).overdue.push(row));
+
+  const digests = [...users.values()]
+    .filter(({ user }) => isDigestDue(user, now))
+    .map(({ user, reminders, overdue }) => {
+      // Overdue expenses are listed once, under overdue
+      const overdueIds = new Set(overdue.map(expense => expense.id));
+      const groups = groupByExpense(reminders);
+      const dueSoon = groups.map(group => group.expense).filter(expense => !overdueIds.has(expense.id));
+      return { user, groups, dueSoon, overdue };
+    });
+
+  return { digests, digestUsersWaiting: users.size - digests.length };
+}
 
-        if (result.success) {
-          // Mark as sent
-          await execute('UPDATE expenses SET email_sent = 1 WHERE id = $1', [reminder.id]);
-          console.log(`   ✅ Reminder sent for: ${reminder.expense_name} → ${reminder.user_email}`);
+/**
+ * Queue one digest per planned digest user
+ * Everything queued for the user goes into the digest and is marked as sent together
+ */
+async function queueDigests(digests, now, stats) {
+  for (const { user, groups, dueSoon, overdue } of digests) {
+    try {
+      const queued = await transaction(async (client) => {
+        // Lock the user and re-check, in case another run just sent this digest
+        const { rows: [current] } = await client.query(
+          'SELECT last_digest_at FROM users WHERE id = $1 FOR UPDATE',
+          [user.user_id]
+        );
+        if (!current || !isDigestDue({ ...user, last_digest_at: current.last_digest_at }, now)) return null;
 
-          // Handle recurring expenses
-          if (reminder.recurring === 'yes') {
-            await createNextRecurringExpense(reminder);
+        const notifications = await queueNotifications(client, {
+          userId: user.user_id,
+          kind: 'digest',
+          channels: digestChannels(user),
+          email: user.user_email,
+          payload: {
+            to: user.user_email,
+            userName: user.user_name,
+            mode: user.digest_mode,
+            dueSoon: dueSoon.map(digestItem),
+            overdue: overdue.map(digestItem),
+            categoryTotals: totalsByCategory([...dueSoon, ...overdue]),
+            unsubscribeUrl: buildUnsubscribeUrl(user.user_id)
+          }
+        });
+        for (const { expense, reminderIds } of groups) {
+          const claimed = await claimReminders(client, expense.id, reminderIds);
+          if (claimed.length > 0) {
+            await emitWebhookEvent(user.user_id, 'reminder.sent', { expense: expenseData(expense), reminder_ids: claimed }, client);
           }
-        } else {
-          console.log(`   ⚠️  Failed to send reminder for: ${reminder.expense_name}`);
         }
-      } catch (error) {
-        console.error(`   ❌ Error processing reminder ${reminder.id}:`, error.message);
+        for (const expense of overdue) {
+          if (await claimOverdueStep(client, expense)) {
+            await emitWebhookEvent(user.user_id, 'expense.overdue', overdueEventData(expense), client);
+          }
+        }
+        await client.query('UPDATE users SET last_digest_at = $1 WHERE id = $2', [now, user.user_id]);
+        return notifications;
+      });
+      if (queued) {
+        stats.processed += queued.length;
+        console.log(`   📋 ${user.digest_mode} digest queued with ${dueSoon.length + overdue.length} expense(s) → ${describeRecipients(queued)}`);
       }
+    } catch (error) {
+      console.error(`   ❌ Error queueing digest for user ${user.user_id}:`, error.message);
+      stats.errors.push(`Digest for user ${user.user_id}: ${error.message}`);
     }
-  } catch (error) {
-    console.error('Error processing reminders:', error);
   }
 }
 
 /**
- * Create next month's expense for recurring expenses
+ * Use up muted reminders and overdue steps without sending anything
+ * (see planReminders), so they don't all go out if the user unmutes
  */
-async function createNextRecurringExpense(expense) {
-  try {
-    // Calculate next month's dates
-    const currentDueDate = new Date(expense.due_date);
-    const currentReminderDate = new Date(expense.reminder_date);
-    
-    // Add one month
-    const nextDueDate = new Date(currentDueDate);
-    nextDueDate.setMonth(nextDueDate.getMonth() + 1);
-    
-    const nextReminderDate = new Date(currentReminderDate);
-    nextReminderDate.setMonth(nextReminderDate.getMonth() + 1);
-
-    // Create new expense (user_id is already in the expense object from JOIN)
-    await execute(
-      'INSERT INTO expenses (user_id, expense_name, amount, category, due_date, reminder_date, recurring, email_sent) VALUES ($1, $2, $3, $4, $5, $6, $7, 0)',
-      [
-        expense.user_id,
-        expense.expense_name,
-        expense.amount,
-        expense.category,
-        nextDueDate.toISOString().split('T')[0],
-        nextReminderDate.toISOString().split('T')[0],
-        'yes'
-      ]
-    );
-
-    console.log(`   🔄 Created recurring expense for next month: ${expense.expense_name}`);
-  } catch (error) {
-    console.error(`   ❌ Error creating recurring expense:`, error.message);
+async function skipMuted({ reminders, overdue }) {
+  if (reminders.length + overdue.length === 0) return;
+
+  console.log(`   🔕 Skipping ${reminders.length + overdue.length} muted reminder(s)`);
+
+  for (const { expense, reminderIds } of groupByExpense(reminders)) {
+    await transaction(client => claimReminders(client, expense.id, reminderIds));
+  }
+  for (const expense of overdue) {
+    await transaction(client => claimOverdueStep(client, expense));
   }
 }
 
 /**
  * Start the reminder scheduler
- * Runs every hour to check for pending reminders
+ * Runs every hour to check for pending reminders. Pausing the "reminders" job
+ * (see the admin API) stops the hourly runs and the retries.
  */
 function startScheduler() {
   // Run every hour at minute 0
   // Cron format: second(optional) minute hour day-of-month month day-of-week
   cron.schedule('0 * * * *', () => {
-    console.log('\n⏰ Running scheduled reminder check...');
-    processReminders();
+    runUnlessPaused('reminders', () => {
+      console.log('\n⏰ Running scheduled reminder check...');
+      return processReminders({ trigger: 'cron' });
+    });
+  }, {
+    timezone: 'UTC'
+  });
+
+  // Retry failed notifications between the hourly runs
+  cron.schedule('5-55/5 * * * *', () => {
+    runUnlessPaused('reminders', deliverPendingNotifications);
   }, {
     timezone: 'UTC'
   });
 
-  console.log('✅ Reminder scheduler started (runs every hour)');
+  // Retry failed webhook deliveries (webhooks aren't paused with the reminders job)
+  cron.schedule('*/5 * * * *', deliverPendingWebhooks, {
+    timezone: 'UTC'
+  });
+
+  console.log('✅ Reminder scheduler started (runs every hour, retries every 5 minutes)');
 
   // Also run immediately on startup (after a short delay)
   setTimeout(() => {
-    console.log('\n🚀 Running initial reminder check...');
-    processReminders();
+    runUnlessPaused('reminders', () => {
+      console.log('\n🚀 Running initial reminder check...');
+      return processReminders({ trigger: 'startup' });
+    });
   }, 5000);
 }
 
@@ -146,5 +603,6 @@ function triggerReminders() {
 module.exports = {
   startScheduler,
   triggerReminders,
-  processReminders
+  processReminders,
+  previewReminders
 };
@@ -13,11 +13,21 @@ const rateLimit = require('express-rate-limit');
 // Import modules
 const { initializeDatabase } = require('./config/database');
 const { initializeTransporter } = require('./services/emailService');
+const { availableChannels } = require('./services/notificationChannels');
 const { startScheduler } = require('./scheduler/reminderScheduler');
+const { startRecurrenceScheduler } = require('./scheduler/recurrenceScheduler');
+const { startAccountDeletionScheduler } = require('./scheduler/accountDeletionScheduler');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const expenseRoutes = require('./routes/expenses');
+const notificationRoutes = require('./routes/notifications');
+const adminRoutes = require('./routes/admin');
+const actionRoutes = require('./routes/actions');
+const unsubscribeRoutes = require('./routes/unsubscribe');
+const webhookRoutes = require('./routes/webhooks');
+const channelRoutes = require('./routes/channels');
+const calendarRoutes = require('./routes/calendar');
 
 // Initialize Express app
 const app = express();
@@ -36,7 +46,9 @@ app.use(cors({
   origin: true, // Allow all origins in production
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  // Lets the frontend name downloaded files (e.g. an expense's .ics)
+  exposedHeaders: ['Content-Disposition']
 }));
 
 // Handle preflight requests explicitly
@@ -67,7 +79,13 @@ const authLimiter = rateLimit({
   message: {
     success: false,
     message: 'Too many authentication attempts, please try again later.'
-  }
+  },
+  // Refreshing access tokens (every few minutes while the app is open), logging
+  // out, managing sessions, reading two-factor settings or login history,
+  // listing or deleting access tokens and exporting data are no login attempts
+  skip: (req) => ['/refresh', '/logout'].includes(req.path) || req.path.startsWith('/sessions')
+    || (req.method === 'GET' && ['/2fa', '/login-history', '/tokens', '/export'].includes(req.path))
+    || (req.method === 'DELETE' && req.path.startsWith('/tokens/'))
 });
 
 // ===========================================
@@ -116,11 +134,11 @@ app.post('/api/test-email', async (req, res) => {
 
 // Check email config status (for debugging)
 app.get('/api/email-status', async (req, res) => {
-  const hasBrevoKey = !!process.env.BREVO_API_KEY;
+  const { getTransportNames } = require('./services/emailService');
+  const transports = getTransportNames();
   res.json({
-    configured: hasBrevoKey,
-    provider: 'Brevo',
-    apiKey: hasBrevoKey ? 'SET (hidden)' : 'NOT SET',
+    configured: transports.length > 0,
+    transports,
     fromAddress: process.env.EMAIL_FROM_ADDRESS || 'vasudevyash@gmail.com'
   });
 });
@@ -153,8 +171,11 @@ app.post('/api/trigger-reminders', async (req, res) => {
   
   try {
     const { processReminders } = require('./scheduler/reminderScheduler');
-    await processReminders();
-    res.json({ success: true, message: 'Reminder check completed.' });
+    const { generateRecurringExpenses } = require('./scheduler/recurrenceScheduler');
+    // Backfill recurring occurrences first so their reminders go out in the same run
+    const recurring = await generateRecurringExpenses();
+    const reminders = await processReminders();
+    res.json({ success: true, message: 'Reminder check completed.', recurring, reminders });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
@@ -166,11 +187,15 @@ app.get('/api/pending-reminders', async (req, res) => {
     const { query } = require('./config/database');
     const today = new Date().toISOString().split('T')[0];
     const pending = await query(`
-      SELECT e.id, e.expense_name, e.reminder_date, e.due_date, e.email_sent, e.paid, u.email
-      FROM expenses e
+      SELECT r.id AS reminder_id, r.offset_days, r.remind_at,
+             COALESCE(e.due_date - r.offset_days, (r.remind_at AT TIME ZONE 'UTC')::date) AS remind_on,
+             e.id, e.expense_name, e.due_date, e.paid, u.email
+      FROM expense_reminders r
+      JOIN expenses e ON r.expense_id = e.id
       JOIN users u ON e.user_id = u.id
-      WHERE e.reminder_date <= $1 AND e.email_sent = 0 AND (e.paid = 0 OR e.paid IS NULL)
-      ORDER BY e.reminder_date
+      WHERE r.sent = 0 AND (e.paid = 0 OR e.paid IS NULL)
+        AND COALESCE(e.due_date - r.offset_days, (r.remind_at AT TIME ZONE 'UTC')::date) <= $1
+      ORDER BY remind_on
     `, [today]);
     res.json({ success: true, today, count: pending.length, reminders: pending });
   } catch (error) {
@@ -184,6 +209,27 @@ app.use('/api/auth', authLimiter, authRoutes);
 // Expense routes
 app.use('/api/expenses', expenseRoutes);
 
+// Notification history
+app.use('/api/notifications', notificationRoutes);
+
+// Notification channels and destinations
+app.use('/api/channels', channelRoutes);
+
+// Webhook endpoints and delivery logs
+app.use('/api/webhooks', webhookRoutes);
+
+// Calendar feed of due dates (the feed URL's secret token is its login)
+app.use('/api/calendar', calendarRoutes);
+
+// Admin routes (job history and controls)
+app.use('/api/admin', adminRoutes);
+
+// Email action links (signed tokens, no login)
+app.use('/api/actions', actionRoutes);
+
+// Unsubscribe links in notification emails (signed tokens, no login)
+app.use('/api/unsubscribe', unsubscribeRoutes);
+
 // ===========================================
 // Error Handling
 // ===========================================
@@ -227,10 +273,17 @@ async function startServer() {
 
     // Initialize email transporter
     initializeTransporter();
+    console.log(`🔔 Notification channels: ${availableChannels().join(', ')}`);
 
     // Start reminder scheduler
     startScheduler();
 
+    // Start recurring expense generation
+    startRecurrenceScheduler();
+
+    // Start deleting accounts whose deletion grace period is over
+    startAccountDeletionScheduler();
+
     // Start server
     app.listen(PORT, () => {
       console.log(`
@@ -0,0 +1,147 @@
+/**
+ * Personal Access Tokens
+ * Long-lived API credentials for the user's own scripts, sent like a login
+ * token (Authorization: Bearer erp_...). Each has a name, scopes, an optional
+ * expiry, and records when and from where it was last used. Only a SHA-256
+ * hash is stored; the token itself is shown once, when created. Changing or
+ * resetting the password deletes all of the user's tokens, and they don't work
+ * while the account is scheduled for deletion.
+ *
+ * Scopes limit what a token can do (see requireScope in middleware/auth.js):
+ * - read:           read expenses, reminders and notifications
+ * - expenses:write: create, change and delete expenses and reminders (implies read)
+ * Account settings, sessions, webhooks and the like stay login-only.
+ */
+
+const crypto = require('crypto');
+const { query, queryOne, execute } = require('../config/database');
+
+const TOKEN_PREFIX = 'erp_';
+
+const ACCESS_TOKEN_SCOPES = ['read', 'expenses:write'];
+
+// Scopes that come with another one
+const IMPLIED_SCOPES = {
+  'expenses:write': ['read']
+};
+
+const MAX_ACCESS_TOKENS_PER_USER = 20;
+const MAX_EXPIRY_DAYS = 365;
+
+// last_used_at is updated at most this often per token, not on every request
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+const TOKEN_FIELDS = `id, name, token_hint, scopes, expires_at, last_used_at, last_used_ip, created_at`;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isAccessToken(token) {
+  return String(token).startsWith(TOKEN_PREFIX);
+}
+
+/**
+ * Chosen scopes plus the ones they imply, in ACCESS_TOKEN_SCOPES order
+ */
+function expandScopes(scopes) {
+  const expanded = new Set(scopes.flatMap(scope => [scope, ...(IMPLIED_SCOPES[scope] || [])]));
+  return ACCESS_TOKEN_SCOPES.filter(scope => expanded.has(scope));
+}
+
+async function listAccessTokens(userId) {
+  return query(
+    `SELECT ${TOKEN_FIELDS} FROM personal_access_tokens WHERE user_id = $1 ORDER BY created_at DESC`,
+    [userId]
+  );
+}
+
+async function countAccessTokens(userId) {
+  const row = await queryOne('SELECT COUNT(*)::int AS count FROM personal_access_tokens WHERE user_id = $1', [userId]);
+  return row.count;
+}
+
+/**
+ * Create a token; `expiresInDays` null means it never expires
+ * Returns { token, accessToken }: the token itself (shown once) and its details
+ */
+async function createAccessToken(userId, { name, scopes, expiresInDays }) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const accessToken = await queryOne(
+    `INSERT INTO personal_access_tokens (user_id, name, token_hash, token_hint, scopes, expires_at)
+     VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + $6 * INTERVAL '1 day' END)
+     RETURNING ${TOKEN_FIELDS}`,
+    [userId, name, hashToken(token), token.slice(-4), expandScopes(scopes), expiresInDays]
+  );
+
+  return { token, accessToken };
+}
+
+/**
+ * Delete one of the user's tokens; returns whether it existed
+ */
+async function deleteAccessToken(userId, tokenId) {
+  const result = await execute('DELETE FROM personal_access_tokens WHERE id = $1 AND user_id = $2', [tokenId, userId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Delete all of the user's tokens (when the password changes or the account is
+ * scheduled for deletion). Takes a pg client so it can run inside a transaction.
+ */
+async function deleteAllAccessTokens(client, userId) {
+  await client.query('DELETE FROM personal_access_tokens WHERE user_id = $1', [userId]);
+}
+
+/**
+ * Look up the user an unexpired token belongs to, and note that it was used
+ * Returns { tokenId, scopes, user: { id, name, email, email_verified_at, token_version } }, or null
+ * (also for accounts scheduled for deletion)
+ */
+async function authenticateAccessToken(token, ip) {
+  const row = await queryOne(
+    `SELECT t.id AS token_id, t.scopes, u.id, u.name, u.email, u.email_verified_at, u.token_version,
+            (t.last_used_at IS NULL OR t.last_used_at < NOW() - $2 * INTERVAL '1 second') AS stale
+     FROM personal_access_tokens t
+     JOIN users u ON u.id = t.user_id
+     WHERE t.token_hash = $1 AND (t.expires_at IS NULL OR t.expires_at > NOW())
+       AND u.deletion_scheduled_for IS NULL`,
+    [hashToken(token), LAST_USED_RESOLUTION_SECONDS]
+  );
+  if (!row) {
+    return null;
+  }
+
+  if (row.stale) {
+    await execute(
+      'UPDATE personal_access_tokens SET last_used_at = NOW(), last_used_ip = $2 WHERE id = $1',
+      [row.token_id, ip || null]
+    );
+  }
+
+  return {
+    tokenId: row.token_id,
+    scopes: row.scopes,
+    user: {
+      id: row.id,
+      name: row.name,
+      email: row.email,
+      email_verified_at: row.email_verified_at,
+      token_version: row.token_version
+    }
+  };
+}
+
+module.exports = {
+  ACCESS_TOKEN_SCOPES,
+  MAX_ACCESS_TOKENS_PER_USER,
+  MAX_EXPIRY_DAYS,
+  isAccessToken,
+  listAccessTokens,
+  countAccessTokens,
+  createAccessToken,
+  deleteAccessToken,
+  deleteAllAccessTokens,
+  authenticateAccessToken
+};
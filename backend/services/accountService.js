@@ -0,0 +1,138 @@
+/**
+ * Account Data
+ * Exporting everything stored about a user, and deleting their account.
+ *
+ * Deleting is two steps: the user asks for it and the account is scheduled for
+ * deletion DELETION_GRACE_DAYS later. Meanwhile they are logged out, can't log
+ * in, get no reminders, and can keep the account with the restore link emailed
+ * to them. Once the date passes, the account deletion job removes the user row
+ * and, through ON DELETE CASCADE, everything that belongs to it.
+ */
+
+const { query, queryOne } = require('../config/database');
+const { TOKEN_LIFETIME_MINUTES, createAuthToken } = require('./authTokenService');
+const { revokeOtherSessions } = require('./sessionService');
+const { listAccessTokens, deleteAllAccessTokens } = require('./accessTokenService');
+
+// The restore link is valid for the whole grace period
+const DELETION_GRACE_DAYS = TOKEN_LIFETIME_MINUTES.account_restore / (24 * 60);
+
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Everything stored about the user, as one JSON-ready object
+ * Leaves out secrets that only the server uses: password and token hashes, the
+ * 2FA secret, webhook signing secrets, push subscription keys and the calendar feed token.
+ */
+async function exportAccountData(userId) {
+  const profile = await queryOne(
+    `SELECT id, name, email, email_verified_at, (totp_enabled_at IS NOT NULL) AS two_factor_enabled,
+            timezone, reminder_hour, quiet_hours_start, quiet_hours_end,
+            overdue_interval_days, overdue_max_reminders, digest_mode, digest_hour, digest_weekday,
+            notification_channels, muted_categories, created_at
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+
+  const [
+    expenses,
+    reminders,
+    recurringSeries,
+    notificationDestinations,
+    notifications,
+    webhooks,
+    sessions,
+    loginHistory,
+    accessTokens
+  ] = await Promise.all([
+    query('SELECT * FROM expenses WHERE user_id = $1 ORDER BY due_date, id', [userId]),
+    query(
+      `SELECT r.* FROM expense_reminders r
+       JOIN expenses e ON e.id = r.expense_id
+       WHERE e.user_id = $1
+       ORDER BY r.expense_id, r.id`,
+      [userId]
+    ),
+    query('SELECT * FROM recurring_series WHERE user_id = $1 ORDER BY id', [userId]),
+    query(
+      'SELECT id, channel, address, label, created_at FROM notification_destinations WHERE user_id = $1 ORDER BY id',
+      [userId]
+    ),
+    query(
+      `SELECT id, expense_id, kind, channel, recipient, payload, status, attempts, sent_at, created_at
+       FROM notifications WHERE user_id = $1 ORDER BY created_at, id`,
+      [userId]
+    ),
+    query(
+      'SELECT id, url, description, events, active, created_at, updated_at FROM webhooks WHERE user_id = $1 ORDER BY id',
+      [userId]
+    ),
+    query(
+      `SELECT id, user_agent, ip, created_at, last_used_at, expires_at, revoked_at
+       FROM sessions WHERE user_id = $1 ORDER BY created_at, id`,
+      [userId]
+    ),
+    query(
+      `SELECT id, ip, user_agent, success, failure_reason, created_at
+       FROM login_history WHERE user_id = $1 ORDER BY created_at, id`,
+      [userId]
+    ),
+    listAccessTokens(userId)
+  ]);
+
+  return {
+    format_version: EXPORT_FORMAT_VERSION,
+    exported_at: new Date().toISOString(),
+    profile,
+    expenses,
+    reminders,
+    recurring_series: recurringSeries,
+    notification_destinations: notificationDestinations,
+    notifications,
+    webhooks,
+    sessions,
+    login_history: loginHistory,
+    access_tokens: accessTokens
+  };
+}
+
+/**
+ * Schedule the user's account for deletion DELETION_GRACE_DAYS from now
+ * Logs out every session (and outstanding 2FA login challenges), deletes access
+ * tokens and issues the restore token. Takes a pg client so it can run inside a
+ * transaction; returns { deletionDate, restoreToken }.
+ */
+async function scheduleAccountDeletion(client, userId) {
+  const { rows: [user] } = await client.query(
+    `UPDATE users
+     SET deletion_scheduled_for = NOW() + $2 * INTERVAL '1 day', token_version = token_version + 1
+     WHERE id = $1
+     RETURNING deletion_scheduled_for`,
+    [userId, DELETION_GRACE_DAYS]
+  );
+
+  await revokeOtherSessions(client, userId);
+  await deleteAllAccessTokens(client, userId);
+  const restoreToken = await createAuthToken(client, userId, 'account_restore');
+
+  return { deletionDate: user.deletion_scheduled_for, restoreToken };
+}
+
+/**
+ * Keep an account that is scheduled for deletion; returns whether it was scheduled
+ * Takes a pg client so it can run inside a transaction
+ */
+async function cancelAccountDeletion(client, userId) {
+  const result = await client.query(
+    'UPDATE users SET deletion_scheduled_for = NULL WHERE id = $1 AND deletion_scheduled_for IS NOT NULL',
+    [userId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  exportAccountData,
+  scheduleAccountDeletion,
+  cancelAccountDeletion
+};
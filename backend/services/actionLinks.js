@@ -0,0 +1,185 @@
+/**
+ * Email Action Links
+ * Signed links in reminder emails that act on one expense without logging in:
+ * mark it paid, snooze the reminder, or get reminded on the due date.
+ *
+ * Each token is a JWT scoped to one action on one expense (its own audience, so
+ * it can't be used as a login token), expires after ACTION_TOKEN_EXPIRES_IN and
+ * can be used once (its id is recorded in action_token_uses).
+ *
+ * Opening a link only shows a confirmation page; the action runs when the page's
+ * form is submitted, so mail scanners that prefetch links can't trigger it.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { addReminder } = require('./reminderService');
+const { ensureNextOccurrence } = require('./seriesService');
+const { today } = require('./dateOnly');
+const { emitWebhookEvent, expenseData } = require('./webhookService');
+
+const ACTION_AUDIENCE = 'expense-action';
+const ACTION_TOKEN_EXPIRES_IN = '14d';
+
+const ACTIONS = {
+  paid: { label: 'Mark as paid' },
+  snooze: { label: 'Snooze reminder' },
+  'remind-on-due': { label: 'Remind me on the due date' }
+};
+
+const SNOOZE_DAYS = [1, 3];
+
+/**
+ * Public base URL of this API, for links in emails
+ * API_URL may be a bare host (e.g. from Render), in which case https is assumed
+ */
+function apiBaseUrl() {
+  const url = process.env.API_URL;
+  if (!url) {
+    return `http://localhost:${process.env.PORT || 3000}`;
+  }
+  return (url.startsWith('http://') || url.startsWith('https://') ? url : `https://${url}`).replace(/\/$/, '');
+}
+
+/**
+ * Sign a token for one action on one expense
+ * `days` is only used by snooze
+ */
+function createActionToken({ userId, expenseId, action, days }) {
+  return jwt.sign(
+    { action, expenseId, ...(days ? { days } : {}) },
+    process.env.JWT_SECRET,
+    {
+      audience: ACTION_AUDIENCE,
+      subject: String(userId),
+      jwtid: crypto.randomUUID(),
+      expiresIn: ACTION_TOKEN_EXPIRES_IN
+    }
+  );
+}
+
+/**
+ * Verify an action token
+ * Returns { userId, expenseId, action, days, jti }, or null if it is invalid or expired
+ */
+function verifyActionToken(token) {
+  try {
+    const claims = jwt.verify(token, process.env.JWT_SECRET, { audience: ACTION_AUDIENCE });
+    if (!ACTIONS[claims.action] || (claims.action === 'snooze' && !SNOOZE_DAYS.includes(claims.days))) {
+      return null;
+    }
+    return {
+      userId: Number(claims.sub),
+      expenseId: claims.expenseId,
+      action: claims.action,
+      days: claims.days,
+      jti: claims.jti
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Action link URLs for a reminder email about `expense`
+ * The due-date reminder link is left out once the due date has arrived
+ */
+function buildActionLinks({ userId, expenseId, dueDate }) {
+  const link = (action, days) =>
+    `${apiBaseUrl()}/api/actions/${createActionToken({ userId, expenseId, action, days })}`;
+
+  return {
+    markPaid: link('paid'),
+    snooze: SNOOZE_DAYS.map(days => ({ days, url: link('snooze', days) })),
+    remindOnDue: dueDate > today() ? link('remind-on-due') : null
+  };
+}
+
+/**
+ * Describe what a verified token would do, for the confirmation page
+ */
+function describeAction({ action, days }) {
+  if (action === 'snooze') {
+    return `Snooze the reminder for ${days} day${days === 1 ? '' : 's'}`;
+  }
+  return ACTIONS[action].label;
+}
+
+/**
+ * Carry out a verified action on its expense, using the token once
+ * Returns { message } describing the outcome. Throws an error with status 410
+ * if the link was already used, 404 if the expense no longer exists, or 400 if
+ * the reminder a snooze or remind-on-due adds can't be added (e.g. the expense
+ * already has too many).
+ */
+async function performAction(client, claims) {
+  const used = await client.query(
+    'INSERT INTO action_token_uses (jti, user_id) VALUES ($1, $2) ON CONFLICT (jti) DO NOTHING',
+    [claims.jti, claims.userId]
+  );
+  if (used.rowCount === 0) {
+    const error = new Error('This link has already been used.');
+    error.status = 410;
+    throw error;
+  }
+
+  const { rows: [expense] } = await client.query(
+    'SELECT * FROM expenses WHERE id = $1 AND user_id = $2 FOR UPDATE',
+    [claims.expenseId, claims.userId]
+  );
+  if (!expense) {
+    const error = new Error('This expense no longer exists.');
+    error.status = 404;
+    throw error;
+  }
+
+  if (claims.action !== 'paid' && expense.paid === 1) {
+    return { expense, message: `${expense.expense_name} is already paid, so there's nothing to remind you about.` };
+  }
+
+  if (claims.action === 'paid') {
+    if (expense.paid === 1) {
+      return { expense, message: `${expense.expense_name} was already marked as paid.` };
+    }
+    const { rows: [updated] } = await client.query(
+      'UPDATE expenses SET paid = 1, paid_at = $1 WHERE id = $2 RETURNING *',
+      [new Date().toISOString(), expense.id]
+    );
+    // Paying an occurrence always makes the next one available
+    if (updated.series_id) {
+      await ensureNextOccurrence(client, updated);
+    }
+    await emitWebhookEvent(updated.user_id, 'expense.paid', { expense: expenseData(updated) }, client);
+    return { expense: updated, message: `${expense.expense_name} is marked as paid.` };
+  }
+
+  if (claims.action === 'snooze') {
+    const remindAt = new Date(Date.now() + claims.days * 24 * 60 * 60 * 1000);
+    await addReminder(client, expense.id, { remind_at: remindAt.toISOString() });
+    return {
+      expense,
+      message: `We'll remind you about ${expense.expense_name} again in ${claims.days} day${claims.days === 1 ? '' : 's'}.`
+    };
+  }
+
+  // remind-on-due: an existing on-the-day reminder is fine too
+  const existing = await client.query(
+    'SELECT id FROM expense_reminders WHERE expense_id = $1 AND offset_days = 0',
+    [expense.id]
+  );
+  if (existing.rows.length === 0) {
+    await addReminder(client, expense.id, { offset_days: 0 });
+  }
+  return { expense, message: `We'll remind you about ${expense.expense_name} on its due date.` };
+}
+
+module.exports = {
+  ACTIONS,
+  SNOOZE_DAYS,
+  apiBaseUrl,
+  createActionToken,
+  verifyActionToken,
+  buildActionLinks,
+  describeAction,
+  performAction
+};
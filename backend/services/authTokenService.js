@@ -0,0 +1,88 @@
+/**
+ * One-time Auth Tokens
+ * Random tokens emailed to users to prove they own their address, e.g. to reset
+ * a forgotten password or to verify the address of a new account. Only a SHA-256
+ * hash of each token is stored, so the database alone can't be used to forge links.
+ *
+ * A token has a purpose, expires, and can be used once. Issuing a new token for
+ * a purpose replaces the user's earlier ones, so only the latest link works.
+ *
+ * Functions take a pg client so they can run inside a transaction.
+ */
+
+const crypto = require('crypto');
+
+// How long a token is valid for, in minutes, by purpose
+const TOKEN_LIFETIME_MINUTES = {
+  password_reset: 60,
+  email_verification: 2 * 24 * 60,
+  email_change: 24 * 60,
+  // Keeps an account that is scheduled for deletion; lasts the whole grace period
+  account_restore: 14 * 24 * 60
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Issue a token for `purpose`; returns the token itself (to put in the link)
+ */
+async function createAuthToken(client, userId, purpose) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await client.query('DELETE FROM auth_tokens WHERE user_id = $1 AND purpose = $2', [userId, purpose]);
+  await client.query(
+    `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 minute')`,
+    [userId, purpose, hashToken(token), TOKEN_LIFETIME_MINUTES[purpose]]
+  );
+
+  return token;
+}
+
+/**
+ * Mark a token used and return its user id, or null if it is unknown, expired,
+ * already used or for another purpose. Two concurrent uses can't both succeed.
+ */
+async function consumeAuthToken(client, token, purpose) {
+  const result = await client.query(
+    `UPDATE auth_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+
+  return result.rows[0] ? result.rows[0].user_id : null;
+}
+
+/**
+ * Revoke the user's outstanding tokens for `purpose`
+ */
+async function revokeAuthTokens(client, userId, purpose) {
+  await client.query(
+    'DELETE FROM auth_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+}
+
+/**
+ * Seconds since the user's latest token for `purpose` was issued, or null if none
+ */
+async function secondsSinceLastToken(client, userId, purpose) {
+  const result = await client.query(
+    `SELECT EXTRACT(EPOCH FROM NOW() - MAX(created_at))::int AS seconds
+     FROM auth_tokens WHERE user_id = $1 AND purpose = $2`,
+    [userId, purpose]
+  );
+
+  return result.rows[0].seconds;
+}
+
+module.exports = {
+  TOKEN_LIFETIME_MINUTES,
+  createAuthToken,
+  consumeAuthToken,
+  revokeAuthTokens,
+  secondsSinceLastToken
+};
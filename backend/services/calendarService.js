@@ -0,0 +1,380 @@
+/**
+ * Calendar Service
+ * Due dates as iCalendar: a per-user feed that calendar apps subscribe to
+ * (Google Calendar, Outlook, Apple Calendar), and single expenses as .ics files
+ * for downloads and reminder email attachments.
+ *
+ * The feed has every unpaid expense as an all-day event with a VALARM per
+ * reminder, at the user's reminder hour. A recurring series is one event with
+ * an RRULE, so calendars also show occurrences that haven't been generated yet;
+ * paid and deleted occurrences become EXDATEs and edited ones RECURRENCE-ID
+ * overrides. A series whose schedule can't be written as an RRULE (e.g. its due
+ * date was moved part way through) falls back to one event per unpaid occurrence.
+ *
+ * Calendar apps can't log in, so the feed URL carries a random per-user token.
+ * Only its SHA-256 hash is stored, so the URL is shown once, when it's created.
+ * Resetting the token turns the old URL off.
+ */
+
+const crypto = require('crypto');
+const { query, queryOne, execute } = require('../config/database');
+const { buildCalendar } = require('./icalendar');
+const { WEEKDAYS, parseRule, nextOccurrence } = require('./recurrence');
+const { listReminders } = require('./reminderService');
+const { DEFAULT_REMINDER_HOUR } = require('./userTime');
+const { toDateOnly, parts, daysInMonth, dayOfWeek } = require('./dateOnly');
+const { apiBaseUrl } = require('./actionLinks');
+
+const CALENDAR_NAME = 'Expense due dates';
+
+// How often subscribed calendar apps are asked to re-fetch the feed
+const FEED_REFRESH_HOURS = 1;
+
+const frontendUrl = (path) => `${process.env.FRONTEND_URL || 'https://expense-reminder-frontend.onrender.com'}${path}`;
+
+function formatAmount(amount) {
+  return new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(amount);
+}
+
+/**
+ * Stable event UID, so calendar apps update events instead of duplicating them
+ */
+function eventUid(kind, id) {
+  return `${kind}-${id}@${new URL(apiBaseUrl()).hostname}`;
+}
+
+/**
+ * A reminder as an alarm: relative ones fire at the reminder hour, `offset_days` before
+ */
+function toAlarm({ offset_days, remind_at }, reminderHour) {
+  return offset_days !== null && offset_days !== undefined
+    ? { hours: reminderHour - offset_days * 24 }
+    : { at: remind_at };
+}
+
+/**
+ * An expense (or series template) as an event, without its schedule
+ */
+function describeExpense(expense) {
+  return {
+    summary: `💰 ${expense.expense_name} (${formatAmount(expense.amount)})`,
+    description: `Amount: ${formatAmount(expense.amount)}\nCategory: ${expense.category}`,
+    categories: expense.category
+  };
+}
+
+function expenseEvent(expense, reminders, reminderHour) {
+  return {
+    uid: eventUid('expense', expense.id),
+    date: toDateOnly(expense.due_date),
+    ...describeExpense(expense),
+    url: frontendUrl(`/edit-expense/${expense.id}`),
+    alarms: reminders.map(reminder => toAlarm(reminder, reminderHour))
+  };
+}
+
+/**
+ * Reminder offsets every occurrence of a series gets, furthest-first
+ */
+function seriesOffsets(series) {
+  return (series.reminder_offsets || [series.reminder_offset_days])
+    .filter(offset => offset !== null && offset !== undefined)
+    .sort((a, b) => b - a);
+}
+
+/**
+ * The series' rule as an RFC 5545 RRULE (without COUNT/UNTIL), or null if it has none
+ *
+ * This app clamps monthly and yearly dates to the end of short months (Jan 31 ->
+ * Feb 28), where RRULE skips those months. The 31st clamps to the last day of
+ * every month (BYMONTHDAY=-1), but there is no widely supported way to write the
+ * 29th or 30th, so those monthly series get null. Weeks start on Monday here.
+ */
+function toRRule(series, rule) {
+  const start = parts(series.start_date);
+  const anchorDay = series.anchor_day || start.day;
+
+  const fields = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) {
+    fields.push(`INTERVAL=${rule.interval}`);
+  }
+
+  switch (rule.freq) {
+    case 'DAILY':
+      break;
+
+    case 'WEEKLY':
+      if (rule.byDay.length > 0) {
+        fields.push(`BYDAY=${rule.byDay.join(',')}`, 'WKST=MO');
+      }
+      break;
+
+    case 'MONTHLY': {
+      const day = rule.byMonthDay ?? anchorDay;
+      if (day === 29 || day === 30) return null;
+      fields.push(`BYMONTHDAY=${day === 31 ? -1 : day}`);
+      break;
+    }
+
+    case 'YEARLY':
+      // Feb 29 falls back to Feb 28, i.e. the last day of February
+      if (start.month === 2 && anchorDay > 28) {
+        fields.push('BYMONTH=2', 'BYMONTHDAY=-1');
+      }
+      break;
+
+    default:
+      return null;
+  }
+
+  return fields.join(';');
+}
+
+/**
+ * Whether a series' first due date is one its rule generates, e.g. not a series
+ * on the 15th of each month that started on the 10th
+ */
+function startsOnRule(series, rule) {
+  const start = parts(series.start_date);
+  const lastDay = daysInMonth(start.year, start.month);
+  const anchorDay = series.anchor_day || start.day;
+
+  switch (rule.freq) {
+    case 'WEEKLY':
+      return rule.byDay.length === 0 || rule.byDay.includes(WEEKDAYS[dayOfWeek(series.start_date)]);
+    case 'MONTHLY': {
+      const day = rule.byMonthDay ?? anchorDay;
+      return start.day === (day === -1 ? lastDay : Math.min(day, lastDay));
+    }
+    case 'YEARLY':
+      return start.day === Math.min(anchorDay, lastDay);
+    default:
+      return true;
+  }
+}
+
+/**
+ * The first `count` due dates of a series, as this app generates them
+ */
+function seriesDates(series, rule, count) {
+  const anchorDay = series.anchor_day || parts(series.start_date).day;
+  const dates = [toDateOnly(series.start_date)];
+
+  while (dates.length < count) {
+    const next = nextOccurrence(rule, dates[dates.length - 1], anchorDay);
+    if (!next) break;
+    dates.push(next);
+  }
+  return dates;
+}
+
+/**
+ * COUNT or UNTIL for a series' RRULE ("" if it doesn't end)
+ * `skipped` occurrences at the start of the series are not part of the RRULE
+ */
+function ruleLimits(series, rule, skipped) {
+  const endDate = toDateOnly(series.end_date);
+
+  if (!series.max_occurrences) {
+    return endDate ? `;UNTIL=${endDate.replace(/-/g, '')}` : '';
+  }
+  if (!endDate) {
+    return `;COUNT=${series.max_occurrences - skipped}`;
+  }
+
+  // An RRULE can't have both: end on whichever comes first
+  const lastDate = seriesDates(series, rule, series.max_occurrences).pop();
+  return `;UNTIL=${(lastDate < endDate ? lastDate : endDate).replace(/-/g, '')}`;
+}
+
+/**
+ * Whether an occurrence no longer matches its series template, so it needs its own event
+ */
+function differsFromSeries(expense, reminders, series) {
+  const offsets = seriesOffsets(series);
+  return expense.expense_name !== series.expense_name
+    || Number(expense.amount) !== Number(series.amount)
+    || expense.category !== series.category
+    || reminders.length !== offsets.length
+    || reminders.some(reminder => !offsets.includes(reminder.offset_days));
+}
+
+/**
+ * Events for a series: one RRULE event with EXDATEs and overrides when the
+ * series' schedule allows it, otherwise one event per unpaid occurrence
+ * `occurrences` are all of the series' expense rows, paid or not
+ */
+function seriesEvents(series, occurrences, remindersByExpense, reminderHour) {
+  const unpaid = occurrences.filter(expense => !expense.paid);
+  const remindersOf = (expense) => remindersByExpense.get(expense.id) || [];
+  const separateEvents = () => unpaid.map(expense => expenseEvent(expense, remindersOf(expense), reminderHour));
+
+  const rule = parseRule(series.recurrence_rule);
+  const rrule = toRRule(series, rule);
+  const created = series.occurrences_created;
+  if (!rrule || created < 1) {
+    return separateEvents();
+  }
+
+  // The rule must lead to where the series is now, or later occurrences would be misplaced
+  const dates = seriesDates(series, rule, created);
+  if (dates.length !== created
+    || dates[created - 1] !== toDateOnly(series.last_due_date)
+    || unpaid.some(expense => expense.occurrence_index < 1 || expense.occurrence_index > created)) {
+    return separateEvents();
+  }
+
+  // RFC 5545 leaves a first date that isn't on the rule undefined: that occurrence
+  // gets its own event and the RRULE starts at the second
+  const skipped = startsOnRule(series, rule) ? 0 : 1;
+  if (series.max_occurrences && series.max_occurrences <= skipped) {
+    return separateEvents();
+  }
+
+  const anchorDay = series.anchor_day || parts(series.start_date).day;
+  const next = !series.max_occurrences || created < series.max_occurrences
+    ? nextOccurrence(rule, dates[created - 1], anchorDay)
+    : null;
+  const hasFuture = next && (!series.end_date || next <= toDateOnly(series.end_date));
+
+  const byIndex = new Map(occurrences.map(expense => [expense.occurrence_index, expense]));
+  const master = {
+    uid: eventUid('series', series.id),
+    date: skipped ? nextOccurrence(rule, dates[0], anchorDay) : dates[0],
+    ...describeExpense(series),
+    url: frontendUrl('/expenses'),
+    rrule: rrule + ruleLimits(series, rule, skipped),
+    exdates: [],
+    alarms: seriesOffsets(series).map(offset => toAlarm({ offset_days: offset }, reminderHour))
+  };
+  const events = [];
+
+  dates.forEach((date, i) => {
+    const expense = byIndex.get(i + 1);
+    if (i < skipped) {
+      if (expense && !expense.paid) events.push(expenseEvent(expense, remindersOf(expense), reminderHour));
+      return;
+    }
+    if (!expense || expense.paid) {
+      master.exdates.push(date);
+      return;
+    }
+    const reminders = remindersOf(expense);
+    if (toDateOnly(expense.due_date) !== date || differsFromSeries(expense, reminders, series)) {
+      events.push({ ...expenseEvent(expense, reminders, reminderHour), uid: master.uid, recurrenceId: date });
+    }
+  });
+
+  // Leave the RRULE out once every occurrence it has is paid or deleted
+  if (hasFuture || master.exdates.length < dates.length - skipped) {
+    events.unshift(master);
+  }
+  return events;
+}
+
+/**
+ * A user's feed: every unpaid expense, with recurring series as RRULEs
+ * `user` needs id and reminder_hour
+ */
+async function buildUserFeed(user) {
+  const reminderHour = user.reminder_hour ?? DEFAULT_REMINDER_HOUR;
+
+  // Paid occurrences are still needed to exclude them from their series' RRULE
+  const expenses = await query(`
+    SELECT id, series_id, occurrence_index, expense_name, amount, category, due_date, paid
+    FROM expenses
+    WHERE user_id = $1 AND ((paid = 0 OR paid IS NULL) OR series_id IS NOT NULL)
+    ORDER BY due_date ASC, id ASC
+  `, [user.id]);
+  const series = await query('SELECT * FROM recurring_series WHERE user_id = $1 ORDER BY id', [user.id]);
+  const reminders = await query(`
+    SELECT r.expense_id, r.offset_days, r.remind_at
+    FROM expense_reminders r
+    JOIN expenses e ON r.expense_id = e.id
+    WHERE e.user_id = $1 AND (e.paid = 0 OR e.paid IS NULL)
+    ORDER BY r.id
+  `, [user.id]);
+
+  const remindersByExpense = new Map();
+  for (const reminder of reminders) {
+    if (!remindersByExpense.has(reminder.expense_id)) remindersByExpense.set(reminder.expense_id, []);
+    remindersByExpense.get(reminder.expense_id).push(reminder);
+  }
+
+  const events = expenses
+    .filter(expense => !expense.series_id)
+    .map(expense => expenseEvent(expense, remindersByExpense.get(expense.id) || [], reminderHour));
+
+  for (const item of series) {
+    const occurrences = expenses.filter(expense => expense.series_id === item.id);
+    events.push(...seriesEvents(item, occurrences, remindersByExpense, reminderHour));
+  }
+
+  return buildCalendar({ name: CALENDAR_NAME, events, refreshHours: FEED_REFRESH_HOURS });
+}
+
+/**
+ * One expense as a calendar with a single event, alarms included
+ */
+async function buildExpenseCalendar(client, expense, reminderHour = DEFAULT_REMINDER_HOUR) {
+  const reminders = await listReminders(client, expense.id);
+  return buildCalendar({ events: [expenseEvent(expense, reminders, reminderHour ?? DEFAULT_REMINDER_HOUR)] });
+}
+
+/**
+ * File name for an expense's .ics, e.g. "electricity-bill.ics"
+ */
+function calendarFileName(expense) {
+  const slug = expense.expense_name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${slug || 'expense'}.ics`;
+}
+
+function feedUrl(token) {
+  return `${apiBaseUrl()}/api/calendar/${token}.ics`;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Whether the user's feed is on (its URL can't be shown again)
+ */
+async function isFeedEnabled(userId) {
+  const user = await queryOne('SELECT calendar_token_hash FROM users WHERE id = $1', [userId]);
+  return Boolean(user && user.calendar_token_hash);
+}
+
+/**
+ * Turn the feed on with a new token (turning off any previous URL) and return its URL
+ * This is the only time the URL is available
+ */
+async function resetFeedToken(userId) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  await execute('UPDATE users SET calendar_token_hash = $1 WHERE id = $2', [hashToken(token), userId]);
+  return feedUrl(token);
+}
+
+async function disableFeed(userId) {
+  await execute('UPDATE users SET calendar_token_hash = NULL WHERE id = $1', [userId]);
+}
+
+/**
+ * The user a feed token belongs to, or null (also for accounts scheduled for deletion)
+ */
+async function findUserByFeedToken(token) {
+  return queryOne(
+    'SELECT id, reminder_hour FROM users WHERE calendar_token_hash = $1 AND deletion_scheduled_for IS NULL',
+    [hashToken(token)]
+  );
+}
+
+module.exports = {
+  buildUserFeed,
+  buildExpenseCalendar,
+  calendarFileName,
+  isFeedEnabled,
+  resetFeedToken,
+  disableFeed,
+  findUserByFeedToken
+};
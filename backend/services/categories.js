@@ -0,0 +1,8 @@
+/**
+ * Expense Categories
+ * Shared by expense validation and notification preferences (muted categories)
+ */
+
+const CATEGORIES = ['Bills', 'Food', 'Transport', 'Shopping', 'Entertainment', 'Health', 'Education', 'Other'];
+
+module.exports = { CATEGORIES };
@@ -0,0 +1,120 @@
+/**
+ * Date-only Arithmetic
+ * Calendar math on plain "YYYY-MM-DD" strings, with no time of day or timezone.
+ * Avoids the off-by-one shifts that come from round-tripping DATE values
+ * through JS Date objects and toISOString().
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})/;
+
+/**
+ * Normalize a DATE value to "YYYY-MM-DD"
+ * Accepts "YYYY-MM-DD", an ISO datetime (date part is kept as written) or a Date,
+ * which is read in UTC
+ */
+function toDateOnly(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+
+  const match = String(value).match(DATE_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return match[0];
+}
+
+/**
+ * Split a date into numeric { year, month, day } (month is 1-12)
+ */
+function parts(value) {
+  const [year, month, day] = toDateOnly(value).split('-').map(Number);
+  return { year, month, day };
+}
+
+function format(year, month, day) {
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Number of days in a month (month is 1-12)
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Days since 1970-01-01; only used for day-level arithmetic
+function toDayNumber(value) {
+  const { year, month, day } = parts(value);
+  return Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+function fromDayNumber(dayNumber) {
+  return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Add (or subtract) whole days
+ */
+function addDays(value, days) {
+  return fromDayNumber(toDayNumber(value) + days);
+}
+
+/**
+ * Add (or subtract) whole months, keeping `anchorDay` where the month allows it
+ * and clamping to the month's last day otherwise (-1 always means the last day).
+ * With anchorDay 31: Jan 31 -> Feb 28 -> Mar 31
+ */
+function addMonths(value, months, anchorDay = parts(value).day) {
+  const { year, month } = parts(value);
+  const total = (month - 1) + months;
+  const targetYear = year + Math.floor(total / 12);
+  const targetMonth = (((total % 12) + 12) % 12) + 1;
+  const lastDay = daysInMonth(targetYear, targetMonth);
+  const day = anchorDay === -1 ? lastDay : Math.min(anchorDay, lastDay);
+  return format(targetYear, targetMonth, day);
+}
+
+/**
+ * Whole days from `from` to `to` (negative if `to` is earlier)
+ */
+function diffDays(from, to) {
+  return toDayNumber(to) - toDayNumber(from);
+}
+
+/**
+ * Day of week, 0 = Sunday ... 6 = Saturday
+ */
+function dayOfWeek(value) {
+  return ((toDayNumber(value) % 7) + 4 + 7) % 7;
+}
+
+/**
+ * Last day of the given month as "YYYY-MM-DD" (month is 1-12)
+ */
+function endOfMonth(year, month) {
+  return format(year, month, daysInMonth(year, month));
+}
+
+/**
+ * Today's date in UTC
+ */
+function today() {
+  return toDateOnly(new Date());
+}
+
+module.exports = {
+  toDateOnly,
+  parts,
+  daysInMonth,
+  addDays,
+  addMonths,
+  diffDays,
+  dayOfWeek,
+  endOfMonth,
+  today
+};
@@ -0,0 +1,73 @@
+/**
+ * Notification Destinations
+ * Where a user's non-email channels deliver: browser push subscriptions,
+ * Telegram chat ids, phone numbers for SMS and URLs for the HTTP channel.
+ * A user can have several per channel (e.g. a push subscription per browser);
+ * notifications go to all of them.
+ */
+
+const { query, queryOne, execute } = require('../config/database');
+const { sendNotification } = require('./notificationChannels');
+
+const MAX_DESTINATIONS_PER_USER = 20;
+
+// Columns returned by the API (push subscription keys stay on the server)
+const DESTINATION_FIELDS = 'id, channel, address, label, created_at';
+
+/**
+ * A user's destinations
+ */
+async function listDestinations(userId) {
+  return query(`SELECT ${DESTINATION_FIELDS} FROM notification_destinations WHERE user_id = $1 ORDER BY id`, [userId]);
+}
+
+async function countDestinations(userId) {
+  const { count } = await queryOne('SELECT COUNT(*)::int AS count FROM notification_destinations WHERE user_id = $1', [userId]);
+  return count;
+}
+
+/**
+ * Add a destination; adding one the user already has updates its keys and label
+ * (a browser re-subscribing to push gets new keys for the same endpoint)
+ */
+async function addDestination(userId, { channel, address, keys = null, label = null }) {
+  return queryOne(`
+    INSERT INTO notification_destinations (user_id, channel, address, keys, label)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (user_id, channel, address) DO UPDATE SET keys = EXCLUDED.keys, label = EXCLUDED.label
+    RETURNING ${DESTINATION_FIELDS}
+  `, [userId, channel, address, keys && JSON.stringify(keys), label]);
+}
+
+/**
+ * Remove a destination; returns false if the user has no such destination
+ */
+async function deleteDestination(userId, id) {
+  const result = await execute('DELETE FROM notification_destinations WHERE id = $1 AND user_id = $2', [id, userId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Send a test message to one destination right away
+ * Returns null if the user has no such destination, otherwise { success, error }
+ */
+async function sendTestNotification(userId, id) {
+  const destination = await queryOne('SELECT * FROM notification_destinations WHERE id = $1 AND user_id = $2', [id, userId]);
+  if (!destination) return null;
+
+  try {
+    await sendNotification({ kind: 'test', channel: destination.channel, payload: {}, created_at: new Date() }, destination);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  MAX_DESTINATIONS_PER_USER,
+  listDestinations,
+  countDestinations,
+  addDestination,
+  deleteDestination,
+  sendTestNotification
+};
@@ -0,0 +1,66 @@
+/**
+ * Digest Schedule
+ * Decides when a user's daily or weekly digest email is due.
+ * Users in "immediate" mode get one email per expense instead.
+ */
+
+const { localTime, isQuietHour } = require('./userTime');
+
+const DIGEST_MODES = ['immediate', 'daily', 'weekly'];
+
+/**
+ * Most recent time the user's digest was scheduled for, at or before `now`
+ * Daily digests are scheduled every day at digest_hour, weekly ones at that hour
+ * on digest_weekday (0 = Sunday). Both `now` and the result are wall-clock times
+ * in the user's timezone (see localTime)
+ */
+function lastDigestSlot({ digest_mode, digest_hour, digest_weekday }, now = new Date()) {
+  const slot = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), digest_hour));
+  if (slot > now) {
+    slot.setUTCDate(slot.getUTCDate() - 1);
+  }
+  if (digest_mode === 'weekly') {
+    slot.setUTCDate(slot.getUTCDate() - ((slot.getUTCDay() - digest_weekday + 7) % 7));
+  }
+  return slot;
+}
+
+/**
+ * Whether a digest user has a digest due: their latest slot (in their timezone)
+ * has passed, no digest was sent since, and it isn't their quiet hours.
+ * A slot missed while the server was down is sent late rather than skipped.
+ */
+function isDigestDue(user, now = new Date()) {
+  if (!user.digest_mode || user.digest_mode === 'immediate') {
+    return false;
+  }
+
+  const local = localTime(user.timezone, now);
+  if (isQuietHour(user, local.hour)) {
+    return false;
+  }
+
+  const lastSent = user.last_digest_at ? localTime(user.timezone, new Date(user.last_digest_at)).wallClock : null;
+  return !lastSent || lastSent < lastDigestSlot(user, local.wallClock);
+}
+
+/**
+ * Group digest items by category with totals, largest first
+ */
+function totalsByCategory(items) {
+  const totals = new Map();
+  for (const item of items) {
+    const entry = totals.get(item.category) || { category: item.category, total: 0, count: 0 };
+    entry.total += Number(item.amount);
+    entry.count += 1;
+    totals.set(item.category, entry);
+  }
+  return [...totals.values()].sort((a, b) => b.total - a.total);
+}
+
+module.exports = {
+  DIGEST_MODES,
+  lastDigestSlot,
+  isDigestDue,
+  totalsByCategory
+};
@@ -1,34 +1,85 @@
 /**
  * Email Service
- * Handles sending email notifications using Brevo (formerly Sendinblue)
- * Brevo allows sending to any email without domain verification on free tier
+ * Builds the app's notification emails and hands them to the configured
+ * transports (Brevo, Resend, SMTP or a local outbox, see emailTransports)
  */
 
-const SibApiV3Sdk = require('@getbrevo/brevo');
+const { loadTransports, sendWithFailover } = require('./emailTransports');
+const { escapeHtml } = require('./htmlPage');
 
-// Create Brevo client
-let apiInstance = null;
+// Transports in order of preference, set up by initializeTransporter
+let transports = [];
 
 /**
  * Initialize email service
  */
 function initializeTransporter() {
-  if (process.env.BREVO_API_KEY) {
-    apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
-    const apiKey = apiInstance.authentications['apiKey'];
-    apiKey.apiKey = process.env.BREVO_API_KEY;
-    console.log('✅ Email service ready (Brevo)');
+  transports = loadTransports();
+  if (transports.length > 0) {
+    console.log(`✅ Email service ready (${getTransportNames().join(' → ')})`);
   } else {
-    console.log('⚠️  Email service not configured: BREVO_API_KEY not set');
-    console.log('   Get a free API key at https://app.brevo.com/settings/keys/api');
+    console.log('⚠️  Email service not configured: set BREVO_API_KEY, RESEND_API_KEY or SMTP_HOST');
+    console.log('   or EMAIL_TRANSPORT=outbox to write emails to local .eml files');
   }
 }
 
+/**
+ * Names of the configured transports, in the order they are tried
+ */
+function getTransportNames() {
+  return transports.map(transport => transport.name);
+}
+
+/**
+ * Send a message from the app's sender address, failing over between transports
+ * `label` names the kind of email in log lines, e.g. "Digest email"
+ */
+async function sendEmail(message, label) {
+  const result = await sendWithFailover(transports, {
+    from: {
+      name: process.env.EMAIL_FROM_NAME || 'Expense Reminder',
+      email: process.env.EMAIL_FROM_ADDRESS || 'vasudevyash@gmail.com'
+    },
+    ...message
+  });
+
+  if (result.success) {
+    console.log(`📧 ${label} sent to ${message.to.email} via ${result.transport}: ${result.messageId}`);
+  } else {
+    console.error(`❌ Failed to send ${label.toLowerCase()} to ${message.to.email}:`, result.error);
+  }
+  return result;
+}
+
+/**
+ * Add a signed unsubscribe link to a notification email: a footer link and the
+ * List-Unsubscribe headers (RFC 8058 one-click), so mail clients can show their
+ * own unsubscribe button. Returns the footer HTML and text (empty without a link).
+ */
+function addUnsubscribe(message, unsubscribeUrl) {
+  if (!unsubscribeUrl) {
+    return { html: '', text: '' };
+  }
+
+  const settingsUrl = `${process.env.FRONTEND_URL || 'https://expense-reminder-frontend.onrender.com'}/settings`;
+  message.headers = {
+    ...message.headers,
+    'List-Unsubscribe': `<${unsubscribeUrl}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+
+  return {
+    html: `<p><a href="${unsubscribeUrl}" style="color: #888;">Unsubscribe</a> · <a href="${settingsUrl}" style="color: #888;">Notification settings</a></p>`,
+    text: `\nUnsubscribe: ${unsubscribeUrl}\nNotification settings: ${settingsUrl}\n`
+  };
+}
+
 /**
  * Send expense reminder email
+ * `calendar` (iCalendar text of the expense, optional) is attached as an .ics file
  */
-async function sendReminderEmail({ to, userName, expenseName, amount, dueDate, category }) {
-  if (!apiInstance) {
+async function sendReminderEmail({ to, userName, expenseName, amount, dueDate, category, actions, unsubscribeUrl, calendar }) {
+  if (transports.length === 0) {
     console.log('Email service not initialized');
     return { success: false, error: 'Email service not configured' };
   }
@@ -38,22 +89,37 @@ async function sendReminderEmail({ to, userName, expenseName, amount, dueDate, c
     currency: 'INR'
   }).format(amount);
 
+  // Due dates are date-only values; format them in UTC so they never shift a day
   const formattedDate = new Date(dueDate).toLocaleDateString('en-IN', {
     weekday: 'long',
     year: 'numeric',
     month: 'long',
-    day: 'numeric'
+    day: 'numeric',
+    timeZone: 'UTC'
   });
 
-  const fromEmail = process.env.EMAIL_FROM_ADDRESS || 'vasudevyash@gmail.com';
-  const fromName = process.env.EMAIL_FROM_NAME || 'Expense Reminder';
+  // One-click action links (mark paid, snooze, remind on due date), if the reminder has them
+  const actionLinks = actions ? [
+    { label: '✅ Mark paid', url: actions.markPaid },
+    ...actions.snooze.map(({ days, url }) => ({ label: `😴 Snooze ${days} day${days === 1 ? '' : 's'}`, url })),
+    ...(actions.remindOnDue ? [{ label: '📅 Remind me on due date', url: actions.remindOnDue }] : [])
+  ] : [];
 
-  const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
-  
-  sendSmtpEmail.subject = `💰 Reminder: ${expenseName} - ${formattedAmount} due soon!`;
-  sendSmtpEmail.sender = { name: fromName, email: fromEmail };
-  sendSmtpEmail.to = [{ email: to, name: userName }];
-  sendSmtpEmail.htmlContent = `
+  const actionButtons = actionLinks.length > 0 ? `
+          <div style="text-align: center; margin-top: 24px;">
+            ${actionLinks.map(({ label, url }) => `<a href="${url}" style="display: inline-block; margin: 4px; background: #f8f9fc; color: #667eea; text-decoration: none; padding: 10px 18px; border: 1px solid #667eea; border-radius: 20px; font-weight: 600; font-size: 13px;">${label}</a>`).join('\n            ')}
+          </div>
+  ` : '';
+
+  const message = { to: { email: to, name: userName } };
+  const unsubscribe = addUnsubscribe(message, unsubscribeUrl);
+
+  message.subject = `💰 Reminder: ${expenseName} - ${formattedAmount} due soon!`;
+
+  if (calendar) {
+    message.attachments = [{ filename: 'due-date.ics', content: calendar, contentType: 'text/calendar; charset=utf-8; method=PUBLISH' }];
+  }
+  message.html = `
     <!DOCTYPE html>
     <html>
     <head>
@@ -100,7 +166,7 @@ async function sendReminderEmail({ to, userName, expenseName, amount, dueDate, c
           <p style="color: #666; font-size: 14px; line-height: 1.6; margin-top: 20px;">
             Don't forget to make this payment on time to avoid any late fees! 🎯
           </p>
-          
+          ${actionButtons}
           <div style="text-align: center; margin-top: 30px;">
             <a href="${process.env.FRONTEND_URL || 'https://expense-reminder-frontend.onrender.com'}/dashboard" style="display: inline-block; background: linear-gradient(135deg, #3b82f6 0%, #0d9488 100%); color: white; text-decoration: none; padding: 12px 30px; border-radius: 25px; font-weight: 600; font-size: 14px;">
               View Dashboard
@@ -110,13 +176,14 @@ async function sendReminderEmail({ to, userName, expenseName, amount, dueDate, c
         
         <div style="text-align: center; padding: 20px; color: #888; font-size: 12px;">
           <p>You received this email because you set up a reminder in Expense Reminder App.</p>
+          ${unsubscribe.html}
           <p>© ${new Date().getFullYear()} Expense Reminder. All rights reserved.</p>
         </div>
       </div>
     </body>
     </html>
   `;
-  sendSmtpEmail.textContent = `
+  message.text = `
 Hi ${userName},
 
 This is a reminder about your upcoming expense:
@@ -127,37 +194,267 @@ Category: ${category}
 Due Date: ${formattedDate}
 
 Don't forget to make this payment on time!
-
+${actionLinks.length > 0 ? `\n${actionLinks.map(({ label, url }) => `${label.replace(/^\S+ /, '')}: ${url}`).join('\n')}\n` : ''}
 - Expense Reminder App
+${unsubscribe.text}  `;
+
+  return sendEmail(message, 'Reminder email');
+}
+
+/**
+ * Send a daily or weekly digest of expenses due soon and overdue expenses
+ * `dueSoon` and `overdue` are expense rows (overdue ones include days_overdue);
+ * `categoryTotals` is [{ category, total, count }] across both lists
+ */
+async function sendDigestEmail({ to, userName, mode, dueSoon, overdue, categoryTotals, unsubscribeUrl }) {
+  if (transports.length === 0) {
+    console.log('Email service not initialized');
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  const currency = new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR'
+  });
+
+  // Due dates are date-only values; format them in UTC so they never shift a day
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+
+  const itemCount = dueSoon.length + overdue.length;
+  const grandTotal = categoryTotals.reduce((sum, entry) => sum + entry.total, 0);
+  const title = mode === 'weekly' ? 'Weekly Expense Digest' : 'Daily Expense Digest';
+
+  const itemRows = (items, overdueList) => items.map(item => `
+              <tr>
+                <td style="padding: 10px 0; border-bottom: 1px solid #eee; color: #333; font-size: 15px;">
+                  <strong>${item.expense_name}</strong><br>
+                  <span style="color: #888; font-size: 13px;">${item.category}</span>
+                </td>
+                <td style="padding: 10px 0; border-bottom: 1px solid #eee; color: ${overdueList ? '#e74c3c' : '#666'}; font-size: 13px; text-align: center;">
+                  ${overdueList ? `${item.days_overdue} day${item.days_overdue === 1 ? '' : 's'} overdue` : formatDate(item.due_date)}
+                </td>
+                <td style="padding: 10px 0; border-bottom: 1px solid #eee; color: #333; font-size: 15px; font-weight: 600; text-align: right;">${currency.format(item.amount)}</td>
+              </tr>`).join('');
+
+  const section = (heading, color, items, overdueList) => items.length === 0 ? '' : `
+          <h2 style="color: ${color}; font-size: 17px; margin: 25px 0 5px;">${heading} (${items.length})</h2>
+          <table style="width: 100%; border-collapse: collapse;">${itemRows(items, overdueList)}
+          </table>`;
+
+  const message = { to: { email: to, name: userName } };
+  const unsubscribe = addUnsubscribe(message, unsubscribeUrl);
+
+  message.subject = `📋 ${title}: ${itemCount} expense${itemCount === 1 ? '' : 's'} - ${currency.format(grandTotal)}` +
+    (overdue.length > 0 ? ` (${overdue.length} overdue)` : '');
+  message.html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${title}</title>
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f7fa;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 16px 16px 0 0; padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">📋 ${title}</h1>
+        </div>
+        
+        <div style="background: white; padding: 30px; border-radius: 0 0 16px 16px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <p style="color: #333; font-size: 16px; margin-bottom: 20px;">
+            Hi <strong>${userName}</strong>,
+          </p>
+          
+          <p style="color: #666; font-size: 15px; line-height: 1.6;">
+            Here's everything that needs your attention:
+          </p>
+          ${section('⚠️ Overdue', '#e74c3c', overdue, true)}
+          ${section('📅 Due Soon', '#667eea', dueSoon, false)}
+          
+          <div style="background: #f8f9fc; border-radius: 12px; padding: 20px; margin: 25px 0 0; border-left: 4px solid #667eea;">
+            <table style="width: 100%; border-collapse: collapse;">
+              ${categoryTotals.map(entry => `
+              <tr>
+                <td style="padding: 6px 0; color: #888; font-size: 14px;">${entry.category} (${entry.count})</td>
+                <td style="padding: 6px 0; color: #333; font-size: 15px; text-align: right;">${currency.format(entry.total)}</td>
+              </tr>`).join('')}
+              <tr>
+                <td style="padding: 10px 0 0; color: #333; font-size: 15px; font-weight: 600; border-top: 1px solid #e2e5ee;">Total</td>
+                <td style="padding: 10px 0 0; color: #667eea; font-size: 20px; font-weight: 700; text-align: right; border-top: 1px solid #e2e5ee;">${currency.format(grandTotal)}</td>
+              </tr>
+            </table>
+          </div>
+          
+          <div style="text-align: center; margin-top: 30px;">
+            <a href="${process.env.FRONTEND_URL || 'https://expense-reminder-frontend.onrender.com'}/dashboard" style="display: inline-block; background: linear-gradient(135deg, #3b82f6 0%, #0d9488 100%); color: white; text-decoration: none; padding: 12px 30px; border-radius: 25px; font-weight: 600; font-size: 14px;">
+              View Dashboard
+            </a>
+          </div>
+        </div>
+        
+        <div style="text-align: center; padding: 20px; color: #888; font-size: 12px;">
+          <p>You received this ${mode} digest because you chose digest emails in Expense Reminder App.</p>
+          ${unsubscribe.html}
+          <p>© ${new Date().getFullYear()} Expense Reminder. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
   `;
 
-  try {
-    const result = await apiInstance.sendTransacEmail(sendSmtpEmail);
-    console.log(`📧 Email sent to ${to}: ${result.messageId}`);
-    return { success: true, messageId: result.messageId };
-  } catch (error) {
-    console.error(`❌ Failed to send email to ${to}:`, error.message || error.body?.message || error);
-    return { success: false, error: error.message || error.body?.message || 'Unknown error' };
+  const textLines = (items, overdueList) => items.map(item =>
+    `- ${item.expense_name} (${item.category}): ${currency.format(item.amount)}, ` +
+    (overdueList ? `${item.days_overdue} day(s) overdue` : `due ${formatDate(item.due_date)}`)
+  ).join('\n');
+
+  message.text = `
+Hi ${userName},
+
+Here's your ${mode} expense digest.
+${overdue.length > 0 ? `\nOVERDUE (${overdue.length}):\n${textLines(overdue, true)}\n` : ''}${dueSoon.length > 0 ? `\nDUE SOON (${dueSoon.length}):\n${textLines(dueSoon, false)}\n` : ''}
+By category:
+${categoryTotals.map(entry => `- ${entry.category} (${entry.count}): ${currency.format(entry.total)}`).join('\n')}
+
+Total: ${currency.format(grandTotal)}
+
+- Expense Reminder App
+${unsubscribe.text}  `;
+
+  return sendEmail(message, 'Digest email');
+}
+
+/**
+ * Send overdue escalation email for an unpaid expense past its due date
+ */
+async function sendOverdueEmail({ to, userName, expenseName, amount, dueDate, category, daysOverdue, reminderNumber, maxReminders, unsubscribeUrl }) {
+  if (transports.length === 0) {
+    console.log('Email service not initialized');
+    return { success: false, error: 'Email service not configured' };
   }
+
+  const formattedAmount = new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR'
+  }).format(amount);
+
+  const formattedDate = new Date(dueDate).toLocaleDateString('en-IN', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+
+  const overdueText = `${daysOverdue} day${daysOverdue === 1 ? '' : 's'} overdue`;
+  const isFinal = reminderNumber >= maxReminders;
+
+  const message = { to: { email: to, name: userName } };
+  const unsubscribe = addUnsubscribe(message, unsubscribeUrl);
+
+  message.subject = `⚠️ OVERDUE: ${expenseName} - ${formattedAmount} is ${overdueText}`;
+  message.html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Overdue Expense</title>
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f7fa;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #e74c3c 0%, #c0392b 100%); border-radius: 16px 16px 0 0; padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">⚠️ OVERDUE</h1>
+          <p style="color: #fde2e0; margin: 8px 0 0; font-size: 15px;">${overdueText}</p>
+        </div>
+        
+        <div style="background: white; padding: 30px; border-radius: 0 0 16px 16px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <p style="color: #333; font-size: 16px; margin-bottom: 20px;">
+            Hi <strong>${userName}</strong>,
+          </p>
+          
+          <p style="color: #666; font-size: 15px; line-height: 1.6;">
+            The following expense was due on <strong>${formattedDate}</strong> and hasn't been marked as paid yet:
+          </p>
+          
+          <div style="background: #fdf2f2; border-radius: 12px; padding: 20px; margin: 20px 0; border-left: 4px solid #e74c3c;">
+            <table style="width: 100%; border-collapse: collapse;">
+              <tr>
+                <td style="padding: 8px 0; color: #888; font-size: 14px;">Expense</td>
+                <td style="padding: 8px 0; color: #333; font-size: 16px; font-weight: 600; text-align: right;">${expenseName}</td>
+              </tr>
+              <tr>
+                <td style="padding: 8px 0; color: #888; font-size: 14px;">Amount</td>
+                <td style="padding: 8px 0; color: #e74c3c; font-size: 20px; font-weight: 700; text-align: right;">${formattedAmount}</td>
+              </tr>
+              <tr>
+                <td style="padding: 8px 0; color: #888; font-size: 14px;">Category</td>
+                <td style="padding: 8px 0; color: #333; font-size: 16px; text-align: right;">${category}</td>
+              </tr>
+              <tr>
+                <td style="padding: 8px 0; color: #888; font-size: 14px;">Was Due</td>
+                <td style="padding: 8px 0; color: #e74c3c; font-size: 16px; font-weight: 600; text-align: right;">${formattedDate}</td>
+              </tr>
+            </table>
+          </div>
+          
+          <p style="color: #666; font-size: 14px; line-height: 1.6; margin-top: 20px;">
+            If you've already paid, mark it as paid in the app and we'll stop reminding you.
+            ${isFinal ? 'This is the last overdue reminder we\'ll send for this expense.' : ''}
+          </p>
+          
+          <div style="text-align: center; margin-top: 30px;">
+            <a href="${process.env.FRONTEND_URL || 'https://expense-reminder-frontend.onrender.com'}/expenses" style="display: inline-block; background: linear-gradient(135deg, #e74c3c 0%, #c0392b 100%); color: white; text-decoration: none; padding: 12px 30px; border-radius: 25px; font-weight: 600; font-size: 14px;">
+              View Expenses
+            </a>
+          </div>
+        </div>
+        
+        <div style="text-align: center; padding: 20px; color: #888; font-size: 12px;">
+          <p>Overdue reminder ${reminderNumber} of ${maxReminders}. You can change how often you get these in your expense settings.</p>
+          ${unsubscribe.html}
+          <p>© ${new Date().getFullYear()} Expense Reminder. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+  message.text = `
+Hi ${userName},
+
+OVERDUE: this expense is ${overdueText} and hasn't been marked as paid:
+
+Expense: ${expenseName}
+Amount: ${formattedAmount}
+Category: ${category}
+Was Due: ${formattedDate}
+
+If you've already paid, mark it as paid in the app and we'll stop reminding you.
+${isFinal ? 'This is the last overdue reminder for this expense.\n' : ''}
+Overdue reminder ${reminderNumber} of ${maxReminders}
+
+- Expense Reminder App
+${unsubscribe.text}  `;
+
+  return sendEmail(message, 'Overdue email');
 }
 
 /**
  * Send welcome email to new user
  */
 async function sendWelcomeEmail({ to, userName }) {
-  if (!apiInstance) {
+  if (transports.length === 0) {
     return { success: false, error: 'Email service not configured' };
   }
 
-  const fromEmail = process.env.EMAIL_FROM_ADDRESS || 'vasudevyash@gmail.com';
-  const fromName = process.env.EMAIL_FROM_NAME || 'Expense Reminder';
+  const message = { to: { email: to, name: userName } };
 
-  const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
-  
-  sendSmtpEmail.subject = `🎉 Welcome to Expense Reminder, ${userName}!`;
-  sendSmtpEmail.sender = { name: fromName, email: fromEmail };
-  sendSmtpEmail.to = [{ email: to, name: userName }];
-  sendSmtpEmail.htmlContent = `
+  message.subject = `🎉 Welcome to Expense Reminder, ${userName}!`;
+  message.html = `
     <!DOCTYPE html>
     <html>
     <head>
@@ -200,16 +497,340 @@ async function sendWelcomeEmail({ to, userName }) {
     </html>
   `;
 
-  try {
-    const result = await apiInstance.sendTransacEmail(sendSmtpEmail);
-    return { success: true, messageId: result.messageId };
-  } catch (error) {
-    return { success: false, error: error.message || error.body?.message || 'Unknown error' };
+  return sendEmail(message, 'Welcome email');
+}
+
+/**
+ * Send a password reset link
+ * `expiresInMinutes` is how long the link works for
+ */
+async function sendPasswordResetEmail({ to, userName, resetUrl, expiresInMinutes }) {
+  if (transports.length === 0) {
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  const message = { to: { email: to, name: userName } };
+
+  message.subject = '🔑 Reset your Expense Reminder password';
+  message.html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f7fa;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 16px 16px 0 0; padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">🔑 Reset Your Password</h1>
+        </div>
+        
+        <div style="background: white; padding: 30px; border-radius: 0 0 16px 16px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <p style="color: #333; font-size: 16px; margin-bottom: 20px;">
+            Hi <strong>${userName}</strong>,
+          </p>
+          
+          <p style="color: #666; font-size: 15px; line-height: 1.6;">
+            We received a request to reset the password of your Expense Reminder account.
+            Click the button below to choose a new one. The link works once, for the next ${expiresInMinutes} minutes.
+          </p>
+          
+          <div style="text-align: center; margin-top: 30px;">
+            <a href="${resetUrl}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 14px 35px; border-radius: 25px; font-weight: 600; font-size: 16px;">
+              Reset Password
+            </a>
+          </div>
+          
+          <p style="color: #666; font-size: 14px; line-height: 1.6; margin-top: 30px;">
+            If you didn't ask to reset your password, you can ignore this email: your password stays the same.
+          </p>
+        </div>
+        
+        <div style="text-align: center; padding: 20px; color: #888; font-size: 12px;">
+          <p>© ${new Date().getFullYear()} Expense Reminder. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+  message.text = `
+Hi ${userName},
+
+We received a request to reset the password of your Expense Reminder account.
+Open this link to choose a new one. It works once, for the next ${expiresInMinutes} minutes:
+
+${resetUrl}
+
+If you didn't ask to reset your password, you can ignore this email: your password stays the same.
+
+- Expense Reminder App
+  `;
+
+  return sendEmail(message, 'Password reset email');
+}
+
+/**
+ * Send a link to verify the account's email address
+ * Reminders are only sent to verified addresses. With `emailChange`, `to` is the
+ * new address the user asked to switch to, which takes effect once verified.
+ */
+async function sendVerificationEmail({ to, userName, verifyUrl, expiresInHours, emailChange = false }) {
+  if (transports.length === 0) {
+    return { success: false, error: 'Email service not configured' };
   }
+
+  const message = { to: { email: to, name: userName } };
+  const intro = emailChange
+    ? 'You asked to change the email address of your Expense Reminder account to this one. Please confirm it: your reminders move here once you do.'
+    : 'Please confirm that this is your email address. We\'ll start sending your expense reminders here once you do.';
+  const ignore = emailChange
+    ? 'If you didn\'t ask for this, you can ignore this email: the account keeps its current address.'
+    : 'If you didn\'t create an Expense Reminder account, you can ignore this email: we won\'t email this address again.';
+
+  message.subject = '✉️ Confirm your email for Expense Reminder';
+  message.html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f7fa;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 16px 16px 0 0; padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">✉️ Confirm Your Email</h1>
+        </div>
+        
+        <div style="background: white; padding: 30px; border-radius: 0 0 16px 16px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <p style="color: #333; font-size: 16px; margin-bottom: 20px;">
+            Hi <strong>${userName}</strong>,
+          </p>
+          
+          <p style="color: #666; font-size: 15px; line-height: 1.6;">
+            ${intro}
+            The link works for the next ${expiresInHours} hours.
+          </p>
+          
+          <div style="text-align: center; margin-top: 30px;">
+            <a href="${verifyUrl}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 14px 35px; border-radius: 25px; font-weight: 600; font-size: 16px;">
+              Confirm Email
+            </a>
+          </div>
+          
+          <p style="color: #666; font-size: 14px; line-height: 1.6; margin-top: 30px;">
+            ${ignore}
+          </p>
+        </div>
+        
+        <div style="text-align: center; padding: 20px; color: #888; font-size: 12px;">
+          <p>© ${new Date().getFullYear()} Expense Reminder. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+  message.text = `
+Hi ${userName},
+
+${intro}
+Open this link within the next ${expiresInHours} hours:
+
+${verifyUrl}
+
+${ignore}
+
+- Expense Reminder App
+  `;
+
+  return sendEmail(message, 'Verification email');
+}
+
+/**
+ * Tell the user their account was signed in to from a browser it hasn't used before
+ * `time` is shown in the user's timezone
+ */
+async function sendNewSignInEmail({ to, userName, device, ip, time, timezone }) {
+  if (transports.length === 0) {
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  const message = { to: { email: to, name: userName } };
+  const profileUrl = `${process.env.FRONTEND_URL || 'https://expense-reminder-frontend.onrender.com'}/profile`;
+  const formattedTime = `${new Date(time).toLocaleString('en-IN', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: timezone || 'UTC'
+  })} (${timezone || 'UTC'})`;
+
+  message.subject = '🔔 New sign-in to your Expense Reminder account';
+  message.html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f7fa;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 16px 16px 0 0; padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">🔔 New Sign-in</h1>
+        </div>
+        
+        <div style="background: white; padding: 30px; border-radius: 0 0 16px 16px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <p style="color: #333; font-size: 16px; margin-bottom: 20px;">
+            Hi <strong>${userName}</strong>,
+          </p>
+          
+          <p style="color: #666; font-size: 15px; line-height: 1.6;">
+            Your Expense Reminder account was just signed in to from a browser it hasn't used before:
+          </p>
+          
+          <div style="background: #f8f9fa; border-radius: 12px; padding: 20px; margin: 20px 0;">
+            <table style="width: 100%; border-collapse: collapse;">
+              <tr>
+                <td style="padding: 8px 0; color: #888; font-size: 14px;">Device</td>
+                <td style="padding: 8px 0; color: #333; font-size: 14px; text-align: right;">${escapeHtml(device)}</td>
+              </tr>
+              <tr>
+                <td style="padding: 8px 0; color: #888; font-size: 14px;">IP address</td>
+                <td style="padding: 8px 0; color: #333; font-size: 14px; text-align: right;">${escapeHtml(ip || 'Unknown')}</td>
+              </tr>
+              <tr>
+                <td style="padding: 8px 0; color: #888; font-size: 14px;">Time</td>
+                <td style="padding: 8px 0; color: #333; font-size: 14px; text-align: right;">${formattedTime}</td>
+              </tr>
+            </table>
+          </div>
+          
+          <p style="color: #666; font-size: 15px; line-height: 1.6;">
+            If this was you, there's nothing to do. If it wasn't, change your password now:
+            that logs out every other device. You can also see your logged-in devices and recent sign-ins on your profile.
+          </p>
+          
+          <div style="text-align: center; margin-top: 30px;">
+            <a href="${profileUrl}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 14px 35px; border-radius: 25px; font-weight: 600; font-size: 16px;">
+              Review Account
+            </a>
+          </div>
+        </div>
+        
+        <div style="text-align: center; padding: 20px; color: #888; font-size: 12px;">
+          <p>© ${new Date().getFullYear()} Expense Reminder. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+  message.text = `
+Hi ${userName},
+
+Your Expense Reminder account was just signed in to from a browser it hasn't used before:
+
+Device: ${device}
+IP address: ${ip || 'Unknown'}
+Time: ${formattedTime}
+
+If this was you, there's nothing to do. If it wasn't, change your password now:
+that logs out every other device. You can also see your logged-in devices and recent sign-ins on your profile:
+
+${profileUrl}
+
+- Expense Reminder App
+  `;
+
+  return sendEmail(message, 'New sign-in email');
+}
+
+/**
+ * Confirm that the account will be deleted on `deletionDate`, with a link to keep it
+ * The date is shown in the user's timezone
+ */
+async function sendAccountDeletionEmail({ to, userName, deletionDate, restoreUrl, timezone }) {
+  if (transports.length === 0) {
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  const message = { to: { email: to, name: userName } };
+  const formattedDate = new Date(deletionDate).toLocaleDateString('en-IN', {
+    dateStyle: 'long',
+    timeZone: timezone || 'UTC'
+  });
+
+  message.subject = '🗑️ Your Expense Reminder account will be deleted';
+  message.html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f7fa;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 16px 16px 0 0; padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">🗑️ Account Deletion</h1>
+        </div>
+        
+        <div style="background: white; padding: 30px; border-radius: 0 0 16px 16px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <p style="color: #333; font-size: 16px; margin-bottom: 20px;">
+            Hi <strong>${userName}</strong>,
+          </p>
+          
+          <p style="color: #666; font-size: 15px; line-height: 1.6;">
+            As you asked, your Expense Reminder account is scheduled for deletion on
+            <strong>${formattedDate}</strong>. You have been logged out everywhere and won't get any more reminders.
+            On that date your expenses, reminders and everything else in the account are deleted for good.
+          </p>
+          
+          <p style="color: #666; font-size: 15px; line-height: 1.6;">
+            Changed your mind? Keep your account with the button below, any time before then:
+          </p>
+          
+          <div style="text-align: center; margin-top: 30px;">
+            <a href="${restoreUrl}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 14px 35px; border-radius: 25px; font-weight: 600; font-size: 16px;">
+              Keep My Account
+            </a>
+          </div>
+          
+          <p style="color: #666; font-size: 14px; line-height: 1.6; margin-top: 30px;">
+            If you didn't ask to delete your account, use the button above and then change your password.
+          </p>
+        </div>
+        
+        <div style="text-align: center; padding: 20px; color: #888; font-size: 12px;">
+          <p>© ${new Date().getFullYear()} Expense Reminder. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+  message.text = `
+Hi ${userName},
+
+As you asked, your Expense Reminder account is scheduled for deletion on ${formattedDate}.
+You have been logged out everywhere and won't get any more reminders. On that date your
+expenses, reminders and everything else in the account are deleted for good.
+
+Changed your mind? Open this link to keep your account, any time before then:
+
+${restoreUrl}
+
+If you didn't ask to delete your account, use the link above and then change your password.
+
+- Expense Reminder App
+  `;
+
+  return sendEmail(message, 'Account deletion email');
 }
 
 module.exports = {
   initializeTransporter,
+  getTransportNames,
   sendReminderEmail,
-  sendWelcomeEmail
+  sendDigestEmail,
+  sendOverdueEmail,
+  sendWelcomeEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendNewSignInEmail,
+  sendAccountDeletionEmail
 };
@@ -0,0 +1,226 @@
+/**
+ * Email Transports
+ * Provider-agnostic delivery for the messages built in emailService.
+ *
+ * Drivers:
+ * - brevo:  Brevo transactional API (BREVO_API_KEY)
+ * - resend: Resend API (RESEND_API_KEY)
+ * - smtp:   any SMTP server via nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ * - outbox: writes .eml files to EMAIL_OUTBOX_DIR (default ./outbox) instead of sending,
+ *           for local testing without network access
+ *
+ * EMAIL_TRANSPORT picks the drivers in order of preference, e.g. "smtp,brevo".
+ * When it isn't set, every network driver with credentials is used (brevo, resend, smtp).
+ * A message that fails on one driver is retried on the next.
+ *
+ * A message is { from: { name, email }, to: { name, email }, subject, html, text, headers, attachments },
+ * where each attachment is { filename, content (string), contentType }.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_TRANSPORT_ORDER = ['brevo', 'resend', 'smtp'];
+
+function formatAddress({ name, email }) {
+  return name ? `"${name.replace(/"/g, '')}" <${email}>` : email;
+}
+
+/**
+ * Brevo transactional email API
+ */
+function createBrevoTransport() {
+  if (!process.env.BREVO_API_KEY) {
+    return null;
+  }
+
+  const SibApiV3Sdk = require('@getbrevo/brevo');
+  const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
+  apiInstance.authentications['apiKey'].apiKey = process.env.BREVO_API_KEY;
+
+  return {
+    name: 'brevo',
+    async send(message) {
+      const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+      sendSmtpEmail.subject = message.subject;
+      sendSmtpEmail.sender = message.from;
+      sendSmtpEmail.to = [message.to];
+      sendSmtpEmail.htmlContent = message.html;
+      sendSmtpEmail.textContent = message.text;
+      if (message.headers) {
+        sendSmtpEmail.headers = message.headers;
+      }
+      if (message.attachments) {
+        sendSmtpEmail.attachment = message.attachments.map(({ filename, content }) => ({
+          name: filename,
+          content: Buffer.from(content).toString('base64')
+        }));
+      }
+
+      try {
+        const result = await apiInstance.sendTransacEmail(sendSmtpEmail);
+        return { messageId: result.body?.messageId };
+      } catch (error) {
+        throw new Error(error.body?.message || error.message || 'Brevo request failed');
+      }
+    }
+  };
+}
+
+/**
+ * Resend API
+ */
+function createResendTransport() {
+  if (!process.env.RESEND_API_KEY) {
+    return null;
+  }
+
+  const { Resend } = require('resend');
+  const resend = new Resend(process.env.RESEND_API_KEY);
+
+  return {
+    name: 'resend',
+    async send(message) {
+      // Resend reports failures in the result instead of throwing
+      const { data, error } = await resend.emails.send({
+        from: formatAddress(message.from),
+        to: [message.to.email],
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        headers: message.headers,
+        attachments: message.attachments && message.attachments.map(({ filename, content, contentType }) => ({
+          filename,
+          content: Buffer.from(content),
+          contentType
+        }))
+      });
+      if (error) {
+        throw new Error(error.message || 'Resend request failed');
+      }
+      return { messageId: data?.id };
+    }
+  };
+}
+
+/**
+ * SMTP via nodemailer
+ */
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    return null;
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(toNodemailerMessage(message));
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+/**
+ * Local file sink: renders each message as an RFC 822 .eml file
+ */
+function createOutboxTransport() {
+  const directory = path.resolve(process.env.EMAIL_OUTBOX_DIR || 'outbox');
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'outbox',
+    async send(message) {
+      const info = await transporter.sendMail(toNodemailerMessage(message));
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/^<|@.*$/g, '')}.eml`;
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, fileName), info.message);
+      return { messageId: info.messageId, file: path.join(directory, fileName) };
+    }
+  };
+}
+
+function toNodemailerMessage(message) {
+  return {
+    from: { name: message.from.name, address: message.from.email },
+    to: { name: message.to.name, address: message.to.email },
+    subject: message.subject,
+    html: message.html,
+    text: message.text,
+    headers: message.headers,
+    attachments: message.attachments
+  };
+}
+
+const TRANSPORT_DRIVERS = {
+  brevo: createBrevoTransport,
+  resend: createResendTransport,
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport
+};
+
+/**
+ * Build the configured transports, in order of preference
+ * Drivers named in EMAIL_TRANSPORT but missing their credentials are skipped with a warning
+ */
+function loadTransports() {
+  const requested = process.env.EMAIL_TRANSPORT
+    ? process.env.EMAIL_TRANSPORT.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_TRANSPORT_ORDER;
+
+  const transports = [];
+  for (const name of requested) {
+    const createTransport = TRANSPORT_DRIVERS[name];
+    if (!createTransport) {
+      console.log(`⚠️  Unknown email transport "${name}" (expected one of: ${Object.keys(TRANSPORT_DRIVERS).join(', ')})`);
+      continue;
+    }
+
+    const transport = createTransport();
+    if (transport) {
+      transports.push(transport);
+    } else if (process.env.EMAIL_TRANSPORT) {
+      console.log(`⚠️  Email transport "${name}" is not configured, skipping`);
+    }
+  }
+  return transports;
+}
+
+/**
+ * Send a message through the first transport that accepts it
+ * Returns { success, messageId, transport } or { success: false, error }
+ */
+async function sendWithFailover(transports, message) {
+  if (transports.length === 0) {
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  const errors = [];
+  for (const transport of transports) {
+    try {
+      const result = await transport.send(message);
+      return { success: true, transport: transport.name, ...result };
+    } catch (error) {
+      errors.push(`${transport.name}: ${error.message}`);
+      console.error(`⚠️  Email transport "${transport.name}" failed for ${message.to.email}: ${error.message}`);
+    }
+  }
+  return { success: false, error: errors.join('; ') };
+}
+
+module.exports = {
+  TRANSPORT_DRIVERS,
+  loadTransports,
+  sendWithFailover
+};
@@ -0,0 +1,50 @@
+/**
+ * HTML Pages
+ * Small standalone pages, styled like the emails, for links opened straight
+ * from an email client (email actions, unsubscribe)
+ */
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Render a page in the same style as the emails
+ * `body` is trusted HTML; escape anything user-provided before passing it in
+ */
+function renderPage(res, status, { title, body }) {
+  const dashboardUrl = `${process.env.FRONTEND_URL || 'https://expense-reminder-frontend.onrender.com'}/dashboard`;
+
+  res.status(status).type('html').send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <meta name="robots" content="noindex">
+      <title>${escapeHtml(title)} - Expense Reminder</title>
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f7fa;">
+      <div style="max-width: 480px; margin: 0 auto; padding: 40px 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 16px 16px 0 0; padding: 24px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 24px;">${escapeHtml(title)}</h1>
+        </div>
+        <div style="background: white; padding: 30px; border-radius: 0 0 16px 16px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); text-align: center;">
+          ${body}
+          <p style="margin-top: 24px;">
+            <a href="${dashboardUrl}" style="color: #667eea; font-size: 14px;">Open your dashboard</a>
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `);
+}
+
+module.exports = {
+  escapeHtml,
+  renderPage
+};
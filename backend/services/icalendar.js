@@ -0,0 +1,163 @@
+/**
+ * iCalendar Formatting
+ * Serializes calendars of all-day events to RFC 5545 text (.ics files and feeds).
+ * Only the parts this app uses: all-day VEVENTs with optional RRULE, EXDATE,
+ * RECURRENCE-ID overrides and VALARM reminders.
+ *
+ * An event is { uid, date, summary, description, categories, url, rrule, exdates,
+ * recurrenceId, alarms } where dates are "YYYY-MM-DD" and each alarm is either
+ * { hours } (relative to the start of the event's day, negative = before) or
+ * { at } (a Date or ISO timestamp).
+ */
+
+const { toDateOnly, addDays } = require('./dateOnly');
+
+const PRODUCT_ID = '-//Expense Reminder//Due Dates//EN';
+
+// Lines longer than this many octets are folded (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into chunks of at most 75 octets, never splitting a character
+ */
+function foldLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    if (octets + size > MAX_LINE_OCTETS - (chunks.length > 0 ? 1 : 0)) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+}
+
+/**
+ * "YYYY-MM-DD" -> "YYYYMMDD"
+ */
+function formatDate(value) {
+  return toDateOnly(value).replace(/-/g, '');
+}
+
+/**
+ * A timestamp as a UTC DATE-TIME, e.g. "20261019T093000Z"
+ */
+function formatDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * A signed number of hours as a DURATION, e.g. -15 -> "-PT15H"
+ */
+function formatDuration(hours) {
+  if (hours === 0) return 'PT0S';
+  return `${hours < 0 ? '-' : ''}PT${Math.abs(hours)}H`;
+}
+
+function formatAlarm(alarm, summary) {
+  const trigger = alarm.at
+    ? `TRIGGER;VALUE=DATE-TIME:${formatDateTime(alarm.at)}`
+    : `TRIGGER:${formatDuration(alarm.hours)}`;
+
+  return [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(summary)}`,
+    trigger,
+    'END:VALARM'
+  ];
+}
+
+function formatEvent(event, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+    `DTEND;VALUE=DATE:${formatDate(addDays(event.date, 1))}`
+  ];
+
+  if (event.recurrenceId) {
+    lines.push(`RECURRENCE-ID;VALUE=DATE:${formatDate(event.recurrenceId)}`);
+  }
+  if (event.rrule) {
+    lines.push(`RRULE:${event.rrule}`);
+  }
+  if (event.exdates && event.exdates.length > 0) {
+    lines.push(`EXDATE;VALUE=DATE:${event.exdates.map(formatDate).join(',')}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.categories) {
+    lines.push(`CATEGORIES:${escapeText(event.categories)}`);
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+  // Due dates are reminders, not meetings: don't show the day as busy
+  lines.push('TRANSP:TRANSPARENT');
+
+  for (const alarm of event.alarms || []) {
+    lines.push(...formatAlarm(alarm, event.summary));
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Serialize a calendar
+ * `refreshHours` hints how often subscribed clients should re-fetch a feed
+ */
+function buildCalendar({ name, events, refreshHours = null }) {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  if (refreshHours) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`);
+    lines.push(`X-PUBLISHED-TTL:PT${refreshHours}H`);
+  }
+
+  for (const event of events) {
+    lines.push(...formatEvent(event, stamp));
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar
+};
@@ -0,0 +1,38 @@
+/**
+ * Job Lock
+ * Postgres advisory locks that keep a background job from running twice at once,
+ * whether the second run comes from another instance's cron or a manual trigger.
+ *
+ * The lock is a session lock held on a dedicated client for the whole run, so it
+ * is released automatically if the process dies mid-run.
+ */
+
+const { getPool } = require('../config/database');
+
+/**
+ * Run `callback` only if no other process holds the lock for `name`
+ * Returns { acquired: true, result } or { acquired: false } when the job is
+ * already running elsewhere
+ */
+async function withJobLock(name, callback) {
+  const client = await getPool().connect();
+
+  try {
+    const { rows: [lock] } = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS acquired', [name]);
+    if (!lock.acquired) {
+      return { acquired: false };
+    }
+
+    try {
+      return { acquired: true, result: await callback() };
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [name]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  withJobLock
+};
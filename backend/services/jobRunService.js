@@ -0,0 +1,146 @@
+/**
+ * Job Run Service
+ * Records each run of a background job (job_runs) and whether a job's cron
+ * schedule is paused (job_settings). Both live in Postgres so every instance
+ * sees the same history and pause state.
+ */
+
+const { query, queryOne, execute } = require('../config/database');
+
+const JOBS = ['reminders', 'recurrence', 'account_deletion'];
+
+/**
+ * Run `callback(stats)` and record it in job_runs
+ * The callback fills in stats (processed, sent, failed, recurring_created, errors)
+ * and sets stats.skipped when another instance was already running the job.
+ * Returns the recorded run. A run that throws or reports errors is recorded as failed.
+ */
+async function recordJobRun(job, trigger, callback) {
+  const stats = { processed: 0, sent: 0, failed: 0, recurring_created: 0, errors: [], skipped: false };
+
+  // Recording is best-effort: the job still runs if the history can't be written
+  let run = null;
+  try {
+    run = await queryOne('INSERT INTO job_runs (job, trigger) VALUES ($1, $2) RETURNING *', [job, trigger]);
+  } catch (error) {
+    console.error(`Could not record ${job} run:`, error.message);
+  }
+
+  try {
+    await callback(stats);
+  } catch (error) {
+    console.error(`Error running ${job} job:`, error);
+    stats.errors.push(error.message);
+  }
+
+  let status = 'succeeded';
+  if (stats.skipped) {
+    status = 'skipped';
+  } else if (stats.errors.length > 0) {
+    status = 'failed';
+  }
+
+  if (!run) {
+    return { job, trigger, status, ...stats };
+  }
+
+  try {
+    return await queryOne(`
+      UPDATE job_runs
+      SET status = $1, processed = $2, sent = $3, failed = $4, recurring_created = $5, errors = $6,
+          finished_at = CURRENT_TIMESTAMP
+      WHERE id = $7
+      RETURNING *
+    `, [status, stats.processed, stats.sent, stats.failed, stats.recurring_created, JSON.stringify(stats.errors), run.id]);
+  } catch (error) {
+    console.error(`Could not record ${job} run:`, error.message);
+    return { ...run, status, ...stats };
+  }
+}
+
+/**
+ * Recent runs, newest first
+ */
+async function listJobRuns({ job, limit, offset }) {
+  const params = [];
+  let where = '';
+  if (job) {
+    params.push(job);
+    where = 'WHERE job = $1';
+  }
+
+  const [{ total }] = await query(`SELECT COUNT(*)::int AS total FROM job_runs ${where}`, params);
+  const runs = await query(`
+    SELECT * FROM job_runs ${where}
+    ORDER BY started_at DESC, id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  return { runs, total };
+}
+
+/**
+ * Status of every job: pause state and latest run
+ */
+async function getJobStatuses() {
+  const settings = await query('SELECT * FROM job_settings');
+  const latestRuns = await query(`
+    SELECT DISTINCT ON (job) * FROM job_runs
+    ORDER BY job, started_at DESC, id DESC
+  `);
+
+  return JOBS.map((job) => {
+    const setting = settings.find(row => row.job === job);
+    return {
+      job,
+      paused: !!setting?.paused,
+      paused_changed_at: setting?.updated_at || null,
+      last_run: latestRuns.find(row => row.job === job) || null
+    };
+  });
+}
+
+/**
+ * Whether a job's cron schedule is paused
+ */
+async function isJobPaused(job) {
+  const setting = await queryOne('SELECT paused FROM job_settings WHERE job = $1', [job]);
+  return !!setting?.paused;
+}
+
+/**
+ * Pause or resume a job's cron schedule (manual runs are always allowed)
+ */
+async function setJobPaused(job, paused, userId) {
+  await execute(`
+    INSERT INTO job_settings (job, paused, updated_by, updated_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+    ON CONFLICT (job) DO UPDATE
+    SET paused = EXCLUDED.paused, updated_by = EXCLUDED.updated_by, updated_at = EXCLUDED.updated_at
+  `, [job, paused, userId]);
+}
+
+/**
+ * Run a scheduled job unless its cron schedule is paused
+ */
+async function runUnlessPaused(job, run) {
+  try {
+    if (await isJobPaused(job)) {
+      console.log(`\n⏸️  ${job} job is paused, skipping scheduled run`);
+      return;
+    }
+    await run();
+  } catch (error) {
+    console.error(`Error running scheduled ${job} job:`, error);
+  }
+}
+
+module.exports = {
+  JOBS,
+  recordJobRun,
+  runUnlessPaused,
+  listJobRuns,
+  getJobStatuses,
+  isJobPaused,
+  setJobPaused
+};
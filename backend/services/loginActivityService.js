@@ -0,0 +1,201 @@
+/**
+ * Login Activity
+ * Per-account brute-force protection and login history.
+ *
+ * Every wrong password or two-factor code counts against the account, whatever
+ * IP it comes from. From LOCKOUT_THRESHOLD failures in a row the account is
+ * locked for a while, doubling with each further failure up to
+ * LOCKOUT_MAX_MINUTES; a successful login (or a password reset) clears it.
+ * Emails without an account are counted and locked the same way (by a hash of
+ * the email, in unknown_login_attempts), so the responses don't tell which
+ * emails are registered.
+ *
+ * Each attempt on an existing account is kept in login_history for
+ * LOGIN_HISTORY_DAYS. A successful login from a browser the account hasn't
+ * signed in with before gets a "new sign-in" email.
+ */
+
+const crypto = require('crypto');
+const { query, queryOne, execute } = require('../config/database');
+const { deviceInfo } = require('./sessionService');
+const { sendNewSignInEmail } = require('./emailService');
+
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MINUTES = 1;
+const LOCKOUT_MAX_MINUTES = 60;
+
+const LOGIN_HISTORY_DAYS = 90;
+
+// Counts a failure on a row with failed_login_attempts and locked_until ($2-$4: the lockout settings)
+const COUNT_FAILURE = `
+  failed_login_attempts = failed_login_attempts + 1,
+  locked_until = CASE
+    WHEN failed_login_attempts + 1 >= $2
+    THEN NOW() + LEAST($3 * POWER(2, failed_login_attempts + 1 - $2), $4) * INTERVAL '1 minute'
+    ELSE locked_until
+  END`;
+
+function hashEmail(email) {
+  return crypto.createHash('sha256').update(String(email)).digest('hex');
+}
+
+/**
+ * Short description of a user agent, e.g. "Chrome on Windows"
+ * (the frontend's describeBrowser, for emails)
+ */
+function describeUserAgent(agent) {
+  if (!agent) {
+    return 'Unknown device';
+  }
+
+  const browser = /Edg\//.test(agent) ? 'Edge'
+    : /Firefox\//.test(agent) ? 'Firefox'
+      : /Chrome\//.test(agent) ? 'Chrome'
+        : /Safari\//.test(agent) ? 'Safari'
+          : 'Browser';
+  const system = /Android/.test(agent) ? 'Android'
+    : /iPhone|iPad/.test(agent) ? 'iOS'
+      : /Windows/.test(agent) ? 'Windows'
+        : /Mac OS/.test(agent) ? 'macOS'
+          : /Linux/.test(agent) ? 'Linux'
+            : null;
+  return system ? `${browser} on ${system}` : browser;
+}
+
+/**
+ * Seconds until the user's account unlocks, or 0 if it isn't locked
+ */
+async function lockoutSecondsLeft(userId) {
+  const row = await queryOne(
+    `SELECT CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int AS seconds
+     FROM users WHERE id = $1 AND locked_until > NOW()`,
+    [userId]
+  );
+  return row ? row.seconds : 0;
+}
+
+/**
+ * Seconds until an email without an account unlocks, or 0 if it isn't locked
+ */
+async function unknownEmailLockoutSecondsLeft(email) {
+  const row = await queryOne(
+    `SELECT CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int AS seconds
+     FROM unknown_login_attempts WHERE email_hash = $1 AND locked_until > NOW()`,
+    [hashEmail(email)]
+  );
+  return row ? row.seconds : 0;
+}
+
+async function recordAttempt(userId, req, success, failureReason = null) {
+  const { userAgent, ip } = deviceInfo(req);
+
+  await execute(
+    `INSERT INTO login_history (user_id, ip, user_agent, success, failure_reason)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [userId, ip, userAgent, success, failureReason]
+  );
+  await execute(
+    `DELETE FROM login_history WHERE user_id = $1 AND created_at < NOW() - $2 * INTERVAL '1 day'`,
+    [userId, LOGIN_HISTORY_DAYS]
+  );
+}
+
+/**
+ * Record a failed login: `reason` is 'password', 'two_factor' or 'locked'
+ * Wrong passwords and codes count towards locking the account; attempts while
+ * it is locked are only recorded.
+ */
+async function recordFailedLogin(userId, req, reason) {
+  await recordAttempt(userId, req, false, reason);
+
+  if (reason === 'locked') {
+    return;
+  }
+
+  const result = await queryOne(
+    `UPDATE users SET ${COUNT_FAILURE}
+     WHERE id = $1
+     RETURNING failed_login_attempts, locked_until`,
+    [userId, LOCKOUT_THRESHOLD, LOCKOUT_BASE_MINUTES, LOCKOUT_MAX_MINUTES]
+  );
+
+  if (result && result.failed_login_attempts >= LOCKOUT_THRESHOLD) {
+    console.warn(`⚠️  ${result.failed_login_attempts} failed logins in a row for user ${userId}, locked until ${result.locked_until.toISOString()}`);
+  }
+}
+
+/**
+ * Record a wrong password for an email without an account; counts towards
+ * locking the email like recordFailedLogin does for an account
+ */
+async function recordFailedUnknownLogin(email) {
+  const emailHash = hashEmail(email);
+
+  await execute(
+    'INSERT INTO unknown_login_attempts (email_hash) VALUES ($1) ON CONFLICT (email_hash) DO NOTHING',
+    [emailHash]
+  );
+  await execute(
+    `UPDATE unknown_login_attempts SET ${COUNT_FAILURE}, updated_at = NOW()
+     WHERE email_hash = $1`,
+    [emailHash, LOCKOUT_THRESHOLD, LOCKOUT_BASE_MINUTES, LOCKOUT_MAX_MINUTES]
+  );
+  await execute(
+    `DELETE FROM unknown_login_attempts WHERE updated_at < NOW() - $1 * INTERVAL '1 day'`,
+    [LOGIN_HISTORY_DAYS]
+  );
+}
+
+/**
+ * Record a successful login (once the password and any two-factor code are
+ * right): clears failed attempts, and emails the user if it is from a new browser
+ */
+async function recordSuccessfulLogin(user, req) {
+  const { userAgent, ip } = deviceInfo(req);
+
+  await execute('UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = $1', [user.id]);
+
+  // No email for an account's first recorded login: there is nothing to compare with
+  const known = await queryOne(
+    `SELECT COUNT(*)::int AS logins,
+            COUNT(*) FILTER (WHERE user_agent IS NOT DISTINCT FROM $2)::int AS from_browser
+     FROM login_history WHERE user_id = $1 AND success`,
+    [user.id, userAgent]
+  );
+
+  await recordAttempt(user.id, req, true);
+
+  if (known.logins > 0 && known.from_browser === 0) {
+    sendNewSignInEmail({
+      to: user.email,
+      userName: user.name,
+      device: describeUserAgent(userAgent),
+      ip,
+      time: new Date(),
+      timezone: user.timezone
+    }).catch(error => console.error('New sign-in email error:', error));
+  }
+}
+
+/**
+ * The user's recent login attempts, newest first
+ */
+async function listLoginHistory(userId, limit = 50) {
+  return query(
+    `SELECT id, ip, user_agent, success, failure_reason, created_at
+     FROM login_history
+     WHERE user_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2`,
+    [userId, limit]
+  );
+}
+
+module.exports = {
+  lockoutSecondsLeft,
+  unknownEmailLockoutSecondsLeft,
+  recordFailedLogin,
+  recordFailedUnknownLogin,
+  recordSuccessfulLogin,
+  listLoginHistory
+};
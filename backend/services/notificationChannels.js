@@ -0,0 +1,411 @@
+/**
+ * Notification Channels
+ * Every queued notification is delivered over one channel (see notificationService).
+ *
+ * Channels:
+ * - email:    the notification emails in emailService, to the account's address
+ * - webpush:  browser Web Push with VAPID (VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT)
+ * - telegram: messages from a Telegram bot (TELEGRAM_BOT_TOKEN; TELEGRAM_API_URL for another Bot API server)
+ * - sms:      text messages through an SMS gateway (SMS_PROVIDER, see SMS_GATEWAYS)
+ * - http:     a JSON POST to a URL of the user's choosing
+ *
+ * Every channel except email delivers to the user's notification destinations:
+ * push subscriptions, Telegram chat ids, phone numbers and URLs (see destinationService).
+ * A channel is available when the server has its settings.
+ *
+ * A channel is { name, label, needsDestination, isAvailable(), send(notification, destination) }.
+ * send resolves to { provider, messageId } and throws on failure. Errors marked
+ * `permanent` mean the destination won't accept messages anymore (an expired push
+ * subscription, a bot the user blocked), so they aren't retried.
+ *
+ * Every request has a base URL that can point at a local stub server for testing:
+ * push endpoints come from the subscription, and TELEGRAM_API_URL, TWILIO_API_URL and
+ * SMS_GATEWAY_URL override the providers. Push endpoints and HTTP destinations are
+ * chosen by users, so they may only reach public addresses (see publicUrl) and
+ * their response bodies never end up in errors.
+ */
+
+const webpush = require('web-push');
+const { queryOne } = require('../config/database');
+const emailService = require('./emailService');
+const { postToPublicUrl } = require('./publicUrl');
+
+// How long to wait for a provider to respond
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// How long a push service keeps a message for a browser that is offline
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+// Push messages are limited to about 4 KB once encrypted; long digests are cut short
+const PUSH_MAX_BODY_LENGTH = 1000;
+
+// Email sender for each kind of notification, looked up when sending
+const EMAIL_SENDERS = {
+  reminder: 'sendReminderEmail',
+  overdue: 'sendOverdueEmail',
+  digest: 'sendDigestEmail'
+};
+
+const frontendUrl = (path) => `${process.env.FRONTEND_URL || 'https://expense-reminder-frontend.onrender.com'}${path}`;
+
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+/**
+ * POST to a user's push endpoint or URL, on public addresses only; returns { status, ok, headers }
+ */
+async function postToDestination(url, { headers = {}, body }) {
+  return postToPublicUrl(url, { headers, body, timeoutMs: REQUEST_TIMEOUT_MS });
+}
+
+/**
+ * POST to a provider the server is configured with (Telegram, Twilio, an SMS gateway)
+ * and return { response, body }; body is the parsed JSON response, if any
+ */
+async function post(url, { headers = {}, body }) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new Error(error.name === 'TimeoutError'
+      ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s`
+      : error.cause?.message || error.message);
+  }
+
+  const text = await response.text();
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    // Not JSON; callers fall back to the status code
+  }
+  return { response, body: parsed };
+}
+
+function formatAmount(amount) {
+  return new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(amount);
+}
+
+// Due dates are date-only values; format them in UTC so they never shift a day
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Short plain-text version of a notification for push, chat and SMS
+ * Returns { title, body, url }; reminders also get markPaidUrl when they have action links
+ */
+function renderText(kind, payload) {
+  switch (kind) {
+    case 'reminder':
+      return {
+        title: `💰 ${payload.expenseName} is due ${formatDate(payload.dueDate)}`,
+        body: `${formatAmount(payload.amount)} (${payload.category}) is due on ${formatDate(payload.dueDate)}.`,
+        url: frontendUrl('/dashboard'),
+        markPaidUrl: payload.actions?.markPaid
+      };
+    case 'overdue':
+      return {
+        title: `🚨 ${payload.expenseName} is overdue`,
+        body: `${formatAmount(payload.amount)} was due on ${formatDate(payload.dueDate)}, ${payload.daysOverdue} day${payload.daysOverdue === 1 ? '' : 's'} ago.`,
+        url: frontendUrl('/expenses')
+      };
+    case 'digest': {
+      const lines = [
+        ...payload.overdue.map(item => `• ${item.expense_name}: ${formatAmount(item.amount)}, overdue since ${formatDate(item.due_date)}`),
+        ...payload.dueSoon.map(item => `• ${item.expense_name}: ${formatAmount(item.amount)}, due ${formatDate(item.due_date)}`)
+      ];
+      return {
+        title: `📋 Your ${payload.mode} expense digest: ${payload.overdue.length} overdue, ${payload.dueSoon.length} due soon`,
+        body: lines.join('\n'),
+        url: frontendUrl('/dashboard')
+      };
+    }
+    default:
+      return {
+        title: '🔔 Test notification',
+        body: 'Expense reminders will arrive here.',
+        url: frontendUrl('/settings')
+      };
+  }
+}
+
+/**
+ * Email, using the app's email transports
+ */
+const emailChannel = {
+  name: 'email',
+  label: 'Email',
+  needsDestination: false,
+  isAvailable: () => true,
+  async send(notification) {
+    const result = await emailService[EMAIL_SENDERS[notification.kind]](notification.payload);
+    if (!result.success) {
+      throw new Error(result.error || 'Unknown error');
+    }
+    return { provider: result.transport, messageId: result.messageId };
+  }
+};
+
+/**
+ * Browser Web Push (RFC 8030) with VAPID authentication
+ * web-push encrypts the message and signs the request; it is sent to the
+ * subscription's endpoint, which must be https on a public address
+ */
+const webPushChannel = {
+  name: 'webpush',
+  label: 'Browser push',
+  needsDestination: true,
+  isAvailable: () => Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY),
+  async send(notification, destination) {
+    const message = renderText(notification.kind, notification.payload);
+    message.body = message.body.slice(0, PUSH_MAX_BODY_LENGTH);
+
+    const request = webpush.generateRequestDetails(
+      { endpoint: destination.address, keys: destination.keys },
+      JSON.stringify(message),
+      {
+        vapidDetails: {
+          subject: process.env.VAPID_SUBJECT || `mailto:${process.env.EMAIL_FROM_ADDRESS || 'vasudevyash@gmail.com'}`,
+          publicKey: process.env.VAPID_PUBLIC_KEY,
+          privateKey: process.env.VAPID_PRIVATE_KEY
+        },
+        TTL: PUSH_TTL_SECONDS
+      }
+    );
+
+    if (!request.endpoint.startsWith('https://')) {
+      throw permanentError('Push endpoint must be an https:// URL');
+    }
+    const response = await postToDestination(request.endpoint, { headers: request.headers, body: request.body });
+    // 404 and 410 mean the browser unsubscribed or the subscription expired
+    if (response.status === 404 || response.status === 410) {
+      throw permanentError(`Push subscription is no longer valid (HTTP ${response.status})`);
+    }
+    if (!response.ok) {
+      throw new Error(`Push service returned HTTP ${response.status}`);
+    }
+    // The push service's URL for the message, if it returned one
+    return { provider: 'webpush', messageId: response.headers.location?.slice(0, 255) };
+  }
+};
+
+/**
+ * Telegram Bot API sendMessage; the destination is a chat id
+ */
+const telegramChannel = {
+  name: 'telegram',
+  label: 'Telegram',
+  needsDestination: true,
+  isAvailable: () => Boolean(process.env.TELEGRAM_BOT_TOKEN),
+  async send(notification, destination) {
+    const { title, body, url, markPaidUrl } = renderText(notification.kind, notification.payload);
+    const text = [title, '', body, '', url, ...(markPaidUrl ? [`Mark paid: ${markPaidUrl}`] : [])].join('\n');
+    const apiUrl = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+
+    const { response, body: result } = await post(`${apiUrl}/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chat_id: destination.address, text, disable_web_page_preview: true })
+    });
+    if (!result?.ok) {
+      const message = `Telegram: ${result?.description || `HTTP ${response.status}`}`;
+      // 403: the user blocked the bot or left the chat
+      throw response.status === 403 ? permanentError(message) : new Error(message);
+    }
+    return { provider: 'telegram', messageId: String(result.result.message_id) };
+  }
+};
+
+/**
+ * Twilio Messages API
+ */
+function createTwilioGateway() {
+  const { TWILIO_ACCOUNT_SID: accountSid, TWILIO_AUTH_TOKEN: authToken, TWILIO_FROM: from } = process.env;
+  if (!accountSid || !authToken || !from) {
+    return null;
+  }
+  const apiUrl = process.env.TWILIO_API_URL || 'https://api.twilio.com';
+
+  return {
+    name: 'twilio',
+    async send(to, text) {
+      const { response, body } = await post(`${apiUrl}/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`
+        },
+        body: new URLSearchParams({ To: to, From: from, Body: text }).toString()
+      });
+      if (!response.ok) {
+        const message = `Twilio: ${body?.message || `HTTP ${response.status}`}`;
+        // 21211: invalid number, 21610: the recipient replied STOP
+        throw [21211, 21610].includes(body?.code) ? permanentError(message) : new Error(message);
+      }
+      return { messageId: body?.sid || null };
+    }
+  };
+}
+
+/**
+ * Any SMS gateway that accepts a JSON POST of { to, message }
+ * SMS_GATEWAY_TOKEN, if set, is sent as a Bearer token. The response may
+ * include the gateway's message id as `id` or `message_id`.
+ */
+function createHttpSmsGateway() {
+  if (!process.env.SMS_GATEWAY_URL) {
+    return null;
+  }
+
+  return {
+    name: 'sms-gateway',
+    async send(to, text) {
+      const { response, body } = await post(process.env.SMS_GATEWAY_URL, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.SMS_GATEWAY_TOKEN && { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` })
+        },
+        body: JSON.stringify({ to, message: text })
+      });
+      if (!response.ok) {
+        throw new Error(`SMS gateway returned HTTP ${response.status}`);
+      }
+      const messageId = body?.id ?? body?.message_id;
+      return { messageId: messageId == null ? null : String(messageId) };
+    }
+  };
+}
+
+// SMS_PROVIDER → gateway factory; a gateway is { name, send(to, text) } resolving to { messageId }
+const SMS_GATEWAYS = {
+  twilio: createTwilioGateway,
+  http: createHttpSmsGateway
+};
+
+function createSmsGateway() {
+  const factory = SMS_GATEWAYS[(process.env.SMS_PROVIDER || '').trim().toLowerCase()];
+  return factory ? factory() : null;
+}
+
+/**
+ * SMS through the configured gateway; the destination is an E.164 phone number
+ */
+const smsChannel = {
+  name: 'sms',
+  label: 'SMS',
+  needsDestination: true,
+  isAvailable: () => Boolean(createSmsGateway()),
+  async send(notification, destination) {
+    const gateway = createSmsGateway();
+    if (!gateway) {
+      throw new Error('SMS gateway not configured');
+    }
+    // Keep it to the title and first lines; links make texts long
+    const { title, body } = renderText(notification.kind, notification.payload);
+    const { messageId } = await gateway.send(destination.address, `${title}\n${body}`.slice(0, 320));
+    return { provider: gateway.name, messageId };
+  }
+};
+
+/**
+ * A JSON POST to the destination URL; any 2xx response counts as delivered
+ * (redirects are not followed)
+ */
+const httpChannel = {
+  name: 'http',
+  label: 'HTTP',
+  needsDestination: true,
+  isAvailable: () => true,
+  async send(notification, destination) {
+    const { title, body, url } = renderText(notification.kind, notification.payload);
+    const response = await postToDestination(destination.address, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ExpenseReminder-Notifications/1.0'
+      },
+      body: JSON.stringify({
+        id: notification.id,
+        kind: notification.kind,
+        title,
+        body,
+        url,
+        expense_id: notification.expense_id,
+        created_at: notification.created_at
+      })
+    });
+    if (response.status === 410) {
+      throw permanentError('Endpoint is gone (HTTP 410)');
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return { provider: 'http', messageId: null };
+  }
+};
+
+const CHANNELS = {
+  email: emailChannel,
+  webpush: webPushChannel,
+  telegram: telegramChannel,
+  sms: smsChannel,
+  http: httpChannel
+};
+
+const CHANNEL_NAMES = Object.keys(CHANNELS);
+
+/**
+ * Names of the channels this server can deliver on
+ */
+function availableChannels() {
+  return CHANNEL_NAMES.filter(name => CHANNELS[name].isAvailable());
+}
+
+/**
+ * Every channel with its label and whether it is available, for the API
+ */
+function describeChannels() {
+  return CHANNEL_NAMES.map(name => ({
+    name,
+    label: CHANNELS[name].label,
+    available: CHANNELS[name].isAvailable(),
+    needs_destination: CHANNELS[name].needsDestination
+  }));
+}
+
+/**
+ * Send a notification over its channel, to its destination
+ * Resolves to { provider, messageId }; throws on failure (see the channel interface above)
+ */
+async function sendNotification(notification, destination = null) {
+  const channel = CHANNELS[notification.channel];
+  if (!channel) {
+    throw new Error(`Unknown channel: ${notification.channel}`);
+  }
+  if (!channel.isAvailable()) {
+    throw new Error(`${channel.label} notifications are not configured on this server`);
+  }
+
+  if (channel.needsDestination && !destination) {
+    destination = notification.destination_id
+      && await queryOne('SELECT * FROM notification_destinations WHERE id = $1', [notification.destination_id]);
+    if (!destination) {
+      throw permanentError('The destination was removed');
+    }
+  }
+  return channel.send(notification, destination);
+}
+
+module.exports = {
+  CHANNEL_NAMES,
+  availableChannels,
+  describeChannels,
+  sendNotification
+};
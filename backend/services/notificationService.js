@@ -0,0 +1,227 @@
+/**
+ * Notification Service
+ * Every outgoing reminder, overdue and digest notification is recorded in the
+ * notifications table before it is sent, one row per channel and destination
+ * (see notificationChannels). The row holds everything needed to send it
+ * (payload), and tracks each delivery attempt: status, attempts, last error,
+ * and the provider and message id it was sent with.
+ *
+ * Statuses:
+ * - pending: queued, not tried yet
+ * - sending: claimed by a delivery run; if that run dies, the claim expires at
+ *            next_attempt_at and another run picks it up
+ * - failed:  last attempt failed, retried at next_attempt_at (exponential backoff)
+ * - sent:    delivered to the provider
+ * - dead:    gave up after MAX_ATTEMPTS, or the destination is gone (dead letter)
+ */
+
+const { query, execute } = require('../config/database');
+const { availableChannels, sendNotification } = require('./notificationChannels');
+
+const NOTIFICATION_KINDS = ['reminder', 'overdue', 'digest'];
+const NOTIFICATION_STATUSES = ['pending', 'sending', 'failed', 'sent', 'dead'];
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MINUTES = 5;
+
+// How long a delivery run may hold a claimed notification before others can retry it
+const SENDING_LEASE_MINUTES = 10;
+
+// How many due notifications one delivery run sends at most
+const DELIVERY_BATCH_SIZE = 100;
+
+/**
+ * Minutes to wait before retrying after the given number of failed attempts
+ * 5, 10, 20, 40, ...
+ */
+function retryDelayMinutes(attempts) {
+  return RETRY_BASE_MINUTES * 2 ** (attempts - 1);
+}
+
+/**
+ * Queue a notification for delivery on each of the given channels
+ * Email goes to the user's address (`email`); the other channels go to each of
+ * the user's destinations for that channel, and are skipped if there are none
+ * or the server isn't set up for them. `payload` is the argument for the kind's
+ * email sender; the other channels render their text from it. Takes a pg client
+ * so it can be queued in the same transaction that marks reminders as sent.
+ * Returns the queued rows.
+ */
+async function queueNotifications(client, { userId, expenseId = null, kind, channels, email, payload }) {
+  const usable = channels.filter(channel => availableChannels().includes(channel));
+  if (usable.length === 0) return [];
+
+  const { rows: destinations } = await client.query(
+    'SELECT id, channel, address, label FROM notification_destinations WHERE user_id = $1 AND channel = ANY($2::text[]) ORDER BY id',
+    [userId, usable]
+  );
+  const targets = [
+    ...(usable.includes('email') ? [{ channel: 'email', recipient: email, destinationId: null }] : []),
+    ...destinations.map(destination => ({
+      channel: destination.channel,
+      recipient: (destination.label || destination.address).slice(0, 255),
+      destinationId: destination.id
+    }))
+  ];
+
+  const queued = [];
+  for (const { channel, recipient, destinationId } of targets) {
+    const result = await client.query(`
+      INSERT INTO notifications (user_id, expense_id, kind, channel, recipient, destination_id, payload)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [userId, expenseId, kind, channel, recipient, destinationId, JSON.stringify(payload)]);
+    queued.push(result.rows[0]);
+  }
+  return queued;
+}
+
+/**
+ * Claim up to `limit` due notifications (new ones, retries whose backoff has passed,
+ * and expired claims) for this run. SKIP LOCKED lets concurrent runs on other
+ * instances claim different rows instead of waiting, so each notification is sent
+ * by exactly one run. The attempt is counted when it is claimed.
+ */
+async function claimDueNotifications(limit) {
+  return query(`
+    UPDATE notifications
+    SET status = 'sending', attempts = attempts + 1,
+        next_attempt_at = CURRENT_TIMESTAMP + make_interval(mins => $2), updated_at = CURRENT_TIMESTAMP
+    WHERE id IN (
+      SELECT id FROM notifications
+      WHERE status IN ('pending', 'sending', 'failed') AND next_attempt_at <= CURRENT_TIMESTAMP
+      ORDER BY next_attempt_at ASC
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [limit, SENDING_LEASE_MINUTES]);
+}
+
+/**
+ * Attempt to send one claimed notification and record the outcome
+ * A permanent failure (the destination is gone) isn't retried, and the
+ * destination is removed. Returns true if it was sent
+ */
+async function deliverNotification(notification) {
+  const { attempts } = notification;
+
+  let result;
+  try {
+    result = { success: true, ...await sendNotification(notification) };
+  } catch (error) {
+    result = { success: false, error: error.message, permanent: Boolean(error.permanent) };
+  }
+
+  if (result.success) {
+    await execute(`
+      UPDATE notifications
+      SET status = 'sent', provider = $1, provider_message_id = $2, last_error = NULL,
+          sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+    `, [result.provider || null, result.messageId || null, notification.id]);
+    return true;
+  }
+
+  const status = result.permanent || attempts >= MAX_ATTEMPTS ? 'dead' : 'failed';
+  await execute(`
+    UPDATE notifications
+    SET status = $1, last_error = $2,
+        next_attempt_at = CURRENT_TIMESTAMP + make_interval(mins => $3), updated_at = CURRENT_TIMESTAMP
+    WHERE id = $4
+  `, [status, result.error || 'Unknown error', retryDelayMinutes(attempts), notification.id]);
+
+  if (result.permanent) {
+    console.log(`   💀 Can't deliver ${notification.kind} notification ${notification.id} → ${notification.recipient}: ${result.error}`);
+    const removed = notification.destination_id
+      && await execute('DELETE FROM notification_destinations WHERE id = $1', [notification.destination_id]);
+    if (removed?.rowCount > 0) {
+      console.log(`   🗑️  Removed ${notification.channel} destination ${notification.recipient}`);
+    }
+  } else if (status === 'dead') {
+    console.log(`   💀 Giving up on ${notification.kind} notification ${notification.id} → ${notification.recipient} after ${attempts} attempts`);
+  } else {
+    console.log(`   ⚠️  Failed to send ${notification.kind} notification ${notification.id} (${notification.channel}), retrying in ${retryDelayMinutes(attempts)} min`);
+  }
+  return false;
+}
+
+/**
+ * Send every queued notification that is due (new ones and retries whose backoff has passed)
+ * Returns { sent, failed } counts for this run
+ */
+async function deliverPendingNotifications() {
+  const counts = { sent: 0, failed: 0 };
+
+  try {
+    const due = await claimDueNotifications(DELIVERY_BATCH_SIZE);
+    if (due.length === 0) return counts;
+
+    for (const notification of due) {
+      if (await deliverNotification(notification)) {
+        counts.sent++;
+      } else {
+        counts.failed++;
+      }
+    }
+    console.log(`   📬 Delivered ${counts.sent} of ${due.length} notification(s)`);
+  } catch (error) {
+    console.error('Error delivering notifications:', error);
+  }
+  return counts;
+}
+
+/**
+ * Number of notifications waiting to be delivered now
+ */
+async function countDueNotifications() {
+  const [{ count }] = await query(`
+    SELECT COUNT(*)::int AS count FROM notifications
+    WHERE status IN ('pending', 'sending', 'failed') AND next_attempt_at <= CURRENT_TIMESTAMP
+  `);
+  return count;
+}
+
+/**
+ * A user's notification history, newest first
+ */
+async function listNotifications(userId, { status, kind, limit, offset }) {
+  const conditions = ['n.user_id = $1'];
+  const params = [userId];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`n.status = $${params.length}`);
+  }
+  if (kind) {
+    params.push(kind);
+    conditions.push(`n.kind = $${params.length}`);
+  }
+
+  const where = conditions.join(' AND ');
+  const [{ total }] = await query(`SELECT COUNT(*)::int AS total FROM notifications n WHERE ${where}`, params);
+  const notifications = await query(`
+    SELECT
+      n.id, n.expense_id, n.kind, n.channel, n.recipient, n.status, n.attempts, n.last_error,
+      n.provider, n.provider_message_id, n.next_attempt_at, n.sent_at, n.created_at,
+      COALESCE(e.expense_name, n.payload->>'expenseName') AS expense_name
+    FROM notifications n
+    LEFT JOIN expenses e ON n.expense_id = e.id
+    WHERE ${where}
+    ORDER BY n.created_at DESC, n.id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  return { notifications, total };
+}
+
+module.exports = {
+  NOTIFICATION_KINDS,
+  NOTIFICATION_STATUSES,
+  MAX_ATTEMPTS,
+  retryDelayMinutes,
+  queueNotifications,
+  deliverPendingNotifications,
+  countDueNotifications,
+  listNotifications
+};
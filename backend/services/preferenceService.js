@@ -0,0 +1,141 @@
+/**
+ * Notification Preferences
+ * Which channels a user gets notifications on (an expense can override them),
+ * how often (immediate emails or a
+ * daily/weekly digest) and which expense categories are muted.
+ *
+ * Muted notifications are not queued later: their reminders are used up as if
+ * sent, so unmuting doesn't bring back a burst of stale reminders.
+ *
+ * Every notification email carries a signed unsubscribe link (and RFC 8058
+ * one-click List-Unsubscribe headers) that turns the email channel off,
+ * including on expenses that override the user's channels.
+ */
+
+const jwt = require('jsonwebtoken');
+const { queryOne, transaction } = require('../config/database');
+const { apiBaseUrl } = require('./actionLinks');
+const { CHANNEL_NAMES: NOTIFICATION_CHANNELS } = require('./notificationChannels');
+
+const DEFAULT_CHANNELS = ['email'];
+
+const UNSUBSCRIBE_AUDIENCE = 'unsubscribe';
+
+// Preference columns on users, as returned by the preferences API
+const PREFERENCE_FIELDS = `notification_channels AS channels, muted_categories,
+  digest_mode, digest_hour, digest_weekday`;
+
+// Request fields and the users column each one is stored in
+const PREFERENCE_COLUMNS = {
+  channels: 'notification_channels',
+  muted_categories: 'muted_categories',
+  digest_mode: 'digest_mode',
+  digest_hour: 'digest_hour',
+  digest_weekday: 'digest_weekday'
+};
+
+// Stored as JSONB arrays
+const JSON_COLUMNS = ['notification_channels', 'muted_categories'];
+
+/**
+ * A user's notification preferences
+ */
+async function getPreferences(userId) {
+  return queryOne(`SELECT ${PREFERENCE_FIELDS} FROM users WHERE id = $1`, [userId]);
+}
+
+/**
+ * Update the given preference fields and return the result
+ */
+async function updatePreferences(userId, changes) {
+  const fields = Object.keys(PREFERENCE_COLUMNS).filter(field => changes[field] !== undefined);
+  if (fields.length === 0) {
+    return getPreferences(userId);
+  }
+
+  const columns = fields.map(field => PREFERENCE_COLUMNS[field]);
+  const values = fields.map((field, i) =>
+    JSON_COLUMNS.includes(columns[i]) ? JSON.stringify([...new Set(changes[field])]) : changes[field]);
+
+  return queryOne(`
+    UPDATE users SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}
+    WHERE id = $${columns.length + 1}
+    RETURNING ${PREFERENCE_FIELDS}
+  `, [...values, userId]);
+}
+
+/**
+ * Channels to notify on about an expense: its own (expense_channels) if set,
+ * otherwise the user's notification_channels
+ */
+function effectiveChannels(row) {
+  return row.expense_channels || row.notification_channels || DEFAULT_CHANNELS;
+}
+
+/**
+ * Whether notifications about an expense are muted for its user
+ * `row` has the user's notification_channels and muted_categories, and the
+ * expense's category and expense_channels
+ */
+function isMuted(row) {
+  return effectiveChannels(row).length === 0
+    || (row.muted_categories || []).includes(row.category);
+}
+
+/**
+ * Signed unsubscribe link for a user's notification emails
+ * It doesn't expire, so the link in an old email keeps working
+ */
+function buildUnsubscribeUrl(userId) {
+  const token = jwt.sign({}, process.env.JWT_SECRET, {
+    audience: UNSUBSCRIBE_AUDIENCE,
+    subject: String(userId)
+  });
+  return `${apiBaseUrl()}/api/unsubscribe/${token}`;
+}
+
+/**
+ * Verify an unsubscribe token; returns the user id, or null if it is invalid
+ */
+function verifyUnsubscribeToken(token) {
+  try {
+    const claims = jwt.verify(token, process.env.JWT_SECRET, { audience: UNSUBSCRIBE_AUDIENCE });
+    return Number(claims.sub);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Turn off a user's email notifications, on their expenses and series too
+ * Returns the user's email, or null if the user no longer exists
+ */
+async function unsubscribeEmail(userId) {
+  return transaction(async (client) => {
+    const { rows: [user] } = await client.query(`
+      UPDATE users SET notification_channels = notification_channels - 'email'
+      WHERE id = $1
+      RETURNING email
+    `, [userId]);
+    if (!user) return null;
+
+    for (const table of ['expenses', 'recurring_series']) {
+      await client.query(`
+        UPDATE ${table} SET notification_channels = array_remove(notification_channels, 'email')
+        WHERE user_id = $1 AND 'email' = ANY(notification_channels)
+      `, [userId]);
+    }
+    return user.email;
+  });
+}
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  getPreferences,
+  updatePreferences,
+  effectiveChannels,
+  isMuted,
+  buildUnsubscribeUrl,
+  verifyUnsubscribeToken,
+  unsubscribeEmail
+};
@@ -0,0 +1,188 @@
+/**
+ * Public URLs
+ * Guards requests to URLs that users choose (webhooks, HTTP and push notification
+ * destinations) against server-side request forgery: they may only reach public
+ * internet addresses, never loopback, private, link-local (cloud metadata), CGNAT
+ * or other special-purpose addresses on the server's side.
+ *
+ * A URL is checked when it is saved (assertPublicUrl) and again when it is sent
+ * to (postToPublicUrl). When sending, the host is resolved by the connection
+ * itself and every address it resolves to must be public, so the address that
+ * is connected to is the one that was checked: a DNS answer that changes in
+ * between (DNS rebinding) can't get around it. Redirects are never followed,
+ * and response bodies are not read.
+ *
+ * ALLOW_PRIVATE_URLS=true turns the check off, for local testing with stub servers.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+// Special-purpose ranges (IANA IPv4 and IPv6 special-purpose address registries)
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'], // "this" network
+  ['10.0.0.0', 8, 'ipv4'], // private
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // loopback
+  ['169.254.0.0', 16, 'ipv4'], // link-local, incl. cloud metadata (169.254.169.254)
+  ['172.16.0.0', 12, 'ipv4'], // private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.0.2.0', 24, 'ipv4'], // documentation
+  ['192.88.99.0', 24, 'ipv4'], // 6to4 relay
+  ['192.168.0.0', 16, 'ipv4'], // private
+  ['198.18.0.0', 15, 'ipv4'], // benchmarking
+  ['198.51.100.0', 24, 'ipv4'], // documentation
+  ['203.0.113.0', 24, 'ipv4'], // documentation
+  ['224.0.0.0', 4, 'ipv4'], // multicast
+  ['240.0.0.0', 4, 'ipv4'], // reserved and broadcast
+  ['::', 96, 'ipv6'], // unspecified, loopback and IPv4-compatible
+  ['64:ff9b::', 96, 'ipv6'], // NAT64
+  ['64:ff9b:1::', 48, 'ipv6'], // local NAT64
+  ['100::', 64, 'ipv6'], // discard
+  ['2001:db8::', 32, 'ipv6'], // documentation
+  ['2002::', 16, 'ipv6'], // 6to4
+  ['fc00::', 7, 'ipv6'], // unique local, incl. cloud metadata (fd00:ec2::254)
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['fec0::', 10, 'ipv6'], // site-local
+  ['ff00::', 8, 'ipv6'] // multicast
+];
+
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges
+const blockList = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_SUBNETS) {
+  blockList.addSubnet(address, prefix, type);
+}
+
+const PRIVATE_ADDRESS_MESSAGE = 'URL must point to a public internet address';
+
+function allowPrivateUrls() {
+  return process.env.ALLOW_PRIVATE_URLS === 'true';
+}
+
+function privateAddressError() {
+  const error = new Error(PRIVATE_ADDRESS_MESSAGE);
+  error.code = 'PRIVATE_ADDRESS';
+  return error;
+}
+
+/**
+ * Whether an IP address is on the public internet
+ */
+function isPublicAddress(address) {
+  const ip = String(address).split('%')[0];
+  const family = net.isIP(ip);
+  if (!family) {
+    return false;
+  }
+  return !blockList.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup that fails unless every address the host resolves to is public
+ * Used by the connection itself, so the checked address is the one connected to
+ */
+function publicLookup(hostname, options, callback) {
+  const lookupOptions = typeof options === 'number' ? { family: options } : { ...options };
+
+  dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(privateAddressError());
+    }
+    if (lookupOptions.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const agents = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup })
+};
+
+// URL hostnames keep the brackets around IPv6 addresses
+function hostOf(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+/**
+ * Check that an http(s) URL points to a public address; throws an error with a
+ * message for the user if it doesn't, or if its host can't be found
+ */
+async function assertPublicUrl(value) {
+  const url = new URL(value);
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('URL must start with http:// or https://');
+  }
+  if (allowPrivateUrls()) {
+    return;
+  }
+
+  const host = hostOf(url);
+  if (net.isIP(host)) {
+    if (!isPublicAddress(host)) {
+      throw privateAddressError();
+    }
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    publicLookup(host, {}, (error) => {
+      if (!error) {
+        resolve();
+      } else if (error.code === 'PRIVATE_ADDRESS') {
+        reject(error);
+      } else {
+        reject(new Error(`Couldn't find the host ${host}`));
+      }
+    });
+  });
+}
+
+/**
+ * POST `body` to a user's URL, connecting only to public addresses
+ * Resolves to { status, ok, headers } without reading the response body (it is
+ * never shown, so a URL can't be used to read other servers' responses). Throws
+ * if the URL isn't public, can't be reached or doesn't respond within `timeoutMs`.
+ */
+function postToPublicUrl(value, { headers = {}, body, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(value);
+    const transport = url.protocol === 'https:' ? https : http;
+
+    // Literal IP addresses are connected to without a lookup, so check them here
+    if (!allowPrivateUrls() && net.isIP(hostOf(url)) && !isPublicAddress(hostOf(url))) {
+      return reject(privateAddressError());
+    }
+
+    const request = transport.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      agent: allowPrivateUrls() ? undefined : agents[url.protocol]
+    }, (response) => {
+      response.resume();
+      resolve({
+        status: response.statusCode,
+        ok: response.statusCode >= 200 && response.statusCode < 300,
+        headers: response.headers
+      });
+    });
+
+    request.setTimeout(timeoutMs, () => {
+      request.destroy(new Error(`No response within ${timeoutMs / 1000}s`));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  assertPublicUrl,
+  postToPublicUrl
+};
@@ -0,0 +1,235 @@
+/**
+ * Recurrence Rules
+ * Parses, validates and evaluates recurrence rules for recurring expenses.
+ * Rules are stored as RFC 5545 RRULE strings, e.g. "FREQ=MONTHLY;BYMONTHDAY=-1"
+ */
+
+const { toDateOnly, parts, addDays, addMonths, dayOfWeek } = require('./dateOnly');
+
+// Shortcut names accepted by the API in place of a full RRULE
+const PRESETS = {
+  weekly: 'FREQ=WEEKLY',
+  biweekly: 'FREQ=WEEKLY;INTERVAL=2',
+  monthly: 'FREQ=MONTHLY',
+  last_day_of_month: 'FREQ=MONTHLY;BYMONTHDAY=-1',
+  quarterly: 'FREQ=MONTHLY;INTERVAL=3',
+  yearly: 'FREQ=YEARLY'
+};
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_INTERVAL = 366;
+
+/**
+ * Parse a preset name or RRULE string into a rule object
+ * Throws an Error with a user-facing message if the rule is invalid
+ */
+function parseRule(input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new Error('Recurrence rule must be a non-empty string');
+  }
+
+  const trimmed = input.trim();
+  const source = PRESETS[trimmed.toLowerCase()] || trimmed.replace(/^RRULE:/i, '');
+
+  const rule = { freq: null, interval: 1, byMonthDay: null, byDay: [], until: null, count: null };
+
+  for (const part of source.split(';')) {
+    const [rawKey, value, ...extra] = part.split('=');
+    const key = (rawKey || '').trim().toUpperCase();
+
+    if (!key || value === undefined || value === '' || extra.length > 0) {
+      throw new Error(`Malformed recurrence rule part: "${part}"`);
+    }
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value.toUpperCase())) {
+          throw new Error(`Unsupported frequency: ${value}`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+
+      case 'INTERVAL': {
+        const interval = Number(value);
+        if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+          throw new Error(`INTERVAL must be a whole number between 1 and ${MAX_INTERVAL}`);
+        }
+        rule.interval = interval;
+        break;
+      }
+
+      case 'BYMONTHDAY': {
+        const day = Number(value);
+        if (!Number.isInteger(day) || day === 0 || day < -1 || day > 31) {
+          throw new Error('BYMONTHDAY must be between 1 and 31, or -1 for the last day');
+        }
+        rule.byMonthDay = day;
+        break;
+      }
+
+      case 'BYDAY': {
+        const days = value.toUpperCase().split(',');
+        for (const day of days) {
+          if (!WEEKDAYS.includes(day)) {
+            throw new Error(`Unsupported BYDAY value: ${day}`);
+          }
+        }
+        rule.byDay = [...new Set(days)];
+        break;
+      }
+
+      case 'UNTIL': {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/);
+        if (!match) {
+          throw new Error('UNTIL must be a date in YYYYMMDD format');
+        }
+        rule.until = `${match[1]}-${match[2]}-${match[3]}`;
+        break;
+      }
+
+      case 'COUNT': {
+        const count = Number(value);
+        if (!Number.isInteger(count) || count < 1) {
+          throw new Error('COUNT must be a positive whole number');
+        }
+        rule.count = count;
+        break;
+      }
+
+      case 'WKST':
+        // Weeks always start on Monday here; accepted for compatibility only
+        break;
+
+      default:
+        throw new Error(`Unsupported recurrence rule part: ${key}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('Recurrence rule must include FREQ');
+  }
+  if (rule.byMonthDay !== null && rule.freq !== 'MONTHLY') {
+    throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  }
+  if (rule.byDay.length > 0 && rule.freq !== 'WEEKLY') {
+    throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+  }
+
+  return rule;
+}
+
+/**
+ * Serialize a rule object back into a canonical RRULE string
+ */
+function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byMonthDay !== null) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  }
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  }
+  if (rule.until) {
+    parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+
+  return parts.join(';');
+}
+
+/**
+ * Split COUNT/UNTIL out of a rule so they can be tracked on the series
+ * Returns { rule, count, until } where rule is the canonical string without limits
+ */
+function extractLimits(input) {
+  const parsed = parseRule(input);
+  const { count, until } = parsed;
+  return {
+    rule: formatRule({ ...parsed, count: null, until: null }),
+    count,
+    until
+  };
+}
+
+/**
+ * Validate a preset name or RRULE string and return it in canonical form
+ */
+function normalizeRule(input) {
+  return formatRule(parseRule(input));
+}
+
+/**
+ * Get the next occurrence strictly after the given date
+ *
+ * `anchorDay` is the day of month the series was created on. Monthly and yearly
+ * rules return to it whenever the month allows, so a series anchored on the 31st
+ * goes Jan 31 -> Feb 28 -> Mar 31 instead of drifting to the 28th.
+ *
+ * Returns a YYYY-MM-DD string, or null if the rule has ended
+ */
+function nextOccurrence(ruleInput, fromDate, anchorDay = parts(fromDate).day) {
+  const rule = typeof ruleInput === 'string' ? parseRule(ruleInput) : ruleInput;
+  const current = toDateOnly(fromDate);
+  let next;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      next = addDays(current, rule.interval);
+      break;
+
+    case 'WEEKLY':
+      if (rule.byDay.length === 0) {
+        next = addDays(current, 7 * rule.interval);
+      } else {
+        // Weekdays as offsets from Monday (0 = Monday ... 6 = Sunday)
+        const offsets = rule.byDay.map(d => (WEEKDAYS.indexOf(d) + 6) % 7).sort((a, b) => a - b);
+        const currentOffset = (dayOfWeek(current) + 6) % 7;
+        const weekStart = addDays(current, -currentOffset);
+        const laterThisWeek = offsets.find(o => o > currentOffset);
+
+        next = laterThisWeek !== undefined
+          ? addDays(weekStart, laterThisWeek)
+          : addDays(weekStart, 7 * rule.interval + offsets[0]);
+      }
+      break;
+
+    case 'MONTHLY': {
+      const day = rule.byMonthDay ?? anchorDay;
+      // A BYMONTHDAY later in the current month comes before the next interval
+      const sameMonth = rule.byMonthDay !== null ? addMonths(current, 0, day) : null;
+      next = sameMonth && sameMonth > current
+        ? sameMonth
+        : addMonths(current, rule.interval, day);
+      break;
+    }
+
+    case 'YEARLY':
+      next = addMonths(current, 12 * rule.interval, anchorDay);
+      break;
+
+    default:
+      throw new Error(`Unsupported frequency: ${rule.freq}`);
+  }
+
+  if (rule.until && next > rule.until) {
+    return null;
+  }
+  return next;
+}
+
+module.exports = {
+  PRESETS,
+  WEEKDAYS,
+  parseRule,
+  formatRule,
+  normalizeRule,
+  extractLimits,
+  nextOccurrence
+};
@@ -0,0 +1,217 @@
+/**
+ * Expense Reminder Service
+ * Manages the reminders attached to an expense. A reminder either fires a number
+ * of days before the due date (offset_days, so it follows the due date when it
+ * moves) or at an absolute time (remind_at), and tracks its own sent state.
+ *
+ * expenses.reminder_date / email_sent are kept as a summary of the rows here:
+ * the next unsent reminder date, and whether every reminder has gone out.
+ * Every function takes a pg client so callers can run it inside a transaction.
+ */
+
+const { toDateOnly, addDays, today } = require('./dateOnly');
+
+const MAX_REMINDERS = 10;
+const MAX_OFFSET_DAYS = 365;
+
+// Limits for overdue escalation settings (per user and per expense)
+const MAX_OVERDUE_INTERVAL_DAYS = 30;
+const MAX_OVERDUE_REMINDERS = 10;
+
+// Calendar date a reminder fires on (absolute times by their UTC date)
+const REMIND_ON_SQL = "COALESCE(e.due_date - r.offset_days, (r.remind_at AT TIME ZONE 'UTC')::date)";
+
+async function queryOne(client, sql, params) {
+  const result = await client.query(sql, params);
+  return result.rows[0] || null;
+}
+
+/**
+ * De-duplicate offsets and sort them furthest-first, e.g. [0, 7, 1] -> [7, 1, 0]
+ */
+function normalizeOffsets(offsets) {
+  return [...new Set(offsets.map(Number))].sort((a, b) => b - a);
+}
+
+/**
+ * Reminder date for the furthest offset, used for expenses.reminder_date
+ * (falls back to the due date when there are no offsets)
+ */
+function firstReminderDate(dueDate, offsets) {
+  return addDays(dueDate, -(offsets.length > 0 ? Math.max(...offsets) : 0));
+}
+
+/**
+ * List an expense's reminders in the order they fire
+ */
+async function listReminders(client, expenseId) {
+  const result = await client.query(`
+    SELECT r.*, ${REMIND_ON_SQL} AS remind_on
+    FROM expense_reminders r
+    JOIN expenses e ON r.expense_id = e.id
+    WHERE r.expense_id = $1
+    ORDER BY remind_on ASC, r.remind_at ASC NULLS FIRST, r.id ASC
+  `, [expenseId]);
+  return result.rows;
+}
+
+/**
+ * Offsets of an expense's relative reminders, furthest-first
+ */
+async function getOffsets(client, expenseId) {
+  const result = await client.query(
+    'SELECT offset_days FROM expense_reminders WHERE expense_id = $1 AND offset_days IS NOT NULL ORDER BY offset_days DESC',
+    [expenseId]
+  );
+  return result.rows.map(row => row.offset_days);
+}
+
+/**
+ * Recompute expenses.reminder_date and email_sent from the reminder rows
+ * Returns the updated expense row
+ */
+async function syncReminderSummary(client, expenseId) {
+  return queryOne(client, `
+    UPDATE expenses e
+    SET reminder_date = COALESCE(s.next_date, s.last_date, e.reminder_date),
+        email_sent = CASE WHEN s.total > 0 AND s.pending = 0 THEN 1 ELSE 0 END
+    FROM (
+      SELECT
+        MIN(${REMIND_ON_SQL}) FILTER (WHERE r.sent = 0) AS next_date,
+        MAX(${REMIND_ON_SQL}) AS last_date,
+        COUNT(r.id) AS total,
+        COUNT(r.id) FILTER (WHERE r.sent = 0) AS pending
+      FROM expenses e
+      LEFT JOIN expense_reminders r ON r.expense_id = e.id
+      WHERE e.id = $1
+    ) s
+    WHERE e.id = $1
+    RETURNING e.*
+  `, [expenseId]);
+}
+
+/**
+ * Replace an expense's relative reminders with the given offsets
+ * Offsets that already exist keep their sent state; absolute reminders are untouched
+ */
+async function setOffsetReminders(client, expenseId, offsets) {
+  const normalized = normalizeOffsets(offsets);
+
+  await client.query(
+    'DELETE FROM expense_reminders WHERE expense_id = $1 AND offset_days IS NOT NULL AND NOT (offset_days = ANY($2::int[]))',
+    [expenseId, normalized]
+  );
+  await client.query(`
+    INSERT INTO expense_reminders (expense_id, offset_days)
+    SELECT $1, offset_days FROM unnest($2::int[]) AS offset_days
+    ON CONFLICT (expense_id, offset_days) DO NOTHING
+  `, [expenseId, normalized]);
+
+  return syncReminderSummary(client, expenseId);
+}
+
+/**
+ * Bring reminders in line after an expense changed
+ *
+ * - offsets:        new relative reminder offsets (undefined = keep)
+ * - dueDateChanged: relative reminders moved with the due date, so ones that
+ *                   were sent but now fall today or later are sent again, and
+ *                   overdue escalation starts over
+ *
+ * Returns the updated expense row
+ */
+async function updateReminders(client, expense, { offsets, dueDateChanged = false }) {
+  if (dueDateChanged) {
+    await client.query(
+      `UPDATE expense_reminders SET sent = 0, sent_at = NULL
+       WHERE expense_id = $1 AND offset_days IS NOT NULL AND sent = 1 AND $2::date - offset_days >= $3::date`,
+      [expense.id, toDateOnly(expense.due_date), today()]
+    );
+    await client.query('UPDATE expenses SET overdue_reminders_sent = 0 WHERE id = $1', [expense.id]);
+  }
+
+  if (offsets !== undefined) {
+    return setOffsetReminders(client, expense.id, offsets);
+  }
+  return syncReminderSummary(client, expense.id);
+}
+
+/**
+ * Add a single reminder to an expense
+ * `reminder` has either offset_days or remind_at. Throws an error with
+ * status 400 if the expense already has too many reminders or a duplicate offset
+ */
+async function addReminder(client, expenseId, { offset_days, remind_at }) {
+  const count = await queryOne(client, 'SELECT COUNT(*)::int AS count FROM expense_reminders WHERE expense_id = $1', [expenseId]);
+  if (count.count >= MAX_REMINDERS) {
+    const error = new Error(`An expense can have at most ${MAX_REMINDERS} reminders`);
+    error.status = 400;
+    throw error;
+  }
+
+  const reminder = await queryOne(client, `
+    INSERT INTO expense_reminders (expense_id, offset_days, remind_at)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (expense_id, offset_days) DO NOTHING
+    RETURNING *
+  `, [expenseId, offset_days ?? null, offset_days !== undefined && offset_days !== null ? null : remind_at]);
+
+  if (!reminder) {
+    const error = new Error(`A reminder ${offset_days} day(s) before the due date already exists`);
+    error.status = 400;
+    throw error;
+  }
+
+  const expense = await syncReminderSummary(client, expenseId);
+  return { reminder, expense };
+}
+
+/**
+ * Remove a reminder from an expense
+ * Returns the updated expense row, or null if the reminder doesn't belong to it
+ */
+async function removeReminder(client, expenseId, reminderId) {
+  const result = await client.query(
+    'DELETE FROM expense_reminders WHERE id = $1 AND expense_id = $2',
+    [reminderId, expenseId]
+  );
+  if (result.rowCount === 0) {
+    return null;
+  }
+  return syncReminderSummary(client, expenseId);
+}
+
+/**
+ * Claim reminders for sending: mark the ones still unsent as sent and refresh
+ * the expense summary. Concurrent runs wait on each other's row locks, so each
+ * reminder is claimed by exactly one caller.
+ * Returns the ids claimed by this call (empty if another run got there first)
+ */
+async function claimReminders(client, expenseId, reminderIds) {
+  const result = await client.query(
+    `UPDATE expense_reminders SET sent = 1, sent_at = CURRENT_TIMESTAMP
+     WHERE id = ANY($1::int[]) AND expense_id = $2 AND sent = 0
+     RETURNING id`,
+    [reminderIds, expenseId]
+  );
+  if (result.rows.length > 0) {
+    await syncReminderSummary(client, expenseId);
+  }
+  return result.rows.map(row => row.id);
+}
+
+module.exports = {
+  MAX_REMINDERS,
+  MAX_OFFSET_DAYS,
+  MAX_OVERDUE_INTERVAL_DAYS,
+  MAX_OVERDUE_REMINDERS,
+  normalizeOffsets,
+  firstReminderDate,
+  listReminders,
+  getOffsets,
+  setOffsetReminders,
+  updateReminders,
+  addReminder,
+  removeReminder,
+  claimReminders
+};
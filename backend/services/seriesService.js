@@ -0,0 +1,540 @@
+/**
+ * Recurring Series Service
+ * Creates, extends, edits and deletes recurring expense series and their occurrences.
+ * Every function takes a pg client so callers can run it inside a transaction.
+ */
+
+const { extractLimits, nextOccurrence } = require('./recurrence');
+const { toDateOnly, parts, addDays, today } = require('./dateOnly');
+const { normalizeOffsets, firstReminderDate, getOffsets, setOffsetReminders, updateReminders } = require('./reminderService');
+
+const EDIT_SCOPES = ['this', 'following', 'all'];
+
+// Safety cap so a misconfigured daily rule can't create thousands of rows in one run
+const MAX_OCCURRENCES_PER_RUN = 400;
+
+// Fields copied from the series template onto each occurrence
+const TEMPLATE_FIELDS = ['expense_name', 'amount', 'category', 'overdue_interval_days', 'overdue_max_reminders', 'notification_channels'];
+
+async function queryOne(client, sql, params) {
+  const result = await client.query(sql, params);
+  return result.rows[0] || null;
+}
+
+/**
+ * Last due date to generate occurrences up to (today + RECURRENCE_HORIZON_DAYS)
+ */
+function getHorizonDate() {
+  const days = parseInt(process.env.RECURRENCE_HORIZON_DAYS, 10) || 60;
+  return addDays(today(), days);
+}
+
+/**
+ * Resolve the effective end date / occurrence cap from explicit values and rule limits
+ */
+function resolveLimits(ruleInput, { end_date, max_occurrences }) {
+  const { rule, count, until } = extractLimits(ruleInput);
+  const endDates = [end_date, until].filter(Boolean).map(toDateOnly).sort();
+  const caps = [max_occurrences, count].filter(v => v !== undefined && v !== null && v !== '').map(Number);
+
+  return {
+    rule,
+    endDate: endDates[0] || null,
+    maxOccurrences: caps.length > 0 ? Math.min(...caps) : null
+  };
+}
+
+/**
+ * Reminder offsets every occurrence of a series gets
+ */
+function seriesOffsets(series) {
+  return series.reminder_offsets || [series.reminder_offset_days];
+}
+
+/**
+ * Insert one occurrence row for a series, with the series' reminders
+ */
+async function insertOccurrence(client, series, dueDate, index) {
+  const offsets = seriesOffsets(series);
+  const expense = await queryOne(client, `
+    INSERT INTO expenses
+      (user_id, expense_name, amount, category, due_date, reminder_date, recurring, recurrence_rule, series_id, occurrence_index,
+       email_sent, overdue_interval_days, overdue_max_reminders, notification_channels)
+    VALUES ($1, $2, $3, $4, $5, $6, 'yes', $7, $8, $9, 0, $10, $11, $12)
+    ON CONFLICT (series_id, occurrence_index) DO NOTHING
+    RETURNING *
+  `, [
+    series.user_id,
+    series.expense_name,
+    series.amount,
+    series.category,
+    dueDate,
+    firstReminderDate(dueDate, offsets),
+    series.recurrence_rule,
+    series.id,
+    index,
+    series.overdue_interval_days,
+    series.overdue_max_reminders,
+    series.notification_channels
+  ]);
+
+  return expense && setOffsetReminders(client, expense.id, offsets);
+}
+
+/**
+ * Create a series and its first occurrence
+ * Returns the first occurrence (expense row)
+ */
+async function createSeries(client, userId, data) {
+  const { rule, endDate, maxOccurrences } = resolveLimits(data.recurrence_rule, data);
+  const dueDate = toDateOnly(data.due_date);
+  const offsets = normalizeOffsets(data.reminder_offsets);
+
+  const series = await queryOne(client, `
+    INSERT INTO recurring_series
+      (user_id, expense_name, amount, category, recurrence_rule, start_date, anchor_day, reminder_offset_days,
+       reminder_offsets, end_date, max_occurrences, overdue_interval_days, overdue_max_reminders, notification_channels,
+       occurrences_created, last_due_date)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, 1, $6)
+    RETURNING *
+  `, [
+    userId,
+    data.expense_name,
+    data.amount,
+    data.category || 'Other',
+    rule,
+    dueDate,
+    parts(dueDate).day,
+    offsets[0] || 0,
+    offsets,
+    endDate,
+    maxOccurrences,
+    data.overdue_interval_days ?? null,
+    data.overdue_max_reminders ?? null,
+    data.notification_channels ?? null
+  ]);
+
+  const expense = await insertOccurrence(client, series, dueDate, 1);
+  await generateOccurrences(client, series.id);
+  return expense;
+}
+
+/**
+ * Turn an existing one-off expense into the first occurrence of a new series
+ */
+async function convertToSeries(client, expense, data) {
+  const merged = { ...expense, ...data };
+  const { rule, endDate, maxOccurrences } = resolveLimits(data.recurrence_rule, data);
+  const dueDate = toDateOnly(merged.due_date);
+  const offsets = normalizeOffsets(data.reminder_offsets || await getOffsets(client, expense.id));
+
+  const series = await queryOne(client, `
+    INSERT INTO recurring_series
+      (user_id, expense_name, amount, category, recurrence_rule, start_date, anchor_day, reminder_offset_days,
+       reminder_offsets, end_date, max_occurrences, overdue_interval_days, overdue_max_reminders, notification_channels,
+       occurrences_created, last_due_date)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, 1, $6)
+    RETURNING *
+  `, [
+    expense.user_id,
+    merged.expense_name,
+    merged.amount,
+    merged.category,
+    rule,
+    dueDate,
+    parts(dueDate).day,
+    offsets[0] || 0,
+    offsets,
+    endDate,
+    maxOccurrences,
+    merged.overdue_interval_days ?? null,
+    merged.overdue_max_reminders ?? null,
+    merged.notification_channels ?? null
+  ]);
+
+  const converted = await queryOne(client, `
+    UPDATE expenses
+    SET expense_name = $1, amount = $2, category = $3, due_date = $4,
+        recurring = 'yes', recurrence_rule = $5, series_id = $6, occurrence_index = 1,
+        overdue_interval_days = $7, overdue_max_reminders = $8, notification_channels = $9
+    WHERE id = $10
+    RETURNING *
+  `, [
+    merged.expense_name,
+    merged.amount,
+    merged.category,
+    dueDate,
+    rule,
+    series.id,
+    series.overdue_interval_days,
+    series.overdue_max_reminders,
+    series.notification_channels,
+    expense.id
+  ]);
+
+  await updateReminders(client, converted, {
+    offsets,
+    dueDateChanged: dueDate !== toDateOnly(expense.due_date)
+  });
+
+  await generateOccurrences(client, series.id);
+  return queryOne(client, 'SELECT * FROM expenses WHERE id = $1', [expense.id]);
+}
+
+/**
+ * Create the next occurrence of a series, respecting its end date and occurrence cap
+ * Occurrences due after `untilDate` (if given) are not created.
+ * Returns the new expense row, or null if there is nothing to create
+ */
+async function createNextOccurrence(client, seriesId, untilDate = null) {
+  const series = await queryOne(client, 'SELECT * FROM recurring_series WHERE id = $1 FOR UPDATE', [seriesId]);
+  if (!series) return null;
+
+  if (series.max_occurrences && series.occurrences_created >= series.max_occurrences) {
+    return null;
+  }
+
+  const anchorDay = series.anchor_day || parts(series.start_date).day;
+  const nextDueDate = nextOccurrence(series.recurrence_rule, series.last_due_date || series.start_date, anchorDay);
+  if (!nextDueDate || (series.end_date && nextDueDate > toDateOnly(series.end_date))) {
+    return null;
+  }
+  if (untilDate && nextDueDate > untilDate) {
+    return null;
+  }
+
+  // The series cursor moves even if the row already exists, so re-runs never duplicate
+  const index = series.occurrences_created + 1;
+  const expense = await insertOccurrence(client, series, nextDueDate, index);
+
+  await client.query(
+    'UPDATE recurring_series SET occurrences_created = $1, last_due_date = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+    [index, nextDueDate, series.id]
+  );
+
+  return expense || queryOne(client, 'SELECT * FROM expenses WHERE series_id = $1 AND occurrence_index = $2', [series.id, index]);
+}
+
+/**
+ * Create every missing occurrence of a series up to the horizon date,
+ * including ones missed while the server was down
+ * Returns the created expense rows
+ */
+async function generateOccurrences(client, seriesId, horizonDate = getHorizonDate()) {
+  const created = [];
+
+  while (created.length < MAX_OCCURRENCES_PER_RUN) {
+    const next = await createNextOccurrence(client, seriesId, horizonDate);
+    if (!next) break;
+    created.push(next);
+  }
+
+  return created;
+}
+
+/**
+ * Make sure a series has an occurrence after the given one (e.g. once it is paid),
+ * even if that occurrence is beyond the horizon
+ */
+async function ensureNextOccurrence(client, expense) {
+  const series = await queryOne(client, 'SELECT last_due_date FROM recurring_series WHERE id = $1', [expense.series_id]);
+  if (!series || toDateOnly(series.last_due_date) > toDateOnly(expense.due_date)) {
+    return null;
+  }
+  return createNextOccurrence(client, expense.series_id);
+}
+
+/**
+ * Remove unpaid occurrences that fall outside the series' end date or cap
+ * Returns how many were removed
+ */
+async function trimToLimits(client, series) {
+  let removed = 0;
+  if (series.end_date) {
+    const result = await client.query(
+      'DELETE FROM expenses WHERE series_id = $1 AND paid = 0 AND due_date > $2',
+      [series.id, toDateOnly(series.end_date)]
+    );
+    removed += result.rowCount;
+  }
+  if (series.max_occurrences) {
+    const result = await client.query(
+      'DELETE FROM expenses WHERE series_id = $1 AND paid = 0 AND occurrence_index > $2',
+      [series.id, series.max_occurrences]
+    );
+    removed += result.rowCount;
+  }
+  return removed;
+}
+
+/**
+ * Apply an update to a single expense row
+ */
+async function updateRow(client, expenseId, changes) {
+  const columns = Object.keys(changes);
+  if (columns.length === 0) {
+    return queryOne(client, 'SELECT * FROM expenses WHERE id = $1', [expenseId]);
+  }
+
+  const assignments = columns.map((column, i) => `${column} = $${i + 1}`);
+  return queryOne(
+    client,
+    `UPDATE expenses SET ${assignments.join(', ')} WHERE id = $${columns.length + 1} RETURNING *`,
+    [...columns.map(column => changes[column]), expenseId]
+  );
+}
+
+/**
+ * Split a series so that `expense` becomes the first occurrence of a new series
+ * Occurrences before it stay on the original, which is capped to end before it
+ */
+async function splitSeries(client, series, expense) {
+  const offset = expense.occurrence_index - 1;
+
+  const newSeries = await queryOne(client, `
+    INSERT INTO recurring_series
+      (user_id, expense_name, amount, category, recurrence_rule, start_date, anchor_day, reminder_offset_days,
+       reminder_offsets, end_date, max_occurrences, overdue_interval_days, overdue_max_reminders, notification_channels,
+       occurrences_created, last_due_date)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+    RETURNING *
+  `, [
+    series.user_id,
+    series.expense_name,
+    series.amount,
+    series.category,
+    series.recurrence_rule,
+    toDateOnly(expense.due_date),
+    series.anchor_day,
+    series.reminder_offset_days,
+    seriesOffsets(series),
+    toDateOnly(series.end_date),
+    series.max_occurrences ? series.max_occurrences - offset : null,
+    series.overdue_interval_days,
+    series.overdue_max_reminders,
+    series.notification_channels,
+    series.occurrences_created - offset,
+    toDateOnly(series.last_due_date)
+  ]);
+
+  await client.query(
+    'UPDATE expenses SET series_id = $1, occurrence_index = occurrence_index - $2 WHERE series_id = $3 AND occurrence_index > $2',
+    [newSeries.id, offset, series.id]
+  );
+
+  await client.query(
+    'UPDATE recurring_series SET max_occurrences = $1, occurrences_created = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [offset, series.id]
+  );
+
+  return {
+    series: newSeries,
+    expense: { ...expense, series_id: newSeries.id, occurrence_index: 1 }
+  };
+}
+
+/**
+ * Update an occurrence of a series using "this", "following" or "all" semantics
+ *
+ * - this:      only the given occurrence
+ * - following: the given occurrence and every later one (the series is split)
+ * - all:       every unpaid occurrence in the series
+ *
+ * `changes` may contain expense_name, amount, category, overdue_interval_days,
+ * overdue_max_reminders, notification_channels, due_date, reminder_offsets, recurrence_rule
+ * (null = stop repeating), end_date and max_occurrences.
+ */
+async function updateOccurrence(client, expense, changes, scope) {
+  let series = await queryOne(client, 'SELECT * FROM recurring_series WHERE id = $1 FOR UPDATE', [expense.series_id]);
+  let target = expense;
+
+  const seriesChanged = ['recurrence_rule', 'end_date', 'max_occurrences'].some(key => changes[key] !== undefined);
+  if (scope === 'this' && seriesChanged) {
+    const error = new Error('Recurrence changes apply to the whole series. Use scope "following" or "all".');
+    error.status = 400;
+    throw error;
+  }
+
+  // Fields that only ever apply to the edited row. The form sends the due date
+  // with every edit; only a different one moves the occurrence.
+  const dueDateChanged = changes.due_date !== undefined && toDateOnly(changes.due_date) !== toDateOnly(expense.due_date);
+  const rowChanges = {};
+  if (changes.due_date !== undefined) rowChanges.due_date = changes.due_date;
+  const reminderChanges = {
+    offsets: changes.reminder_offsets,
+    dueDateChanged
+  };
+
+  const templateChanges = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (changes[field] !== undefined) templateChanges[field] = changes[field];
+  }
+
+  if (scope === 'this') {
+    const updated = await updateRow(client, target.id, { ...templateChanges, ...rowChanges });
+    return updateReminders(client, updated, reminderChanges);
+  }
+
+  const firstIndex = await queryOne(client, 'SELECT MIN(occurrence_index) AS min FROM expenses WHERE series_id = $1', [series.id]);
+  if (scope === 'following' && target.occurrence_index > firstIndex.min) {
+    ({ series, expense: target } = await splitSeries(client, series, target));
+  }
+
+  // "following" after a split covers the whole new series; "all" skips paid history
+  const rowFilter = scope === 'all' ? 'series_id = $1 AND paid = 0' : 'series_id = $1';
+
+  // Stop repeating: keep this occurrence as the last one
+  if (changes.recurrence_rule === null) {
+    await client.query(
+      `DELETE FROM expenses WHERE ${rowFilter} AND occurrence_index > $2`,
+      [series.id, target.occurrence_index]
+    );
+    await client.query(
+      'UPDATE recurring_series SET max_occurrences = $1, occurrences_created = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [target.occurrence_index, series.id]
+    );
+    const updated = await updateRow(client, target.id, { ...templateChanges, ...rowChanges, recurring: 'no', recurrence_rule: null });
+    return updateReminders(client, updated, reminderChanges);
+  }
+
+  // Update the series template
+  const seriesUpdates = { ...templateChanges };
+  if (changes.reminder_offsets !== undefined) {
+    seriesUpdates.reminder_offsets = normalizeOffsets(changes.reminder_offsets);
+    seriesUpdates.reminder_offset_days = seriesUpdates.reminder_offsets[0] || 0;
+  }
+  let ruleChanged = false;
+  if (seriesChanged) {
+    const previousRule = extractLimits(series.recurrence_rule).rule;
+    const limits = resolveLimits(changes.recurrence_rule || series.recurrence_rule, {
+      end_date: changes.end_date !== undefined ? changes.end_date : toDateOnly(series.end_date),
+      max_occurrences: changes.max_occurrences !== undefined ? changes.max_occurrences : series.max_occurrences
+    });
+    seriesUpdates.recurrence_rule = limits.rule;
+    seriesUpdates.end_date = limits.endDate;
+    seriesUpdates.max_occurrences = limits.maxOccurrences;
+    // The form sends the rule with every edit; only a different one is a new schedule
+    ruleChanged = limits.rule !== previousRule;
+  }
+
+  const seriesColumns = Object.keys(seriesUpdates);
+  if (seriesColumns.length > 0) {
+    series = await queryOne(client, `
+      UPDATE recurring_series
+      SET ${seriesColumns.map((column, i) => `${column} = $${i + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${seriesColumns.length + 1}
+      RETURNING *
+    `, [...seriesColumns.map(column => seriesUpdates[column]), series.id]);
+  }
+
+  // Copy template fields onto the other occurrences in scope
+  const occurrenceUpdates = { ...templateChanges };
+  if (seriesUpdates.recurrence_rule) occurrenceUpdates.recurrence_rule = seriesUpdates.recurrence_rule;
+  const occurrenceColumns = Object.keys(occurrenceUpdates);
+  if (occurrenceColumns.length > 0) {
+    await client.query(`
+      UPDATE expenses
+      SET ${occurrenceColumns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+      WHERE ${rowFilter}
+    `, [series.id, ...occurrenceColumns.map(column => occurrenceUpdates[column])]);
+  }
+
+  // Other unpaid occurrences pick up the new offsets; reminders already sent stay sent
+  if (seriesUpdates.reminder_offsets !== undefined) {
+    const others = await client.query(
+      `SELECT id FROM expenses WHERE ${rowFilter} AND paid = 0 AND id <> $2`,
+      [series.id, target.id]
+    );
+    for (const row of others.rows) {
+      await setOffsetReminders(client, row.id, seriesUpdates.reminder_offsets);
+    }
+  }
+
+  const updated = await updateReminders(client, await updateRow(client, target.id, rowChanges), reminderChanges);
+
+  // A new schedule invalidates occurrences generated after this one
+  const scheduleChanged = dueDateChanged || ruleChanged;
+  if (scheduleChanged) {
+    await client.query(
+      'DELETE FROM expenses WHERE series_id = $1 AND paid = 0 AND occurrence_index > $2',
+      [series.id, updated.occurrence_index]
+    );
+    // A moved due date also moves the day of month later occurrences return to
+    series = await queryOne(client, `
+      UPDATE recurring_series
+      SET occurrences_created = $1, last_due_date = $2,
+          anchor_day = CASE WHEN $3::boolean THEN $4 ELSE anchor_day END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING *
+    `, [
+      updated.occurrence_index,
+      toDateOnly(updated.due_date),
+      dueDateChanged,
+      parts(updated.due_date).day,
+      series.id
+    ]);
+
+    await generateOccurrences(client, series.id);
+  }
+
+  const trimmed = await trimToLimits(client, series);
+
+  // New limits on the same schedule keep the occurrences there are. Continue after
+  // the last one still left, so a later end date or higher cap fills in right away.
+  if (seriesChanged && !scheduleChanged) {
+    if (trimmed > 0) {
+      await client.query(`
+        UPDATE recurring_series s
+        SET occurrences_created = last.occurrence_index, last_due_date = last.due_date, updated_at = CURRENT_TIMESTAMP
+        FROM (
+          SELECT occurrence_index, due_date FROM expenses
+          WHERE series_id = $1 ORDER BY occurrence_index DESC LIMIT 1
+        ) last
+        WHERE s.id = $1
+      `, [series.id]);
+    }
+    await generateOccurrences(client, series.id);
+  }
+
+  return queryOne(client, 'SELECT * FROM expenses WHERE id = $1', [updated.id]);
+}
+
+/**
+ * Delete an occurrence of a series using "this", "following" or "all" semantics
+ */
+async function deleteOccurrence(client, expense, scope) {
+  if (scope === 'this') {
+    await client.query('DELETE FROM expenses WHERE id = $1', [expense.id]);
+    return;
+  }
+
+  const firstIndex = await queryOne(client, 'SELECT MIN(occurrence_index) AS min FROM expenses WHERE series_id = $1', [expense.series_id]);
+
+  if (scope === 'all' || expense.occurrence_index <= firstIndex.min) {
+    // Occurrences cascade with the series
+    await client.query('DELETE FROM recurring_series WHERE id = $1', [expense.series_id]);
+    return;
+  }
+
+  await client.query(
+    'DELETE FROM expenses WHERE series_id = $1 AND occurrence_index >= $2',
+    [expense.series_id, expense.occurrence_index]
+  );
+  await client.query(
+    'UPDATE recurring_series SET max_occurrences = $1, occurrences_created = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [expense.occurrence_index - 1, expense.series_id]
+  );
+}
+
+module.exports = {
+  EDIT_SCOPES,
+  createSeries,
+  convertToSeries,
+  getHorizonDate,
+  createNextOccurrence,
+  generateOccurrences,
+  ensureNextOccurrence,
+  updateOccurrence,
+  deleteOccurrence
+};
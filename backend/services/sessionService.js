@@ -0,0 +1,158 @@
+/**
+ * Login Sessions
+ * Each login (device) is a session with a refresh token. Access tokens are
+ * short-lived JWTs naming their session; the refresh token gets new ones.
+ *
+ * Refresh tokens rotate: every refresh returns a new one and the old one stops
+ * working. Only SHA-256 hashes are stored. Presenting a refresh token that was
+ * already rotated away means it was copied, so the session is revoked.
+ *
+ * Revoking a session (logout, or from the session list) also stops its access
+ * tokens, since authenticate checks the session on every request.
+ */
+
+const crypto = require('crypto');
+const { query, queryOne, execute } = require('../config/database');
+const { generateToken } = require('../middleware/auth');
+
+// A session ends after this many days without a refresh
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Device details of a request, to tell sessions apart in the list
+ */
+function deviceInfo(req) {
+  return {
+    userAgent: (req.get('user-agent') || '').slice(0, 255) || null,
+    ip: req.ip || null
+  };
+}
+
+/**
+ * Start a session for a user who just logged in or signed up
+ * Returns { token, refreshToken }
+ */
+async function createSession(user, req) {
+  const refreshToken = newRefreshToken();
+  const { userAgent, ip } = deviceInfo(req);
+
+  // Ended sessions are kept only until the user's next login
+  await execute(
+    'DELETE FROM sessions WHERE user_id = $1 AND (revoked_at IS NOT NULL OR expires_at <= NOW())',
+    [user.id]
+  );
+  const result = await execute(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + $5 * INTERVAL '1 day')
+     RETURNING id`,
+    [user.id, hashToken(refreshToken), userAgent, ip, REFRESH_TOKEN_EXPIRES_DAYS]
+  );
+
+  return {
+    token: generateToken(user.id, user.token_version, result.rows[0].id),
+    refreshToken
+  };
+}
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ * Returns { token, refreshToken }, or null if the refresh token is no good
+ */
+async function refreshSession(refreshToken, req) {
+  const hash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const { userAgent, ip } = deviceInfo(req);
+
+  const session = await queryOne(
+    `UPDATE sessions s
+     SET refresh_token_hash = $2, previous_token_hash = $1, last_used_at = NOW(),
+         expires_at = NOW() + $5 * INTERVAL '1 day', user_agent = COALESCE($3, s.user_agent), ip = COALESCE($4, s.ip)
+     FROM users u
+     WHERE s.refresh_token_hash = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.id = s.user_id
+     RETURNING s.id, s.user_id, u.token_version`,
+    [hash, hashToken(nextToken), userAgent, ip, REFRESH_TOKEN_EXPIRES_DAYS]
+  );
+
+  if (!session) {
+    const reused = await execute(
+      'UPDATE sessions SET revoked_at = NOW() WHERE previous_token_hash = $1 AND revoked_at IS NULL RETURNING id, user_id',
+      [hash]
+    );
+    if (reused.rowCount > 0) {
+      const { id, user_id } = reused.rows[0];
+      console.warn(`⚠️  Refresh token reused for session ${id} of user ${user_id}, session revoked`);
+    }
+    return null;
+  }
+
+  return {
+    token: generateToken(session.user_id, session.token_version, session.id),
+    refreshToken: nextToken
+  };
+}
+
+/**
+ * The user's active sessions, most recently used first
+ */
+async function listSessions(userId) {
+  return query(
+    `SELECT id, user_agent, ip, created_at, last_used_at, expires_at
+     FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+}
+
+/**
+ * End the session a refresh token belongs to (logout); returns whether there was one
+ */
+async function revokeSessionByToken(refreshToken) {
+  const result = await execute(
+    'UPDATE sessions SET revoked_at = NOW() WHERE refresh_token_hash = $1 AND revoked_at IS NULL',
+    [hashToken(refreshToken)]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * End one of the user's sessions; returns whether it was active
+ */
+async function revokeSession(userId, sessionId) {
+  const result = await execute(
+    'UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+    [sessionId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * End every session of the user except `keepSessionId` (null ends them all)
+ * Takes a pg client so it can run inside a transaction; returns how many ended
+ */
+async function revokeOtherSessions(client, userId, keepSessionId = null) {
+  const result = await client.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR id <> $2)`,
+    [userId, keepSessionId]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  deviceInfo,
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSessionByToken,
+  revokeSession,
+  revokeOtherSessions
+};
@@ -0,0 +1,225 @@
+/**
+ * Two-Factor Authentication
+ * Optional second login step with a TOTP authenticator app (see totp.js).
+ *
+ * Enrollment: setup stores a new secret (not yet in force), the user scans it
+ * into their app, and enabling checks a code from the app. Enabling also issues
+ * BACKUP_CODE_COUNT single-use backup codes for when the app isn't at hand;
+ * they are shown once and only their SHA-256 hashes are stored.
+ *
+ * Login: once the password is right, a user with 2FA gets a short-lived login
+ * challenge token instead of a session, and trades it plus a code for one.
+ * A TOTP code can't be used twice: totp_last_step records the last step used.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { queryOne, execute, transaction } = require('../config/database');
+const { generateSecret, matchStep, otpauthUri } = require('./totp');
+
+const TOTP_ISSUER = 'Expense Reminder';
+const BACKUP_CODE_COUNT = 10;
+
+const CHALLENGE_AUDIENCE = 'login-2fa';
+const CHALLENGE_EXPIRES_IN = '5m';
+
+// Backup codes leave out characters that are easy to misread (0/O, 1/I/L)
+const BACKUP_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const BACKUP_CODE_LENGTH = 10;
+
+function hashBackupCode(code) {
+  return crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+}
+
+// Codes are shown as "xxxxx-xxxxx"; accept them typed with or without the dash, in any case
+function normalizeBackupCode(code) {
+  return String(code).toLowerCase().replace(/[\s-]/g, '');
+}
+
+function newBackupCode() {
+  let code = '';
+  for (let i = 0; i < BACKUP_CODE_LENGTH; i++) {
+    code += BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)];
+  }
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+/**
+ * Replace the user's backup codes with new ones; returns the codes
+ * Takes a pg client so it can run inside a transaction
+ */
+async function replaceBackupCodes(client, userId) {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, newBackupCode);
+
+  await client.query('DELETE FROM two_factor_backup_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    `INSERT INTO two_factor_backup_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::varchar[])`,
+    [userId, codes.map(hashBackupCode)]
+  );
+
+  return codes;
+}
+
+/**
+ * Start enrolling: store a new secret for the user (replacing any unfinished one)
+ * Returns { secret, otpauthUri }, or null if 2FA is already on
+ */
+async function startSetup(user) {
+  const secret = generateSecret();
+
+  const result = await execute(
+    'UPDATE users SET totp_secret = $1, totp_last_step = NULL WHERE id = $2 AND totp_enabled_at IS NULL',
+    [secret, user.id]
+  );
+  if (result.rowCount === 0) {
+    return null;
+  }
+
+  return {
+    secret,
+    otpauthUri: otpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+  };
+}
+
+/**
+ * Check a TOTP code against the user's secret and record its step, so the same
+ * code can't be used again. Returns whether it was accepted.
+ */
+async function useTotpCode(client, user, code) {
+  if (!user.totp_secret) {
+    return false;
+  }
+
+  const step = matchStep(user.totp_secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await client.query(
+    `UPDATE users SET totp_last_step = $1
+     WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)`,
+    [step, user.id]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Finish enrolling with a code from the app
+ * Returns the backup codes, or null if the code is wrong (or setup wasn't started)
+ */
+async function enableTwoFactor(userId, code) {
+  return transaction(async (client) => {
+    const { rows: [user] } = await client.query(
+      'SELECT id, totp_secret FROM users WHERE id = $1 AND totp_enabled_at IS NULL FOR UPDATE',
+      [userId]
+    );
+    if (!user || !(await useTotpCode(client, user, code))) {
+      return null;
+    }
+
+    await client.query('UPDATE users SET totp_enabled_at = NOW() WHERE id = $1', [userId]);
+    return replaceBackupCodes(client, userId);
+  });
+}
+
+/**
+ * Turn 2FA off, removing the secret and backup codes
+ */
+async function disableTwoFactor(client, userId) {
+  await client.query(
+    'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1',
+    [userId]
+  );
+  await client.query('DELETE FROM two_factor_backup_codes WHERE user_id = $1', [userId]);
+}
+
+/**
+ * Check a second-factor code of a user with 2FA on: a TOTP code from the app,
+ * or an unused backup code (which is then used up)
+ * Returns 'totp', 'backup_code', or null if the code is wrong
+ */
+async function verifySecondFactor(userId, code) {
+  return transaction(async (client) => {
+    const { rows: [user] } = await client.query(
+      'SELECT id, totp_secret FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL FOR UPDATE',
+      [userId]
+    );
+    if (!user) {
+      return null;
+    }
+
+    if (await useTotpCode(client, user, code)) {
+      return 'totp';
+    }
+
+    const backup = await client.query(
+      `UPDATE two_factor_backup_codes SET used_at = NOW()
+       WHERE id = (
+         SELECT id FROM two_factor_backup_codes
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+         LIMIT 1
+       )`,
+      [userId, hashBackupCode(code)]
+    );
+    return backup.rowCount > 0 ? 'backup_code' : null;
+  });
+}
+
+/**
+ * Whether the user has 2FA on, and how many backup codes they have left
+ */
+async function getTwoFactorStatus(userId) {
+  const status = await queryOne(
+    `SELECT u.totp_enabled_at AS enabled_at,
+            (SELECT COUNT(*) FROM two_factor_backup_codes b WHERE b.user_id = u.id AND b.used_at IS NULL)::int AS backup_codes_remaining
+     FROM users u WHERE u.id = $1`,
+    [userId]
+  );
+  return {
+    enabled: Boolean(status.enabled_at),
+    enabled_at: status.enabled_at,
+    backup_codes_remaining: status.enabled_at ? status.backup_codes_remaining : 0
+  };
+}
+
+/**
+ * Sign a login challenge token for a user whose password was right
+ * It names the user's token_version, so a password change or reset voids it
+ */
+function createLoginChallenge(user) {
+  return jwt.sign(
+    { ver: user.token_version },
+    process.env.JWT_SECRET,
+    {
+      audience: CHALLENGE_AUDIENCE,
+      subject: String(user.id),
+      expiresIn: CHALLENGE_EXPIRES_IN
+    }
+  );
+}
+
+/**
+ * Verify a login challenge token
+ * Returns { userId, tokenVersion }, or null if it is invalid or expired
+ */
+function verifyLoginChallenge(token) {
+  try {
+    const claims = jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+    return { userId: Number(claims.sub), tokenVersion: claims.ver || 0 };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  BACKUP_CODE_COUNT,
+  startSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  replaceBackupCodes,
+  verifySecondFactor,
+  getTwoFactorStatus,
+  createLoginChallenge,
+  verifyLoginChallenge
+};
@@ -0,0 +1,95 @@
+/**
+ * User Local Time
+ * Works out a user's local date and hour from their IANA timezone, and whether
+ * now is a good time to email them (preferred reminder hour, quiet hours).
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DEFAULT_REMINDER_HOUR = 9;
+
+/**
+ * Whether a string is an IANA timezone name this runtime knows, e.g. "Asia/Kolkata"
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Local wall-clock time in a timezone
+ * Returns { date: "YYYY-MM-DD", hour: 0-23, wallClock } where wallClock is a Date
+ * whose UTC fields read as the local time (only for comparing local times)
+ */
+function localTime(timeZone, now = new Date()) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  const values = {};
+  for (const { type, value } of formatter.formatToParts(now)) {
+    values[type] = Number(value);
+  }
+
+  const wallClock = new Date(Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second));
+  return {
+    date: wallClock.toISOString().slice(0, 10),
+    hour: values.hour,
+    wallClock
+  };
+}
+
+/**
+ * Whether a local hour falls in the user's quiet hours
+ * The window runs from quiet_hours_start up to (not including) quiet_hours_end
+ * and may wrap past midnight, e.g. 22 -> 7
+ */
+function isQuietHour({ quiet_hours_start, quiet_hours_end }, hour) {
+  if (quiet_hours_start === null || quiet_hours_start === undefined ||
+      quiet_hours_end === null || quiet_hours_end === undefined ||
+      quiet_hours_start === quiet_hours_end) {
+    return false;
+  }
+  if (quiet_hours_start < quiet_hours_end) {
+    return hour >= quiet_hours_start && hour < quiet_hours_end;
+  }
+  return hour >= quiet_hours_start || hour < quiet_hours_end;
+}
+
+/**
+ * Whether a notification for `sendOn` (a local date) can go out now
+ * On the day itself it waits for the user's preferred reminder hour; anything
+ * from an earlier day is late already and goes out right away. Never during quiet hours.
+ */
+function isReadyToSend(user, sendOn, now = new Date()) {
+  const local = localTime(user.timezone, now);
+  if (isQuietHour(user, local.hour)) {
+    return false;
+  }
+  if (sendOn < local.date) {
+    return true;
+  }
+  return local.hour >= (user.reminder_hour ?? DEFAULT_REMINDER_HOUR);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_REMINDER_HOUR,
+  isValidTimeZone,
+  localTime,
+  isQuietHour,
+  isReadyToSend
+};
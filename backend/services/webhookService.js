@@ -0,0 +1,320 @@
+/**
+ * Webhook Service
+ * Users can register HTTP endpoints that receive expense and reminder events as
+ * signed JSON. Each event is recorded in webhook_deliveries for every matching
+ * webhook, then POSTed and retried with backoff like notifications
+ * (see notificationService): pending → sending → delivered, or failed → ... → dead.
+ *
+ * Every request is signed with the webhook's secret:
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ * Receivers should recompute the signature and reject old timestamps.
+ */
+
+const crypto = require('crypto');
+const { query, queryOne, execute } = require('../config/database');
+const { MAX_ATTEMPTS, retryDelayMinutes } = require('./notificationService');
+const { postToPublicUrl } = require('./publicUrl');
+
+const WEBHOOK_EVENTS = [
+  'expense.created',
+  'expense.updated',
+  'expense.paid',
+  'expense.deleted',
+  'reminder.sent',
+  'expense.overdue'
+];
+
+// Sent by the "send test event" button only
+const TEST_EVENT = 'webhook.test';
+
+const MAX_WEBHOOKS_PER_USER = 10;
+
+// How long to wait for a receiver to respond
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// How long a delivery run may hold a claimed delivery before others can retry it
+const SENDING_LEASE_MINUTES = 5;
+
+const DELIVERY_BATCH_SIZE = 100;
+
+// Columns returned by the API (the secret is only shown when the webhook is created)
+const WEBHOOK_FIELDS = 'id, url, description, events, active, created_at, updated_at';
+
+/**
+ * Fields of an expense row that go into event payloads
+ */
+function expenseData(expense) {
+  return {
+    id: expense.id,
+    expense_name: expense.expense_name,
+    amount: expense.amount,
+    category: expense.category,
+    due_date: expense.due_date,
+    paid: expense.paid === 1,
+    paid_at: expense.paid_at || null,
+    recurring: expense.recurring,
+    series_id: expense.series_id || null
+  };
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature header value for a request body sent at `timestamp` (unix seconds)
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * A user's webhooks
+ */
+async function listWebhooks(userId) {
+  return query(`SELECT ${WEBHOOK_FIELDS} FROM webhooks WHERE user_id = $1 ORDER BY id`, [userId]);
+}
+
+async function getWebhook(userId, id) {
+  return queryOne(`SELECT ${WEBHOOK_FIELDS} FROM webhooks WHERE id = $1 AND user_id = $2`, [id, userId]);
+}
+
+async function countWebhooks(userId) {
+  const { count } = await queryOne('SELECT COUNT(*)::int AS count FROM webhooks WHERE user_id = $1', [userId]);
+  return count;
+}
+
+/**
+ * Register a webhook; the result includes its secret
+ */
+async function createWebhook(userId, { url, description, events }) {
+  return queryOne(`
+    INSERT INTO webhooks (user_id, url, description, secret, events)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING ${WEBHOOK_FIELDS}, secret
+  `, [userId, url, description || null, generateSecret(), JSON.stringify([...new Set(events)])]);
+}
+
+/**
+ * Update a webhook's url, description, events or active flag
+ * Returns null if the user has no such webhook
+ */
+async function updateWebhook(userId, id, changes) {
+  const fields = ['url', 'description', 'events', 'active'].filter(field => changes[field] !== undefined);
+  const values = fields.map(field => field === 'events' ? JSON.stringify([...new Set(changes.events)]) : changes[field]);
+
+  return queryOne(`
+    UPDATE webhooks
+    SET ${[...fields.map((field, i) => `${field} = $${i + 1}`), 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+    WHERE id = $${fields.length + 1} AND user_id = $${fields.length + 2}
+    RETURNING ${WEBHOOK_FIELDS}
+  `, [...values, id, userId]);
+}
+
+/**
+ * Delete a webhook and its delivery log; returns false if the user has no such webhook
+ */
+async function deleteWebhook(userId, id) {
+  const result = await execute('DELETE FROM webhooks WHERE id = $1 AND user_id = $2', [id, userId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Queue an event for every active webhook of the user that subscribes to it
+ * Pass a pg `client` to queue it in the caller's transaction. Emitting never
+ * throws without a client: a webhook problem shouldn't fail the request that
+ * caused the event. Returns the number of deliveries queued.
+ */
+async function emitWebhookEvent(userId, event, data, client = null) {
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    created_at: new Date().toISOString(),
+    data
+  };
+  const sql = `
+    INSERT INTO webhook_deliveries (webhook_id, event_id, event, payload)
+    SELECT id, $1, $2::text, $3 FROM webhooks
+    WHERE user_id = $4 AND active AND events ? $2::text
+  `;
+  const params = [payload.id, event, JSON.stringify(payload), userId];
+
+  if (client) {
+    const result = await client.query(sql, params);
+    return result.rowCount;
+  }
+
+  try {
+    const result = await execute(sql, params);
+    if (result.rowCount > 0) {
+      // Deliver in the background; failures are retried by the scheduler
+      setImmediate(deliverPendingWebhooks);
+    }
+    return result.rowCount;
+  } catch (error) {
+    console.error(`Error queueing ${event} webhook event:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Claim up to `limit` due deliveries for this run (see claimDueNotifications)
+ */
+async function claimDueDeliveries(limit) {
+  return query(`
+    UPDATE webhook_deliveries d
+    SET status = 'sending', attempts = attempts + 1,
+        next_attempt_at = CURRENT_TIMESTAMP + make_interval(mins => $2), updated_at = CURRENT_TIMESTAMP
+    FROM webhooks w
+    WHERE d.webhook_id = w.id AND d.id IN (
+      SELECT id FROM webhook_deliveries
+      WHERE status IN ('pending', 'sending', 'failed') AND next_attempt_at <= CURRENT_TIMESTAMP
+      ORDER BY next_attempt_at ASC
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING d.*, w.url, w.secret
+  `, [limit, SENDING_LEASE_MINUTES]);
+}
+
+/**
+ * POST one claimed delivery to its webhook and record the outcome
+ * Any 2xx response counts as delivered; redirects are not followed. Only public
+ * addresses are connected to (see publicUrl), and only the status of a failed
+ * response is recorded, never its body. Returns the updated delivery.
+ */
+async function deliverWebhook(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    const response = await postToPublicUrl(delivery.url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ExpenseReminder-Webhooks/1.0',
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body)
+      },
+      body,
+      timeoutMs: REQUEST_TIMEOUT_MS
+    });
+    responseStatus = response.status;
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  if (!error) {
+    return queryOne(`
+      UPDATE webhook_deliveries
+      SET status = 'delivered', response_status = $1, last_error = NULL,
+          delivered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING *
+    `, [responseStatus, delivery.id]);
+  }
+
+  const status = delivery.attempts >= MAX_ATTEMPTS ? 'dead' : 'failed';
+  console.log(`   ⚠️  Webhook ${delivery.event} delivery ${delivery.id} to ${delivery.url} failed: ${error}`);
+  return queryOne(`
+    UPDATE webhook_deliveries
+    SET status = $1, response_status = $2, last_error = $3,
+        next_attempt_at = CURRENT_TIMESTAMP + make_interval(mins => $4), updated_at = CURRENT_TIMESTAMP
+    WHERE id = $5
+    RETURNING *
+  `, [status, responseStatus, error, retryDelayMinutes(delivery.attempts), delivery.id]);
+}
+
+/**
+ * Send every webhook delivery that is due (new ones and retries whose backoff has passed)
+ * Returns { delivered, failed } counts for this run
+ */
+async function deliverPendingWebhooks() {
+  const counts = { delivered: 0, failed: 0 };
+
+  try {
+    const due = await claimDueDeliveries(DELIVERY_BATCH_SIZE);
+    for (const delivery of due) {
+      const result = await deliverWebhook(delivery);
+      if (result.status === 'delivered') {
+        counts.delivered++;
+      } else {
+        counts.failed++;
+      }
+    }
+    if (due.length > 0) {
+      console.log(`   🪝 Delivered ${counts.delivered} of ${due.length} webhook event(s)`);
+    }
+  } catch (error) {
+    console.error('Error delivering webhooks:', error);
+  }
+  return counts;
+}
+
+/**
+ * Send a test event to one webhook right away (whether or not it is active)
+ * Returns the delivery; if it failed, it is retried like any other
+ */
+async function sendTestEvent(userId, id) {
+  const webhook = await queryOne('SELECT * FROM webhooks WHERE id = $1 AND user_id = $2', [id, userId]);
+  if (!webhook) return null;
+
+  const payload = {
+    id: crypto.randomUUID(),
+    event: TEST_EVENT,
+    created_at: new Date().toISOString(),
+    data: { webhook_id: webhook.id, message: 'This is a test event from Expense Reminder.' }
+  };
+  const delivery = await queryOne(`
+    INSERT INTO webhook_deliveries (webhook_id, event_id, event, payload, status, attempts, next_attempt_at)
+    VALUES ($1, $2, $3, $4, 'sending', 1, CURRENT_TIMESTAMP + make_interval(mins => $5))
+    RETURNING *
+  `, [webhook.id, payload.id, TEST_EVENT, JSON.stringify(payload), SENDING_LEASE_MINUTES]);
+
+  return deliverWebhook({ ...delivery, url: webhook.url, secret: webhook.secret });
+}
+
+/**
+ * A webhook's delivery log, newest first
+ */
+async function listDeliveries(webhookId, { limit, offset }) {
+  const [{ total }] = await query(
+    'SELECT COUNT(*)::int AS total FROM webhook_deliveries WHERE webhook_id = $1',
+    [webhookId]
+  );
+  const deliveries = await query(`
+    SELECT id, event_id, event, payload, status, attempts, response_status, last_error,
+           next_attempt_at, delivered_at, created_at
+    FROM webhook_deliveries
+    WHERE webhook_id = $1
+    ORDER BY created_at DESC, id DESC
+    LIMIT $2 OFFSET $3
+  `, [webhookId, limit, offset]);
+
+  return { deliveries, total };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_WEBHOOKS_PER_USER,
+  expenseData,
+  signPayload,
+  listWebhooks,
+  getWebhook,
+  countWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  emitWebhookEvent,
+  deliverPendingWebhooks,
+  sendTestEvent,
+  listDeliveries
+};
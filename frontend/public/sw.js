@@ -0,0 +1,28 @@
+/**
+ * Service Worker
+ * Shows the reminders the server sends by browser push. Clicking a
+ * notification opens the app, or the mark-paid page from its action button.
+ */
+
+self.addEventListener('push', (event) => {
+  const message = event.data ? event.data.json() : {}
+
+  event.waitUntil(
+    self.registration.showNotification(message.title || 'Expense Reminder', {
+      body: message.body,
+      icon: '/favicon.svg',
+      data: message,
+      actions: message.markPaidUrl ? [{ action: 'mark-paid', title: 'Mark paid' }] : []
+    })
+  )
+})
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+
+  const { url, markPaidUrl } = event.notification.data || {}
+  const target = event.action === 'mark-paid' ? markPaidUrl : url
+  if (target) {
+    event.waitUntil(self.clients.openWindow(target))
+  }
+})
@@ -4,10 +4,18 @@ import { useAuth } from './context/AuthContext'
 // Pages
 import Login from './pages/Login'
 import Signup from './pages/Signup'
+import ForgotPassword from './pages/ForgotPassword'
+import ResetPassword from './pages/ResetPassword'
+import VerifyEmail from './pages/VerifyEmail'
+import RestoreAccount from './pages/RestoreAccount'
 import Dashboard from './pages/Dashboard'
 import AddExpense from './pages/AddExpense'
 import EditExpense from './pages/EditExpense'
 import Expenses from './pages/Expenses'
+import Settings from './pages/Settings'
+import Profile from './pages/Profile'
+import Webhooks from './pages/Webhooks'
+import AccessTokens from './pages/AccessTokens'
 
 // Components
 import Layout from './components/Layout'
@@ -63,6 +71,27 @@ function App() {
           </PublicRoute>
         }
       />
+      <Route
+        path="/forgot-password"
+        element={
+          <PublicRoute>
+            <ForgotPassword />
+          </PublicRoute>
+        }
+      />
+      <Route
+        path="/reset-password"
+        element={
+          <PublicRoute>
+            <ResetPassword />
+          </PublicRoute>
+        }
+      />
+
+      {/* Opened from links in emails, logged in or not */}
+      <Route path="/verify-email" element={<VerifyEmail />} />
+      <Route path="/confirm-email" element={<VerifyEmail emailChange />} />
+      <Route path="/restore-account" element={<RestoreAccount />} />
 
       {/* Protected Routes */}
       <Route
@@ -78,6 +107,10 @@ function App() {
         <Route path="expenses" element={<Expenses />} />
         <Route path="add-expense" element={<AddExpense />} />
         <Route path="edit-expense/:id" element={<EditExpense />} />
+        <Route path="profile" element={<Profile />} />
+        <Route path="settings" element={<Settings />} />
+        <Route path="webhooks" element={<Webhooks />} />
+        <Route path="tokens" element={<AccessTokens />} />
       </Route>
 
       {/* Catch all - redirect to dashboard or login */}
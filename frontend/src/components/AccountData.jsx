@@ -0,0 +1,135 @@
+/**
+ * Account Data Component
+ * Download everything stored about the account as a JSON file, or delete the
+ * account (after a 14-day grace period, with a link emailed to keep it)
+ */
+
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useAuth } from '../context/AuthContext'
+import { authAPI } from '../services/api'
+import ConfirmModal from './ConfirmModal'
+import toast from 'react-hot-toast'
+import { Database, Download, Trash2 } from 'lucide-react'
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback
+
+export default function AccountData({ twoFactorEnabled }) {
+  const { logout } = useAuth()
+  const navigate = useNavigate()
+  const [form, setForm] = useState({ current_password: '', code: '' })
+  const [busy, setBusy] = useState(null)
+  const [confirming, setConfirming] = useState(false)
+
+  const handleExport = async () => {
+    setBusy('export')
+    try {
+      const response = await authAPI.exportData()
+      const filename = response.headers['content-disposition']?.match(/filename="(.+)"/)?.[1] || 'expense-reminder-export.json'
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      toast.error('Failed to export your data')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleDelete = async () => {
+    setBusy('delete')
+    try {
+      const response = await authAPI.deleteAccount(form)
+      toast.success(response.data.message, { duration: 8000 })
+      logout()
+      navigate('/login')
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to delete account'))
+      setBusy(null)
+      setConfirming(false)
+    }
+  }
+
+  return (
+    <div className="card p-6 space-y-4">
+      <h2 className="label flex items-center gap-2">
+        <Database className="w-4 h-4 text-gray-400" />
+        Your data
+      </h2>
+
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <p className="text-sm text-gray-500 dark:text-gray-400 flex-1 min-w-[12rem]">
+          Download your profile, expenses, reminders, notifications and sign-in history as a JSON file.
+        </p>
+        <button type="button" onClick={handleExport} disabled={busy === 'export'} className="btn-secondary flex items-center gap-2">
+          <Download className="w-4 h-4" />
+          {busy === 'export' ? 'Exporting...' : 'Export data'}
+        </button>
+      </div>
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault()
+          setConfirming(true)
+        }}
+        className="space-y-4 pt-4 border-t border-gray-100 dark:border-gray-700"
+      >
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Deleting your account logs you out everywhere and stops all reminders. Everything in it is
+          deleted for good after 14 days; until then, the link we email you keeps the account.
+        </p>
+        <div className="flex flex-wrap gap-4">
+          <div className="flex-1 min-w-[12rem]">
+            <label htmlFor="delete_password" className="label">Current password</label>
+            <input
+              type="password"
+              id="delete_password"
+              value={form.current_password}
+              onChange={(e) => setForm({ ...form, current_password: e.target.value })}
+              className="input"
+              autoComplete="current-password"
+            />
+          </div>
+          {twoFactorEnabled && (
+            <div>
+              <label htmlFor="delete_code" className="label">Authentication code</label>
+              <input
+                type="text"
+                id="delete_code"
+                value={form.code}
+                onChange={(e) => setForm({ ...form, code: e.target.value })}
+                placeholder="123456"
+                className="input tracking-widest sm:w-48"
+                autoComplete="one-time-code"
+              />
+            </div>
+          )}
+        </div>
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={!form.current_password || (twoFactorEnabled && !form.code)}
+            className="btn-secondary flex items-center gap-2 text-red-600 dark:text-red-400"
+          >
+            <Trash2 className="w-4 h-4" />
+            Delete account
+          </button>
+        </div>
+      </form>
+
+      <ConfirmModal
+        isOpen={confirming}
+        onClose={() => setConfirming(false)}
+        onConfirm={handleDelete}
+        title="Delete Account"
+        message="Your account will be deleted in 14 days, and you'll be logged out now. You can keep it until then with the link we email you."
+        confirmText="Delete"
+        isLoading={busy === 'delete'}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,126 @@
+/**
+ * Active Sessions Component
+ * Devices logged in to the account, each of which can be logged out
+ */
+
+import { useState, useEffect } from 'react'
+import { format, parseISO } from 'date-fns'
+import { authAPI } from '../services/api'
+import { describeBrowser } from '../services/push'
+import ConfirmModal from './ConfirmModal'
+import toast from 'react-hot-toast'
+import { MonitorSmartphone, LogOut } from 'lucide-react'
+
+export default function ActiveSessions() {
+  const [sessions, setSessions] = useState([])
+  // The session being logged out, or 'others'
+  const [busy, setBusy] = useState(null)
+  const [confirmOthers, setConfirmOthers] = useState(false)
+
+  useEffect(() => {
+    loadSessions()
+  }, [])
+
+  const loadSessions = async () => {
+    try {
+      const response = await authAPI.getSessions()
+      setSessions(response.data.data.sessions)
+    } catch (error) {
+      toast.error('Failed to load devices')
+    }
+  }
+
+  const handleRevoke = async (session) => {
+    setBusy(session.id)
+    try {
+      await authAPI.revokeSession(session.id)
+      setSessions((prev) => prev.filter((item) => item.id !== session.id))
+      toast.success('Device logged out')
+    } catch (error) {
+      toast.error('Failed to log out device')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleRevokeOthers = async () => {
+    setBusy('others')
+    try {
+      const response = await authAPI.revokeOtherSessions()
+      setSessions((prev) => prev.filter((item) => item.current))
+      toast.success(response.data.message)
+    } catch (error) {
+      toast.error('Failed to log out other devices')
+    } finally {
+      setBusy(null)
+      setConfirmOthers(false)
+    }
+  }
+
+  const others = sessions.filter((session) => !session.current)
+
+  return (
+    <div className="card p-6">
+      <h2 className="label flex items-center gap-2">
+        <MonitorSmartphone className="w-4 h-4 text-gray-400" />
+        Logged-in devices
+      </h2>
+
+      <ul className="space-y-2 mb-4">
+        {sessions.map((session) => (
+          <li
+            key={session.id}
+            className="flex items-center justify-between gap-2 px-3 py-2 rounded-lg bg-gray-50 dark:bg-gray-800"
+          >
+            <span className="min-w-0">
+              <span className="block text-sm text-gray-700 dark:text-gray-300 truncate" title={session.user_agent || ''}>
+                {session.user_agent ? describeBrowser(session.user_agent) : 'Unknown device'}
+                {session.current && (
+                  <span className="ml-2 text-green-600 dark:text-green-400">This device</span>
+                )}
+              </span>
+              <span className="block text-xs text-gray-500 dark:text-gray-400">
+                {session.ip && `${session.ip} · `}
+                Active {format(parseISO(session.last_used_at), 'dd MMM, HH:mm')}
+                {' · '}
+                Signed in {format(parseISO(session.created_at), 'dd MMM yyyy')}
+              </span>
+            </span>
+            {!session.current && (
+              <button
+                type="button"
+                onClick={() => handleRevoke(session)}
+                disabled={busy === session.id}
+                className="p-2 rounded-lg text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 shrink-0"
+                title="Log out this device"
+              >
+                <LogOut className="w-4 h-4" />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {others.length > 0 && (
+        <button
+          type="button"
+          onClick={() => setConfirmOthers(true)}
+          disabled={busy === 'others'}
+          className="btn-secondary flex items-center gap-2 text-sm"
+        >
+          <LogOut className="w-4 h-4" />
+          Log out all other devices
+        </button>
+      )}
+
+      <ConfirmModal
+        isOpen={confirmOthers}
+        onClose={() => setConfirmOthers(false)}
+        onConfirm={handleRevokeOthers}
+        title="Log out other devices?"
+        message={`${others.length === 1 ? '1 other device' : `${others.length} other devices`} will need to log in again.`}
+        confirmText="Log out"
+      />
+    </div>
+  )
+}
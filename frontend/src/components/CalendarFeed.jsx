@@ -0,0 +1,160 @@
+/**
+ * Calendar Feed Component
+ * A private iCalendar URL of the user's due dates to subscribe to from
+ * Google Calendar, Outlook or Apple Calendar. The server keeps only a hash of
+ * its token, so the URL is shown once, right after it's created.
+ */
+
+import { useState, useEffect } from 'react'
+import { calendarAPI } from '../services/api'
+import ConfirmModal from './ConfirmModal'
+import toast from 'react-hot-toast'
+import { CalendarDays, Copy, RefreshCw, Power } from 'lucide-react'
+
+export default function CalendarFeed() {
+  const [enabled, setEnabled] = useState(false)
+  const [feedUrl, setFeedUrl] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const [confirmReset, setConfirmReset] = useState(false)
+
+  useEffect(() => {
+    loadFeed()
+  }, [])
+
+  const loadFeed = async () => {
+    try {
+      const response = await calendarAPI.getFeed()
+      setEnabled(response.data.data.enabled)
+    } catch (error) {
+      toast.error('Failed to load calendar feed')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Turns the feed on, or replaces its URL so the old one stops working
+  const handleReset = async () => {
+    setBusy(true)
+    try {
+      const response = await calendarAPI.resetFeedUrl()
+      setFeedUrl(response.data.data.feed_url)
+      setEnabled(true)
+      toast.success(enabled ? 'New calendar URL created' : 'Calendar feed turned on')
+    } catch (error) {
+      toast.error('Failed to create calendar URL')
+    } finally {
+      setBusy(false)
+      setConfirmReset(false)
+    }
+  }
+
+  const handleDisable = async () => {
+    setBusy(true)
+    try {
+      await calendarAPI.disableFeed()
+      setEnabled(false)
+      setFeedUrl(null)
+      toast.success('Calendar feed turned off')
+    } catch (error) {
+      toast.error('Failed to turn off calendar feed')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl)
+      toast.success('Calendar URL copied')
+    } catch (error) {
+      toast.error('Copy failed, select the URL instead')
+    }
+  }
+
+  if (isLoading) {
+    return null
+  }
+
+  const webcalUrl = feedUrl && feedUrl.replace(/^https?:/, 'webcal:')
+
+  return (
+    <div className="card p-6">
+      <h2 className="label flex items-center gap-2">
+        <CalendarDays className="w-4 h-4 text-gray-400" />
+        Calendar feed
+      </h2>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+        Subscribe to your unpaid expenses from Google Calendar, Outlook or Apple Calendar.
+        Recurring expenses repeat in the calendar and your reminders become alerts.
+      </p>
+
+      {enabled ? (
+        <div className="space-y-3">
+          {feedUrl ? (
+            <>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={feedUrl}
+                  readOnly
+                  onFocus={(e) => e.target.select()}
+                  className="input font-mono text-xs"
+                />
+                <button type="button" onClick={handleCopy} className="btn-secondary flex items-center gap-1 text-sm shrink-0">
+                  <Copy className="w-4 h-4" />
+                  Copy
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Copy it now, it won't be shown again. Keep it private: anyone with it can see your
+                due dates.{' '}
+                <a href={webcalUrl} className="text-primary-600 dark:text-primary-400 hover:underline">
+                  Open in calendar app
+                </a>
+                {' · '}
+                <a
+                  href={`https://calendar.google.com/calendar/r?cid=${encodeURIComponent(webcalUrl)}`}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="text-primary-600 dark:text-primary-400 hover:underline"
+                >
+                  Add to Google Calendar
+                </a>
+              </p>
+            </>
+          ) : (
+            <p className="text-sm text-gray-700 dark:text-gray-300">
+              Your calendar feed is on. Its URL is only shown when it's created; if you need it
+              again, create a new URL and subscribe to that one.
+            </p>
+          )}
+          <div className="flex gap-2">
+            <button type="button" onClick={() => setConfirmReset(true)} disabled={busy} className="btn-secondary flex items-center gap-2 text-sm">
+              <RefreshCw className="w-4 h-4" />
+              New URL
+            </button>
+            <button type="button" onClick={handleDisable} disabled={busy} className="btn-secondary flex items-center gap-2 text-sm">
+              <Power className="w-4 h-4" />
+              Turn off
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button type="button" onClick={handleReset} disabled={busy} className="btn-secondary flex items-center gap-2 text-sm">
+          <CalendarDays className="w-4 h-4" />
+          {busy ? 'Turning on...' : 'Turn on calendar feed'}
+        </button>
+      )}
+
+      <ConfirmModal
+        isOpen={confirmReset}
+        onClose={() => setConfirmReset(false)}
+        onConfirm={handleReset}
+        title="Create a new calendar URL?"
+        message="Calendars subscribed to the current URL will stop updating until you subscribe to the new one."
+        confirmText="New URL"
+      />
+    </div>
+  )
+}
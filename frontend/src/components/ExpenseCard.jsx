@@ -3,10 +3,14 @@
  * Displays a single expense in a card format
  */
 
-import { format, isPast, isToday, isTomorrow, differenceInDays } from 'date-fns'
+import { format, parseISO, isPast, isToday, isTomorrow, differenceInDays } from 'date-fns'
 import { useNavigate } from 'react-router-dom'
+import { describeRecurrence } from './RecurrencePicker'
+import { expensesAPI } from '../services/api'
+import toast from 'react-hot-toast'
 import {
   Calendar,
+  CalendarPlus,
   Bell,
   Edit,
   Trash2,
@@ -36,9 +40,9 @@ export default function ExpenseCard({ expense, onDelete, onMarkPaid, showPaidSta
     currency: 'INR'
   }).format(expense.amount)
 
-  // Parse dates
-  const dueDate = new Date(expense.due_date)
-  const reminderDate = new Date(expense.reminder_date)
+  // Parse dates (date-only strings, read as local calendar days)
+  const dueDate = parseISO(expense.due_date)
+  const reminderDate = parseISO(expense.reminder_date)
 
   // Check if paid
   const isPaid = expense.paid === 1 || expense.paid === true
@@ -66,6 +70,22 @@ export default function ExpenseCard({ expense, onDelete, onMarkPaid, showPaidSta
 
   const dueDateStatus = getDueDateStatus()
 
+  // Save the expense as an .ics file to add it to a calendar app
+  const handleDownloadCalendar = async () => {
+    try {
+      const response = await expensesAPI.downloadCalendar(expense.id)
+      const filename = response.headers['content-disposition']?.match(/filename="(.+)"/)?.[1] || 'expense.ics'
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      toast.error('Failed to download calendar file')
+    }
+  }
+
   return (
     <div className={`card p-5 card-hover animate-fade-in ${isPaid ? 'opacity-75 bg-green-50 dark:bg-green-900/10' : ''}`}>
       <div className="flex items-start justify-between gap-4">
@@ -95,7 +115,7 @@ export default function ExpenseCard({ expense, onDelete, onMarkPaid, showPaidSta
               {expense.recurring === 'yes' && (
                 <span className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
                   <RefreshCw className="w-3 h-3" />
-                  Recurring
+                  {describeRecurrence(expense.recurrence_rule) || 'Recurring'}
                 </span>
               )}
               {isPaid && (
@@ -121,6 +141,13 @@ export default function ExpenseCard({ expense, onDelete, onMarkPaid, showPaidSta
         {/* Right: Actions */}
         <div className="flex flex-col items-end gap-2">
           <div className="flex items-center gap-1">
+            <button
+              onClick={handleDownloadCalendar}
+              className="p-2 rounded-lg text-gray-400 hover:text-primary-500 hover:bg-primary-50 dark:hover:bg-primary-900/30 transition-colors"
+              title="Download .ics"
+            >
+              <CalendarPlus className="w-4 h-4" />
+            </button>
             <button
               onClick={() => navigate(`/edit-expense/${expense.id}`)}
               className="p-2 rounded-lg text-gray-400 hover:text-primary-500 hover:bg-primary-50 dark:hover:bg-primary-900/30 transition-colors"
@@ -153,7 +180,7 @@ export default function ExpenseCard({ expense, onDelete, onMarkPaid, showPaidSta
         {/* Reminder Date */}
         <div className="flex items-center gap-2">
           <Bell className={`w-4 h-4 ${expense.email_sent ? 'text-green-500' : 'text-gray-400'}`} />
-          <span className="text-gray-500 dark:text-gray-400">Reminder:</span>
+          <span className="text-gray-500 dark:text-gray-400">Next reminder:</span>
           <span className="text-gray-600 dark:text-gray-400">
             {format(reminderDate, 'MMM d, yyyy')}
           </span>
@@ -4,25 +4,37 @@
  */
 
 import { useState, useEffect } from 'react'
-import { expensesAPI } from '../services/api'
+import { format, differenceInCalendarDays, parseISO } from 'date-fns'
+import { expensesAPI, channelsAPI } from '../services/api'
+import RecurrencePicker from './RecurrencePicker'
+import ReminderOffsetsInput from './ReminderOffsetsInput'
 import {
-  Calendar,
+  AlertTriangle,
   Bell,
+  Calendar,
   DollarSign,
   Tag,
-  RefreshCw,
   FileText
 } from 'lucide-react'
 
-export default function ExpenseForm({ initialData, onSubmit, isSubmitting }) {
+export default function ExpenseForm({ initialData, onSubmit, isSubmitting, recurrenceLocked = false, children }) {
   const [categories, setCategories] = useState([])
+  const [channels, setChannels] = useState([])
   const [formData, setFormData] = useState({
     expense_name: '',
     amount: '',
     category: 'Other',
     due_date: '',
-    reminder_date: '',
-    recurring: 'no'
+    reminder_offsets: [1],
+    overdue: 'default',
+    overdue_interval_days: '3',
+    overdue_max_reminders: '3',
+    notify: 'default',
+    notification_channels: [],
+    recurrence_rule: '',
+    ends: 'never',
+    end_date: '',
+    max_occurrences: ''
   })
   const [errors, setErrors] = useState({})
 
@@ -40,35 +52,54 @@ export default function ExpenseForm({ initialData, onSubmit, isSubmitting }) {
     loadCategories()
   }, [])
 
+  // Load the notification channels the server can deliver on
+  useEffect(() => {
+    const loadChannels = async () => {
+      try {
+        const response = await channelsAPI.getAll()
+        setChannels(response.data.data.channels.filter((channel) => channel.available))
+      } catch (error) {
+        setChannels([{ name: 'email', label: 'Email' }])
+      }
+    }
+    loadChannels()
+  }, [])
+
   // Populate form with initial data (for editing)
   useEffect(() => {
     if (initialData) {
+      const dueDate = initialData.due_date?.split('T')[0] || ''
+      const reminderDate = initialData.reminder_date?.split('T')[0]
       setFormData({
         expense_name: initialData.expense_name || '',
         amount: initialData.amount?.toString() || '',
         category: initialData.category || 'Other',
-        due_date: initialData.due_date?.split('T')[0] || '',
-        reminder_date: initialData.reminder_date?.split('T')[0] || '',
-        recurring: initialData.recurring || 'no'
+        due_date: dueDate,
+        // Older expenses only have a single reminder date
+        reminder_offsets: initialData.reminder_offsets ||
+          (dueDate && reminderDate ? [differenceInCalendarDays(parseISO(dueDate), parseISO(reminderDate))] : []),
+        overdue: initialData.overdue_max_reminders === 0 ? 'off'
+          : initialData.overdue_interval_days || initialData.overdue_max_reminders ? 'custom' : 'default',
+        overdue_interval_days: initialData.overdue_interval_days?.toString() || '3',
+        overdue_max_reminders: initialData.overdue_max_reminders?.toString() || '3',
+        notify: initialData.notification_channels ? 'custom' : 'default',
+        notification_channels: initialData.notification_channels || [],
+        recurrence_rule: initialData.recurrence_rule || '',
+        ends: initialData.end_date ? 'date' : initialData.max_occurrences ? 'count' : 'never',
+        end_date: initialData.end_date?.split('T')[0] || '',
+        max_occurrences: initialData.max_occurrences?.toString() || ''
       })
     }
   }, [initialData])
 
   // Handle input change
   const handleChange = (e) => {
-    const { name, value, type, checked } = e.target
+    const { name, value } = e.target
     
-    if (type === 'checkbox') {
-      setFormData(prev => ({
-        ...prev,
-        [name]: checked ? 'yes' : 'no'
-      }))
-    } else {
-      setFormData(prev => ({
-        ...prev,
-        [name]: value
-      }))
-    }
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }))
 
     // Clear error when field is modified
     if (errors[name]) {
@@ -76,6 +107,32 @@ export default function ExpenseForm({ initialData, onSubmit, isSubmitting }) {
     }
   }
 
+  // Handle reminder offsets change
+  const handleRemindersChange = (offsets) => {
+    setFormData(prev => ({ ...prev, reminder_offsets: offsets }))
+    if (errors.reminder_offsets) {
+      setErrors(prev => ({ ...prev, reminder_offsets: '' }))
+    }
+  }
+
+  // Add or remove one of the expense's own notification channels
+  const toggleChannel = (channel) => {
+    setFormData(prev => ({
+      ...prev,
+      notification_channels: prev.notification_channels.includes(channel)
+        ? prev.notification_channels.filter(item => item !== channel)
+        : [...prev.notification_channels, channel]
+    }))
+  }
+
+  // Handle recurrence picker change
+  const handleRecurrenceChange = (rule) => {
+    setFormData(prev => ({ ...prev, recurrence_rule: rule }))
+    if (errors.recurrence_rule) {
+      setErrors(prev => ({ ...prev, recurrence_rule: '' }))
+    }
+  }
+
   // Validate form
   const validate = () => {
     const newErrors = {}
@@ -92,16 +149,35 @@ export default function ExpenseForm({ initialData, onSubmit, isSubmitting }) {
       newErrors.due_date = 'Due date is required'
     }
 
-    if (!formData.reminder_date) {
-      newErrors.reminder_date = 'Reminder date is required'
+    if (formData.reminder_offsets.length === 0) {
+      newErrors.reminder_offsets = 'Add at least one reminder'
     }
 
-    if (formData.due_date && formData.reminder_date) {
-      if (new Date(formData.reminder_date) > new Date(formData.due_date)) {
-        newErrors.reminder_date = 'Reminder date cannot be after due date'
+    if (formData.overdue === 'custom') {
+      const interval = parseInt(formData.overdue_interval_days)
+      const max = parseInt(formData.overdue_max_reminders)
+      if (!(interval >= 1 && interval <= 30) || !(max >= 1 && max <= 10)) {
+        newErrors.overdue = 'Choose every 1-30 days, up to 1-10 reminders'
       }
     }
 
+    if (formData.recurrence_rule && formData.ends === 'date') {
+      if (!formData.end_date) {
+        newErrors.end_date = 'End date is required'
+      } else if (formData.due_date && formData.end_date < formData.due_date) {
+        newErrors.end_date = 'End date cannot be before the due date'
+      }
+    }
+
+    if (formData.recurrence_rule && formData.ends === 'count' && !(parseInt(formData.max_occurrences) >= 1)) {
+      newErrors.max_occurrences = 'Enter how many times this repeats'
+    }
+
+    const monthDay = formData.recurrence_rule.match(/BYMONTHDAY=(-?\d*)/)
+    if (monthDay && !(Number(monthDay[1]) >= 1 && Number(monthDay[1]) <= 31) && monthDay[1] !== '-1') {
+      newErrors.recurrence_rule = 'Day of month must be between 1 and 31'
+    }
+
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
@@ -112,14 +188,25 @@ export default function ExpenseForm({ initialData, onSubmit, isSubmitting }) {
     
     if (!validate()) return
 
-    onSubmit({
-      ...formData,
-      amount: parseFloat(formData.amount)
-    })
+    const { ends, end_date, max_occurrences, overdue, overdue_interval_days, overdue_max_reminders, notify, ...data } = formData
+    const payload = { ...data, amount: parseFloat(formData.amount) }
+
+    // null settings fall back to the user's overdue defaults
+    payload.overdue_interval_days = overdue === 'custom' ? parseInt(overdue_interval_days) : null
+    payload.overdue_max_reminders = overdue === 'custom' ? parseInt(overdue_max_reminders) : overdue === 'off' ? 0 : null
+    // null uses the channels in the user's settings
+    payload.notification_channels = notify === 'custom' ? formData.notification_channels : null
+
+    if (formData.recurrence_rule) {
+      payload.end_date = ends === 'date' ? end_date : null
+      payload.max_occurrences = ends === 'count' ? parseInt(max_occurrences) : null
+    }
+
+    onSubmit(payload)
   }
 
   // Get today's date for min date attribute
-  const today = new Date().toISOString().split('T')[0]
+  const today = format(new Date(), 'yyyy-MM-dd')
 
   return (
     <form onSubmit={handleSubmit} className="space-y-6">
@@ -206,45 +293,166 @@ export default function ExpenseForm({ initialData, onSubmit, isSubmitting }) {
         )}
       </div>
 
-      {/* Reminder Date */}
+      {/* Reminders */}
+      <ReminderOffsetsInput
+        value={formData.reminder_offsets}
+        onChange={handleRemindersChange}
+        dueDate={formData.due_date}
+        error={errors.reminder_offsets}
+      />
+
+      {/* Overdue Escalation */}
       <div>
-        <label htmlFor="reminder_date" className="label flex items-center gap-2">
+        <label htmlFor="overdue" className="label flex items-center gap-2">
+          <AlertTriangle className="w-4 h-4 text-gray-400" />
+          If still unpaid after the due date
+        </label>
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <select
+            id="overdue"
+            name="overdue"
+            value={formData.overdue}
+            onChange={handleChange}
+            className="input sm:w-56"
+          >
+            <option value="default">Use my default</option>
+            <option value="custom">Keep reminding me</option>
+            <option value="off">Don't send overdue reminders</option>
+          </select>
+          {formData.overdue === 'custom' && (
+            <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+              <span>Every</span>
+              <input
+                type="number"
+                name="overdue_interval_days"
+                value={formData.overdue_interval_days}
+                onChange={handleChange}
+                min="1"
+                max="30"
+                className="input w-20"
+              />
+              <span>days, up to</span>
+              <input
+                type="number"
+                name="overdue_max_reminders"
+                value={formData.overdue_max_reminders}
+                onChange={handleChange}
+                min="1"
+                max="10"
+                className="input w-20"
+              />
+              <span>times</span>
+            </div>
+          )}
+        </div>
+        {errors.overdue && (
+          <p className="mt-1 text-sm text-red-500">{errors.overdue}</p>
+        )}
+      </div>
+
+      {/* Notification Channels */}
+      <div>
+        <label htmlFor="notify" className="label flex items-center gap-2">
           <Bell className="w-4 h-4 text-gray-400" />
-          Reminder Date
+          Notify me by
         </label>
-        <input
-          type="date"
-          id="reminder_date"
-          name="reminder_date"
-          value={formData.reminder_date}
+        <select
+          id="notify"
+          name="notify"
+          value={formData.notify}
           onChange={handleChange}
-          min={today}
-          max={formData.due_date || undefined}
-          className={`input ${errors.reminder_date ? 'border-red-500 focus:ring-red-500' : ''}`}
-        />
-        {errors.reminder_date && (
-          <p className="mt-1 text-sm text-red-500">{errors.reminder_date}</p>
+          className="input sm:w-56"
+        >
+          <option value="default">My default channels</option>
+          <option value="custom">Choose for this expense</option>
+        </select>
+        {formData.notify === 'custom' && (
+          <>
+            <div className="flex flex-wrap gap-4 mt-3">
+              {channels.map((channel) => (
+                <label key={channel.name} className="flex items-center gap-2 cursor-pointer text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={formData.notification_channels.includes(channel.name)}
+                    onChange={() => toggleChannel(channel.name)}
+                    className="w-4 h-4 rounded text-primary-600 focus:ring-primary-500"
+                  />
+                  {channel.label}
+                </label>
+              ))}
+            </div>
+            {formData.notification_channels.length === 0 && (
+              <p className="mt-2 text-sm text-amber-600 dark:text-amber-400">
+                No reminders will be sent for this expense.
+              </p>
+            )}
+          </>
         )}
-        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
-          You'll receive an email reminder on this date
-        </p>
       </div>
 
-      {/* Recurring */}
-      <div className="flex items-center gap-3">
-        <input
-          type="checkbox"
-          id="recurring"
-          name="recurring"
-          checked={formData.recurring === 'yes'}
-          onChange={handleChange}
-          className="w-5 h-5 rounded border-gray-300 text-primary-500 focus:ring-primary-500"
+      {/* Recurrence */}
+      <fieldset disabled={recurrenceLocked} className={recurrenceLocked ? 'opacity-60' : ''}>
+        <RecurrencePicker
+          value={formData.recurrence_rule}
+          onChange={handleRecurrenceChange}
+          error={errors.recurrence_rule}
         />
-        <label htmlFor="recurring" className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
-          <RefreshCw className="w-4 h-4 text-gray-400" />
-          This is a recurring monthly expense
-        </label>
-      </div>
+
+        {/* Series End */}
+        {formData.recurrence_rule && (
+          <div className="mt-4">
+            <label htmlFor="ends" className="label">
+              Ends
+            </label>
+            <div className="flex flex-col sm:flex-row gap-3">
+              <select
+                id="ends"
+                name="ends"
+                value={formData.ends}
+                onChange={handleChange}
+                className="input sm:w-48"
+              >
+                <option value="never">Never</option>
+                <option value="date">On a date</option>
+                <option value="count">After a number of payments</option>
+              </select>
+              {formData.ends === 'date' && (
+                <input
+                  type="date"
+                  name="end_date"
+                  value={formData.end_date}
+                  onChange={handleChange}
+                  min={formData.due_date || undefined}
+                  className={`input ${errors.end_date ? 'border-red-500 focus:ring-red-500' : ''}`}
+                />
+              )}
+              {formData.ends === 'count' && (
+                <input
+                  type="number"
+                  name="max_occurrences"
+                  value={formData.max_occurrences}
+                  onChange={handleChange}
+                  min="1"
+                  max="1000"
+                  placeholder="e.g., 24"
+                  className={`input ${errors.max_occurrences ? 'border-red-500 focus:ring-red-500' : ''}`}
+                />
+              )}
+            </div>
+            {(errors.end_date || errors.max_occurrences) && (
+              <p className="mt-1 text-sm text-red-500">{errors.end_date || errors.max_occurrences}</p>
+            )}
+          </div>
+        )}
+
+        {recurrenceLocked && (
+          <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+            To change the schedule, apply your changes to this and following payments or to all payments.
+          </p>
+        )}
+      </fieldset>
+
+      {children}
 
       {/* Submit Button */}
       <button
@@ -17,7 +17,11 @@ import {
   Moon,
   Sun,
   User,
-  Wallet
+  Wallet,
+  Settings,
+  Webhook,
+  KeyRound,
+  UserCog
 } from 'lucide-react'
 
 export default function Layout() {
@@ -34,7 +38,11 @@ export default function Layout() {
   const navItems = [
     { path: '/dashboard', icon: LayoutDashboard, label: 'Dashboard' },
     { path: '/expenses', icon: Receipt, label: 'All Expenses' },
-    { path: '/add-expense', icon: PlusCircle, label: 'Add Expense' }
+    { path: '/add-expense', icon: PlusCircle, label: 'Add Expense' },
+    { path: '/webhooks', icon: Webhook, label: 'Webhooks' },
+    { path: '/tokens', icon: KeyRound, label: 'API Tokens' },
+    { path: '/profile', icon: UserCog, label: 'Profile' },
+    { path: '/settings', icon: Settings, label: 'Settings' }
   ]
 
   return (
@@ -0,0 +1,92 @@
+/**
+ * Login History Component
+ * Recent sign-in attempts on the account, including failed ones
+ */
+
+import { useState, useEffect } from 'react'
+import { format, parseISO } from 'date-fns'
+import { authAPI } from '../services/api'
+import { describeBrowser } from '../services/push'
+import toast from 'react-hot-toast'
+import { History, CheckCircle, XCircle } from 'lucide-react'
+
+const FAILURE_REASONS = {
+  password: 'Wrong password',
+  two_factor: 'Wrong authentication code',
+  locked: 'Account locked'
+}
+
+// Show this many at first; the rest behind "Show more"
+const INITIAL_COUNT = 5
+
+export default function LoginHistory() {
+  const [history, setHistory] = useState([])
+  const [showAll, setShowAll] = useState(false)
+
+  useEffect(() => {
+    loadHistory()
+  }, [])
+
+  const loadHistory = async () => {
+    try {
+      const response = await authAPI.getLoginHistory()
+      setHistory(response.data.data.history)
+    } catch (error) {
+      toast.error('Failed to load sign-in history')
+    }
+  }
+
+  const shown = showAll ? history : history.slice(0, INITIAL_COUNT)
+
+  return (
+    <div className="card p-6">
+      <h2 className="label flex items-center gap-2">
+        <History className="w-4 h-4 text-gray-400" />
+        Recent sign-ins
+      </h2>
+
+      {history.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No sign-ins yet</p>
+      ) : (
+        <ul className="space-y-2">
+          {shown.map((attempt) => (
+            <li
+              key={attempt.id}
+              className="flex items-center gap-3 px-3 py-2 rounded-lg bg-gray-50 dark:bg-gray-800"
+            >
+              {attempt.success ? (
+                <CheckCircle className="w-4 h-4 text-green-500 shrink-0" />
+              ) : (
+                <XCircle className="w-4 h-4 text-red-500 shrink-0" />
+              )}
+              <span className="min-w-0">
+                <span className="block text-sm text-gray-700 dark:text-gray-300 truncate" title={attempt.user_agent || ''}>
+                  {attempt.user_agent ? describeBrowser(attempt.user_agent) : 'Unknown device'}
+                  {!attempt.success && (
+                    <span className="ml-2 text-red-600 dark:text-red-400">
+                      {FAILURE_REASONS[attempt.failure_reason] || 'Failed'}
+                    </span>
+                  )}
+                </span>
+                <span className="block text-xs text-gray-500 dark:text-gray-400">
+                  {attempt.ip && `${attempt.ip} · `}
+                  {format(parseISO(attempt.created_at), 'dd MMM yyyy, HH:mm')}
+                </span>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {history.length > INITIAL_COUNT && (
+        <button
+          type="button"
+          onClick={() => setShowAll(!showAll)}
+          className="mt-3 text-sm font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400"
+        >
+          {showAll ? 'Show less' : `Show all ${history.length}`}
+        </button>
+      )}
+    </div>
+  )
+}
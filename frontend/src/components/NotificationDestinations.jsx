@@ -0,0 +1,238 @@
+/**
+ * Notification Destinations Component
+ * Where non-email channels deliver: this browser (push), Telegram chats,
+ * phone numbers and URLs. Each can be tested or removed.
+ */
+
+import { useState, useEffect } from 'react'
+import { channelsAPI } from '../services/api'
+import { isPushSupported, describeBrowser, subscribeToPush } from '../services/push'
+import toast from 'react-hot-toast'
+import { BellRing, Smartphone, MessageCircle, MessageSquare, Globe, Plus, Send, Trash2 } from 'lucide-react'
+
+const CHANNEL_ICONS = {
+  webpush: Smartphone,
+  telegram: MessageCircle,
+  sms: MessageSquare,
+  http: Globe
+}
+
+// Channels whose destination is typed in
+const ADDRESS_INPUTS = {
+  telegram: {
+    type: 'text',
+    placeholder: 'Chat ID, e.g. 123456789',
+    hint: 'Send /start to the bot first. Bots like @userinfobot tell you your chat ID.'
+  },
+  sms: {
+    type: 'tel',
+    placeholder: '+919876543210',
+    hint: 'International format, with the country code'
+  },
+  http: {
+    type: 'url',
+    placeholder: 'https://example.com/notify',
+    hint: 'Receives a JSON POST with the title, text and link of each notification'
+  }
+}
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || error.message || fallback
+
+export default function NotificationDestinations() {
+  const [channels, setChannels] = useState([])
+  const [destinations, setDestinations] = useState([])
+  const [vapidKey, setVapidKey] = useState(null)
+  const [addresses, setAddresses] = useState({})
+  // The channel being added to, or the destination being tested or removed
+  const [busy, setBusy] = useState(null)
+
+  useEffect(() => {
+    loadChannels()
+  }, [])
+
+  const loadChannels = async () => {
+    try {
+      const response = await channelsAPI.getAll()
+      const { channels, destinations, vapid_public_key } = response.data.data
+      setChannels(channels.filter((channel) => channel.available && channel.needs_destination))
+      setDestinations(destinations)
+      setVapidKey(vapid_public_key)
+    } catch (error) {
+      toast.error('Failed to load notification destinations')
+    }
+  }
+
+  // Adding an existing destination updates it, so replace it in the list
+  const addDestination = async (data) => {
+    const response = await channelsAPI.addDestination(data)
+    const { destination } = response.data.data
+    setDestinations((prev) => [...prev.filter((item) => item.id !== destination.id), destination])
+  }
+
+  const handleAdd = async (e, channel) => {
+    e.preventDefault()
+    setBusy(channel)
+    try {
+      await addDestination({ channel, address: addresses[channel] || '' })
+      setAddresses((prev) => ({ ...prev, [channel]: '' }))
+      toast.success('Destination added')
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to add destination'))
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleEnablePush = async () => {
+    setBusy('webpush')
+    try {
+      const subscription = await subscribeToPush(vapidKey)
+      await addDestination({
+        channel: 'webpush',
+        address: subscription.endpoint,
+        keys: subscription.keys,
+        label: describeBrowser()
+      })
+      toast.success('Push notifications enabled on this browser')
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to enable push notifications'))
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleTest = async (destination) => {
+    setBusy(destination.id)
+    try {
+      const response = await channelsAPI.testDestination(destination.id)
+      if (response.data.data.delivered) {
+        toast.success(response.data.message)
+      } else {
+        toast.error(response.data.message)
+      }
+    } catch (error) {
+      toast.error('Failed to send test notification')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleRemove = async (destination) => {
+    setBusy(destination.id)
+    try {
+      await channelsAPI.deleteDestination(destination.id)
+      setDestinations((prev) => prev.filter((item) => item.id !== destination.id))
+      toast.success('Destination removed')
+    } catch (error) {
+      toast.error('Failed to remove destination')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  if (channels.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="card p-6">
+      <h2 className="label flex items-center gap-2">
+        <BellRing className="w-4 h-4 text-gray-400" />
+        Notification destinations
+      </h2>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+        Emails go to your account address. Other channels go to every destination you add here.
+      </p>
+
+      <div className="space-y-5">
+        {channels.map((channel) => {
+          const Icon = CHANNEL_ICONS[channel.name] || Globe
+          const input = ADDRESS_INPUTS[channel.name]
+          const channelDestinations = destinations.filter((destination) => destination.channel === channel.name)
+
+          return (
+            <div key={channel.name}>
+              <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 flex items-center gap-2 mb-2">
+                <Icon className="w-4 h-4 text-gray-400" />
+                {channel.label}
+              </h3>
+
+              {channelDestinations.length > 0 && (
+                <ul className="space-y-2 mb-2">
+                  {channelDestinations.map((destination) => (
+                    <li
+                      key={destination.id}
+                      className="flex items-center justify-between gap-2 px-3 py-2 rounded-lg bg-gray-50 dark:bg-gray-800"
+                    >
+                      <span className="min-w-0 text-sm text-gray-700 dark:text-gray-300 truncate" title={destination.address}>
+                        {destination.label || destination.address}
+                      </span>
+                      <span className="flex items-center gap-1 shrink-0">
+                        <button
+                          type="button"
+                          onClick={() => handleTest(destination)}
+                          disabled={busy === destination.id}
+                          className="btn-secondary flex items-center gap-1 text-sm"
+                        >
+                          <Send className="w-4 h-4" />
+                          Test
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleRemove(destination)}
+                          disabled={busy === destination.id}
+                          className="p-2 rounded-lg text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+                          title="Remove destination"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {channel.name === 'webpush' ? (
+                isPushSupported() ? (
+                  <button
+                    type="button"
+                    onClick={handleEnablePush}
+                    disabled={busy === 'webpush'}
+                    className="btn-secondary flex items-center gap-2 text-sm"
+                  >
+                    <Plus className="w-4 h-4" />
+                    {busy === 'webpush' ? 'Enabling...' : 'Enable on this browser'}
+                  </button>
+                ) : (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">This browser doesn't support push notifications.</p>
+                )
+              ) : input && (
+                <form onSubmit={(e) => handleAdd(e, channel.name)}>
+                  <div className="flex gap-2">
+                    <input
+                      type={input.type}
+                      value={addresses[channel.name] || ''}
+                      onChange={(e) => setAddresses((prev) => ({ ...prev, [channel.name]: e.target.value }))}
+                      placeholder={input.placeholder}
+                      className="input"
+                    />
+                    <button
+                      type="submit"
+                      disabled={busy === channel.name || !addresses[channel.name]}
+                      className="btn-secondary flex items-center gap-1 text-sm shrink-0"
+                    >
+                      <Plus className="w-4 h-4" />
+                      Add
+                    </button>
+                  </div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{input.hint}</p>
+                </form>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
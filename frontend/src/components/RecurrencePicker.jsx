@@ -0,0 +1,183 @@
+/**
+ * Recurrence Picker Component
+ * Builds an RFC 5545 RRULE string from common repeat options
+ */
+
+import { useState, useEffect } from 'react'
+import { RefreshCw } from 'lucide-react'
+
+const UNITS = [
+  { value: 'DAILY', label: 'day(s)' },
+  { value: 'WEEKLY', label: 'week(s)' },
+  { value: 'MONTHLY', label: 'month(s)' },
+  { value: 'YEARLY', label: 'year(s)' }
+]
+
+const OPTIONS = [
+  { value: 'none', label: 'Does not repeat' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'biweekly', label: 'Every 2 weeks' },
+  { value: 'monthly', label: 'Monthly (same day as due date)' },
+  { value: 'monthly_day', label: 'Monthly on a specific day' },
+  { value: 'last_day', label: 'Last day of every month' },
+  { value: 'quarterly', label: 'Quarterly' },
+  { value: 'yearly', label: 'Yearly' },
+  { value: 'interval', label: 'Every N days / weeks / months / years' },
+  { value: 'rrule', label: 'Custom RRULE' }
+]
+
+const FIXED_RULES = {
+  weekly: 'FREQ=WEEKLY',
+  biweekly: 'FREQ=WEEKLY;INTERVAL=2',
+  monthly: 'FREQ=MONTHLY',
+  last_day: 'FREQ=MONTHLY;BYMONTHDAY=-1',
+  quarterly: 'FREQ=MONTHLY;INTERVAL=3',
+  yearly: 'FREQ=YEARLY'
+}
+
+/**
+ * Break a stored rule back into picker state
+ */
+function parseRule(rule) {
+  const state = { option: 'none', day: '1', interval: '2', unit: 'MONTHLY', rrule: '' }
+  if (!rule) return state
+
+  const fixed = Object.keys(FIXED_RULES).find((key) => FIXED_RULES[key] === rule)
+  if (fixed) return { ...state, option: fixed }
+
+  const monthlyDay = rule.match(/^FREQ=MONTHLY;BYMONTHDAY=(\d+)$/)
+  if (monthlyDay) return { ...state, option: 'monthly_day', day: monthlyDay[1] }
+
+  const interval = rule.match(/^FREQ=(DAILY|WEEKLY|MONTHLY|YEARLY)(?:;INTERVAL=(\d+))?$/)
+  if (interval) return { ...state, option: 'interval', unit: interval[1], interval: interval[2] || '1' }
+
+  return { ...state, option: 'rrule', rrule: rule }
+}
+
+/**
+ * Turn picker state into a rule string ('' = not recurring)
+ */
+function buildRule({ option, day, interval, unit, rrule }) {
+  if (option === 'none') return ''
+  if (FIXED_RULES[option]) return FIXED_RULES[option]
+  if (option === 'monthly_day') return `FREQ=MONTHLY;BYMONTHDAY=${day}`
+  if (option === 'interval') {
+    return Number(interval) > 1 ? `FREQ=${unit};INTERVAL=${interval}` : `FREQ=${unit}`
+  }
+  return rrule.trim().replace(/^RRULE:/i, '')
+}
+
+/**
+ * Short human-readable description of a rule, e.g. "Every 3 months"
+ */
+export function describeRecurrence(rule) {
+  if (!rule) return null
+
+  const { option, day, interval, unit } = parseRule(rule)
+  switch (option) {
+    case 'weekly': return 'Weekly'
+    case 'biweekly': return 'Every 2 weeks'
+    case 'monthly': return 'Monthly'
+    case 'monthly_day': return `Monthly on day ${day}`
+    case 'last_day': return 'Last day of month'
+    case 'quarterly': return 'Quarterly'
+    case 'yearly': return 'Yearly'
+    case 'interval': {
+      const unitName = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[unit]
+      return `Every ${interval} ${unitName}${interval === '1' ? '' : 's'}`
+    }
+    default: return 'Custom'
+  }
+}
+
+export default function RecurrencePicker({ value, onChange, error }) {
+  const [state, setState] = useState(() => parseRule(value))
+
+  // Re-sync when the form loads existing data
+  useEffect(() => {
+    if (buildRule(state) !== (value || '')) {
+      setState(parseRule(value))
+    }
+  }, [value])
+
+  const update = (changes) => {
+    const next = { ...state, ...changes }
+    setState(next)
+    onChange(buildRule(next))
+  }
+
+  return (
+    <div>
+      <label htmlFor="recurrence" className="label flex items-center gap-2">
+        <RefreshCw className="w-4 h-4 text-gray-400" />
+        Repeat
+      </label>
+      <select
+        id="recurrence"
+        value={state.option}
+        onChange={(e) => update({ option: e.target.value })}
+        className="input"
+      >
+        {OPTIONS.map((opt) => (
+          <option key={opt.value} value={opt.value}>
+            {opt.label}
+          </option>
+        ))}
+      </select>
+
+      {state.option === 'monthly_day' && (
+        <div className="mt-3 flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+          <span>On day</span>
+          <input
+            type="number"
+            min="1"
+            max="31"
+            value={state.day}
+            onChange={(e) => update({ day: e.target.value })}
+            className="input w-24"
+          />
+          <span>of each month</span>
+        </div>
+      )}
+
+      {state.option === 'interval' && (
+        <div className="mt-3 flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+          <span>Every</span>
+          <input
+            type="number"
+            min="1"
+            max="366"
+            value={state.interval}
+            onChange={(e) => update({ interval: e.target.value })}
+            className="input w-24"
+          />
+          <select
+            value={state.unit}
+            onChange={(e) => update({ unit: e.target.value })}
+            className="input w-36"
+          >
+            {UNITS.map((u) => (
+              <option key={u.value} value={u.value}>
+                {u.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {state.option === 'rrule' && (
+        <input
+          type="text"
+          value={state.rrule}
+          onChange={(e) => update({ rrule: e.target.value })}
+          placeholder="e.g., FREQ=WEEKLY;BYDAY=MO,TH"
+          className={`input mt-3 font-mono text-sm ${error ? 'border-red-500 focus:ring-red-500' : ''}`}
+        />
+      )}
+
+      {error && (
+        <p className="mt-1 text-sm text-red-500">{error}</p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,131 @@
+/**
+ * Reminder Offsets Input Component
+ * Edits the list of "days before the due date" an expense sends reminders on
+ */
+
+import { useState } from 'react'
+import { format, subDays, parseISO } from 'date-fns'
+import { Bell, Plus, X } from 'lucide-react'
+
+const MAX_REMINDERS = 10
+const MAX_OFFSET_DAYS = 365
+
+const PRESETS = [
+  { value: '0', label: 'On the due date' },
+  { value: '1', label: '1 day before' },
+  { value: '2', label: '2 days before' },
+  { value: '3', label: '3 days before' },
+  { value: '7', label: '1 week before' },
+  { value: '14', label: '2 weeks before' },
+  { value: '30', label: '30 days before' },
+  { value: 'custom', label: 'Custom...' }
+]
+
+/**
+ * Human-readable label for an offset, e.g. "7 days before"
+ */
+export function describeOffset(days) {
+  if (days === 0) return 'On the due date'
+  return `${days} day${days === 1 ? '' : 's'} before`
+}
+
+export default function ReminderOffsetsInput({ value, onChange, dueDate, error }) {
+  const [preset, setPreset] = useState('1')
+  const [customDays, setCustomDays] = useState('')
+
+  const offsets = [...value].sort((a, b) => b - a)
+  const selected = preset === 'custom' ? parseInt(customDays) : Number(preset)
+  const canAdd = Number.isInteger(selected) && selected >= 0 && selected <= MAX_OFFSET_DAYS &&
+    !offsets.includes(selected) && offsets.length < MAX_REMINDERS
+
+  const handleAdd = () => {
+    if (!canAdd) return
+    onChange([...offsets, selected])
+    setCustomDays('')
+  }
+
+  const handleRemove = (offset) => {
+    onChange(offsets.filter((o) => o !== offset))
+  }
+
+  return (
+    <div>
+      <label htmlFor="reminder_preset" className="label flex items-center gap-2">
+        <Bell className="w-4 h-4 text-gray-400" />
+        Reminders
+      </label>
+
+      {offsets.length > 0 ? (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {offsets.map((offset) => (
+            <span
+              key={offset}
+              className="inline-flex items-center gap-2 px-3 py-1.5 rounded-full bg-primary-50 dark:bg-primary-900/30 text-primary-700 dark:text-primary-300 text-sm"
+            >
+              {describeOffset(offset)}
+              {dueDate && (
+                <span className="text-primary-500 dark:text-primary-400">
+                  · {format(subDays(parseISO(dueDate), offset), 'MMM d')}
+                </span>
+              )}
+              <button
+                type="button"
+                onClick={() => handleRemove(offset)}
+                className="p-0.5 rounded-full hover:bg-primary-100 dark:hover:bg-primary-800"
+                aria-label={`Remove reminder ${describeOffset(offset)}`}
+              >
+                <X className="w-3.5 h-3.5" />
+              </button>
+            </span>
+          ))}
+        </div>
+      ) : (
+        <p className="mb-3 text-sm text-gray-500 dark:text-gray-400">
+          No reminders yet
+        </p>
+      )}
+
+      <div className="flex flex-col sm:flex-row gap-3">
+        <select
+          id="reminder_preset"
+          value={preset}
+          onChange={(e) => setPreset(e.target.value)}
+          className="input sm:w-48"
+        >
+          {PRESETS.map((opt) => (
+            <option key={opt.value} value={opt.value}>
+              {opt.label}
+            </option>
+          ))}
+        </select>
+        {preset === 'custom' && (
+          <input
+            type="number"
+            min="0"
+            max={MAX_OFFSET_DAYS}
+            value={customDays}
+            onChange={(e) => setCustomDays(e.target.value)}
+            placeholder="Days before"
+            className="input sm:w-36"
+          />
+        )}
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={!canAdd}
+          className="btn-secondary flex items-center justify-center gap-2"
+        >
+          <Plus className="w-4 h-4" />
+          Add
+        </button>
+      </div>
+
+      {error && (
+        <p className="mt-1 text-sm text-red-500">{error}</p>
+      )}
+      <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+        You'll receive an email reminder on each of these days
+      </p>
+    </div>
+  )
+}
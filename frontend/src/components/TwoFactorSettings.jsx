@@ -0,0 +1,283 @@
+/**
+ * Two-Factor Settings Component
+ * Turn on two-factor authentication with an authenticator app (scan a QR code,
+ * confirm a code), get new backup codes, or turn it off again
+ */
+
+import { useState, useEffect } from 'react'
+import { format, parseISO } from 'date-fns'
+import { authAPI } from '../services/api'
+import toast from 'react-hot-toast'
+import { ShieldCheck, ShieldOff, KeyRound, RefreshCw, Copy, Download, X } from 'lucide-react'
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback
+
+export default function TwoFactorSettings() {
+  const [status, setStatus] = useState(null)
+  // The secret being set up: { secret, otpauth_uri, qr_code }
+  const [setup, setSetup] = useState(null)
+  // New backup codes, shown once
+  const [backupCodes, setBackupCodes] = useState(null)
+  const [code, setCode] = useState('')
+  const [password, setPassword] = useState('')
+  const [busy, setBusy] = useState(null)
+
+  useEffect(() => {
+    loadStatus()
+  }, [])
+
+  const loadStatus = async () => {
+    try {
+      const response = await authAPI.getTwoFactor()
+      setStatus(response.data.data)
+    } catch (error) {
+      toast.error('Failed to load two-factor settings')
+    }
+  }
+
+  const handleSetup = async () => {
+    setBusy('setup')
+    try {
+      const response = await authAPI.setupTwoFactor()
+      setSetup(response.data.data)
+      setCode('')
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to set up two-factor authentication'))
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleEnable = async (e) => {
+    e.preventDefault()
+    setBusy('enable')
+    try {
+      const response = await authAPI.enableTwoFactor({ code })
+      setBackupCodes(response.data.data.backup_codes)
+      setSetup(null)
+      setCode('')
+      toast.success(response.data.message)
+      loadStatus()
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to turn on two-factor authentication'))
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleRegenerate = async () => {
+    setBusy('regenerate')
+    try {
+      const response = await authAPI.regenerateBackupCodes({ code })
+      setBackupCodes(response.data.data.backup_codes)
+      setCode('')
+      toast.success(response.data.message)
+      loadStatus()
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to create backup codes'))
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleDisable = async (e) => {
+    e.preventDefault()
+    setBusy('disable')
+    try {
+      const response = await authAPI.disableTwoFactor({ current_password: password, code })
+      setBackupCodes(null)
+      setCode('')
+      setPassword('')
+      toast.success(response.data.message)
+      loadStatus()
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to turn off two-factor authentication'))
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const copyText = async (text, label) => {
+    try {
+      await navigator.clipboard.writeText(text)
+      toast.success(`${label} copied`)
+    } catch (error) {
+      toast.error('Copy failed, select the text instead')
+    }
+  }
+
+  const downloadBackupCodes = () => {
+    const blob = new Blob([`Expense Reminder backup codes\n\n${backupCodes.join('\n')}\n`], { type: 'text/plain' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'expense-reminder-backup-codes.txt'
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  if (!status) {
+    return null
+  }
+
+  const codeInput = (
+    <div>
+      <label htmlFor="two_factor_code" className="label">Authentication code</label>
+      <input
+        type="text"
+        id="two_factor_code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder="123456"
+        className="input tracking-widest sm:w-48"
+        autoComplete="one-time-code"
+      />
+    </div>
+  )
+
+  return (
+    <div className="card p-6 space-y-4">
+      <h2 className="label flex items-center gap-2">
+        <ShieldCheck className="w-4 h-4 text-gray-400" />
+        Two-factor authentication
+      </h2>
+
+      {/* New backup codes, shown once */}
+      {backupCodes && (
+        <div className="p-4 bg-amber-50 dark:bg-amber-900/20 rounded-xl border border-amber-200 dark:border-amber-800">
+          <h3 className="font-medium text-amber-900 dark:text-amber-100 mb-1 flex items-center gap-2">
+            <KeyRound className="w-4 h-4" />
+            Backup codes
+          </h3>
+          <p className="text-sm text-amber-700 dark:text-amber-300 mb-3">
+            Keep these somewhere safe, they won't be shown again. Each one signs you in once
+            if you don't have your authenticator app.
+          </p>
+          <ul className="grid grid-cols-2 gap-2 mb-3">
+            {backupCodes.map((backupCode) => (
+              <li
+                key={backupCode}
+                className="px-3 py-1.5 bg-white dark:bg-gray-800 rounded-lg text-sm font-mono text-center text-gray-800 dark:text-gray-200"
+              >
+                {backupCode}
+              </li>
+            ))}
+          </ul>
+          <div className="flex flex-wrap items-center gap-2">
+            <button type="button" onClick={() => copyText(backupCodes.join('\n'), 'Backup codes')} className="btn-secondary flex items-center gap-2 text-sm">
+              <Copy className="w-4 h-4" />
+              Copy
+            </button>
+            <button type="button" onClick={downloadBackupCodes} className="btn-secondary flex items-center gap-2 text-sm">
+              <Download className="w-4 h-4" />
+              Download
+            </button>
+            <button type="button" onClick={() => setBackupCodes(null)} className="text-sm text-amber-700 dark:text-amber-300 underline ml-auto">
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {status.enabled ? (
+        <>
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            <span className="text-green-600 dark:text-green-400">On</span>
+            {' since '}
+            {format(parseISO(status.enabled_at), 'dd MMM yyyy')}
+            {' · '}
+            {status.backup_codes_remaining === 1
+              ? '1 backup code left'
+              : `${status.backup_codes_remaining} backup codes left`}
+          </p>
+
+          <form onSubmit={handleDisable} className="space-y-4">
+            <div className="flex flex-wrap gap-4">
+              {codeInput}
+              <div className="flex-1 min-w-[12rem]">
+                <label htmlFor="two_factor_password" className="label">Current password</label>
+                <input
+                  type="password"
+                  id="two_factor_password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="input"
+                  autoComplete="current-password"
+                />
+              </div>
+            </div>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Enter a code from your app (or a backup code) to get new backup codes,
+              and your password too to turn two-factor authentication off.
+            </p>
+            <div className="flex flex-wrap justify-end gap-2">
+              <button
+                type="button"
+                onClick={handleRegenerate}
+                disabled={busy === 'regenerate' || !code}
+                className="btn-secondary flex items-center gap-2"
+              >
+                <RefreshCw className="w-4 h-4" />
+                New backup codes
+              </button>
+              <button
+                type="submit"
+                disabled={busy === 'disable' || !code || !password}
+                className="btn-primary"
+              >
+                <ShieldOff className="w-5 h-5 mr-2" />
+                {busy === 'disable' ? 'Turning off...' : 'Turn off'}
+              </button>
+            </div>
+          </form>
+        </>
+      ) : setup ? (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            Scan this QR code with an authenticator app such as Google Authenticator, Authy
+            or 1Password, then enter the 6-digit code it shows.
+          </p>
+          <div className="flex flex-wrap items-center gap-4">
+            <img src={setup.qr_code} alt="QR code for your authenticator app" className="w-40 h-40 rounded-lg bg-white p-2" />
+            <div className="min-w-0 flex-1">
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-1">Or enter this key by hand:</p>
+              <div className="flex items-center gap-2">
+                <code className="flex-1 px-3 py-2 bg-gray-50 dark:bg-gray-800 rounded-lg text-sm font-mono break-all text-gray-800 dark:text-gray-200">
+                  {setup.secret.match(/.{1,4}/g).join(' ')}
+                </code>
+                <button type="button" onClick={() => copyText(setup.secret, 'Key')} className="btn-secondary p-2" title="Copy key">
+                  <Copy className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          </div>
+          {codeInput}
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => setSetup(null)} className="btn-secondary flex items-center gap-2">
+              <X className="w-4 h-4" />
+              Cancel
+            </button>
+            <button type="submit" disabled={busy === 'enable' || !code} className="btn-primary">
+              <ShieldCheck className="w-5 h-5 mr-2" />
+              {busy === 'enable' ? 'Turning on...' : 'Turn on'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Off. With two-factor authentication, signing in also needs a code from an
+            authenticator app on your phone, so your password alone isn't enough.
+          </p>
+          <div className="flex justify-end">
+            <button type="button" onClick={handleSetup} disabled={busy === 'setup'} className="btn-primary">
+              <ShieldCheck className="w-5 h-5 mr-2" />
+              {busy === 'setup' ? 'Setting up...' : 'Set up'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
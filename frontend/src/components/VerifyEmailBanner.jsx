@@ -0,0 +1,47 @@
+/**
+ * Verify Email Banner Component
+ * Reminders aren't sent until the account's email address is verified
+ */
+
+import { useState } from 'react'
+import { authAPI } from '../services/api'
+import toast from 'react-hot-toast'
+import { MailWarning } from 'lucide-react'
+
+export default function VerifyEmailBanner({ email }) {
+  const [sending, setSending] = useState(false)
+
+  const handleResend = async () => {
+    setSending(true)
+    try {
+      const response = await authAPI.resendVerification()
+      toast.success(response.data.message)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email')
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <div className="card p-4 flex flex-col sm:flex-row sm:items-center gap-4 border-l-4 border-l-amber-500">
+      <MailWarning className="w-6 h-6 text-amber-500 shrink-0" />
+      <div className="flex-1">
+        <p className="font-medium text-gray-900 dark:text-white">
+          Verify your email to get reminders
+        </p>
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          We sent a link to <strong>{email}</strong>. Reminders start once you open it.
+        </p>
+      </div>
+      <button
+        type="button"
+        onClick={handleResend}
+        disabled={sending}
+        className="btn-secondary text-sm shrink-0"
+      >
+        {sending ? 'Sending...' : 'Resend email'}
+      </button>
+    </div>
+  )
+}
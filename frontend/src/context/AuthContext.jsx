@@ -28,38 +28,58 @@ export function AuthProvider({ children }) {
       const response = await authAPI.getMe()
       setUser(response.data.data.user)
     } catch (error) {
-      // Token invalid or expired
+      // Session over (the API interceptor already tried refreshing it)
       localStorage.removeItem('token')
+      localStorage.removeItem('refreshToken')
       localStorage.removeItem('user')
     } finally {
       setLoading(false)
     }
   }
 
-  const login = async (email, password) => {
-    const response = await authAPI.login({ email, password })
-    const { user, token } = response.data.data
-    
+  const startSession = ({ user, token, refresh_token }) => {
     localStorage.setItem('token', token)
+    localStorage.setItem('refreshToken', refresh_token)
     localStorage.setItem('user', JSON.stringify(user))
     setUser(user)
+  }
+
+  // With two-factor authentication on, this only returns a challenge
+  // (data.two_factor_required): finish with completeTwoFactorLogin
+  const login = async (email, password) => {
+    const response = await authAPI.login({ email, password })
+    if (!response.data.data.two_factor_required) {
+      startSession(response.data.data)
+    }
     
     return response.data
   }
 
+  const completeTwoFactorLogin = async (challengeToken, code) => {
+    const response = await authAPI.loginTwoFactor({ challenge_token: challengeToken, code })
+    startSession(response.data.data)
+
+    return response.data
+  }
+
   const signup = async (name, email, password) => {
-    const response = await authAPI.signup({ name, email, password })
-    const { user, token } = response.data.data
-    
-    localStorage.setItem('token', token)
-    localStorage.setItem('user', JSON.stringify(user))
-    setUser(user)
+    // Reminders are sent in the user's local time, so start with the browser's timezone
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone
+    const response = await authAPI.signup({ name, email, password, timezone })
+    startSession(response.data.data)
     
     return response.data
   }
 
   const logout = () => {
+    // End the session on the server too, so its tokens stop working
+    const refreshToken = localStorage.getItem('refreshToken')
+    if (refreshToken) {
+      authAPI.logout({ refresh_token: refreshToken }).catch(() => {})
+    }
+
     localStorage.removeItem('token')
+    localStorage.removeItem('refreshToken')
     localStorage.removeItem('user')
     setUser(null)
   }
@@ -69,13 +89,20 @@ export function AuthProvider({ children }) {
     localStorage.setItem('user', JSON.stringify(updatedUser))
   }
 
+  // Changing the password logs out other sessions and issues this one a new token
+  const updateToken = (token) => {
+    localStorage.setItem('token', token)
+  }
+
   const value = {
     user,
     loading,
     login,
+    completeTwoFactorLogin,
     signup,
     logout,
     updateUser,
+    updateToken,
     isAuthenticated: !!user
   }
 
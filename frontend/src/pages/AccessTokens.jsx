@@ -0,0 +1,299 @@
+/**
+ * API Tokens Page
+ * Personal access tokens for scripting the API: create one with a name,
+ * scopes and expiry, see when each was last used, and delete them. Changing
+ * the password deletes them all.
+ */
+
+import { useState, useEffect } from 'react'
+import { format, parseISO } from 'date-fns'
+import { authAPI, API_BASE_URL } from '../services/api'
+import ConfirmModal from '../components/ConfirmModal'
+import LoadingSpinner from '../components/LoadingSpinner'
+import toast from 'react-hot-toast'
+import { KeyRound, PlusCircle, Trash2, Copy } from 'lucide-react'
+
+const SCOPE_DESCRIPTIONS = {
+  read: 'Read expenses, reminders and notifications',
+  'expenses:write': 'Create, change and delete expenses and reminders (includes read)'
+}
+
+const EXPIRY_OPTIONS = [
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' },
+  { value: '', label: 'Never' }
+]
+
+const EMPTY_FORM = { name: '', scopes: ['read'], expires_in_days: 90, current_password: '' }
+
+// Absolute API URL for the usage example (API_BASE_URL is relative in development)
+const apiUrl = new URL(API_BASE_URL, window.location.origin).href.replace(/\/$/, '')
+
+export default function AccessTokens() {
+  const [tokens, setTokens] = useState([])
+  const [scopes, setScopes] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [isCreating, setIsCreating] = useState(false)
+  const [newToken, setNewToken] = useState(null)
+  const [deleteId, setDeleteId] = useState(null)
+  const [deleting, setDeleting] = useState(false)
+
+  useEffect(() => {
+    loadTokens()
+  }, [])
+
+  const loadTokens = async () => {
+    try {
+      const response = await authAPI.getAccessTokens()
+      setTokens(response.data.data.tokens)
+      setScopes(response.data.data.scopes)
+    } catch (error) {
+      toast.error('Failed to load access tokens')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggleScope = (scope) => {
+    setForm((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter((item) => item !== scope)
+        : [...prev.scopes, scope]
+    }))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    if (form.scopes.length === 0) {
+      toast.error('Choose at least one scope')
+      return
+    }
+    setIsCreating(true)
+    try {
+      const response = await authAPI.createAccessToken({
+        ...form,
+        expires_in_days: form.expires_in_days === '' ? null : Number(form.expires_in_days)
+      })
+      const { token, access_token } = response.data.data
+      setTokens((prev) => [access_token, ...prev])
+      setNewToken(token)
+      setForm(EMPTY_FORM)
+      toast.success('Access token created')
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to create access token'
+      toast.error(message)
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    setDeleting(true)
+    try {
+      await authAPI.deleteAccessToken(deleteId)
+      setTokens((prev) => prev.filter((item) => item.id !== deleteId))
+      toast.success('Access token deleted')
+      setDeleteId(null)
+    } catch (error) {
+      toast.error('Failed to delete access token')
+    } finally {
+      setDeleting(false)
+    }
+  }
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken)
+      toast.success('Token copied')
+    } catch (error) {
+      toast.error('Copy failed, select the token instead')
+    }
+  }
+
+  if (loading) {
+    return <LoadingSpinner />
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto animate-fade-in">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+          <KeyRound className="w-7 h-7 text-primary-500" />
+          API Tokens
+        </h1>
+        <p className="text-gray-500 dark:text-gray-400 mt-1">
+          Let your own scripts read and add expenses through the API. Changing your password
+          deletes all tokens.
+        </p>
+      </div>
+
+      {/* New token, shown once */}
+      {newToken && (
+        <div className="mb-6 p-4 bg-amber-50 dark:bg-amber-900/20 rounded-xl border border-amber-200 dark:border-amber-800">
+          <h3 className="font-medium text-amber-900 dark:text-amber-100 mb-1 flex items-center gap-2">
+            <KeyRound className="w-4 h-4" />
+            New access token
+          </h3>
+          <p className="text-sm text-amber-700 dark:text-amber-300 mb-3">
+            Copy it now, it won't be shown again. Send it in the Authorization header:
+          </p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 px-3 py-2 bg-white dark:bg-gray-800 rounded-lg text-sm font-mono break-all text-gray-800 dark:text-gray-200">
+              {newToken}
+            </code>
+            <button onClick={copyToken} className="btn-secondary p-2" title="Copy token">
+              <Copy className="w-4 h-4" />
+            </button>
+          </div>
+          <code className="block mt-3 px-3 py-2 bg-white dark:bg-gray-800 rounded-lg text-xs font-mono break-all text-gray-600 dark:text-gray-400">
+            curl -H "Authorization: Bearer {newToken}" {apiUrl}/expenses
+          </code>
+          <button onClick={() => setNewToken(null)} className="text-sm text-amber-700 dark:text-amber-300 mt-3 underline">
+            Done
+          </button>
+        </div>
+      )}
+
+      {/* Token list */}
+      <div className="space-y-4 mb-8">
+        {tokens.length === 0 ? (
+          <div className="card p-8 text-center text-gray-500 dark:text-gray-400">
+            No access tokens yet
+          </div>
+        ) : (
+          tokens.map((token) => {
+            const expired = token.expires_at && parseISO(token.expires_at) < new Date()
+            return (
+              <div key={token.id} className="card p-5">
+                <div className="flex flex-wrap items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 dark:text-white break-all">
+                      {token.name}
+                      <span className="ml-2 font-mono text-sm text-gray-400">erp_…{token.token_hint}</span>
+                    </p>
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {token.scopes.map((scope) => (
+                        <span key={scope} className="px-2 py-0.5 rounded-full text-xs font-mono bg-primary-50 dark:bg-primary-900/30 text-primary-700 dark:text-primary-300">
+                          {scope}
+                        </span>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                      Created {format(parseISO(token.created_at), 'dd MMM yyyy')}
+                      {' · '}
+                      {token.expires_at ? (
+                        <span className={expired ? 'text-red-600 dark:text-red-400' : ''}>
+                          {expired ? 'Expired' : 'Expires'} {format(parseISO(token.expires_at), 'dd MMM yyyy')}
+                        </span>
+                      ) : (
+                        'Never expires'
+                      )}
+                      {' · '}
+                      {token.last_used_at
+                        ? `Last used ${format(parseISO(token.last_used_at), 'dd MMM, HH:mm')}${token.last_used_ip ? ` from ${token.last_used_ip}` : ''}`
+                        : 'Never used'}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => setDeleteId(token.id)}
+                    className="p-2 rounded-lg text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+                    title="Delete token"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            )
+          })
+        )}
+      </div>
+
+      {/* New token */}
+      <form onSubmit={handleCreate} className="card p-6 space-y-4">
+        <h2 className="font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+          <PlusCircle className="w-5 h-5 text-primary-500" />
+          Create token
+        </h2>
+        <div className="flex flex-wrap gap-4">
+          <div className="flex-1 min-w-[12rem]">
+            <label htmlFor="token_name" className="label">Name</label>
+            <input
+              id="token_name"
+              type="text"
+              required
+              maxLength={100}
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="e.g. Bank statement import"
+              className="input"
+            />
+          </div>
+          <div>
+            <label htmlFor="token_expiry" className="label">Expires after</label>
+            <select
+              id="token_expiry"
+              value={form.expires_in_days}
+              onChange={(e) => setForm({ ...form, expires_in_days: e.target.value })}
+              className="input sm:w-36"
+            >
+              {EXPIRY_OPTIONS.map((option) => (
+                <option key={option.label} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div>
+          <span className="label">Scopes</span>
+          <div className="space-y-2">
+            {scopes.map((scope) => (
+              <label key={scope} className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={form.scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                  className="w-4 h-4 rounded text-primary-600 focus:ring-primary-500"
+                />
+                <span className="font-mono text-sm text-gray-700 dark:text-gray-300">{scope}</span>
+                <span className="text-sm text-gray-500 dark:text-gray-400">{SCOPE_DESCRIPTIONS[scope]}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+        <div>
+          <label htmlFor="token_password" className="label">Current password</label>
+          <input
+            id="token_password"
+            type="password"
+            required
+            value={form.current_password}
+            onChange={(e) => setForm({ ...form, current_password: e.target.value })}
+            className="input"
+            autoComplete="current-password"
+          />
+        </div>
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Tokens can't change your account settings, webhooks or notification channels.
+        </p>
+        <button type="submit" disabled={isCreating} className="btn-primary w-full py-3">
+          {isCreating ? 'Creating...' : 'Create Token'}
+        </button>
+      </form>
+
+      {/* Delete Confirmation */}
+      <ConfirmModal
+        isOpen={!!deleteId}
+        onClose={() => setDeleteId(null)}
+        onConfirm={handleDelete}
+        title="Delete Token"
+        message="Are you sure you want to delete this token? Scripts using it stop working right away."
+        confirmText="Delete"
+        isLoading={deleting}
+      />
+    </div>
+  )
+}
@@ -59,8 +59,8 @@ export default function AddExpense() {
           💡 Tips
         </h3>
         <ul className="text-sm text-primary-700 dark:text-primary-300 space-y-1">
-          <li>• Set the reminder date a few days before the due date</li>
-          <li>• Mark recurring expenses for monthly bills like rent or subscriptions</li>
+          <li>• Add several reminders, e.g. a week before, a day before and on the due date</li>
+          <li>• Set a repeat schedule for bills like rent (monthly), insurance (quarterly) or renewals (yearly)</li>
           <li>• Use categories to organize and filter your expenses later</li>
         </ul>
       </div>
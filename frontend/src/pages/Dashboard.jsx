@@ -11,6 +11,7 @@ import { expensesAPI } from '../services/api'
 import StatsCard from '../components/StatsCard'
 import ExpenseCard from '../components/ExpenseCard'
 import ConfirmModal from '../components/ConfirmModal'
+import VerifyEmailBanner from '../components/VerifyEmailBanner'
 import LoadingSpinner from '../components/LoadingSpinner'
 import toast from 'react-hot-toast'
 import {
@@ -106,6 +107,8 @@ export default function Dashboard() {
         </Link>
       </div>
 
+      {!user?.email_verified_at && <VerifyEmailBanner email={user?.email} />}
+
       {/* Stats Grid */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
         <StatsCard
@@ -8,12 +8,20 @@ import { expensesAPI } from '../services/api'
 import ExpenseForm from '../components/ExpenseForm'
 import LoadingSpinner from '../components/LoadingSpinner'
 import toast from 'react-hot-toast'
-import { ArrowLeft, Edit } from 'lucide-react'
+import { ArrowLeft, Edit, RefreshCw } from 'lucide-react'
+
+// Which occurrences of a recurring series an edit applies to
+const SCOPES = [
+  { value: 'this', label: 'This payment only' },
+  { value: 'following', label: 'This and following payments' },
+  { value: 'all', label: 'All unpaid payments in the series' }
+]
 
 export default function EditExpense() {
   const { id } = useParams()
   const navigate = useNavigate()
   const [expense, setExpense] = useState(null)
+  const [scope, setScope] = useState('this')
   const [loading, setLoading] = useState(true)
   const [isSubmitting, setIsSubmitting] = useState(false)
 
@@ -24,7 +32,15 @@ export default function EditExpense() {
   const loadExpense = async () => {
     try {
       const response = await expensesAPI.getOne(id)
-      setExpense(response.data.data.expense)
+      const { expense, series, reminders } = response.data.data
+      setExpense({
+        ...expense,
+        reminder_offsets: reminders
+          .filter((reminder) => reminder.offset_days !== null)
+          .map((reminder) => reminder.offset_days),
+        end_date: series?.end_date || '',
+        max_occurrences: series?.max_occurrences || ''
+      })
     } catch (error) {
       toast.error('Expense not found')
       navigate('/expenses')
@@ -36,7 +52,18 @@ export default function EditExpense() {
   const handleSubmit = async (formData) => {
     setIsSubmitting(true)
     try {
-      await expensesAPI.update(id, formData)
+      const data = { ...formData }
+      if (expense.series_id) {
+        data.scope = scope
+        if (scope === 'this') {
+          // The schedule belongs to the series, not a single payment
+          delete data.recurrence_rule
+          delete data.end_date
+          delete data.max_occurrences
+        }
+      }
+
+      await expensesAPI.update(id, data)
       toast.success('Expense updated successfully!')
       navigate('/expenses')
     } catch (error) {
@@ -78,7 +105,32 @@ export default function EditExpense() {
           initialData={expense}
           onSubmit={handleSubmit}
           isSubmitting={isSubmitting}
-        />
+          recurrenceLocked={!!expense?.series_id && scope === 'this'}
+        >
+          {expense?.series_id && (
+            <div className="p-4 rounded-xl bg-gray-50 dark:bg-gray-700/50 border border-gray-200 dark:border-gray-700">
+              <p className="label flex items-center gap-2">
+                <RefreshCw className="w-4 h-4 text-gray-400" />
+                Apply changes to
+              </p>
+              <div className="space-y-2">
+                {SCOPES.map((option) => (
+                  <label key={option.value} className="flex items-center gap-3 text-gray-700 dark:text-gray-300">
+                    <input
+                      type="radio"
+                      name="scope"
+                      value={option.value}
+                      checked={scope === option.value}
+                      onChange={(e) => setScope(e.target.value)}
+                      className="w-4 h-4 text-primary-500 focus:ring-primary-500"
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+        </ExpenseForm>
       </div>
     </div>
   )
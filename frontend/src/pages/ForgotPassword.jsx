@@ -0,0 +1,124 @@
+/**
+ * Forgot Password Page
+ * Requests an emailed link to reset the password
+ */
+
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { authAPI } from '../services/api'
+import toast from 'react-hot-toast'
+import { Mail, Send, Wallet, ArrowLeft } from 'lucide-react'
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+  const [sent, setSent] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!email) {
+      toast.error('Please enter your email')
+      return
+    }
+
+    setIsLoading(true)
+    try {
+      await authAPI.forgotPassword({ email })
+      setSent(true)
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Request failed. Please try again.'
+      toast.error(message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex flex-col justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        {/* Logo */}
+        <div className="flex justify-center">
+          <div className="w-16 h-16 rounded-2xl gradient-bg flex items-center justify-center shadow-lg">
+            <Wallet className="w-8 h-8 text-white" />
+          </div>
+        </div>
+        <h2 className="mt-6 text-center text-3xl font-bold text-gray-900 dark:text-white">
+          Forgot your password?
+        </h2>
+        <p className="mt-2 text-center text-gray-500 dark:text-gray-400">
+          We'll email you a link to choose a new one
+        </p>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="card p-8">
+          {sent ? (
+            <div className="text-center">
+              <div className="w-12 h-12 mx-auto rounded-full bg-primary-100 dark:bg-primary-900/30 flex items-center justify-center">
+                <Mail className="w-6 h-6 text-primary-600 dark:text-primary-400" />
+              </div>
+              <p className="mt-4 text-gray-700 dark:text-gray-300">
+                If an account exists for <strong>{email}</strong>, a reset link is on its way.
+                It works once, for the next hour.
+              </p>
+              <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                Didn't get it? Check your spam folder, or{' '}
+                <button
+                  type="button"
+                  onClick={() => setSent(false)}
+                  className="font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400"
+                >
+                  try again
+                </button>
+                .
+              </p>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {/* Email */}
+              <div>
+                <label htmlFor="email" className="label">
+                  Email address
+                </label>
+                <input
+                  type="email"
+                  id="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="you@example.com"
+                  className="input"
+                  autoComplete="email"
+                  autoFocus
+                />
+              </div>
+
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="btn-primary w-full py-3"
+              >
+                <span className="flex items-center justify-center gap-2">
+                  <Send className="w-5 h-5" />
+                  {isLoading ? 'Sending...' : 'Send reset link'}
+                </span>
+              </button>
+            </form>
+          )}
+
+          {/* Login Link */}
+          <p className="mt-6 text-center">
+            <Link
+              to="/login"
+              className="inline-flex items-center gap-1 font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400"
+            >
+              <ArrowLeft className="w-4 h-4" />
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,5 +1,7 @@
 /**
  * Login Page
+ * Email and password, then a code from the authenticator app (or a backup
+ * code) for accounts with two-factor authentication
  */
 
 import { useState } from 'react'
@@ -15,7 +17,9 @@ import {
   LogIn,
   Wallet,
   Moon,
-  Sun
+  Sun,
+  ShieldCheck,
+  ArrowLeft
 } from 'lucide-react'
 
 export default function Login() {
@@ -23,7 +27,10 @@ export default function Login() {
   const [password, setPassword] = useState('')
   const [showPassword, setShowPassword] = useState(false)
   const [isLoading, setIsLoading] = useState(false)
-  const { login } = useAuth()
+  // Set once the password is right on an account with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null)
+  const [code, setCode] = useState('')
+  const { login, completeTwoFactorLogin } = useAuth()
   const { darkMode, toggleDarkMode } = useTheme()
   const navigate = useNavigate()
 
@@ -37,7 +44,11 @@ export default function Login() {
 
     setIsLoading(true)
     try {
-      await login(email, password)
+      const result = await login(email, password)
+      if (result.data.two_factor_required) {
+        setChallengeToken(result.data.challenge_token)
+        return
+      }
       toast.success('Welcome back!')
       navigate('/dashboard')
     } catch (error) {
@@ -48,6 +59,48 @@ export default function Login() {
     }
   }
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!code.trim()) {
+      toast.error('Please enter your code')
+      return
+    }
+
+    setIsLoading(true)
+    try {
+      const result = await completeTwoFactorLogin(challengeToken, code)
+      const remaining = result.data.backup_codes_remaining
+      if (remaining !== undefined) {
+        toast(`Backup code used, ${remaining} left. You can create new ones on your profile.`, { icon: '🔑' })
+      }
+      toast.success('Welcome back!')
+      navigate('/dashboard')
+    } catch (error) {
+      const message = error.response?.data?.message || 'Login failed. Please try again.'
+      toast.error(message)
+      // The challenge lasts a few minutes; after that, start again from the password
+      if (message.startsWith('Login expired')) {
+        handleBack()
+      }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleBack = () => {
+    setChallengeToken(null)
+    setCode('')
+    setPassword('')
+  }
+
+  const spinner = (
+    <svg className="animate-spin h-5 w-5" viewBox="0 0 24 24">
+      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
+      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+    </svg>
+  )
+
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex">
       {/* Left Side - Form */}
@@ -81,70 +134,123 @@ export default function Login() {
 
         <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
           <div className="card p-8">
-            <form onSubmit={handleSubmit} className="space-y-6">
-              {/* Email */}
-              <div>
-                <label htmlFor="email" className="label">
-                  Email address
-                </label>
-                <input
-                  type="email"
-                  id="email"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  placeholder="you@example.com"
-                  className="input"
-                  autoComplete="email"
-                />
-              </div>
-
-              {/* Password */}
-              <div>
-                <label htmlFor="password" className="label">
-                  Password
-                </label>
-                <div className="relative">
+            {challengeToken ? (
+              <form onSubmit={handleCodeSubmit} className="space-y-6">
+                <div className="flex items-start gap-3">
+                  <ShieldCheck className="w-6 h-6 text-primary-500 shrink-0" />
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    Enter the 6-digit code from your authenticator app, or one of your backup codes.
+                  </p>
+                </div>
+
+                {/* Code */}
+                <div>
+                  <label htmlFor="code" className="label">
+                    Authentication code
+                  </label>
                   <input
-                    type={showPassword ? 'text' : 'password'}
-                    id="password"
-                    value={password}
-                    onChange={(e) => setPassword(e.target.value)}
-                    placeholder="••••••••"
-                    className="input pr-10"
-                    autoComplete="current-password"
+                    type="text"
+                    id="code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    placeholder="123456"
+                    className="input tracking-widest"
+                    autoComplete="one-time-code"
+                    autoFocus
                   />
-                  <button
-                    type="button"
-                    onClick={() => setShowPassword(!showPassword)}
-                    className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
-                  >
-                    {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
-                  </button>
                 </div>
-              </div>
 
-              {/* Submit Button */}
-              <button
-                type="submit"
-                disabled={isLoading}
-                className="btn-primary w-full py-3"
-              >
-                {isLoading ? (
-                  <span className="flex items-center justify-center gap-2">
-                    <svg className="animate-spin h-5 w-5" viewBox="0 0 24 24">
-                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
-                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
-                    </svg>
-                    Signing in...
-                  </span>
-                ) : (
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className="btn-primary w-full py-3"
+                >
                   <span className="flex items-center justify-center gap-2">
-                    <LogIn className="w-5 h-5" />
-                    Sign in
+                    {isLoading ? spinner : <LogIn className="w-5 h-5" />}
+                    {isLoading ? 'Verifying...' : 'Verify'}
                   </span>
-                )}
-              </button>
-            </form>
+                </button>
+
+                <button
+                  type="button"
+                  onClick={handleBack}
+                  className="w-full flex items-center justify-center gap-2 text-sm font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400"
+                >
+                  <ArrowLeft className="w-4 h-4" />
+                  Back to sign in
+                </button>
+              </form>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-6">
+                {/* Email */}
+                <div>
+                  <label htmlFor="email" className="label">
+                    Email address
+                  </label>
+                  <input
+                    type="email"
+                    id="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="you@example.com"
+                    className="input"
+                    autoComplete="email"
+                  />
+                </div>
+
+                {/* Password */}
+                <div>
+                  <div className="flex items-center justify-between">
+                    <label htmlFor="password" className="label">
+                      Password
+                    </label>
+                    <Link
+                      to="/forgot-password"
+                      className="text-sm font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400 mb-1.5"
+                    >
+                      Forgot password?
+                    </Link>
+                  </div>
+                  <div className="relative">
+                    <input
+                      type={showPassword ? 'text' : 'password'}
+                      id="password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      placeholder="••••••••"
+                      className="input pr-10"
+                      autoComplete="current-password"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPassword(!showPassword)}
+                      className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                    >
+                      {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                    </button>
+                  </div>
+                </div>
+
+                {/* Submit Button */}
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className="btn-primary w-full py-3"
+                >
+                  {isLoading ? (
+                    <span className="flex items-center justify-center gap-2">
+                      {spinner}
+                      Signing in...
+                    </span>
+                  ) : (
+                    <span className="flex items-center justify-center gap-2">
+                      <LogIn className="w-5 h-5" />
+                      Sign in
+                    </span>
+                  )}
+                </button>
+              </form>
+            )}
 
             {/* Signup Link */}
             <p className="mt-6 text-center text-gray-500 dark:text-gray-400">
@@ -0,0 +1,344 @@
+/**
+ * Profile Page
+ * Name, timezone and reminder hour, the account's email address and password,
+ * two-factor authentication, the devices logged in to it, recent sign-ins,
+ * and exporting the account's data or deleting it
+ */
+
+import { useState, useEffect } from 'react'
+import { useAuth } from '../context/AuthContext'
+import { authAPI } from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import TwoFactorSettings from '../components/TwoFactorSettings'
+import ActiveSessions from '../components/ActiveSessions'
+import LoginHistory from '../components/LoginHistory'
+import AccountData from '../components/AccountData'
+import toast from 'react-hot-toast'
+import { UserCog, User, Mail, Lock, Save, X } from 'lucide-react'
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => ({
+  value: hour,
+  label: `${String(hour).padStart(2, '0')}:00`
+}))
+
+// Every IANA timezone the browser knows (the saved one is added if it isn't listed)
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback
+
+export default function Profile() {
+  const { user, updateUser, updateToken } = useAuth()
+  const [profile, setProfile] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(null)
+  const [emailForm, setEmailForm] = useState({ new_email: '', current_password: '' })
+  const [passwordForm, setPasswordForm] = useState({ current_password: '', new_password: '', confirm_password: '' })
+
+  useEffect(() => {
+    loadProfile()
+  }, [])
+
+  const loadProfile = async () => {
+    try {
+      const response = await authAPI.getMe()
+      setProfile(response.data.data.user)
+    } catch (error) {
+      toast.error('Failed to load profile')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Keep the sidebar and dashboard in step with the saved profile
+  const saveProfile = (updated) => {
+    setProfile(updated)
+    updateUser({ ...user, ...updated })
+  }
+
+  const update = (field, value) => {
+    setProfile((prev) => ({ ...prev, [field]: value }))
+  }
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault()
+    setBusy('profile')
+    try {
+      const { name, timezone, reminder_hour } = profile
+      const response = await authAPI.updateProfile({ name, timezone, reminder_hour })
+      saveProfile(response.data.data.user)
+      toast.success('Profile updated')
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to update profile'))
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleEmailSubmit = async (e) => {
+    e.preventDefault()
+    setBusy('email')
+    try {
+      const response = await authAPI.changeEmail(emailForm)
+      saveProfile({ ...profile, pending_email: response.data.data.pending_email })
+      setEmailForm({ new_email: '', current_password: '' })
+      toast.success(response.data.message)
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to change email'))
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleCancelEmailChange = async () => {
+    setBusy('email')
+    try {
+      await authAPI.cancelEmailChange()
+      saveProfile({ ...profile, pending_email: null })
+      toast.success('Email change cancelled')
+    } catch (error) {
+      toast.error('Failed to cancel email change')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault()
+
+    if (passwordForm.new_password !== passwordForm.confirm_password) {
+      toast.error('Passwords do not match')
+      return
+    }
+
+    setBusy('password')
+    try {
+      const { current_password, new_password } = passwordForm
+      const response = await authAPI.changePassword({ current_password, new_password })
+      updateToken(response.data.data.token)
+      setPasswordForm({ current_password: '', new_password: '', confirm_password: '' })
+      toast.success(response.data.message)
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to change password'))
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  if (loading) {
+    return <LoadingSpinner />
+  }
+
+  if (!profile) {
+    return null
+  }
+
+  const timezones = TIMEZONES.includes(profile.timezone) ? TIMEZONES : [profile.timezone, ...TIMEZONES]
+
+  return (
+    <div className="max-w-2xl mx-auto animate-fade-in">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+          <UserCog className="w-7 h-7 text-primary-500" />
+          Profile
+        </h1>
+        <p className="text-gray-500 dark:text-gray-400 mt-1">
+          Your details, sign-in and devices
+        </p>
+      </div>
+
+      <div className="space-y-6">
+        {/* Details */}
+        <form onSubmit={handleProfileSubmit} className="card p-6 space-y-4">
+          <h2 className="label flex items-center gap-2">
+            <User className="w-4 h-4 text-gray-400" />
+            Details
+          </h2>
+          <div>
+            <label htmlFor="name" className="label">Name</label>
+            <input
+              type="text"
+              id="name"
+              value={profile.name}
+              onChange={(e) => update('name', e.target.value)}
+              className="input"
+              autoComplete="name"
+            />
+          </div>
+          <div className="flex flex-wrap gap-4">
+            <div className="flex-1 min-w-[12rem]">
+              <label htmlFor="timezone" className="label">Timezone</label>
+              <select
+                id="timezone"
+                value={profile.timezone}
+                onChange={(e) => update('timezone', e.target.value)}
+                className="input"
+              >
+                {timezones.map((timezone) => (
+                  <option key={timezone} value={timezone}>{timezone.replace(/_/g, ' ')}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="reminder_hour" className="label">Send reminders at</label>
+              <select
+                id="reminder_hour"
+                value={profile.reminder_hour}
+                onChange={(e) => update('reminder_hour', Number(e.target.value))}
+                className="input sm:w-36"
+              >
+                {HOURS.map((hour) => (
+                  <option key={hour.value} value={hour.value}>{hour.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <button type="submit" disabled={busy === 'profile'} className="btn-primary">
+              <Save className="w-5 h-5 mr-2" />
+              {busy === 'profile' ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+
+        {/* Email */}
+        <form onSubmit={handleEmailSubmit} className="card p-6 space-y-4">
+          <h2 className="label flex items-center gap-2">
+            <Mail className="w-4 h-4 text-gray-400" />
+            Email
+          </h2>
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            {profile.email}
+            {profile.email_verified_at ? (
+              <span className="ml-2 text-green-600 dark:text-green-400">Verified</span>
+            ) : (
+              <span className="ml-2 text-amber-600 dark:text-amber-400">Not verified</span>
+            )}
+          </p>
+
+          {profile.pending_email && (
+            <div className="flex items-center justify-between gap-2 px-3 py-2 rounded-lg bg-gray-50 dark:bg-gray-800">
+              <span className="text-sm text-gray-700 dark:text-gray-300">
+                Waiting for you to confirm <strong>{profile.pending_email}</strong> from the email we sent there
+              </span>
+              <button
+                type="button"
+                onClick={handleCancelEmailChange}
+                disabled={busy === 'email'}
+                className="p-2 rounded-lg text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 shrink-0"
+                title="Cancel email change"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-4">
+            <div className="flex-1 min-w-[12rem]">
+              <label htmlFor="new_email" className="label">New email</label>
+              <input
+                type="email"
+                id="new_email"
+                value={emailForm.new_email}
+                onChange={(e) => setEmailForm((prev) => ({ ...prev, new_email: e.target.value }))}
+                placeholder="you@example.com"
+                className="input"
+                autoComplete="email"
+              />
+            </div>
+            <div className="flex-1 min-w-[12rem]">
+              <label htmlFor="email_current_password" className="label">Current password</label>
+              <input
+                type="password"
+                id="email_current_password"
+                value={emailForm.current_password}
+                onChange={(e) => setEmailForm((prev) => ({ ...prev, current_password: e.target.value }))}
+                className="input"
+                autoComplete="current-password"
+              />
+            </div>
+          </div>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            We'll email the new address a link. Your email changes once you open it.
+          </p>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={busy === 'email' || !emailForm.new_email || !emailForm.current_password}
+              className="btn-primary"
+            >
+              <Mail className="w-5 h-5 mr-2" />
+              {busy === 'email' ? 'Sending...' : 'Change email'}
+            </button>
+          </div>
+        </form>
+
+        {/* Password */}
+        <form onSubmit={handlePasswordSubmit} className="card p-6 space-y-4">
+          <h2 className="label flex items-center gap-2">
+            <Lock className="w-4 h-4 text-gray-400" />
+            Password
+          </h2>
+          <div>
+            <label htmlFor="current_password" className="label">Current password</label>
+            <input
+              type="password"
+              id="current_password"
+              value={passwordForm.current_password}
+              onChange={(e) => setPasswordForm((prev) => ({ ...prev, current_password: e.target.value }))}
+              className="input"
+              autoComplete="current-password"
+            />
+          </div>
+          <div className="flex flex-wrap gap-4">
+            <div className="flex-1 min-w-[12rem]">
+              <label htmlFor="new_password" className="label">New password</label>
+              <input
+                type="password"
+                id="new_password"
+                value={passwordForm.new_password}
+                onChange={(e) => setPasswordForm((prev) => ({ ...prev, new_password: e.target.value }))}
+                placeholder="At least 6 characters"
+                className="input"
+                autoComplete="new-password"
+              />
+            </div>
+            <div className="flex-1 min-w-[12rem]">
+              <label htmlFor="confirm_password" className="label">Confirm new password</label>
+              <input
+                type="password"
+                id="confirm_password"
+                value={passwordForm.confirm_password}
+                onChange={(e) => setPasswordForm((prev) => ({ ...prev, confirm_password: e.target.value }))}
+                className="input"
+                autoComplete="new-password"
+              />
+            </div>
+          </div>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Changing your password logs you out on every other device.
+          </p>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={busy === 'password' || !passwordForm.current_password || !passwordForm.new_password}
+              className="btn-primary"
+            >
+              <Lock className="w-5 h-5 mr-2" />
+              {busy === 'password' ? 'Saving...' : 'Change password'}
+            </button>
+          </div>
+        </form>
+
+        <TwoFactorSettings />
+
+        <ActiveSessions />
+
+        <LoginHistory />
+
+        <AccountData twoFactorEnabled={profile.two_factor_enabled} />
+      </div>
+    </div>
+  )
+}
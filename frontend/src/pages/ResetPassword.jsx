@@ -0,0 +1,151 @@
+/**
+ * Reset Password Page
+ * Sets a new password with the token from a reset email (?token=...)
+ */
+
+import { useState } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { authAPI } from '../services/api'
+import toast from 'react-hot-toast'
+import { Lock, Eye, EyeOff, KeyRound, Wallet, ArrowLeft } from 'lucide-react'
+
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [showPassword, setShowPassword] = useState(false)
+  const [isLoading, setIsLoading] = useState(false)
+  const navigate = useNavigate()
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (password.length < 6) {
+      toast.error('Password must be at least 6 characters')
+      return
+    }
+
+    if (password !== confirmPassword) {
+      toast.error('Passwords do not match')
+      return
+    }
+
+    setIsLoading(true)
+    try {
+      const response = await authAPI.resetPassword({ token, password })
+      toast.success(response.data.message)
+      navigate('/login')
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Reset failed. Please try again.'
+      toast.error(message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex flex-col justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        {/* Logo */}
+        <div className="flex justify-center">
+          <div className="w-16 h-16 rounded-2xl gradient-bg flex items-center justify-center shadow-lg">
+            <Wallet className="w-8 h-8 text-white" />
+          </div>
+        </div>
+        <h2 className="mt-6 text-center text-3xl font-bold text-gray-900 dark:text-white">
+          Choose a new password
+        </h2>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="card p-8">
+          {token ? (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {/* New Password */}
+              <div>
+                <label htmlFor="password" className="label">
+                  New password
+                </label>
+                <div className="relative">
+                  <input
+                    type={showPassword ? 'text' : 'password'}
+                    id="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="At least 6 characters"
+                    className="input pr-10"
+                    autoComplete="new-password"
+                    autoFocus
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                  >
+                    {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                  </button>
+                </div>
+              </div>
+
+              {/* Confirm Password */}
+              <div>
+                <label htmlFor="confirmPassword" className="label">
+                  Confirm new password
+                </label>
+                <input
+                  type={showPassword ? 'text' : 'password'}
+                  id="confirmPassword"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  placeholder="••••••••"
+                  className="input"
+                  autoComplete="new-password"
+                />
+              </div>
+
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="btn-primary w-full py-3"
+              >
+                <span className="flex items-center justify-center gap-2">
+                  <KeyRound className="w-5 h-5" />
+                  {isLoading ? 'Saving...' : 'Reset password'}
+                </span>
+              </button>
+            </form>
+          ) : (
+            <div className="text-center">
+              <div className="w-12 h-12 mx-auto rounded-full bg-red-100 dark:bg-red-900/30 flex items-center justify-center">
+                <Lock className="w-6 h-6 text-red-600 dark:text-red-400" />
+              </div>
+              <p className="mt-4 text-gray-700 dark:text-gray-300">
+                This reset link is incomplete. Open the link from your email again, or{' '}
+                <Link
+                  to="/forgot-password"
+                  className="font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400"
+                >
+                  request a new one
+                </Link>
+                .
+              </p>
+            </div>
+          )}
+
+          {/* Login Link */}
+          <p className="mt-6 text-center">
+            <Link
+              to="/login"
+              className="inline-flex items-center gap-1 font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400"
+            >
+              <ArrowLeft className="w-4 h-4" />
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,73 @@
+/**
+ * Restore Account Page
+ * Opened from the account deletion email (?token=...); keeps an account that is
+ * scheduled for deletion. Asks first, so opening the link alone changes nothing.
+ */
+
+import { useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { authAPI } from '../services/api'
+import { CheckCircle, XCircle, Wallet, RotateCcw } from 'lucide-react'
+
+export default function RestoreAccount() {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [status, setStatus] = useState(token ? 'ready' : 'failed')
+  const [message, setMessage] = useState(token ? '' : 'This link is incomplete.')
+
+  const handleRestore = async () => {
+    setStatus('restoring')
+    try {
+      const response = await authAPI.restoreAccount({ token })
+      setMessage(response.data.message)
+      setStatus('restored')
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Restoring your account failed. Please try again.')
+      setStatus('failed')
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex flex-col justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="flex justify-center">
+          <div className="w-16 h-16 rounded-2xl gradient-bg flex items-center justify-center shadow-lg">
+            <Wallet className="w-8 h-8 text-white" />
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="card p-8 text-center">
+          {status === 'ready' || status === 'restoring' ? (
+            <>
+              <RotateCcw className="w-12 h-12 mx-auto text-primary-500" />
+              <h2 className="mt-4 text-xl font-semibold text-gray-900 dark:text-white">Keep your account?</h2>
+              <p className="mt-2 text-gray-500 dark:text-gray-400">
+                Your account is scheduled for deletion. Keep it, and you can log in again as before.
+              </p>
+              <button onClick={handleRestore} disabled={status === 'restoring'} className="btn-primary inline-flex mt-6">
+                {status === 'restoring' ? 'Restoring...' : 'Keep my account'}
+              </button>
+            </>
+          ) : (
+            <>
+              {status === 'restored' ? (
+                <CheckCircle className="w-12 h-12 mx-auto text-green-500" />
+              ) : (
+                <XCircle className="w-12 h-12 mx-auto text-red-500" />
+              )}
+              <h2 className="mt-4 text-xl font-semibold text-gray-900 dark:text-white">
+                {status === 'restored' ? 'Account restored' : 'Couldn\'t restore your account'}
+              </h2>
+              <p className="mt-2 text-gray-500 dark:text-gray-400">{message}</p>
+              <Link to="/login" className="btn-primary inline-flex mt-6">
+                Sign in
+              </Link>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,243 @@
+/**
+ * Settings Page
+ * Notification preferences: channels and their destinations, digest frequency
+ * and muted categories
+ */
+
+import { useState, useEffect } from 'react'
+import { authAPI } from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import NotificationDestinations from '../components/NotificationDestinations'
+import CalendarFeed from '../components/CalendarFeed'
+import toast from 'react-hot-toast'
+import { Settings as SettingsIcon, Mail, Clock, BellOff, Save } from 'lucide-react'
+
+const CHANNEL_LABELS = {
+  email: 'Email',
+  webpush: 'Browser push',
+  telegram: 'Telegram',
+  sms: 'SMS',
+  http: 'HTTP'
+}
+
+const DIGEST_MODES = [
+  { value: 'immediate', label: 'Immediately', hint: 'One email per expense, at your reminder hour' },
+  { value: 'daily', label: 'Daily digest', hint: 'Everything due in one email a day' },
+  { value: 'weekly', label: 'Weekly digest', hint: 'Everything due in one email a week' }
+]
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => ({
+  value: hour,
+  label: `${String(hour).padStart(2, '0')}:00`
+}))
+
+export default function Settings() {
+  const [preferences, setPreferences] = useState(null)
+  const [availableChannels, setAvailableChannels] = useState([])
+  const [categories, setCategories] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    loadPreferences()
+  }, [])
+
+  const loadPreferences = async () => {
+    try {
+      const response = await authAPI.getPreferences()
+      const { preferences, available_channels, categories } = response.data.data
+      setPreferences(preferences)
+      setAvailableChannels(available_channels)
+      setCategories(categories)
+    } catch (error) {
+      toast.error('Failed to load settings')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const update = (field, value) => {
+    setPreferences((prev) => ({ ...prev, [field]: value }))
+  }
+
+  // Add or remove a value from one of the list preferences
+  const toggle = (field, value) => {
+    const list = preferences[field]
+    update(field, list.includes(value) ? list.filter((item) => item !== value) : [...list, value])
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSaving(true)
+    try {
+      const response = await authAPI.updatePreferences(preferences)
+      setPreferences(response.data.data.preferences)
+      toast.success('Settings saved')
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to save settings'
+      toast.error(message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  if (loading) {
+    return <LoadingSpinner />
+  }
+
+  if (!preferences) {
+    return null
+  }
+
+  const isDigest = preferences.digest_mode !== 'immediate'
+
+  return (
+    <div className="max-w-2xl mx-auto animate-fade-in">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+          <SettingsIcon className="w-7 h-7 text-primary-500" />
+          Settings
+        </h1>
+        <p className="text-gray-500 dark:text-gray-400 mt-1">
+          Choose how and when you hear about your expenses
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        {/* Channels */}
+        <div className="card p-6">
+          <h2 className="label flex items-center gap-2">
+            <Mail className="w-4 h-4 text-gray-400" />
+            Notify me by
+          </h2>
+          <div className="space-y-2">
+            {availableChannels.map((channel) => (
+              <label key={channel} className="flex items-center gap-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={preferences.channels.includes(channel)}
+                  onChange={() => toggle('channels', channel)}
+                  className="w-4 h-4 rounded text-primary-600 focus:ring-primary-500"
+                />
+                <span className="text-gray-700 dark:text-gray-300">{CHANNEL_LABELS[channel] || channel}</span>
+              </label>
+            ))}
+          </div>
+          {preferences.channels.length === 0 && (
+            <p className="text-sm text-amber-600 dark:text-amber-400 mt-3">
+              All notifications are off. Reminders that come due won't be sent later.
+            </p>
+          )}
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-3">
+            Expenses can choose their own channels when you add or edit them.
+          </p>
+        </div>
+
+        {/* Digest frequency */}
+        <div className="card p-6">
+          <h2 className="label flex items-center gap-2">
+            <Clock className="w-4 h-4 text-gray-400" />
+            How often
+          </h2>
+          <div className="space-y-3">
+            {DIGEST_MODES.map((mode) => (
+              <label key={mode.value} className="flex items-start gap-3 cursor-pointer">
+                <input
+                  type="radio"
+                  name="digest_mode"
+                  value={mode.value}
+                  checked={preferences.digest_mode === mode.value}
+                  onChange={() => update('digest_mode', mode.value)}
+                  className="mt-1 w-4 h-4 text-primary-600 focus:ring-primary-500"
+                />
+                <span>
+                  <span className="block text-gray-700 dark:text-gray-300">{mode.label}</span>
+                  <span className="block text-sm text-gray-500 dark:text-gray-400">{mode.hint}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+
+          {isDigest && (
+            <div className="flex flex-wrap gap-4 mt-4">
+              {preferences.digest_mode === 'weekly' && (
+                <div>
+                  <label htmlFor="digest_weekday" className="label">Day</label>
+                  <select
+                    id="digest_weekday"
+                    value={preferences.digest_weekday}
+                    onChange={(e) => update('digest_weekday', Number(e.target.value))}
+                    className="input sm:w-48"
+                  >
+                    {WEEKDAYS.map((day, index) => (
+                      <option key={day} value={index}>{day}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div>
+                <label htmlFor="digest_hour" className="label">Time (your timezone)</label>
+                <select
+                  id="digest_hour"
+                  value={preferences.digest_hour}
+                  onChange={(e) => update('digest_hour', Number(e.target.value))}
+                  className="input sm:w-36"
+                >
+                  {HOURS.map((hour) => (
+                    <option key={hour.value} value={hour.value}>{hour.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Muted categories */}
+        <div className="card p-6">
+          <h2 className="label flex items-center gap-2">
+            <BellOff className="w-4 h-4 text-gray-400" />
+            Muted categories
+          </h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">
+            You won't get reminders about expenses in these categories.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {categories.map((category) => {
+              const muted = preferences.muted_categories.includes(category)
+              return (
+                <button
+                  key={category}
+                  type="button"
+                  onClick={() => toggle('muted_categories', category)}
+                  className={`px-3 py-1.5 rounded-full text-sm font-medium border transition-colors ${
+                    muted
+                      ? 'bg-gray-200 dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-500 dark:text-gray-400 line-through'
+                      : 'bg-primary-50 dark:bg-primary-900/30 border-primary-200 dark:border-primary-800 text-primary-700 dark:text-primary-300'
+                  }`}
+                >
+                  {category}
+                </button>
+              )
+            })}
+          </div>
+        </div>
+
+        <button type="submit" disabled={isSaving} className="btn-primary w-full py-3 flex items-center justify-center gap-2">
+          <Save className="w-5 h-5" />
+          {isSaving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </form>
+
+      <div className="mt-6">
+        <NotificationDestinations />
+      </div>
+
+      <div className="mt-6">
+        <CalendarFeed />
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,92 @@
+/**
+ * Verify Email Page
+ * Opened from a verification email (?token=...); verifies the address on load.
+ * With `emailChange`, confirms switching the account to a new address instead.
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { useAuth } from '../context/AuthContext'
+import { authAPI } from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import { CheckCircle, XCircle, Wallet } from 'lucide-react'
+
+export default function VerifyEmail({ emailChange = false }) {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const { user, updateUser } = useAuth()
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed')
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.')
+  const [verifiedUser, setVerifiedUser] = useState(null)
+  // A token works once, so don't send it twice (effects run twice in development)
+  const requested = useRef(false)
+
+  useEffect(() => {
+    if (!token || requested.current) return
+    requested.current = true
+    verify()
+  }, [token])
+
+  const verify = async () => {
+    try {
+      const response = emailChange
+        ? await authAPI.confirmEmailChange(token)
+        : await authAPI.verifyEmail(token)
+      setMessage(response.data.message)
+      setVerifiedUser(response.data.data.user)
+      setStatus('verified')
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Verification failed. Please try again.')
+      setStatus('failed')
+    }
+  }
+
+  // Update the logged-in user once verified, so the dashboard banner goes away
+  // and a changed address shows up
+  useEffect(() => {
+    if (verifiedUser && user?.id === verifiedUser.id && user.email_verified_at !== verifiedUser.email_verified_at) {
+      updateUser({ ...user, ...verifiedUser, pending_email: null })
+    }
+  }, [verifiedUser, user])
+
+  if (status === 'verifying') {
+    return <LoadingSpinner fullScreen />
+  }
+
+  const verified = status === 'verified'
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex flex-col justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="flex justify-center">
+          <div className="w-16 h-16 rounded-2xl gradient-bg flex items-center justify-center shadow-lg">
+            <Wallet className="w-8 h-8 text-white" />
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="card p-8 text-center">
+          {verified ? (
+            <CheckCircle className="w-12 h-12 mx-auto text-green-500" />
+          ) : (
+            <XCircle className="w-12 h-12 mx-auto text-red-500" />
+          )}
+          <h2 className="mt-4 text-xl font-semibold text-gray-900 dark:text-white">
+            {verified ? (emailChange ? 'Email changed' : 'Email verified') : 'Couldn\'t verify your email'}
+          </h2>
+          <p className="mt-2 text-gray-500 dark:text-gray-400">{message}</p>
+          {!verified && !emailChange && user && !user.email_verified_at && (
+            <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+              You can send a new link from the dashboard.
+            </p>
+          )}
+
+          <Link to={user ? '/dashboard' : '/login'} className="btn-primary inline-flex mt-6">
+            {user ? 'Go to dashboard' : 'Sign in'}
+          </Link>
+        </div>
+      </div>
+    </div>
+  )
+}
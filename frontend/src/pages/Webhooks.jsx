@@ -0,0 +1,347 @@
+/**
+ * Webhooks Page
+ * Register endpoints that receive signed expense and reminder events,
+ * send test events and view each endpoint's delivery log
+ */
+
+import { useState, useEffect } from 'react'
+import { format, parseISO } from 'date-fns'
+import { webhooksAPI } from '../services/api'
+import ConfirmModal from '../components/ConfirmModal'
+import LoadingSpinner from '../components/LoadingSpinner'
+import toast from 'react-hot-toast'
+import { Webhook, PlusCircle, Send, Trash2, ChevronDown, ChevronUp, Copy, KeyRound } from 'lucide-react'
+
+const STATUS_STYLES = {
+  delivered: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400',
+  pending: 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300',
+  sending: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400',
+  failed: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400',
+  dead: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'
+}
+
+const EMPTY_FORM = { url: '', description: '', events: [] }
+
+function DeliveryLog({ webhookId, refreshKey }) {
+  const [deliveries, setDeliveries] = useState(null)
+
+  useEffect(() => {
+    webhooksAPI.getDeliveries(webhookId, { limit: 20 })
+      .then((response) => setDeliveries(response.data.data.deliveries))
+      .catch(() => toast.error('Failed to load deliveries'))
+  }, [webhookId, refreshKey])
+
+  if (!deliveries) {
+    return <LoadingSpinner size="sm" />
+  }
+
+  if (deliveries.length === 0) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">No deliveries yet</p>
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+      {deliveries.map((delivery) => (
+        <li key={delivery.id} className="py-2 flex flex-wrap items-center gap-x-3 gap-y-1 text-sm">
+          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[delivery.status]}`}>
+            {delivery.status}
+          </span>
+          <span className="font-mono text-gray-700 dark:text-gray-300">{delivery.event}</span>
+          <span className="text-gray-500 dark:text-gray-400">
+            {format(parseISO(delivery.created_at), 'dd MMM, HH:mm')}
+          </span>
+          <span className="text-gray-500 dark:text-gray-400">
+            {delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}
+            {delivery.response_status && ` · HTTP ${delivery.response_status}`}
+          </span>
+          {delivery.last_error && (
+            <span className="w-full text-xs text-red-600 dark:text-red-400 truncate">{delivery.last_error}</span>
+          )}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default function Webhooks() {
+  const [webhooks, setWebhooks] = useState([])
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [isCreating, setIsCreating] = useState(false)
+  const [newSecret, setNewSecret] = useState(null)
+  const [expandedId, setExpandedId] = useState(null)
+  const [testingId, setTestingId] = useState(null)
+  const [refreshKey, setRefreshKey] = useState(0)
+  const [deleteId, setDeleteId] = useState(null)
+  const [deleting, setDeleting] = useState(false)
+
+  useEffect(() => {
+    loadWebhooks()
+  }, [])
+
+  const loadWebhooks = async () => {
+    try {
+      const response = await webhooksAPI.getAll()
+      setWebhooks(response.data.data.webhooks)
+      setEvents(response.data.data.events)
+    } catch (error) {
+      toast.error('Failed to load webhooks')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggleEvent = (event) => {
+    setForm((prev) => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter((item) => item !== event)
+        : [...prev.events, event]
+    }))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    if (form.events.length === 0) {
+      toast.error('Choose at least one event')
+      return
+    }
+    setIsCreating(true)
+    try {
+      const response = await webhooksAPI.create(form)
+      const { secret, ...webhook } = response.data.data.webhook
+      setWebhooks((prev) => [...prev, webhook])
+      setNewSecret(secret)
+      setForm(EMPTY_FORM)
+      toast.success('Webhook created')
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to create webhook'
+      toast.error(message)
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  const handleToggleActive = async (webhook) => {
+    try {
+      const response = await webhooksAPI.update(webhook.id, { active: !webhook.active })
+      const updated = response.data.data.webhook
+      setWebhooks((prev) => prev.map((item) => (item.id === updated.id ? updated : item)))
+    } catch (error) {
+      toast.error('Failed to update webhook')
+    }
+  }
+
+  const handleTest = async (webhook) => {
+    setTestingId(webhook.id)
+    try {
+      const response = await webhooksAPI.test(webhook.id)
+      const { delivery } = response.data.data
+      if (delivery.status === 'delivered') {
+        toast.success(response.data.message)
+      } else {
+        toast.error(response.data.message)
+      }
+      setExpandedId(webhook.id)
+      setRefreshKey((key) => key + 1)
+    } catch (error) {
+      toast.error('Failed to send test event')
+    } finally {
+      setTestingId(null)
+    }
+  }
+
+  const handleDelete = async () => {
+    setDeleting(true)
+    try {
+      await webhooksAPI.delete(deleteId)
+      setWebhooks((prev) => prev.filter((item) => item.id !== deleteId))
+      toast.success('Webhook deleted')
+      setDeleteId(null)
+    } catch (error) {
+      toast.error('Failed to delete webhook')
+    } finally {
+      setDeleting(false)
+    }
+  }
+
+  const copySecret = async () => {
+    await navigator.clipboard.writeText(newSecret)
+    toast.success('Secret copied')
+  }
+
+  if (loading) {
+    return <LoadingSpinner />
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto animate-fade-in">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+          <Webhook className="w-7 h-7 text-primary-500" />
+          Webhooks
+        </h1>
+        <p className="text-gray-500 dark:text-gray-400 mt-1">
+          Send expense and reminder events to your own automations
+        </p>
+      </div>
+
+      {/* New secret, shown once */}
+      {newSecret && (
+        <div className="mb-6 p-4 bg-amber-50 dark:bg-amber-900/20 rounded-xl border border-amber-200 dark:border-amber-800">
+          <h3 className="font-medium text-amber-900 dark:text-amber-100 mb-1 flex items-center gap-2">
+            <KeyRound className="w-4 h-4" />
+            Signing secret
+          </h3>
+          <p className="text-sm text-amber-700 dark:text-amber-300 mb-3">
+            Copy it now, it won't be shown again. Each request has an X-Webhook-Signature header:
+            sha256= the HMAC-SHA256 of "timestamp.body" with this secret.
+          </p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 px-3 py-2 bg-white dark:bg-gray-800 rounded-lg text-sm font-mono break-all text-gray-800 dark:text-gray-200">
+              {newSecret}
+            </code>
+            <button onClick={copySecret} className="btn-secondary p-2" title="Copy secret">
+              <Copy className="w-4 h-4" />
+            </button>
+          </div>
+          <button onClick={() => setNewSecret(null)} className="text-sm text-amber-700 dark:text-amber-300 mt-3 underline">
+            Done
+          </button>
+        </div>
+      )}
+
+      {/* Webhook list */}
+      <div className="space-y-4 mb-8">
+        {webhooks.length === 0 ? (
+          <div className="card p-8 text-center text-gray-500 dark:text-gray-400">
+            No webhooks yet
+          </div>
+        ) : (
+          webhooks.map((webhook) => (
+            <div key={webhook.id} className="card p-5">
+              <div className="flex flex-wrap items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 dark:text-white break-all">{webhook.url}</p>
+                  {webhook.description && (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">{webhook.description}</p>
+                  )}
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {webhook.events.map((event) => (
+                      <span key={event} className="px-2 py-0.5 rounded-full text-xs font-mono bg-primary-50 dark:bg-primary-900/30 text-primary-700 dark:text-primary-300">
+                        {event}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={webhook.active}
+                      onChange={() => handleToggleActive(webhook)}
+                      className="w-4 h-4 rounded text-primary-600 focus:ring-primary-500"
+                    />
+                    Active
+                  </label>
+                  <button
+                    onClick={() => handleTest(webhook)}
+                    disabled={testingId === webhook.id}
+                    className="btn-secondary flex items-center gap-1 text-sm"
+                  >
+                    <Send className="w-4 h-4" />
+                    {testingId === webhook.id ? 'Sending...' : 'Send test event'}
+                  </button>
+                  <button
+                    onClick={() => setDeleteId(webhook.id)}
+                    className="p-2 rounded-lg text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+                    title="Delete webhook"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+
+              <button
+                onClick={() => setExpandedId(expandedId === webhook.id ? null : webhook.id)}
+                className="mt-3 text-sm text-primary-600 dark:text-primary-400 flex items-center gap-1"
+              >
+                {expandedId === webhook.id ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                Delivery log
+              </button>
+              {expandedId === webhook.id && (
+                <div className="mt-2">
+                  <DeliveryLog webhookId={webhook.id} refreshKey={refreshKey} />
+                </div>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+
+      {/* New webhook */}
+      <form onSubmit={handleCreate} className="card p-6 space-y-4">
+        <h2 className="font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+          <PlusCircle className="w-5 h-5 text-primary-500" />
+          Add webhook
+        </h2>
+        <div>
+          <label htmlFor="webhook_url" className="label">Endpoint URL</label>
+          <input
+            id="webhook_url"
+            type="url"
+            required
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+            placeholder="https://example.com/hooks/expenses"
+            className="input"
+          />
+        </div>
+        <div>
+          <label htmlFor="webhook_description" className="label">Description (optional)</label>
+          <input
+            id="webhook_description"
+            type="text"
+            maxLength={100}
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            placeholder="e.g. n8n workflow"
+            className="input"
+          />
+        </div>
+        <div>
+          <span className="label">Events</span>
+          <div className="grid sm:grid-cols-2 gap-2">
+            {events.map((event) => (
+              <label key={event} className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={form.events.includes(event)}
+                  onChange={() => toggleEvent(event)}
+                  className="w-4 h-4 rounded text-primary-600 focus:ring-primary-500"
+                />
+                <span className="font-mono text-sm text-gray-700 dark:text-gray-300">{event}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+        <button type="submit" disabled={isCreating} className="btn-primary w-full py-3">
+          {isCreating ? 'Creating...' : 'Create Webhook'}
+        </button>
+      </form>
+
+      {/* Delete Confirmation */}
+      <ConfirmModal
+        isOpen={!!deleteId}
+        onClose={() => setDeleteId(null)}
+        onConfirm={handleDelete}
+        title="Delete Webhook"
+        message="Are you sure you want to delete this webhook? Its delivery log is deleted too."
+        confirmText="Delete"
+        isLoading={deleting}
+      />
+    </div>
+  )
+}
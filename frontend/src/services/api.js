@@ -18,7 +18,7 @@ const getApiBaseUrl = () => {
   return `https://${envUrl}/api`
 }
 
-const API_BASE_URL = getApiBaseUrl()
+export const API_BASE_URL = getApiBaseUrl()
 
 // Create axios instance
 const api = axios.create({
@@ -42,17 +42,65 @@ api.interceptors.request.use(
   }
 )
 
-// Response interceptor - handle errors
+// Access tokens are short-lived: get a new one with the refresh token.
+// Requests that fail together share one refresh, since each refresh token works once.
+let refreshRequest = null
+
+const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    const refreshToken = localStorage.getItem('refreshToken')
+    refreshRequest = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refresh_token: refreshToken })
+      : Promise.reject(new Error('No refresh token')))
+      .then((response) => {
+        const { token, refresh_token } = response.data.data
+        localStorage.setItem('token', token)
+        localStorage.setItem('refreshToken', refresh_token)
+        return token
+      })
+      .finally(() => {
+        refreshRequest = null
+      })
+  }
+  return refreshRequest
+}
+
+// The session is over: clear it and go to login
+const endSession = () => {
+  localStorage.removeItem('token')
+  localStorage.removeItem('refreshToken')
+  localStorage.removeItem('user')
+  window.location.href = '/login'
+}
+
+// Response interceptor - refresh an expired access token and retry once
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Clear token and redirect to login
-      localStorage.removeItem('token')
-      localStorage.removeItem('user')
-      window.location.href = '/login'
+  async (error) => {
+    const request = error.config
+    // Failed logins and other requests made without a token are left to the caller
+    if (error.response?.status !== 401 || !request?.headers?.Authorization) {
+      return Promise.reject(error)
     }
-    return Promise.reject(error)
+    if (request._retried) {
+      endSession()
+      return Promise.reject(error)
+    }
+    request._retried = true
+
+    // Another tab may have refreshed already: then the retry just picks up the stored token
+    if (request.headers.Authorization === `Bearer ${localStorage.getItem('token')}`) {
+      try {
+        await refreshAccessToken()
+      } catch (refreshError) {
+        // Network and server errors don't end the session; a rejected refresh token does
+        if (!refreshError.request || refreshError.response?.status < 500) {
+          endSession()
+        }
+        return Promise.reject(error)
+      }
+    }
+    return api(request)
   }
 )
 
@@ -63,8 +111,35 @@ api.interceptors.response.use(
 export const authAPI = {
   signup: (data) => api.post('/auth/signup', data),
   login: (data) => api.post('/auth/login', data),
+  loginTwoFactor: (data) => api.post('/auth/login/2fa', data),
+  logout: (data) => api.post('/auth/logout', data),
+  forgotPassword: (data) => api.post('/auth/forgot-password', data),
+  resetPassword: (data) => api.post('/auth/reset-password', data),
+  verifyEmail: (token) => api.get(`/auth/verify/${encodeURIComponent(token)}`),
+  resendVerification: () => api.post('/auth/resend-verification'),
   getMe: () => api.get('/auth/me'),
-  updateProfile: (data) => api.put('/auth/update-profile', data)
+  updateProfile: (data) => api.put('/auth/update-profile', data),
+  changePassword: (data) => api.put('/auth/change-password', data),
+  changeEmail: (data) => api.post('/auth/change-email', data),
+  cancelEmailChange: () => api.delete('/auth/change-email'),
+  confirmEmailChange: (token) => api.get(`/auth/confirm-email/${encodeURIComponent(token)}`),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
+  getLoginHistory: () => api.get('/auth/login-history'),
+  getAccessTokens: () => api.get('/auth/tokens'),
+  createAccessToken: (data) => api.post('/auth/tokens', data),
+  deleteAccessToken: (id) => api.delete(`/auth/tokens/${id}`),
+  getTwoFactor: () => api.get('/auth/2fa'),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (data) => api.post('/auth/2fa/enable', data),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
+  regenerateBackupCodes: (data) => api.post('/auth/2fa/backup-codes', data),
+  getPreferences: () => api.get('/auth/preferences'),
+  updatePreferences: (data) => api.put('/auth/preferences', data),
+  exportData: () => api.get('/auth/export', { responseType: 'blob' }),
+  deleteAccount: (data) => api.delete('/auth/account', { data }),
+  restoreAccount: (data) => api.post('/auth/account/restore', data)
 }
 
 // ==========================================
@@ -76,11 +151,38 @@ export const expensesAPI = {
   getOne: (id) => api.get(`/expenses/${id}`),
   create: (data) => api.post('/expenses', data),
   update: (id, data) => api.put(`/expenses/${id}`, data),
-  delete: (id) => api.delete(`/expenses/${id}`),
+  delete: (id, params) => api.delete(`/expenses/${id}`, { params }),
   getCategories: () => api.get('/expenses/categories'),
   getMonthlySummary: (params) => api.get('/expenses/summary/monthly', { params }),
   markPaid: (id) => api.patch(`/expenses/${id}/paid`),
-  getPaid: () => api.get('/expenses/paid/list')
+  getPaid: () => api.get('/expenses/paid/list'),
+  downloadCalendar: (id) => api.get(`/expenses/${id}/ics`, { responseType: 'blob' })
+}
+
+// ==========================================
+// Webhooks API
+// ==========================================
+
+export const webhooksAPI = {
+  getAll: () => api.get('/webhooks'),
+  create: (data) => api.post('/webhooks', data),
+  update: (id, data) => api.put(`/webhooks/${id}`, data),
+  delete: (id) => api.delete(`/webhooks/${id}`),
+  test: (id) => api.post(`/webhooks/${id}/test`),
+  getDeliveries: (id, params) => api.get(`/webhooks/${id}/deliveries`, { params })
+}
+
+export const channelsAPI = {
+  getAll: () => api.get('/channels'),
+  addDestination: (data) => api.post('/channels/destinations', data),
+  deleteDestination: (id) => api.delete(`/channels/destinations/${id}`),
+  testDestination: (id) => api.post(`/channels/destinations/${id}/test`)
+}
+
+export const calendarAPI = {
+  getFeed: () => api.get('/calendar'),
+  resetFeedUrl: () => api.post('/calendar/token'),
+  disableFeed: () => api.delete('/calendar/token')
 }
 
 export default api
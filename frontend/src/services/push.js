@@ -0,0 +1,50 @@
+/**
+ * Browser Push
+ * Subscribes this browser to push notifications through the service worker
+ * in public/sw.js
+ */
+
+export const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window
+
+// The VAPID public key is base64url; the Push API wants raw bytes
+const urlBase64ToUint8Array = (base64) => {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/')
+  return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0))
+}
+
+// A name for this browser (or another user agent) in lists of destinations
+// and sessions, e.g. "Firefox on Windows"
+export const describeBrowser = (agent = navigator.userAgent) => {
+  const browser = /Edg\//.test(agent) ? 'Edge'
+    : /Firefox\//.test(agent) ? 'Firefox'
+      : /Chrome\//.test(agent) ? 'Chrome'
+        : /Safari\//.test(agent) ? 'Safari'
+          : 'Browser'
+  const system = /Android/.test(agent) ? 'Android'
+    : /iPhone|iPad/.test(agent) ? 'iOS'
+      : /Windows/.test(agent) ? 'Windows'
+        : /Mac OS/.test(agent) ? 'macOS'
+          : /Linux/.test(agent) ? 'Linux'
+            : null
+  return system ? `${browser} on ${system}` : browser
+}
+
+/**
+ * Ask for permission and subscribe; resolves to { endpoint, keys: { p256dh, auth } }
+ */
+export async function subscribeToPush(vapidPublicKey) {
+  const permission = await Notification.requestPermission()
+  if (permission !== 'granted') {
+    throw new Error('Notifications are blocked for this site in your browser settings')
+  }
+
+  await navigator.serviceWorker.register('/sw.js')
+  const registration = await navigator.serviceWorker.ready
+  const subscription = await registration.pushManager.getSubscription() ||
+    await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(vapidPublicKey)
+    })
+  return subscription.toJSON()
+}